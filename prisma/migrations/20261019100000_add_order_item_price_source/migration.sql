@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "PriceSource" AS ENUM ('LIST', 'PROMO', 'DEAL');
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "listPrice" DECIMAL(10,2),
+ADD COLUMN     "priceSource" "PriceSource" NOT NULL DEFAULT 'LIST';
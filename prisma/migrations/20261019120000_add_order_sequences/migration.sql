@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "order_sequences" (
+    "scope" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "order_sequences_pkey" PRIMARY KEY ("scope")
+);
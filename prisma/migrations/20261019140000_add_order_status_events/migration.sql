@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "order_status_events" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "fromStatus" "OrderStatus",
+    "toStatus" "OrderStatus" NOT NULL,
+    "actorId" TEXT,
+    "actorRole" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_status_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_status_events_orderId_createdAt_idx" ON "order_status_events"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "order_status_events" ADD CONSTRAINT "order_status_events_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_status_events" ADD CONSTRAINT "order_status_events_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill the current status of existing orders as their first event
+INSERT INTO "order_status_events" ("id", "orderId", "fromStatus", "toStatus", "actorId", "actorRole", "note", "createdAt")
+SELECT gen_random_uuid()::text, "id", NULL, "status", NULL, 'SYSTEM', 'Recorded before status history was tracked', "updatedAt"
+FROM "orders";
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shippingCarrier" TEXT,
+ADD COLUMN     "trackingNumber" TEXT;
+
+-- AlterTable
+ALTER TABLE "order_status_events" ADD COLUMN     "fromPaymentStatus" "PaymentStatus",
+ADD COLUMN     "toPaymentStatus" "PaymentStatus";
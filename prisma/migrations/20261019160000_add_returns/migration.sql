@@ -0,0 +1,66 @@
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED', 'REFUNDED');
+
+-- CreateEnum
+CREATE TYPE "ReturnDisposition" AS ENUM ('RESTOCK', 'WRITE_OFF');
+
+-- CreateTable
+CREATE TABLE "return_requests" (
+    "id" TEXT NOT NULL,
+    "rmaNumber" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'REQUESTED',
+    "reason" TEXT NOT NULL,
+    "photos" TEXT[],
+    "adminNote" TEXT,
+    "refundAmount" DECIMAL(10,2),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "reviewedAt" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3),
+    "refundedAt" TIMESTAMP(3),
+
+    CONSTRAINT "return_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" TEXT NOT NULL,
+    "returnRequestId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "disposition" "ReturnDisposition",
+
+    CONSTRAINT "return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_requests_rmaNumber_key" ON "return_requests"("rmaNumber");
+
+-- CreateIndex
+CREATE INDEX "return_requests_orderId_idx" ON "return_requests"("orderId");
+
+-- CreateIndex
+CREATE INDEX "return_requests_userId_idx" ON "return_requests"("userId");
+
+-- CreateIndex
+CREATE INDEX "return_requests_status_idx" ON "return_requests"("status");
+
+-- CreateIndex
+CREATE INDEX "return_items_returnRequestId_idx" ON "return_items"("returnRequestId");
+
+-- CreateIndex
+CREATE INDEX "return_items_orderItemId_idx" ON "return_items"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "return_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "OrderEditAction" AS ENUM ('LINE_CANCELLED', 'ORDER_EDITED');
+
+-- CreateTable
+CREATE TABLE "order_edits" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "action" "OrderEditAction" NOT NULL,
+    "changes" JSONB NOT NULL,
+    "actorId" TEXT,
+    "actorRole" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_edits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_edits_orderId_createdAt_idx" ON "order_edits"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "order_edits" ADD CONSTRAINT "order_edits_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_edits" ADD CONSTRAINT "order_edits_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,74 @@
+-- CreateEnum
+CREATE TYPE "ShippingRateType" AS ENUM ('FLAT', 'WEIGHT', 'ORDER_VALUE');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "weight" DECIMAL(10,3);
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shippingCity" TEXT;
+
+-- CreateTable
+CREATE TABLE "shipping_zones" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "country" TEXT NOT NULL,
+    "regions" TEXT[],
+    "cities" TEXT[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipping_rates" (
+    "id" TEXT NOT NULL,
+    "zoneId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "deliveryMethod" "DeliveryMethod" NOT NULL,
+    "type" "ShippingRateType" NOT NULL,
+    "amount" DECIMAL(10,2),
+    "tiers" JSONB,
+    "freeAbove" DECIMAL(10,2),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipping_zones_country_idx" ON "shipping_zones"("country");
+
+-- CreateIndex
+CREATE INDEX "shipping_rates_zoneId_idx" ON "shipping_rates"("zoneId");
+
+-- AddForeignKey
+ALTER TABLE "shipping_rates" ADD CONSTRAINT "shipping_rates_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "shipping_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed zones matching the previous hard-coded region table, so fees stay the same
+WITH "zones" AS (
+    INSERT INTO "shipping_zones" ("id", "name", "country", "regions", "cities", "updatedAt")
+    VALUES
+        (gen_random_uuid()::text, 'Sindh', '*', ARRAY['Sindh'], ARRAY[]::TEXT[], NOW()),
+        (gen_random_uuid()::text, 'Punjab', '*', ARRAY['Punjab'], ARRAY[]::TEXT[], NOW()),
+        (gen_random_uuid()::text, 'Balochistan', '*', ARRAY['Balochistan'], ARRAY[]::TEXT[], NOW()),
+        (gen_random_uuid()::text, 'Khyber Pakhtunkhwa', '*', ARRAY['Khyber Pakhtunkhwa'], ARRAY[]::TEXT[], NOW()),
+        (gen_random_uuid()::text, 'Everywhere else', '*', ARRAY[]::TEXT[], ARRAY[]::TEXT[], NOW())
+    RETURNING "id", "name"
+),
+"fees" ("name", "fee") AS (
+    VALUES
+        ('Sindh', 50.00),
+        ('Punjab', 100.00),
+        ('Balochistan', 150.00),
+        ('Khyber Pakhtunkhwa', 120.00),
+        ('Everywhere else', 100.00)
+)
+INSERT INTO "shipping_rates" ("id", "zoneId", "name", "deliveryMethod", "type", "amount", "updatedAt")
+SELECT gen_random_uuid()::text, "zones"."id", 'Standard delivery', 'DELIVERY'::"DeliveryMethod", 'FLAT'::"ShippingRateType", "fees"."fee", NOW()
+FROM "zones" JOIN "fees" ON "fees"."name" = "zones"."name"
+UNION ALL
+SELECT gen_random_uuid()::text, "zones"."id", 'Store pickup', 'STORE_PICKUP'::"DeliveryMethod", 'FLAT'::"ShippingRateType", 0.00, NOW()
+FROM "zones";
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "taxClass" TEXT NOT NULL DEFAULT 'STANDARD';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "taxInclusive" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "taxAmount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "taxName" TEXT,
+ADD COLUMN     "taxRate" DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "tax_rates" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "region" TEXT,
+    "taxClass" TEXT,
+    "rate" DECIMAL(5,2) NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tax_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tax_rates_region_idx" ON "tax_rates"("region");
@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('BUY_X_GET_Y', 'BUNDLE', 'SPEND_THRESHOLD');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "promotionDiscount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "promotionDiscount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "order_item_promotions" (
+    "id" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "promotionId" TEXT,
+    "promotionName" TEXT NOT NULL,
+    "discount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "order_item_promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "exclusive" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "buyQuantity" INTEGER,
+    "getQuantity" INTEGER,
+    "discountPercent" DECIMAL(5,2),
+    "bundlePrice" DECIMAL(10,2),
+    "tiers" JSONB,
+    "productIds" TEXT[],
+    "collectionIds" TEXT[],
+    "categoryIds" TEXT[],
+    "brands" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_item_promotions_orderItemId_idx" ON "order_item_promotions"("orderItemId");
+
+-- CreateIndex
+CREATE INDEX "promotions_isActive_priority_idx" ON "promotions"("isActive", "priority");
+
+-- AddForeignKey
+ALTER TABLE "order_item_promotions" ADD CONSTRAINT "order_item_promotions_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_item_promotions" ADD CONSTRAINT "order_item_promotions_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,80 @@
+-- CreateEnum
+CREATE TYPE "DealStatus" AS ENUM ('SCHEDULED', 'ACTIVE', 'ENDED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "activeDealId" TEXT,
+ADD COLUMN     "dealPrice" DECIMAL(10,2);
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "dealId" TEXT;
+
+-- CreateTable
+CREATE TABLE "deals" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "name" TEXT,
+    "dealPrice" DECIMAL(10,2),
+    "discountPercent" DECIMAL(5,2),
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "quantityLimit" INTEGER,
+    "quantitySold" INTEGER NOT NULL DEFAULT 0,
+    "perCustomerLimit" INTEGER,
+    "status" "DealStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "activatedAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "endReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "deals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "deals_productId_startsAt_idx" ON "deals"("productId", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "deals_status_startsAt_idx" ON "deals"("status", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "deals_status_endsAt_idx" ON "deals"("status", "endsAt");
+
+-- AddForeignKey
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_dealId_fkey" FOREIGN KEY ("dealId") REFERENCES "deals"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "deals" ADD CONSTRAINT "deals_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move existing product deals (priced from promoPrice) into deals
+INSERT INTO "deals" ("id", "productId", "dealPrice", "startsAt", "endsAt", "status", "activatedAt", "endedAt", "endReason", "updatedAt")
+SELECT
+    gen_random_uuid()::text,
+    "id",
+    "promoPrice",
+    "dealStartDate",
+    "dealEndDate",
+    CASE
+        WHEN "dealEndDate" <= NOW() THEN 'ENDED'::"DealStatus"
+        WHEN "dealStartDate" <= NOW() THEN 'ACTIVE'::"DealStatus"
+        ELSE 'SCHEDULED'::"DealStatus"
+    END,
+    CASE WHEN "dealStartDate" <= NOW() THEN "dealStartDate" END,
+    CASE WHEN "dealEndDate" <= NOW() THEN "dealEndDate" END,
+    CASE WHEN "dealEndDate" <= NOW() THEN 'EXPIRED' END,
+    NOW()
+FROM "products"
+WHERE "isOnDeal" = true
+  AND "dealStartDate" IS NOT NULL
+  AND "dealEndDate" IS NOT NULL
+  AND "promoPrice" IS NOT NULL
+  AND "promoPrice" < "price";
+
+-- Products only carry the deal while it runs
+UPDATE "products"
+SET "dealPrice" = "deals"."dealPrice", "activeDealId" = "deals"."id"
+FROM "deals"
+WHERE "deals"."productId" = "products"."id" AND "deals"."status" = 'ACTIVE';
+
+UPDATE "products"
+SET "isOnDeal" = false, "dealStartDate" = NULL, "dealEndDate" = NULL
+WHERE "activeDealId" IS NULL;
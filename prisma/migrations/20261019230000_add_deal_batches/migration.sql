@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "DealBatchStatus" AS ENUM ('APPLIED', 'ROLLED_BACK');
+
+-- AlterTable
+ALTER TABLE "deals" ADD COLUMN     "batchId" TEXT;
+
+-- CreateTable
+CREATE TABLE "deal_batches" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "selection" JSONB NOT NULL,
+    "discountPercent" DECIMAL(5,2) NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "quantityLimit" INTEGER,
+    "perCustomerLimit" INTEGER,
+    "status" "DealBatchStatus" NOT NULL DEFAULT 'APPLIED',
+    "createdById" TEXT,
+    "rolledBackAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "deal_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "deals_batchId_idx" ON "deals"("batchId");
+
+-- AddForeignKey
+ALTER TABLE "deals" ADD CONSTRAINT "deals_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "deal_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "deal_batches" ADD CONSTRAINT "deal_batches_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
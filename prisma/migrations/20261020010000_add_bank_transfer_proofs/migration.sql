@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "TransferProofStatus" AS ENUM ('PENDING_REVIEW', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "bank_transfer_proofs" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "transactionReference" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "storedFileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "status" "TransferProofStatus" NOT NULL DEFAULT 'PENDING_REVIEW',
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "rejectionReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bank_transfer_proofs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bank_transfer_proofs_orderId_idx" ON "bank_transfer_proofs"("orderId");
+
+-- CreateIndex
+CREATE INDEX "bank_transfer_proofs_status_createdAt_idx" ON "bank_transfer_proofs"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "bank_transfer_proofs" ADD CONSTRAINT "bank_transfer_proofs_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_transfer_proofs" ADD CONSTRAINT "bank_transfer_proofs_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
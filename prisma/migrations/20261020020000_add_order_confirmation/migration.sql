@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "ConfirmationChannel" AS ENUM ('SMS', 'EMAIL');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "confirmationRequired" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "confirmedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "order_confirmation_codes" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "channel" "ConfirmationChannel" NOT NULL,
+    "destination" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_confirmation_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_confirmation_codes_orderId_createdAt_idx" ON "order_confirmation_codes"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "order_confirmation_codes" ADD CONSTRAINT "order_confirmation_codes_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
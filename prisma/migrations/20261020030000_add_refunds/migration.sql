@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "RefundMethod" AS ENUM ('CARD', 'BANK_TRANSFER', 'CASH');
+
+-- CreateTable
+CREATE TABLE "refunds" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "method" "RefundMethod" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "paymentId" TEXT,
+    "providerReference" TEXT,
+    "restocked" BOOLEAN NOT NULL DEFAULT false,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "refund_items" (
+    "id" TEXT NOT NULL,
+    "refundId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "refund_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "refunds_orderId_idx" ON "refunds"("orderId");
+
+-- CreateIndex
+CREATE INDEX "refund_items_refundId_idx" ON "refund_items"("refundId");
+
+-- CreateIndex
+CREATE INDEX "refund_items_orderItemId_idx" ON "refund_items"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_items" ADD CONSTRAINT "refund_items_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "refunds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_items" ADD CONSTRAINT "refund_items_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
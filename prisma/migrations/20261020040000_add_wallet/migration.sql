@@ -0,0 +1,44 @@
+-- AlterEnum
+ALTER TYPE "PaymentMethod" ADD VALUE 'WALLET';
+
+-- AlterEnum
+ALTER TYPE "RefundMethod" ADD VALUE 'WALLET';
+
+-- CreateEnum
+CREATE TYPE "WalletTransactionType" AS ENUM ('CREDIT', 'DEBIT', 'ORDER_PAYMENT', 'ORDER_CANCELLED', 'REFUND');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "walletAmount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "wallet_transactions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "type" "WalletTransactionType" NOT NULL,
+    "note" TEXT,
+    "orderId" TEXT,
+    "refundId" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wallet_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "wallet_transactions_userId_createdAt_idx" ON "wallet_transactions"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "wallet_transactions_orderId_idx" ON "wallet_transactions"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "wallet_transactions" ADD CONSTRAINT "wallet_transactions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wallet_transactions" ADD CONSTRAINT "wallet_transactions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wallet_transactions" ADD CONSTRAINT "wallet_transactions_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wallet_transactions" ADD CONSTRAINT "wallet_transactions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,68 @@
+-- AlterEnum
+ALTER TYPE "PaymentMethod" ADD VALUE 'GIFT_CARD';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "giftCardAmount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "gift_card_batches" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "value" DECIMAL(10,2) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "gift_card_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "gift_cards" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "batchId" TEXT,
+    "initialValue" DECIMAL(10,2) NOT NULL,
+    "balance" DECIMAL(10,2) NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "gift_cards_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "gift_card_redemptions" (
+    "id" TEXT NOT NULL,
+    "giftCardId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "reversedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "gift_card_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "gift_cards_code_key" ON "gift_cards"("code");
+
+-- CreateIndex
+CREATE INDEX "gift_cards_batchId_idx" ON "gift_cards"("batchId");
+
+-- CreateIndex
+CREATE INDEX "gift_card_redemptions_giftCardId_idx" ON "gift_card_redemptions"("giftCardId");
+
+-- CreateIndex
+CREATE INDEX "gift_card_redemptions_orderId_idx" ON "gift_card_redemptions"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "gift_card_batches" ADD CONSTRAINT "gift_card_batches_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gift_cards" ADD CONSTRAINT "gift_cards_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "gift_card_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gift_card_redemptions" ADD CONSTRAINT "gift_card_redemptions_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "gift_cards"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gift_card_redemptions" ADD CONSTRAINT "gift_card_redemptions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
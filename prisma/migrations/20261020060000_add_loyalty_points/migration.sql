@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "LoyaltyTransactionType" AS ENUM ('EARN', 'REDEEM', 'REDEMPTION_RETURNED', 'REFUND', 'EXPIRE', 'ADJUSTMENT');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "pointsAmount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "pointsRedeemed" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "loyalty_transactions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "points" INTEGER NOT NULL,
+    "type" "LoyaltyTransactionType" NOT NULL,
+    "note" TEXT,
+    "orderId" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "expired" BOOLEAN NOT NULL DEFAULT false,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "loyalty_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "loyalty_transactions_userId_createdAt_idx" ON "loyalty_transactions"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "loyalty_transactions_orderId_idx" ON "loyalty_transactions"("orderId");
+
+-- CreateIndex
+CREATE INDEX "loyalty_transactions_expiresAt_idx" ON "loyalty_transactions"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "loyalty_transactions" ADD CONSTRAINT "loyalty_transactions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "loyalty_transactions" ADD CONSTRAINT "loyalty_transactions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "loyalty_transactions" ADD CONSTRAINT "loyalty_transactions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "SubscriptionStatus" AS ENUM ('ACTIVE', 'PAUSED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "subscriptionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "subscriptions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "SubscriptionStatus" NOT NULL DEFAULT 'ACTIVE',
+    "intervalDays" INTEGER NOT NULL,
+    "nextRunAt" TIMESTAMP(3) NOT NULL,
+    "reminderSentAt" TIMESTAMP(3),
+    "contactFirstName" TEXT NOT NULL,
+    "contactLastName" TEXT NOT NULL,
+    "contactPhone" TEXT NOT NULL,
+    "contactEmail" TEXT NOT NULL,
+    "deliveryMethod" "DeliveryMethod" NOT NULL,
+    "shippingCountry" TEXT,
+    "shippingRegion" TEXT,
+    "shippingCity" TEXT,
+    "shippingAddress" TEXT,
+    "shippingAddress2" TEXT,
+    "paymentMethod" "PaymentMethod" NOT NULL,
+    "lastRunAt" TIMESTAMP(3),
+    "lastFailureAt" TIMESTAMP(3),
+    "lastFailureReason" TEXT,
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subscriptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "subscription_items" (
+    "id" TEXT NOT NULL,
+    "subscriptionId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "subscription_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "orders_subscriptionId_idx" ON "orders"("subscriptionId");
+
+-- CreateIndex
+CREATE INDEX "subscriptions_userId_idx" ON "subscriptions"("userId");
+
+-- CreateIndex
+CREATE INDEX "subscriptions_status_nextRunAt_idx" ON "subscriptions"("status", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "subscription_items_productId_idx" ON "subscription_items"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscription_items_subscriptionId_productId_key" ON "subscription_items"("subscriptionId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "subscriptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "subscriptions" ADD CONSTRAINT "subscriptions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "subscription_items" ADD CONSTRAINT "subscription_items_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "subscriptions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "subscription_items" ADD CONSTRAINT "subscription_items_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
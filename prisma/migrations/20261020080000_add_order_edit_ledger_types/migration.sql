@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "WalletTransactionType" ADD VALUE 'ORDER_EDITED';
+
+-- AlterEnum
+ALTER TYPE "LoyaltyTransactionType" ADD VALUE 'ORDER_EDITED';
@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "RefundStatus" AS ENUM ('PENDING', 'COMPLETED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "refunds" ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "status" "RefundStatus" NOT NULL DEFAULT 'PENDING';
+
+-- Refunds recorded before this migration were all paid back
+UPDATE "refunds" SET "status" = 'COMPLETED';
+
+-- CreateIndex
+CREATE INDEX "refunds_status_idx" ON "refunds"("status");
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "refunds" ADD COLUMN     "returnRequestId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "refunds_returnRequestId_idx" ON "refunds"("returnRequestId");
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "return_requests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Record returns refunded before this migration as refunds of their items
+INSERT INTO "refunds" ("id", "orderId", "amount", "method", "status", "reason", "returnRequestId", "createdAt")
+SELECT
+    gen_random_uuid()::text,
+    "return_requests"."orderId",
+    "return_requests"."refundAmount",
+    (CASE "orders"."paymentMethod"
+        WHEN 'CARD' THEN 'CARD'
+        WHEN 'BANK_TRANSFER' THEN 'BANK_TRANSFER'
+        WHEN 'CASH_ON_DELIVERY' THEN 'CASH'
+        ELSE 'WALLET'
+    END)::"RefundMethod",
+    'COMPLETED'::"RefundStatus",
+    'Items returned (' || "return_requests"."rmaNumber" || ')',
+    "return_requests"."id",
+    COALESCE("return_requests"."refundedAt", "return_requests"."updatedAt")
+FROM "return_requests"
+JOIN "orders" ON "orders"."id" = "return_requests"."orderId"
+WHERE "return_requests"."status" = 'REFUNDED';
+
+INSERT INTO "refund_items" ("id", "refundId", "orderItemId", "quantity", "amount")
+SELECT
+    gen_random_uuid()::text,
+    "refunds"."id",
+    "return_items"."orderItemId",
+    "return_items"."quantity",
+    ROUND(("order_items"."price" - ("order_items"."promotionDiscount" + "order_items"."discount") / "order_items"."quantity") * "return_items"."quantity", 2)
+FROM "refunds"
+JOIN "return_items" ON "return_items"."returnRequestId" = "refunds"."returnRequestId"
+JOIN "order_items" ON "order_items"."id" = "return_items"."orderItemId";
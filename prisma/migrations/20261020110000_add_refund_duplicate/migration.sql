@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "refunds" ADD COLUMN     "duplicate" BOOLEAN NOT NULL DEFAULT false;
@@ -21,8 +21,14 @@ app.use(
     })
 );
 
-// Body parser
-app.use(express.json());
+// Body parser (payment webhooks also keep the raw body to check its signature)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+            req.rawBody = buf;
+        }
+    },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Cookie parser
@@ -383,7 +383,29 @@ const options = {
                         },
                         paymentMethod: {
                             type: 'string',
-                            enum: ['CARD', 'CASH_ON_DELIVERY', 'BANK_TRANSFER'],
+                            enum: ['CARD', 'CASH_ON_DELIVERY', 'BANK_TRANSFER', 'WALLET', 'GIFT_CARD'],
+                        },
+                        walletAmount: {
+                            type: 'number',
+                            description: 'Part of the total paid from the wallet',
+                        },
+                        giftCardAmount: {
+                            type: 'number',
+                            description: 'Part of the total paid with gift cards',
+                        },
+                        pointsRedeemed: {
+                            type: 'integer',
+                            description: 'Loyalty points spent on the order',
+                        },
+                        pointsAmount: {
+                            type: 'number',
+                            description: 'Part of the total paid with loyalty points',
+                        },
+                        subscriptionId: {
+                            type: 'string',
+                            format: 'uuid',
+                            nullable: true,
+                            description: 'Subscription the order was placed for',
                         },
                         createdAt: {
                             type: 'string',
@@ -391,6 +413,389 @@ const options = {
                         },
                     },
                 },
+                ShippingRateInput: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            example: 'Standard delivery',
+                        },
+                        deliveryMethod: {
+                            type: 'string',
+                            enum: ['STORE_PICKUP', 'DELIVERY'],
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['FLAT', 'WEIGHT', 'ORDER_VALUE'],
+                        },
+                        amount: {
+                            type: 'number',
+                            description: 'Fee for FLAT rates',
+                        },
+                        tiers: {
+                            type: 'array',
+                            description: 'WEIGHT (kg) or ORDER_VALUE tiers; the first tier covering the value applies',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    upTo: {
+                                        type: 'number',
+                                        nullable: true,
+                                        description: 'Upper bound (inclusive), null for no limit',
+                                    },
+                                    amount: {
+                                        type: 'number',
+                                    },
+                                },
+                            },
+                            example: [{ upTo: 1, amount: 100 }, { upTo: 5, amount: 200 }, { upTo: null, amount: 350 }],
+                        },
+                        freeAbove: {
+                            type: 'number',
+                            nullable: true,
+                            description: 'Shipping is free when the subtotal reaches this amount',
+                        },
+                        isActive: {
+                            type: 'boolean',
+                        },
+                    },
+                },
+                DealInput: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            example: 'Weekend flash sale',
+                        },
+                        dealStartDate: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        dealEndDate: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        dealPrice: {
+                            type: 'number',
+                            description: 'Fixed deal price (or give discountPercent)',
+                        },
+                        discountPercent: {
+                            type: 'number',
+                            description: 'Percentage off the list price (or give dealPrice)',
+                        },
+                        quantityLimit: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Units available at the deal price, e.g. the first 100',
+                        },
+                        perCustomerLimit: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Units one customer can buy at the deal price',
+                        },
+                    },
+                },
+                BulkDealInput: {
+                    type: 'object',
+                    description: 'Give at least one of collectionId, categoryId, brand or tags; combined filters must all match.',
+                    required: ['name', 'discountPercent', 'dealStartDate', 'dealEndDate'],
+                    properties: {
+                        name: {
+                            type: 'string',
+                            example: 'Summer sale',
+                        },
+                        collectionId: {
+                            type: 'string',
+                            format: 'uuid',
+                        },
+                        categoryId: {
+                            type: 'string',
+                            format: 'uuid',
+                        },
+                        brand: {
+                            type: 'string',
+                        },
+                        tags: {
+                            type: 'array',
+                            description: 'Products with any of these tags',
+                            items: {
+                                type: 'string',
+                            },
+                        },
+                        discountPercent: {
+                            type: 'number',
+                            description: 'Percentage off each product\'s list price',
+                        },
+                        dealStartDate: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        dealEndDate: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        quantityLimit: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Units available at the deal price, per product',
+                        },
+                        perCustomerLimit: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Units of each product one customer can buy at the deal price',
+                        },
+                    },
+                },
+                SubscriptionInput: {
+                    type: 'object',
+                    required: ['items', 'intervalDays', 'contactInfo', 'deliveryMethod', 'paymentMethod'],
+                    properties: {
+                        items: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    productId: {
+                                        type: 'string',
+                                        format: 'uuid',
+                                    },
+                                    quantity: {
+                                        type: 'integer',
+                                        minimum: 1,
+                                    },
+                                },
+                            },
+                        },
+                        intervalDays: {
+                            type: 'integer',
+                            minimum: 7,
+                            maximum: 180,
+                            example: 30,
+                            description: 'Days between orders',
+                        },
+                        startDate: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'When the first order is placed (one interval from now by default)',
+                        },
+                        contactInfo: {
+                            type: 'object',
+                            properties: {
+                                firstName: {
+                                    type: 'string',
+                                },
+                                lastName: {
+                                    type: 'string',
+                                },
+                                phone: {
+                                    type: 'string',
+                                },
+                                email: {
+                                    type: 'string',
+                                    format: 'email',
+                                },
+                            },
+                        },
+                        deliveryMethod: {
+                            type: 'string',
+                            enum: ['STORE_PICKUP', 'DELIVERY'],
+                        },
+                        shippingInfo: {
+                            type: 'object',
+                            properties: {
+                                country: {
+                                    type: 'string',
+                                },
+                                region: {
+                                    type: 'string',
+                                },
+                                city: {
+                                    type: 'string',
+                                },
+                                address: {
+                                    type: 'string',
+                                },
+                                address2: {
+                                    type: 'string',
+                                },
+                            },
+                        },
+                        paymentMethod: {
+                            type: 'string',
+                            enum: ['CASH_ON_DELIVERY', 'WALLET'],
+                            description: 'WALLET orders fail (and are skipped) when the balance does not cover them',
+                        },
+                    },
+                },
+                PromotionInput: {
+                    type: 'object',
+                    description: 'Buy X get Y and spend thresholds apply to the lines matching the product lists (all empty = every product). Bundles use productIds.',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            example: 'Buy 2 get 1 free on protein powders',
+                        },
+                        description: {
+                            type: 'string',
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['BUY_X_GET_Y', 'BUNDLE', 'SPEND_THRESHOLD'],
+                        },
+                        priority: {
+                            type: 'integer',
+                            default: 0,
+                            description: 'Higher priorities are applied first',
+                        },
+                        exclusive: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Skipped if another promotion already applied; blocks lower priorities when it applies',
+                        },
+                        isActive: {
+                            type: 'boolean',
+                        },
+                        startsAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        endsAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        buyQuantity: {
+                            type: 'integer',
+                            example: 2,
+                        },
+                        getQuantity: {
+                            type: 'integer',
+                            example: 1,
+                        },
+                        discountPercent: {
+                            type: 'number',
+                            description: 'Discount on the "get" units (default 100 = free)',
+                        },
+                        bundlePrice: {
+                            type: 'number',
+                            description: 'Price of one of each bundle product',
+                        },
+                        tiers: {
+                            type: 'array',
+                            description: 'Spend thresholds; the highest tier reached applies',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    minSubtotal: {
+                                        type: 'number',
+                                    },
+                                    percentage: {
+                                        type: 'number',
+                                    },
+                                },
+                            },
+                            example: [{ minSubtotal: 5000, percentage: 10 }, { minSubtotal: 10000, percentage: 15 }],
+                        },
+                        productIds: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                                format: 'uuid',
+                            },
+                        },
+                        collectionIds: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                                format: 'uuid',
+                            },
+                        },
+                        categoryIds: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                                format: 'uuid',
+                            },
+                        },
+                        brands: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                        },
+                    },
+                },
+                CouponInput: {
+                    type: 'object',
+                    properties: {
+                        description: {
+                            type: 'string',
+                            example: '10% off your first order',
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['PERCENTAGE', 'FIXED', 'FREE_SHIPPING'],
+                        },
+                        value: {
+                            type: 'number',
+                            description: 'Percentage for PERCENTAGE coupons, amount for FIXED ones (unused for FREE_SHIPPING)',
+                            example: 10,
+                        },
+                        maxDiscount: {
+                            type: 'number',
+                            nullable: true,
+                            description: 'Cap on the discount of a PERCENTAGE coupon',
+                        },
+                        minOrderValue: {
+                            type: 'number',
+                            nullable: true,
+                        },
+                        usageLimit: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Total redemptions allowed, null for unlimited',
+                        },
+                        usageLimitPerUser: {
+                            type: 'integer',
+                            nullable: true,
+                        },
+                        startsAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        endsAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        isActive: {
+                            type: 'boolean',
+                        },
+                        eligibleCollectionIds: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                                format: 'uuid',
+                            },
+                        },
+                        eligibleCategoryIds: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                                format: 'uuid',
+                            },
+                        },
+                        eligibleBrands: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                            description: 'Leave all eligibility lists empty for a coupon that applies to every product',
+                        },
+                    },
+                },
             },
         },
         tags: [
@@ -422,14 +827,50 @@ const options = {
                 name: 'Wishlist',
                 description: 'User wishlist management endpoints',
             },
+            {
+                name: 'Cart',
+                description: 'Shopping cart endpoints',
+            },
             {
                 name: 'Orders',
                 description: 'Order management endpoints',
             },
+            {
+                name: 'Promotions',
+                description: 'Automatic promotion endpoints',
+            },
+            {
+                name: 'Coupons',
+                description: 'Discount code management endpoints',
+            },
+            {
+                name: 'Shipping',
+                description: 'Shipping zones, rates and quotes',
+            },
+            {
+                name: 'Taxes',
+                description: 'Tax rate management endpoints',
+            },
+            {
+                name: 'Returns',
+                description: 'Return (RMA) request endpoints',
+            },
             {
                 name: 'Deals',
                 description: 'Product deals management endpoints',
             },
+            {
+                name: 'Payments',
+                description: 'Card payments and payment gateway webhooks',
+            },
+            {
+                name: 'Gift Cards',
+                description: 'Gift card batches and balance endpoints',
+            },
+            {
+                name: 'Subscriptions',
+                description: 'Subscribe & save recurring order endpoints',
+            },
             {
                 name: 'Health',
                 description: 'API health check endpoints',
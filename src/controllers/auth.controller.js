@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const prisma = require('../config/database');
 const { sendPasswordResetEmail } = require('../services/email.service');
+const { GUEST_CART_COOKIE, mergeGuestCart } = require('../services/cart.service');
 
 /**
  * Generate JWT token
@@ -13,6 +14,29 @@ const generateToken = (userId) => {
     });
 };
 
+/**
+ * Merge the guest cart (if any) into the user's cart and drop the guest cookie.
+ * Returns the items whose quantity was reduced to fit the stock.
+ * A failed merge must never block authentication.
+ */
+const claimGuestCart = async (req, res, userId) => {
+    const guestToken = req.cookies?.[GUEST_CART_COOKIE];
+    if (!guestToken) {
+        return [];
+    }
+
+    let adjustments = [];
+    try {
+        const merged = await mergeGuestCart(guestToken, userId);
+        adjustments = merged ? merged.adjustments : [];
+    } catch (error) {
+        console.error('Guest cart merge error:', error);
+    }
+    res.clearCookie(GUEST_CART_COOKIE);
+
+    return adjustments;
+};
+
 /**
  * Sign up with email and password
  */
@@ -65,12 +89,16 @@ const signup = async (req, res) => {
         // Generate token
         const token = generateToken(user.id);
 
+        // Keep anything added to the cart before signing up
+        const cartAdjustments = await claimGuestCart(req, res, user.id);
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             data: {
                 user,
                 token,
+                ...(cartAdjustments.length > 0 && { cartAdjustments }),
             },
         });
     } catch (error) {
@@ -121,6 +149,9 @@ const login = async (req, res) => {
         // Generate token
         const token = generateToken(user.id);
 
+        // Merge the guest cart into the user's cart
+        const cartAdjustments = await claimGuestCart(req, res, user.id);
+
         // Return user data without password
         const { password: _, ...userWithoutPassword } = user;
 
@@ -130,6 +161,7 @@ const login = async (req, res) => {
             data: {
                 user: userWithoutPassword,
                 token,
+                ...(cartAdjustments.length > 0 && { cartAdjustments }),
             },
         });
     } catch (error) {
@@ -261,8 +293,15 @@ const googleCallback = async (req, res) => {
         // Generate token for authenticated user
         const token = generateToken(req.user.id);
 
-        // Redirect to frontend with token
-        res.redirect(`${process.env.CLIENT_URL}/auth/success?token=${token}`);
+        // Merge the guest cart into the user's cart
+        const cartAdjustments = await claimGuestCart(req, res, req.user.id);
+
+        // Redirect to frontend with token (and any items the cart could not keep)
+        const params = new URLSearchParams({ token });
+        if (cartAdjustments.length > 0) {
+            params.set('cartAdjustments', JSON.stringify(cartAdjustments));
+        }
+        res.redirect(`${process.env.CLIENT_URL}/auth/success?${params}`);
     } catch (error) {
         console.error('Google callback error:', error);
         res.redirect(`${process.env.CLIENT_URL}/auth/failure`);
@@ -0,0 +1,236 @@
+const prisma = require('../config/database');
+const {
+    GUEST_CART_COOKIE,
+    guestCartCookieOptions,
+    generateGuestToken,
+    findCart,
+    getOrCreateCart,
+    getCurrentUnitPrice,
+    buildCartView,
+} = require('../services/cart.service');
+
+/**
+ * Identify the cart owner - the logged-in user or the guest cookie
+ */
+const getCartOwner = (req) => {
+    if (req.user) {
+        return { userId: req.user.id };
+    }
+    return { guestToken: req.cookies?.[GUEST_CART_COOKIE] };
+};
+
+/**
+ * Get the owner's cart, creating it (and the guest cookie) if needed
+ */
+const resolveCartForWrite = async (req, res) => {
+    const owner = getCartOwner(req);
+
+    if (!owner.userId && !owner.guestToken) {
+        owner.guestToken = generateGuestToken();
+        res.cookie(GUEST_CART_COOKIE, owner.guestToken, guestCartCookieOptions());
+    }
+
+    return getOrCreateCart(owner);
+};
+
+/**
+ * Get current cart (re-validated against products)
+ */
+const getCart = async (req, res) => {
+    try {
+        const cart = await findCart(getCartOwner(req));
+
+        res.json({
+            success: true,
+            data: { cart: buildCartView(cart) },
+        });
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cart',
+        });
+    }
+};
+
+/**
+ * Add product to cart (adds to the existing quantity)
+ */
+const addCartItem = async (req, res) => {
+    try {
+        const { productId, quantity = 1 } = req.body;
+
+        const product = await prisma.product.findUnique({
+            where: { id: productId },
+        });
+
+        if (!product || !product.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found',
+            });
+        }
+
+        const cart = await resolveCartForWrite(req, res);
+        const existingItem = cart.items.find((item) => item.productId === productId);
+        const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+        if (newQuantity > product.quantity) {
+            return res.status(400).json({
+                success: false,
+                message: `Only ${product.quantity} item(s) of ${product.name} in stock`,
+            });
+        }
+
+        await prisma.cartItem.upsert({
+            where: {
+                cartId_productId: {
+                    cartId: cart.id,
+                    productId,
+                },
+            },
+            create: {
+                cartId: cart.id,
+                productId,
+                quantity: newQuantity,
+                unitPrice: getCurrentUnitPrice(product),
+            },
+            update: {
+                quantity: newQuantity,
+                unitPrice: getCurrentUnitPrice(product),
+            },
+        });
+
+        const updatedCart = await findCart({ userId: cart.userId, guestToken: cart.guestToken });
+
+        res.status(201).json({
+            success: true,
+            message: 'Product added to cart',
+            data: { cart: buildCartView(updatedCart) },
+        });
+    } catch (error) {
+        console.error('Add to cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add product to cart',
+        });
+    }
+};
+
+/**
+ * Update quantity of a product in cart
+ */
+const updateCartItem = async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const { quantity } = req.body;
+
+        const cart = await findCart(getCartOwner(req));
+        const item = cart?.items.find((i) => i.productId === productId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not in cart',
+            });
+        }
+
+        if (quantity > item.product.quantity) {
+            return res.status(400).json({
+                success: false,
+                message: `Only ${item.product.quantity} item(s) of ${item.product.name} in stock`,
+            });
+        }
+
+        await prisma.cartItem.update({
+            where: { id: item.id },
+            data: { quantity },
+        });
+
+        const updatedCart = await findCart(getCartOwner(req));
+
+        res.json({
+            success: true,
+            message: 'Cart updated',
+            data: { cart: buildCartView(updatedCart) },
+        });
+    } catch (error) {
+        console.error('Update cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update cart',
+        });
+    }
+};
+
+/**
+ * Remove product from cart
+ */
+const removeCartItem = async (req, res) => {
+    try {
+        const { productId } = req.params;
+
+        const cart = await findCart(getCartOwner(req));
+        const item = cart?.items.find((i) => i.productId === productId);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not in cart',
+            });
+        }
+
+        await prisma.cartItem.delete({
+            where: { id: item.id },
+        });
+
+        const updatedCart = await findCart(getCartOwner(req));
+
+        res.json({
+            success: true,
+            message: 'Product removed from cart',
+            data: { cart: buildCartView(updatedCart) },
+        });
+    } catch (error) {
+        console.error('Remove cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove product from cart',
+        });
+    }
+};
+
+/**
+ * Clear cart
+ */
+const clearCart = async (req, res) => {
+    try {
+        const cart = await findCart(getCartOwner(req));
+
+        if (cart) {
+            await prisma.cartItem.deleteMany({
+                where: { cartId: cart.id },
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Cart cleared',
+            data: { cart: buildCartView(cart && { ...cart, items: [] }) },
+        });
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clear cart',
+        });
+    }
+};
+
+module.exports = {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+};
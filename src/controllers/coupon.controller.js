@@ -0,0 +1,276 @@
+const prisma = require('../config/database');
+const { normalizeCouponCode } = require('../services/coupon.service');
+
+const COUPON_FIELDS = [
+    'description',
+    'type',
+    'value',
+    'maxDiscount',
+    'minOrderValue',
+    'usageLimit',
+    'usageLimitPerUser',
+    'startsAt',
+    'endsAt',
+    'isActive',
+    'eligibleCollectionIds',
+    'eligibleCategoryIds',
+    'eligibleBrands',
+];
+
+/**
+ * Pick the coupon fields present in a request body
+ */
+const getCouponData = (body) => Object.fromEntries(
+    COUPON_FIELDS
+        .filter((field) => body[field] !== undefined)
+        .map((field) => [field, ['startsAt', 'endsAt'].includes(field) && body[field]
+            ? new Date(body[field])
+            : body[field]])
+);
+
+/**
+ * Check the discount value makes sense for the coupon type
+ */
+const getCouponConfigError = ({ type, value, startsAt, endsAt }) => {
+    if (type === 'PERCENTAGE' && !(Number(value) > 0 && Number(value) <= 100)) {
+        return 'Percentage coupons need a value between 0 and 100';
+    }
+    if (type === 'FIXED' && !(Number(value) > 0)) {
+        return 'Fixed coupons need a positive value';
+    }
+    if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+        return 'Coupon must end after it starts';
+    }
+    return null;
+};
+
+/**
+ * Get all coupons (Admin only)
+ */
+const getCoupons = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, isActive, search } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {
+            ...(isActive !== undefined && { isActive: isActive === 'true' }),
+            ...(search && { code: { contains: search, mode: 'insensitive' } }),
+        };
+
+        const [coupons, total] = await Promise.all([
+            prisma.coupon.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: 'desc' },
+            }),
+            prisma.coupon.count({ where }),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                coupons,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit)),
+                },
+            },
+        });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch coupons',
+        });
+    }
+};
+
+/**
+ * Get a coupon with its latest redemptions (Admin only)
+ */
+const getCouponById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const coupon = await prisma.coupon.findUnique({
+            where: { id },
+            include: {
+                redemptions: {
+                    orderBy: { createdAt: 'desc' },
+                    take: 50,
+                    include: {
+                        order: {
+                            select: { id: true, orderNumber: true, status: true },
+                        },
+                        user: {
+                            select: { id: true, email: true, firstName: true, lastName: true },
+                        },
+                    },
+                },
+            },
+        });
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { coupon },
+        });
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch coupon',
+        });
+    }
+};
+
+/**
+ * Create a coupon (Admin only)
+ */
+const createCoupon = async (req, res) => {
+    try {
+        const code = normalizeCouponCode(req.body.code);
+        const data = getCouponData(req.body);
+
+        const configError = getCouponConfigError(data);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
+
+        const existingCoupon = await prisma.coupon.findUnique({ where: { code } });
+
+        if (existingCoupon) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon with this code already exists',
+            });
+        }
+
+        const coupon = await prisma.coupon.create({
+            data: { ...data, code },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: { coupon },
+        });
+    } catch (error) {
+        console.error('Create coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create coupon',
+        });
+    }
+};
+
+/**
+ * Update a coupon (Admin only). The code cannot change once created.
+ */
+const updateCoupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const data = getCouponData(req.body);
+
+        const existingCoupon = await prisma.coupon.findUnique({ where: { id } });
+
+        if (!existingCoupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found',
+            });
+        }
+
+        const configError = getCouponConfigError({ ...existingCoupon, ...data });
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
+
+        const coupon = await prisma.coupon.update({
+            where: { id },
+            data,
+        });
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: { coupon },
+        });
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update coupon',
+        });
+    }
+};
+
+/**
+ * Delete a coupon (Admin only). Coupons that were already redeemed are
+ * deactivated instead, so orders keep their redemption history.
+ */
+const deleteCoupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingCoupon = await prisma.coupon.findUnique({
+            where: { id },
+            include: { _count: { select: { redemptions: true } } },
+        });
+
+        if (!existingCoupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found',
+            });
+        }
+
+        if (existingCoupon._count.redemptions > 0) {
+            await prisma.coupon.update({
+                where: { id },
+                data: { isActive: false },
+            });
+
+            return res.json({
+                success: true,
+                message: 'Coupon has been redeemed, so it was deactivated instead of deleted',
+            });
+        }
+
+        await prisma.coupon.delete({ where: { id } });
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete coupon',
+        });
+    }
+};
+
+module.exports = {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+};
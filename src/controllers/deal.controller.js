@@ -1,33 +1,83 @@
 const prisma = require('../config/database');
+const { resolveUnitPrice } = require('../services/pricing.service');
+const {
+    createDeal,
+    updateDeal,
+    cancelDeal,
+    cancelProductDeals,
+    getProductDeals,
+    buildProductSelection,
+    planDealBatch,
+    createDealBatch,
+    rollbackDealBatch
+} = require('../services/deal.service');
+const { sendEvent, getFeedSnapshot, addFeedClient } = require('../services/deal-feed.service');
+const { sendHttpError } = require('../utils/http-error');
 
 /**
- * Set product on deal (Admin only)
+ * Deal fields from a request body (undefined when not given)
+ */
+const getDealData = (body) => {
+    const data = {
+        name: body.name,
+        dealPrice: body.dealPrice,
+        discountPercent: body.discountPercent,
+        startsAt: body.dealStartDate ? new Date(body.dealStartDate) : undefined,
+        endsAt: body.dealEndDate ? new Date(body.dealEndDate) : undefined,
+        quantityLimit: body.quantityLimit,
+        perCustomerLimit: body.perCustomerLimit
+    };
+
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Bulk deal fields from a request body: the product selection and the deal
+ * every selected product gets
+ */
+const getBulkDealData = (body) => ({
+    name: body.name,
+    selection: Object.fromEntries(
+        Object.entries({
+            collectionId: body.collectionId,
+            categoryId: body.categoryId,
+            brand: body.brand,
+            tags: body.tags
+        }).filter(([, value]) => value !== undefined)
+    ),
+    discountPercent: body.discountPercent,
+    startsAt: new Date(body.dealStartDate),
+    endsAt: new Date(body.dealEndDate),
+    quantityLimit: body.quantityLimit,
+    perCustomerLimit: body.perCustomerLimit
+});
+
+/**
+ * Schedule a deal for a product (Admin only). It is activated and expired
+ * on time by the deal scheduler.
  */
 const setProductDeal = async (req, res) => {
     try {
-        const { id } = req.params;
-        const { dealStartDate, dealEndDate } = req.body;
+        const deal = await createDeal(req.params.id, getDealData(req.body));
 
-        // Validate dates
-        const startDate = new Date(dealStartDate);
-        const endDate = new Date(dealEndDate);
-        const now = new Date();
+        res.status(201).json({
+            success: true,
+            message: deal.status === 'ACTIVE' ? 'Product deal started' : 'Product deal scheduled',
+            data: { deal }
+        });
 
-        if (startDate >= endDate) {
-            return res.status(400).json({
-                success: false,
-                message: 'Deal end date must be after start date'
-            });
-        }
+    } catch (error) {
+        sendHttpError(res, error, 'Set product deal', 'Failed to set product deal');
+    }
+};
 
-        if (endDate <= now) {
-            return res.status(400).json({
-                success: false,
-                message: 'Deal end date must be in the future'
-            });
-        }
+/**
+ * Cancel the product's running and scheduled deals (Admin only)
+ */
+const removeProductDeal = async (req, res) => {
+    try {
+        const { id } = req.params;
 
-        // Check if product exists
         const product = await prisma.product.findUnique({
             where: { id }
         });
@@ -39,48 +89,75 @@ const setProductDeal = async (req, res) => {
             });
         }
 
-        // Update product with deal
-        const updatedProduct = await prisma.product.update({
-            where: { id },
-            data: {
-                isOnDeal: true,
-                dealStartDate: startDate,
-                dealEndDate: endDate
-            },
-            include: {
-                images: true,
-                collection: {
-                    include: {
-                        category: true
+        const cancelled = await cancelProductDeals(id);
+
+        res.json({
+            success: true,
+            message: 'Product removed from deal',
+            data: { cancelledDeals: cancelled }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Remove product deal', 'Failed to remove product deal');
+    }
+};
+
+/**
+ * Get deals, newest first (Admin only)
+ */
+const getDeals = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, productId } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const where = {
+            ...(status && { status }),
+            ...(productId && { productId })
+        };
+
+        const [deals, total] = await Promise.all([
+            prisma.deal.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { startsAt: 'desc' },
+                include: {
+                    product: {
+                        select: { id: true, name: true, sku: true, price: true }
                     }
                 }
-            }
-        });
+            }),
+            prisma.deal.count({ where })
+        ]);
 
         res.json({
             success: true,
-            message: 'Product deal set successfully',
-            data: { product: updatedProduct }
+            data: {
+                deals,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / parseInt(limit))
+                }
+            }
         });
 
     } catch (error) {
-        console.error('Set product deal error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to set product deal'
-        });
+        sendHttpError(res, error, 'Get deals', 'Failed to fetch deals');
     }
 };
 
 /**
- * Remove product from deal (Admin only)
+ * Get a product's deal history (Admin only)
  */
-const removeProductDeal = async (req, res) => {
+const getProductDealHistory = async (req, res) => {
     try {
         const { id } = req.params;
 
         const product = await prisma.product.findUnique({
-            where: { id }
+            where: { id },
+            select: { id: true, name: true, price: true, activeDealId: true }
         });
 
         if (!product) {
@@ -90,27 +167,190 @@ const removeProductDeal = async (req, res) => {
             });
         }
 
-        const updatedProduct = await prisma.product.update({
-            where: { id },
+        const deals = await getProductDeals(id);
+
+        res.json({
+            success: true,
+            data: { product, deals }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get product deal history', 'Failed to fetch deal history');
+    }
+};
+
+/**
+ * Update a scheduled or running deal (Admin only)
+ */
+const updateProductDeal = async (req, res) => {
+    try {
+        const deal = await updateDeal(req.params.id, getDealData(req.body));
+
+        res.json({
+            success: true,
+            message: 'Deal updated successfully',
+            data: { deal }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Update deal', 'Failed to update deal');
+    }
+};
+
+/**
+ * Cancel a scheduled or running deal (Admin only)
+ */
+const cancelProductDeal = async (req, res) => {
+    try {
+        const deal = await cancelDeal(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Deal cancelled',
+            data: { deal }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Cancel deal', 'Failed to cancel deal');
+    }
+};
+
+/**
+ * Preview a bulk deal: the products it would put on deal and the ones it
+ * would skip (Admin only)
+ */
+const previewBulkDeal = async (req, res) => {
+    try {
+        const { products, skipped } = await planDealBatch(getBulkDealData(req.body));
+
+        res.json({
+            success: true,
+            data: { products, skipped }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Preview bulk deal', 'Failed to preview bulk deal');
+    }
+};
+
+/**
+ * Put a collection, category, brand or tag set on deal (Admin only)
+ */
+const createBulkDeal = async (req, res) => {
+    try {
+        const { batch, products, skipped } = await createDealBatch(getBulkDealData(req.body), req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `${products.length} products put on deal`,
+            data: { batch, products, skipped }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Create bulk deal', 'Failed to create bulk deal');
+    }
+};
+
+/**
+ * Get bulk deals, newest first (Admin only)
+ */
+const getBulkDeals = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const where = {
+            ...(status && { status })
+        };
+
+        const [batches, total] = await Promise.all([
+            prisma.dealBatch.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    createdBy: {
+                        select: { id: true, firstName: true, lastName: true }
+                    },
+                    _count: { select: { deals: true } }
+                }
+            }),
+            prisma.dealBatch.count({ where })
+        ]);
+
+        res.json({
+            success: true,
             data: {
-                isOnDeal: false,
-                dealStartDate: null,
-                dealEndDate: null
+                batches,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get bulk deals', 'Failed to fetch bulk deals');
+    }
+};
+
+/**
+ * Get a bulk deal with its product deals (Admin only)
+ */
+const getBulkDeal = async (req, res) => {
+    try {
+        const batch = await prisma.dealBatch.findUnique({
+            where: { id: req.params.id },
+            include: {
+                createdBy: {
+                    select: { id: true, firstName: true, lastName: true }
+                },
+                deals: {
+                    orderBy: { createdAt: 'asc' },
+                    include: {
+                        product: {
+                            select: { id: true, name: true, sku: true, price: true }
+                        }
+                    }
+                }
             }
         });
 
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bulk deal not found'
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Product removed from deal',
-            data: { product: updatedProduct }
+            data: { batch }
         });
 
     } catch (error) {
-        console.error('Remove product deal error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to remove product deal'
+        sendHttpError(res, error, 'Get bulk deal', 'Failed to fetch bulk deal');
+    }
+};
+
+/**
+ * Roll back a bulk deal, cancelling its scheduled and running deals (Admin only)
+ */
+const rollbackBulkDeal = async (req, res) => {
+    try {
+        const { batch, cancelledDeals } = await rollbackDealBatch(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Bulk deal rolled back',
+            data: { batch, cancelledDeals }
         });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Roll back bulk deal', 'Failed to roll back bulk deal');
     }
 };
 
@@ -119,7 +359,7 @@ const removeProductDeal = async (req, res) => {
  */
 const getActiveDeals = async (req, res) => {
     try {
-        const { page = 1, limit = 20, collectionId, categoryId } = req.query;
+        const { page = 1, limit = 20, collectionId, categoryId, brand, tags } = req.query;
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const take = parseInt(limit);
@@ -131,11 +371,11 @@ const getActiveDeals = async (req, res) => {
             isOnDeal: true,
             dealStartDate: { lte: now },
             dealEndDate: { gte: now },
-            ...(collectionId && { collectionId }),
-            ...(categoryId && {
-                collection: {
-                    categoryId
-                }
+            ...buildProductSelection({
+                collectionId,
+                categoryId,
+                brand,
+                tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined
             })
         };
 
@@ -165,25 +405,34 @@ const getActiveDeals = async (req, res) => {
             prisma.product.count({ where })
         ]);
 
+        const deals = await prisma.deal.findMany({
+            where: { id: { in: products.map(product => product.activeDealId).filter(Boolean) } }
+        });
+
         // Calculate average rating and add deal info for each product
         const productsWithDeals = products.map(product => {
             const avgRating = product.reviews.length > 0
                 ? product.reviews.reduce((sum, r) => sum + r.rating, 0) / product.reviews.length
                 : 0;
 
-            // Calculate discount percentage
-            let discountPercentage = 0;
-            if (product.promoPrice && product.price) {
-                discountPercentage = Math.round(
-                    ((parseFloat(product.price) - parseFloat(product.promoPrice)) / parseFloat(product.price)) * 100
-                );
-            }
+            // Resolve the price customers pay while the deal runs
+            const pricing = resolveUnitPrice(product, now);
+
+            const deal = deals.find(d => d.id === product.activeDealId);
 
             return {
                 ...product,
+                deal: deal ? {
+                    id: deal.id,
+                    name: deal.name,
+                    endsAt: deal.endsAt,
+                    perCustomerLimit: deal.perCustomerLimit,
+                    remaining: deal.quantityLimit !== null ? deal.quantityLimit - deal.quantitySold : null
+                } : null,
                 averageRating: avgRating,
                 reviewCount: product.reviews.length,
-                discountPercentage,
+                pricing,
+                discountPercentage: pricing.discountPercentage,
                 reviews: undefined // Remove reviews array from response
             };
         });
@@ -210,8 +459,51 @@ const getActiveDeals = async (req, res) => {
     }
 };
 
+/**
+ * Live feed of running and scheduled deals (server-sent events).
+ *
+ * Sends a `snapshot` of the deals on connect, then `deal.scheduled`,
+ * `deal.started`, `deal.updated` and `deal.ended` as deals change and
+ * `deal.stock` as orders are placed or cancelled.
+ */
+const streamActiveDeals = async (req, res) => {
+    try {
+        const deals = await getFeedSnapshot();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+        });
+
+        // serverTime lets clients correct their clock for the countdown
+        sendEvent(res, 'snapshot', { serverTime: new Date(), deals });
+
+        const removeClient = addFeedClient(res);
+        req.on('close', removeClient);
+
+    } catch (error) {
+        console.error('Stream active deals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open deal feed'
+        });
+    }
+};
+
 module.exports = {
     setProductDeal,
     removeProductDeal,
-    getActiveDeals
+    getActiveDeals,
+    streamActiveDeals,
+    getDeals,
+    getProductDealHistory,
+    updateProductDeal,
+    cancelProductDeal,
+    previewBulkDeal,
+    createBulkDeal,
+    getBulkDeals,
+    getBulkDeal,
+    rollbackBulkDeal
 };
@@ -0,0 +1,123 @@
+const prisma = require('../config/database');
+const { createGiftCardBatch, getGiftCardBalance } = require('../services/gift-card.service');
+const { sendHttpError } = require('../utils/http-error');
+
+/**
+ * Check a gift card's remaining balance
+ */
+const checkGiftCardBalance = async (req, res) => {
+    try {
+        const giftCard = await getGiftCardBalance(req.body.code);
+
+        res.json({
+            success: true,
+            data: { giftCard }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Check gift card balance', 'Failed to check gift card balance');
+    }
+};
+
+/**
+ * Generate a batch of gift cards (Admin only)
+ */
+const createBatch = async (req, res) => {
+    try {
+        const { name, quantity, value, expiresAt } = req.body;
+
+        const batch = await createGiftCardBatch({ name, quantity, value, expiresAt }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `${batch.giftCards.length} gift cards created successfully`,
+            data: { batch }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Create gift card batch', 'Failed to create gift cards');
+    }
+};
+
+/**
+ * Get gift card batches (Admin only)
+ */
+const getBatches = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [batches, total] = await Promise.all([
+            prisma.giftCardBatch.findMany({
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    createdBy: {
+                        select: { id: true, firstName: true, lastName: true }
+                    },
+                    _count: { select: { giftCards: true } }
+                }
+            }),
+            prisma.giftCardBatch.count()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                batches,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get gift card batches', 'Failed to fetch gift card batches');
+    }
+};
+
+/**
+ * Get a gift card batch with its cards and their balances (Admin only)
+ */
+const getBatch = async (req, res) => {
+    try {
+        const batch = await prisma.giftCardBatch.findUnique({
+            where: { id: req.params.id },
+            include: {
+                createdBy: {
+                    select: { id: true, firstName: true, lastName: true }
+                },
+                giftCards: {
+                    orderBy: { code: 'asc' }
+                }
+            }
+        });
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gift card batch not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { batch }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get gift card batch', 'Failed to fetch gift card batch');
+    }
+};
+
+module.exports = {
+    checkGiftCardBalance,
+    createBatch,
+    getBatches,
+    getBatch
+};
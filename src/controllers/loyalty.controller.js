@@ -0,0 +1,88 @@
+const { adjustLoyaltyPoints, getLoyaltyAccount } = require('../services/loyalty.service');
+const { sendHttpError } = require('../utils/http-error');
+
+const getPaging = (query) => ({
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '20', 10)
+});
+
+/**
+ * Get the current user's points balance, tier and ledger
+ */
+const getMyLoyalty = async (req, res) => {
+    try {
+        const account = await getLoyaltyAccount(req.user.id, getPaging(req.query));
+
+        res.json({
+            success: true,
+            data: account
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get loyalty points', 'Failed to fetch loyalty points');
+    }
+};
+
+/**
+ * Get a customer's points balance, tier and ledger (Admin only)
+ */
+const getUserLoyalty = async (req, res) => {
+    try {
+        const account = await getLoyaltyAccount(req.params.id, getPaging(req.query));
+
+        res.json({
+            success: true,
+            data: account
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get user loyalty points', 'Failed to fetch loyalty points');
+    }
+};
+
+/**
+ * Give a customer points by hand (Admin only)
+ */
+const creditUserPoints = async (req, res) => {
+    try {
+        const { points, note } = req.body;
+
+        const result = await adjustLoyaltyPoints(req.params.id, { points, note }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Points credited successfully',
+            data: result
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Credit points', 'Failed to credit points');
+    }
+};
+
+/**
+ * Take points from a customer by hand (Admin only)
+ */
+const debitUserPoints = async (req, res) => {
+    try {
+        const { points, note } = req.body;
+
+        const result = await adjustLoyaltyPoints(req.params.id, { points: -points, note }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Points debited successfully',
+            data: result
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Debit points', 'Failed to debit points');
+    }
+};
+
+module.exports = {
+    getMyLoyalty,
+    getUserLoyalty,
+    creditUserPoints,
+    debitUserPoints
+};
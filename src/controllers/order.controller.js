@@ -1,212 +1,226 @@
 const prisma = require('../config/database');
-const { sendOrderConfirmationEmail, sendOrderStatusEmail } = require('../services/email.service');
+const { roundMoney } = require('../utils/money');
+const { placeOrder, prepareOrderLines, notifyOrderPlaced } = require('../services/order.service');
+const { applyCoupon } = require('../services/coupon.service');
+const { applyPromotions } = require('../services/promotion.service');
+const { findCart, reconcileCart } = require('../services/cart.service');
+const { transitionOrder } = require('../services/order-state.service');
+const { getOrderTimeline } = require('../services/order-history.service');
+const { cancelOrderLine, editOrder, getOrderEdits } = require('../services/order-edit.service');
+const { sendConfirmationCode, confirmOrder: confirmOrderWithCode } = require('../services/order-confirmation.service');
+const { createRefund, getOrderRefunds } = require('../services/refund.service');
 
 /**
- * Generate unique order number
+ * Create a new order
  */
-function generateOrderNumber() {
-    return Date.now().toString().slice(-7);
-}
+const createOrder = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const {
+            items,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod,
+            deliveryNote,
+            couponCode,
+            walletAmount,
+            giftCardCodes,
+            pointsToRedeem
+        } = req.body;
 
-/**
- * Calculate shipping fee based on delivery method and region
- */
-function calculateShippingFee(deliveryMethod, region) {
-    if (deliveryMethod === 'STORE_PICKUP') {
-        return 0;
-    }
+        const order = await placeOrder({
+            userId,
+            items,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod,
+            deliveryNote,
+            couponCode,
+            walletAmount,
+            giftCardCodes,
+            pointsToRedeem
+        });
 
-    // Customize shipping rates as needed
-    const shippingRates = {
-        'Sindh': 50,
-        'Punjab': 100,
-        'Balochistan': 150,
-        'Khyber Pakhtunkhwa': 120,
-        'default': 100
-    };
+        // Send confirmation email asynchronously
+        notifyOrderPlaced(order);
 
-    return shippingRates[region] || shippingRates.default;
-}
+        res.status(201).json({
+            success: true,
+            message: 'Order created successfully',
+            data: { order }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        console.error('Create order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create order'
+        });
+    }
+};
 
 /**
- * Create a new order
+ * Checkout from the user's stored cart.
+ *
+ * If prices or availability changed since items were added, nothing is
+ * created: the changes are returned with 409 and the client must repeat the
+ * request with `confirmChanges` set to their `changesToken` to order at the
+ * current values. A token for other changes than the current ones (e.g. the
+ * price changed again meanwhile) gets a new 409.
  */
-const createOrder = async (req, res) => {
+const checkout = async (req, res) => {
     try {
         const userId = req.user.id;
         const {
-            items,
             contactInfo,
             deliveryMethod,
             shippingInfo,
             paymentMethod,
-            deliveryNote
+            deliveryNote,
+            couponCode,
+            walletAmount,
+            giftCardCodes,
+            pointsToRedeem,
+            confirmChanges
         } = req.body;
 
-        // Validation
-        if (!items || items.length === 0) {
+        const cart = await findCart({ userId });
+
+        if (!cart || cart.items.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Order must contain at least one item'
+                message: 'Your cart is empty'
             });
         }
 
-        if (deliveryMethod === 'DELIVERY' && !shippingInfo) {
-            return res.status(400).json({
+        const { changes, items, changesToken } = reconcileCart(cart);
+
+        if (changes.length > 0 && confirmChanges !== changesToken) {
+            return res.status(409).json({
                 success: false,
-                message: 'Shipping address is required for delivery orders'
+                message: 'Some items in your cart have changed. Please review and confirm.',
+                data: { changes, changesToken }
             });
         }
 
-        // Fetch all products and validate
-        const productIds = items.map(item => item.productId);
-        const products = await prisma.product.findMany({
-            where: {
-                id: { in: productIds },
-                isActive: true
-            }
-        });
-
-        if (products.length !== productIds.length) {
-            const foundIds = products.map(p => p.id);
-            const missingIds = productIds.filter(id => !foundIds.includes(id));
+        if (items.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Some products not found or inactive',
-                errors: missingIds.map(id => ({
-                    productId: id,
-                    error: 'Product not found or inactive'
-                }))
+                message: 'None of the items in your cart are available',
+                data: { changes }
             });
         }
 
-        // Check stock availability and calculate totals
-        const stockErrors = [];
-        let subtotal = 0;
-
-        const orderItems = items.map(item => {
-            const product = products.find(p => p.id === item.productId);
-
-            // Check stock
-            if (product.quantity < item.quantity) {
-                stockErrors.push({
-                    productId: product.id,
-                    productName: product.name,
-                    requested: item.quantity,
-                    available: product.quantity
-                });
-            }
+        const order = await placeOrder({
+            userId,
+            items,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod,
+            deliveryNote,
+            couponCode,
+            walletAmount,
+            giftCardCodes,
+            pointsToRedeem
+        }, {
+            // Empty the cart in the same transaction that creates the order
+            onCreate: (tx) => tx.cartItem.deleteMany({ where: { cartId: cart.id } })
+        });
 
-            const itemSubtotal = parseFloat(product.price) * item.quantity;
-            subtotal += itemSubtotal;
+        notifyOrderPlaced(order);
 
-            return {
-                productId: product.id,
-                productName: product.name,
-                productBrand: product.brand,
-                quantity: item.quantity,
-                price: product.price,
-                subtotal: itemSubtotal
-            };
+        res.status(201).json({
+            success: true,
+            message: 'Order created successfully',
+            data: { order, changes }
         });
 
-        if (stockErrors.length > 0) {
-            return res.status(400).json({
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Some products have insufficient stock',
-                errors: stockErrors
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
             });
         }
+        console.error('Checkout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to checkout'
+        });
+    }
+};
 
-        // Calculate shipping and total
-        const shippingFee = calculateShippingFee(deliveryMethod, shippingInfo?.region);
-        const tax = 0; // Implement tax calculation if needed
-        const total = subtotal + shippingFee + tax;
-
-        // Generate order number
-        const orderNumber = generateOrderNumber();
-
-        // Create order in transaction
-        const order = await prisma.$transaction(async (tx) => {
-            // Create order
-            const newOrder = await tx.order.create({
-                data: {
-                    orderNumber,
-                    userId,
-                    status: 'PENDING',
-                    subtotal,
-                    shippingFee,
-                    tax,
-                    total,
-                    contactFirstName: contactInfo.firstName,
-                    contactLastName: contactInfo.lastName,
-                    contactPhone: contactInfo.phone,
-                    contactEmail: contactInfo.email,
-                    deliveryMethod,
-                    shippingCountry: shippingInfo?.country,
-                    shippingRegion: shippingInfo?.region,
-                    shippingAddress: shippingInfo?.address,
-                    shippingAddress2: shippingInfo?.address2,
-                    deliveryDate: shippingInfo?.deliveryDate ? new Date(shippingInfo.deliveryDate) : null,
-                    convenientTime: shippingInfo?.convenientTime,
-                    paymentMethod,
-                    deliveryNote,
-                    items: {
-                        create: orderItems
-                    }
-                },
-                include: {
-                    items: {
-                        include: {
-                            product: {
-                                select: {
-                                    id: true,
-                                    name: true,
-                                    brand: true,
-                                    images: {
-                                        where: { isPrimary: true },
-                                        take: 1
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            });
+/**
+ * Preview a coupon's discount for a list of items, or the user's cart when
+ * no items are given. Running promotions are applied first, as at checkout.
+ * Nothing is redeemed.
+ */
+const validateCoupon = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { code } = req.body;
+        let { items } = req.body;
 
-            // Deduct inventory
-            for (const item of items) {
-                await tx.product.update({
-                    where: { id: item.productId },
-                    data: {
-                        quantity: {
-                            decrement: item.quantity
-                        }
-                    }
-                });
-            }
+        if (!items) {
+            const cart = await findCart({ userId });
+            items = cart ? reconcileCart(cart).items : [];
+        }
 
-            return newOrder;
+        const { orderItems, subtotal } = await prepareOrderLines(items);
+        const promotions = await applyPromotions(orderItems);
+        const { coupon, discount, freeShipping, eligibleSubtotal } = await applyCoupon({
+            code,
+            userId,
+            lines: orderItems.map((item, index) => ({
+                ...item,
+                promotionDiscount: promotions.lines[index].discount
+            }))
         });
 
-        // Send confirmation email asynchronously
-        sendOrderConfirmationEmail(
-            order.contactEmail,
-            order,
-            order.contactFirstName
-        ).catch(err => console.error('Failed to send order confirmation email:', err));
-
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Order created successfully',
-            data: { order }
+            message: 'Coupon applied',
+            data: {
+                coupon: {
+                    code: coupon.code,
+                    description: coupon.description,
+                    type: coupon.type,
+                    value: coupon.value,
+                    endsAt: coupon.endsAt
+                },
+                subtotal,
+                promotions: promotions.applied,
+                promotionDiscount: promotions.discount,
+                eligibleSubtotal,
+                discount,
+                freeShipping,
+                subtotalAfterDiscount: roundMoney(subtotal - promotions.discount - discount)
+            }
         });
 
     } catch (error) {
-        console.error('Create order error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        console.error('Validate coupon error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to create order'
+            message: 'Failed to validate coupon'
         });
     }
 };
@@ -345,7 +359,7 @@ const cancelOrder = async (req, res) => {
 
         const order = await prisma.order.findUnique({
             where: { id },
-            include: { items: true }
+            select: { id: true, userId: true }
         });
 
         if (!order) {
@@ -363,69 +377,299 @@ const cancelOrder = async (req, res) => {
             });
         }
 
-        // Check if order can be cancelled
-        if (!['PENDING', 'PAID'].includes(order.status)) {
+        // The state machine checks the order can still be cancelled and restores inventory
+        const updatedOrder = await transitionOrder(id, { status: 'CANCELLED', note: reason }, req.user);
+
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully',
+            data: { order: updatedOrder }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order'
+        });
+    }
+};
+
+/**
+ * Find an order the current user placed, answering 404 / 403 otherwise
+ */
+const findOwnOrder = async (req, res) => {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+
+    if (!order) {
+        res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+        return null;
+    }
+
+    if (order.userId !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            message: 'Not authorized to confirm this order'
+        });
+        return null;
+    }
+
+    return order;
+};
+
+/**
+ * Send a new one-time code to confirm a cash on delivery order
+ */
+const sendOrderConfirmationCode = async (req, res) => {
+    try {
+        const order = await findOwnOrder(req, res);
+
+        if (!order) {
+            return;
+        }
+
+        const confirmation = await sendConfirmationCode(order, req.body.channel);
+
+        res.json({
+            success: true,
+            message: `Confirmation code sent to ${confirmation.destination}`,
+            data: confirmation
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Send order confirmation code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send confirmation code'
+        });
+    }
+};
+
+/**
+ * Confirm a cash on delivery order with its one-time code
+ */
+const confirmOrder = async (req, res) => {
+    try {
+        const order = await findOwnOrder(req, res);
+
+        if (!order) {
+            return;
+        }
+
+        const confirmedOrder = await confirmOrderWithCode(order, req.body.code, req.user);
+
+        res.json({
+            success: true,
+            message: 'Order confirmed successfully',
+            data: { order: confirmedOrder }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Confirm order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm order'
+        });
+    }
+};
+
+/**
+ * Update order status (Admin only)
+ */
+const updateOrderStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, paymentStatus, trackingNumber, shippingCarrier, note } = req.body;
+
+        // Refunds pay money back, so they have their own endpoint
+        if (status === 'REFUNDED' || paymentStatus === 'REFUNDED') {
             return res.status(400).json({
                 success: false,
-                message: `Cannot cancel order with status: ${order.status}`
+                message: `Orders are refunded with POST /api/orders/${id}/refunds, which marks them REFUNDED once nothing is left to refund`
+            });
+        }
+
+        const updatedOrder = await transitionOrder(id, {
+            status,
+            paymentStatus,
+            trackingNumber,
+            shippingCarrier,
+            note
+        }, req.user);
+
+        res.json({
+            success: true,
+            message: 'Order status updated successfully',
+            data: { order: updatedOrder }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        console.error('Update order status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update order status'
+        });
+    }
+};
+
+/**
+ * Get order status timeline
+ */
+const getOrderStatusTimeline = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        const isAdmin = req.user.role === 'ADMIN';
+
+        const order = await prisma.order.findUnique({
+            where: { id },
+            select: {
+                id: true,
+                orderNumber: true,
+                status: true,
+                userId: true
+            }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
             });
         }
 
-        // Cancel order and restore inventory
-        const updatedOrder = await prisma.$transaction(async (tx) => {
-            // Update order status
-            const cancelled = await tx.order.update({
-                where: { id },
-                data: { status: 'CANCELLED' }
+        // Check authorization
+        if (!isAdmin && order.userId !== userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this order'
             });
+        }
 
-            // Restore inventory
-            for (const item of order.items) {
-                await tx.product.update({
-                    where: { id: item.productId },
-                    data: {
-                        quantity: {
-                            increment: item.quantity
-                        }
-                    }
-                });
+        const timeline = await getOrderTimeline(id, { includeActors: isAdmin });
+
+        res.json({
+            success: true,
+            data: {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                timeline
             }
+        });
 
-            return cancelled;
+    } catch (error) {
+        console.error('Get order timeline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order timeline'
         });
+    }
+};
 
-        // Send cancellation email
-        sendOrderStatusEmail(
-            order.contactEmail,
-            updatedOrder,
-            order.contactFirstName
-        ).catch(err => console.error('Failed to send order cancellation email:', err));
+/**
+ * Cancel a single order line, or part of its quantity
+ */
+const cancelOrderItem = async (req, res) => {
+    try {
+        const { id, itemId } = req.params;
+        const { quantity, reason } = req.body;
+
+        const order = await cancelOrderLine(id, itemId, { quantity, reason }, req.user);
 
         res.json({
             success: true,
-            message: 'Order cancelled successfully',
-            data: { order: updatedOrder }
+            message: 'Order item cancelled successfully',
+            data: { order }
         });
 
     } catch (error) {
-        console.error('Cancel order error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        console.error('Cancel order item error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to cancel order'
+            message: 'Failed to cancel order item'
         });
     }
 };
 
 /**
- * Update order status (Admin only)
+ * Edit order items, delivery method or shipping address (Admin only)
  */
-const updateOrderStatus = async (req, res) => {
+const updateOrder = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { items, deliveryMethod, shippingInfo, note } = req.body;
+
+        const order = await editOrder(id, { items, deliveryMethod, shippingInfo, note }, req.user);
+
+        res.json({
+            success: true,
+            message: 'Order updated successfully',
+            data: { order }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
+            });
+        }
+        console.error('Update order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update order'
+        });
+    }
+};
+
+/**
+ * Get the edit audit trail of an order (Admin only)
+ */
+const getOrderEditHistory = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
 
         const order = await prisma.order.findUnique({
-            where: { id }
+            where: { id },
+            select: { id: true, orderNumber: true }
         });
 
         if (!order) {
@@ -435,48 +679,98 @@ const updateOrderStatus = async (req, res) => {
             });
         }
 
-        // Validate status transition
-        const allowedTransitions = {
-            'PENDING': ['PAID', 'CANCELLED'],
-            'PAID': ['PROCESSING', 'REFUNDED'],
-            'PROCESSING': ['SHIPPED', 'CANCELLED'],
-            'SHIPPED': ['DELIVERED'],
-            'DELIVERED': [],
-            'CANCELLED': [],
-            'REFUNDED': []
-        };
+        const edits = await getOrderEdits(id);
 
-        const allowed = allowedTransitions[order.status] || [];
-        if (!allowed.includes(status)) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            data: {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                edits
+            }
+        });
+
+    } catch (error) {
+        console.error('Get order edits error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order edits'
+        });
+    }
+};
+
+/**
+ * Refund an order, fully or partially (Admin only)
+ */
+const refundOrder = async (req, res) => {
+    try {
+        const { amount, items, reason, method, restock } = req.body;
+
+        const { refund, order } = await createRefund(req.params.id, {
+            amount,
+            items,
+            reason,
+            method,
+            restock
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund issued successfully',
+            data: { refund, order }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: `Invalid status transition from ${order.status} to ${status}`
+                message: error.message,
+                ...(error.errors && { errors: error.errors })
             });
         }
+        console.error('Refund order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refund order'
+        });
+    }
+};
+
+/**
+ * Get an order's refunds (Admin only)
+ */
+const getOrderRefundHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
 
-        const updatedOrder = await prisma.order.update({
+        const order = await prisma.order.findUnique({
             where: { id },
-            data: { status }
+            select: { id: true, orderNumber: true }
         });
 
-        // Send status update email
-        sendOrderStatusEmail(
-            order.contactEmail,
-            updatedOrder,
-            order.contactFirstName
-        ).catch(err => console.error('Failed to send order status email:', err));
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const refunds = await getOrderRefunds(id);
 
         res.json({
             success: true,
-            message: 'Order status updated successfully',
-            data: { order: updatedOrder }
+            data: {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                refunds
+            }
         });
 
     } catch (error) {
-        console.error('Update order status error:', error);
+        console.error('Get order refunds error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update order status'
+            message: 'Failed to fetch order refunds'
         });
     }
 };
@@ -557,9 +851,19 @@ const getAllOrders = async (req, res) => {
 
 module.exports = {
     createOrder,
+    checkout,
+    validateCoupon,
     getUserOrders,
     getOrderById,
     cancelOrder,
+    sendOrderConfirmationCode,
+    confirmOrder,
     updateOrderStatus,
+    getOrderStatusTimeline,
+    cancelOrderItem,
+    updateOrder,
+    getOrderEditHistory,
+    refundOrder,
+    getOrderRefundHistory,
     getAllOrders
 };
@@ -0,0 +1,391 @@
+const path = require('path');
+const prisma = require('../config/database');
+const { createPaymentIntent, handlePaymentWebhook } = require('../services/payment.service');
+const {
+    getTransferDeadline,
+    submitTransferProof,
+    approveTransferProof,
+    rejectTransferProof
+} = require('../services/bank-transfer.service');
+const { getUploadDir } = require('../middleware/upload.middleware');
+const { sendHttpError } = require('../utils/http-error');
+
+// Payment fields listed for an order (the client secret is only returned when starting a payment)
+const PAYMENT_SELECT = {
+    id: true,
+    provider: true,
+    providerReference: true,
+    amount: true,
+    currency: true,
+    status: true,
+    failureReason: true,
+    amountRefunded: true,
+    createdAt: true,
+    updatedAt: true
+};
+
+// Transfer proof fields shown to customers and admins (not where the file is stored)
+const TRANSFER_PROOF_SELECT = {
+    id: true,
+    orderId: true,
+    transactionReference: true,
+    fileName: true,
+    mimeType: true,
+    fileSize: true,
+    status: true,
+    rejectionReason: true,
+    reviewedAt: true,
+    createdAt: true
+};
+
+/**
+ * Start a card payment for the customer's order. The storefront confirms it
+ * with the gateway using `clientSecret`; the order is marked paid when the
+ * gateway's webhook arrives.
+ */
+const startPayment = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await prisma.order.findUnique({
+            where: { id: orderId }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this order'
+            });
+        }
+
+        const payment = await createPaymentIntent(order, { scenario: req.body.scenario });
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment started',
+            data: { payment }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Start payment', 'Failed to start payment');
+    }
+};
+
+/**
+ * Get the payments of an order (owner or admin)
+ */
+const getOrderPayments = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await prisma.order.findUnique({
+            where: { id: orderId },
+            select: { id: true, userId: true, paymentStatus: true }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (req.user.role !== 'ADMIN' && order.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this order'
+            });
+        }
+
+        const payments = await prisma.payment.findMany({
+            where: { orderId },
+            select: PAYMENT_SELECT,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                paymentStatus: order.paymentStatus,
+                payments
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get order payments', 'Failed to fetch payments');
+    }
+};
+
+/**
+ * Receive a payment gateway webhook. Answers 2xx once the event is handled
+ * so the gateway stops redelivering it.
+ */
+const receivePaymentWebhook = async (req, res) => {
+    try {
+        const { duplicate, ignored } = await handlePaymentWebhook(req.params.provider, {
+            rawBody: req.rawBody,
+            headers: req.headers,
+            body: req.body
+        });
+
+        res.json({
+            success: true,
+            message: duplicate ? 'Event already processed' : ignored ? 'Event ignored' : 'Event processed'
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Payment webhook', 'Failed to process payment webhook');
+    }
+};
+
+/**
+ * Upload a bank transfer receipt and transaction reference for the
+ * customer's order
+ */
+const createTransferProof = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attach the transfer receipt in the "receipt" field'
+            });
+        }
+
+        const order = await prisma.order.findUnique({
+            where: { id: orderId }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this order'
+            });
+        }
+
+        // Where the file is stored stays internal
+        const { storedFileName, ...proof } = await submitTransferProof(order, {
+            transactionReference: req.body.transactionReference,
+            file: req.file
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Transfer receipt submitted for review',
+            data: {
+                proof,
+                paymentDeadline: getTransferDeadline(order)
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Upload transfer proof', 'Failed to submit transfer receipt');
+    }
+};
+
+/**
+ * Get the transfer receipts of an order (owner or admin)
+ */
+const getOrderTransferProofs = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await prisma.order.findUnique({
+            where: { id: orderId },
+            select: { id: true, userId: true, paymentMethod: true, paymentStatus: true, createdAt: true }
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (req.user.role !== 'ADMIN' && order.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this order'
+            });
+        }
+
+        const proofs = await prisma.bankTransferProof.findMany({
+            where: { orderId },
+            select: TRANSFER_PROOF_SELECT,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                paymentStatus: order.paymentStatus,
+                paymentDeadline: order.paymentMethod === 'BANK_TRANSFER' ? getTransferDeadline(order) : null,
+                proofs
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get transfer proofs', 'Failed to fetch transfer receipts');
+    }
+};
+
+/**
+ * Download a transfer receipt (order owner or admin)
+ */
+const downloadTransferProof = async (req, res) => {
+    try {
+        const proof = await prisma.bankTransferProof.findUnique({
+            where: { id: req.params.id },
+            include: { order: { select: { userId: true } } }
+        });
+
+        if (!proof) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer proof not found'
+            });
+        }
+
+        if (req.user.role !== 'ADMIN' && proof.order.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this receipt'
+            });
+        }
+
+        res.attachment(proof.fileName);
+        res.type(proof.mimeType);
+        res.sendFile(path.join(getUploadDir('transfer-proofs'), proof.storedFileName), (err) => {
+            if (err && !res.headersSent) {
+                console.error('Download transfer proof error:', err);
+                res.status(404).json({
+                    success: false,
+                    message: 'Receipt file not found'
+                });
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Download transfer proof', 'Failed to download receipt');
+    }
+};
+
+/**
+ * Get bank transfer orders waiting for verification, oldest receipt first (Admin only)
+ */
+const getTransferQueue = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const where = { status: 'PENDING_REVIEW' };
+
+        const [proofs, total] = await Promise.all([
+            prisma.bankTransferProof.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: 'asc' },
+                select: {
+                    ...TRANSFER_PROOF_SELECT,
+                    order: {
+                        select: {
+                            id: true,
+                            orderNumber: true,
+                            status: true,
+                            paymentStatus: true,
+                            total: true,
+                            contactFirstName: true,
+                            contactLastName: true,
+                            contactEmail: true,
+                            createdAt: true
+                        }
+                    }
+                }
+            }),
+            prisma.bankTransferProof.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                proofs: proofs.map(proof => ({
+                    ...proof,
+                    paymentDeadline: getTransferDeadline(proof.order)
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get transfer queue', 'Failed to fetch transfers awaiting verification');
+    }
+};
+
+/**
+ * Approve a transfer receipt, marking the order paid (Admin only)
+ */
+const approveTransfer = async (req, res) => {
+    try {
+        const order = await approveTransferProof(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            message: 'Bank transfer approved',
+            data: { order }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Approve transfer', 'Failed to approve bank transfer');
+    }
+};
+
+/**
+ * Reject a transfer receipt, marking the payment failed (Admin only)
+ */
+const rejectTransfer = async (req, res) => {
+    try {
+        const order = await rejectTransferProof(req.params.id, req.body.reason, req.user);
+
+        res.json({
+            success: true,
+            message: 'Bank transfer rejected',
+            data: { order }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Reject transfer', 'Failed to reject bank transfer');
+    }
+};
+
+module.exports = {
+    startPayment,
+    getOrderPayments,
+    receivePaymentWebhook,
+    createTransferProof,
+    getOrderTransferProofs,
+    downloadTransferProof,
+    getTransferQueue,
+    approveTransfer,
+    rejectTransfer
+};
@@ -1,4 +1,6 @@
 const prisma = require('../config/database');
+const { resolveUnitPrice } = require('../services/pricing.service');
+const { refreshProductDeal } = require('../services/deal.service');
 
 /**
  * Get all products (with pagination and filters)
@@ -49,6 +51,10 @@ const getAllProducts = async (req, res) => {
                     price: true,
                     promoPrice: true,
                     quantity: true,
+                    isOnDeal: true,
+                    dealPrice: true,
+                    dealStartDate: true,
+                    dealEndDate: true,
                     collection: {
                         select: {
                             id: true,
@@ -83,6 +89,7 @@ const getAllProducts = async (req, res) => {
             collection: product.collection,
             price: product.price,
             promoPrice: product.promoPrice,
+            pricing: resolveUnitPrice(product),
             quantity: product.quantity,
             mainImage: product.images[0] || null,
         }));
@@ -170,6 +177,7 @@ const getProductById = async (req, res) => {
             data: {
                 product: {
                     ...product,
+                    pricing: resolveUnitPrice(product),
                     averageRating: parseFloat(averageRating.toFixed(1)),
                     reviewCount: product.reviews.length,
                 },
@@ -198,6 +206,8 @@ const createProduct = async (req, res) => {
             price,
             promoPrice,
             quantity,
+            weight,
+            taxClass,
             sku,
             tags,
             additionalInformation,
@@ -226,6 +236,8 @@ const createProduct = async (req, res) => {
                 price,
                 promoPrice,
                 quantity,
+                weight,
+                taxClass,
                 sku,
                 tags: tags || [],
                 additionalInformation,
@@ -272,6 +284,8 @@ const updateProduct = async (req, res) => {
             price,
             promoPrice,
             quantity,
+            weight,
+            taxClass,
             sku,
             tags,
             additionalInformation,
@@ -316,6 +330,8 @@ const updateProduct = async (req, res) => {
                 ...(price && { price }),
                 ...(promoPrice !== undefined && { promoPrice }),
                 ...(quantity !== undefined && { quantity }),
+                ...(weight !== undefined && { weight }),
+                ...(taxClass && { taxClass }),
                 ...(sku && { sku }),
                 ...(tags && { tags }),
                 ...(additionalInformation !== undefined && { additionalInformation }),
@@ -327,6 +343,11 @@ const updateProduct = async (req, res) => {
             },
         });
 
+        // Percentage deals follow the list price
+        if (price && product.activeDealId) {
+            await refreshProductDeal(id);
+        }
+
         // Handle images update if provided
         if (images) {
             // Delete existing images
@@ -0,0 +1,229 @@
+const prisma = require('../config/database');
+const { getRunningPromotions } = require('../services/promotion.service');
+
+const PROMOTION_FIELDS = [
+    'name',
+    'description',
+    'type',
+    'priority',
+    'exclusive',
+    'isActive',
+    'startsAt',
+    'endsAt',
+    'buyQuantity',
+    'getQuantity',
+    'discountPercent',
+    'bundlePrice',
+    'tiers',
+    'productIds',
+    'collectionIds',
+    'categoryIds',
+    'brands',
+];
+
+/**
+ * Pick the promotion fields present in a request body
+ */
+const getPromotionData = (body) => Object.fromEntries(
+    PROMOTION_FIELDS
+        .filter((field) => body[field] !== undefined)
+        .map((field) => [field, ['startsAt', 'endsAt'].includes(field) && body[field]
+            ? new Date(body[field])
+            : body[field]])
+);
+
+/**
+ * Check a promotion has what its type needs
+ */
+const getPromotionConfigError = ({ type, buyQuantity, getQuantity, bundlePrice, tiers, productIds, startsAt, endsAt }) => {
+    if (type === 'BUY_X_GET_Y' && (!buyQuantity || !getQuantity)) {
+        return 'Buy X get Y promotions need buyQuantity and getQuantity';
+    }
+    if (type === 'BUNDLE' && (bundlePrice === undefined || bundlePrice === null)) {
+        return 'Bundle promotions need a bundle price';
+    }
+    if (type === 'BUNDLE' && new Set(productIds || []).size < 2) {
+        return 'Bundle promotions need at least two products';
+    }
+    if (type === 'SPEND_THRESHOLD' && (!Array.isArray(tiers) || tiers.length === 0)) {
+        return 'Spend threshold promotions need at least one tier';
+    }
+    if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+        return 'Promotion must end after it starts';
+    }
+    return null;
+};
+
+/**
+ * Get the promotions running right now (public)
+ */
+const getActivePromotions = async (req, res) => {
+    try {
+        const promotions = await getRunningPromotions();
+
+        res.json({
+            success: true,
+            data: {
+                promotions: promotions.map((promotion) => ({
+                    id: promotion.id,
+                    name: promotion.name,
+                    description: promotion.description,
+                    type: promotion.type,
+                    endsAt: promotion.endsAt,
+                    productIds: promotion.productIds,
+                    collectionIds: promotion.collectionIds,
+                    categoryIds: promotion.categoryIds,
+                    brands: promotion.brands,
+                })),
+            },
+        });
+    } catch (error) {
+        console.error('Get active promotions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promotions',
+        });
+    }
+};
+
+/**
+ * Get all promotions (Admin only)
+ */
+const getPromotions = async (req, res) => {
+    try {
+        const { isActive, type } = req.query;
+
+        const promotions = await prisma.promotion.findMany({
+            where: {
+                ...(isActive !== undefined && { isActive: isActive === 'true' }),
+                ...(type && { type }),
+            },
+            orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+        });
+
+        res.json({
+            success: true,
+            data: { promotions },
+        });
+    } catch (error) {
+        console.error('Get promotions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch promotions',
+        });
+    }
+};
+
+/**
+ * Create a promotion (Admin only)
+ */
+const createPromotion = async (req, res) => {
+    try {
+        const data = getPromotionData(req.body);
+
+        const configError = getPromotionConfigError(data);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
+
+        const promotion = await prisma.promotion.create({ data });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: { promotion },
+        });
+    } catch (error) {
+        console.error('Create promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create promotion',
+        });
+    }
+};
+
+/**
+ * Update a promotion (Admin only). Orders already placed keep their discounts.
+ */
+const updatePromotion = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const data = getPromotionData(req.body);
+
+        const existingPromotion = await prisma.promotion.findUnique({ where: { id } });
+
+        if (!existingPromotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found',
+            });
+        }
+
+        const configError = getPromotionConfigError({ ...existingPromotion, ...data });
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
+
+        const promotion = await prisma.promotion.update({
+            where: { id },
+            data,
+        });
+
+        res.json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: { promotion },
+        });
+    } catch (error) {
+        console.error('Update promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update promotion',
+        });
+    }
+};
+
+/**
+ * Delete a promotion (Admin only). Order lines keep the promotion's name and discount.
+ */
+const deletePromotion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingPromotion = await prisma.promotion.findUnique({ where: { id } });
+
+        if (!existingPromotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found',
+            });
+        }
+
+        await prisma.promotion.delete({ where: { id } });
+
+        res.json({
+            success: true,
+            message: 'Promotion deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete promotion',
+        });
+    }
+};
+
+module.exports = {
+    getActivePromotions,
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+};
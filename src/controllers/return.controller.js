@@ -0,0 +1,260 @@
+const prisma = require('../config/database');
+const { sendReturnStatusEmail } = require('../services/email.service');
+const {
+    returnDetailsInclude,
+    getReturnValue,
+    createReturnRequest,
+    reviewReturnRequest,
+    receiveReturn,
+    refundReturn
+} = require('../services/return.service');
+const { sendHttpError } = require('../utils/http-error');
+
+/**
+ * Email the customer about a return step
+ */
+function notifyReturnUpdate(returnRequest) {
+    sendReturnStatusEmail(
+        returnRequest.order.contactEmail,
+        returnRequest,
+        returnRequest.order.contactFirstName
+    ).catch(err => console.error('Failed to send return status email:', err));
+}
+
+/**
+ * Request a return for items of a delivered order
+ */
+const createReturn = async (req, res) => {
+    try {
+        const { orderId, items, reason, photos } = req.body;
+
+        const returnRequest = await createReturnRequest({
+            orderId,
+            userId: req.user.id,
+            items,
+            reason,
+            photos
+        });
+
+        notifyReturnUpdate(returnRequest);
+
+        res.status(201).json({
+            success: true,
+            message: 'Return requested successfully',
+            data: { return: returnRequest }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Create return', 'Failed to request return');
+    }
+};
+
+/**
+ * Get the current user's returns
+ */
+const getUserReturns = async (req, res) => {
+    try {
+        const returns = await prisma.returnRequest.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' },
+            include: returnDetailsInclude
+        });
+
+        res.json({
+            success: true,
+            data: { returns }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get user returns', 'Failed to fetch returns');
+    }
+};
+
+/**
+ * Get a single return (owner or admin)
+ */
+const getReturnById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const isAdmin = req.user.role === 'ADMIN';
+
+        const returnRequest = await prisma.returnRequest.findUnique({
+            where: { id },
+            include: returnDetailsInclude
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        // Check authorization
+        if (!isAdmin && returnRequest.userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this return'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                return: returnRequest,
+                returnValue: getReturnValue(returnRequest)
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get return', 'Failed to fetch return');
+    }
+};
+
+/**
+ * Get all returns (Admin only)
+ */
+const getAllReturns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, orderId } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const take = parseInt(limit);
+
+        const where = {
+            ...(status && { status }),
+            ...(orderId && { orderId })
+        };
+
+        const [returns, total] = await Promise.all([
+            prisma.returnRequest.findMany({
+                where,
+                skip,
+                take,
+                orderBy: { createdAt: 'desc' },
+                include: returnDetailsInclude
+            }),
+            prisma.returnRequest.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                returns,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get all returns', 'Failed to fetch returns');
+    }
+};
+
+/**
+ * Approve a return request (Admin only)
+ */
+const approveReturn = async (req, res) => {
+    try {
+        const returnRequest = await reviewReturnRequest(req.params.id, {
+            approve: true,
+            note: req.body.note
+        });
+
+        notifyReturnUpdate(returnRequest);
+
+        res.json({
+            success: true,
+            message: 'Return approved',
+            data: { return: returnRequest }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Approve return', 'Failed to approve return');
+    }
+};
+
+/**
+ * Reject a return request (Admin only)
+ */
+const rejectReturn = async (req, res) => {
+    try {
+        const returnRequest = await reviewReturnRequest(req.params.id, {
+            approve: false,
+            note: req.body.note
+        });
+
+        notifyReturnUpdate(returnRequest);
+
+        res.json({
+            success: true,
+            message: 'Return rejected',
+            data: { return: returnRequest }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Reject return', 'Failed to reject return');
+    }
+};
+
+/**
+ * Mark returned items as received, restocking or writing them off (Admin only)
+ */
+const markReturnReceived = async (req, res) => {
+    try {
+        const { disposition, items, note } = req.body;
+
+        const returnRequest = await receiveReturn(req.params.id, { disposition, items, note });
+
+        notifyReturnUpdate(returnRequest);
+
+        res.json({
+            success: true,
+            message: 'Return marked as received',
+            data: { return: returnRequest }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Receive return', 'Failed to mark return as received');
+    }
+};
+
+/**
+ * Refund a received return, fully or partially (Admin only)
+ */
+const issueReturnRefund = async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+
+        const { returnRequest, refund } = await refundReturn(req.params.id, { amount, note }, req.user);
+
+        // Card refunds may still be waiting for the payment gateway
+        if (returnRequest.status === 'REFUNDED') {
+            notifyReturnUpdate(returnRequest);
+        }
+
+        res.json({
+            success: true,
+            message: returnRequest.status === 'REFUNDED' ? 'Return refunded' : 'Return refund is pending',
+            data: { return: returnRequest, refund }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Refund return', 'Failed to refund return');
+    }
+};
+
+module.exports = {
+    createReturn,
+    getUserReturns,
+    getReturnById,
+    getAllReturns,
+    approveReturn,
+    rejectReturn,
+    markReturnReceived,
+    issueReturnRefund
+};
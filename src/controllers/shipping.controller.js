@@ -0,0 +1,338 @@
+const prisma = require('../config/database');
+const { quoteOrder } = require('../services/order.service');
+
+const zoneInclude = {
+    rates: {
+        orderBy: { createdAt: 'asc' },
+    },
+};
+
+/**
+ * Check a rate has what its type needs (an amount for FLAT, tiers otherwise)
+ */
+const getRateConfigError = ({ type, amount, tiers }) => {
+    if (type === 'FLAT' && (amount === undefined || amount === null)) {
+        return 'Flat rates need an amount';
+    }
+    if (type !== 'FLAT' && (!Array.isArray(tiers) || tiers.length === 0)) {
+        return `${type === 'WEIGHT' ? 'Weight' : 'Order value'} rates need at least one tier`;
+    }
+    return null;
+};
+
+/**
+ * Quote shipping for a basket and address (storefront, before checkout),
+ * priced the same way checkout charges it
+ */
+const getShippingQuote = async (req, res) => {
+    try {
+        const { items, shippingInfo, deliveryMethod, couponCode } = req.body;
+
+        const quote = await quoteOrder({
+            userId: req.user?.id,
+            items,
+            shippingInfo,
+            deliveryMethod,
+            couponCode,
+        });
+
+        res.json({
+            success: true,
+            data: quote,
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.errors && { errors: error.errors }),
+            });
+        }
+        console.error('Shipping quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to quote shipping',
+        });
+    }
+};
+
+/**
+ * Get all shipping zones with their rates (Admin only)
+ */
+const getShippingZones = async (req, res) => {
+    try {
+        const zones = await prisma.shippingZone.findMany({
+            include: zoneInclude,
+            orderBy: { createdAt: 'asc' },
+        });
+
+        res.json({
+            success: true,
+            data: { zones },
+        });
+    } catch (error) {
+        console.error('Get shipping zones error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch shipping zones',
+        });
+    }
+};
+
+/**
+ * Create a shipping zone (Admin only)
+ */
+const createShippingZone = async (req, res) => {
+    try {
+        const { name, country, regions, cities, isActive } = req.body;
+
+        const zone = await prisma.shippingZone.create({
+            data: {
+                name,
+                country,
+                regions: regions || [],
+                cities: cities || [],
+                ...(isActive !== undefined && { isActive }),
+            },
+            include: zoneInclude,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Shipping zone created successfully',
+            data: { zone },
+        });
+    } catch (error) {
+        console.error('Create shipping zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create shipping zone',
+        });
+    }
+};
+
+/**
+ * Update a shipping zone (Admin only)
+ */
+const updateShippingZone = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, country, regions, cities, isActive } = req.body;
+
+        const existingZone = await prisma.shippingZone.findUnique({ where: { id } });
+
+        if (!existingZone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping zone not found',
+            });
+        }
+
+        const zone = await prisma.shippingZone.update({
+            where: { id },
+            data: {
+                ...(name && { name }),
+                ...(country && { country }),
+                ...(regions && { regions }),
+                ...(cities && { cities }),
+                ...(isActive !== undefined && { isActive }),
+            },
+            include: zoneInclude,
+        });
+
+        res.json({
+            success: true,
+            message: 'Shipping zone updated successfully',
+            data: { zone },
+        });
+    } catch (error) {
+        console.error('Update shipping zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update shipping zone',
+        });
+    }
+};
+
+/**
+ * Delete a shipping zone and its rates (Admin only)
+ */
+const deleteShippingZone = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingZone = await prisma.shippingZone.findUnique({ where: { id } });
+
+        if (!existingZone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping zone not found',
+            });
+        }
+
+        await prisma.shippingZone.delete({ where: { id } });
+
+        res.json({
+            success: true,
+            message: 'Shipping zone deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete shipping zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete shipping zone',
+        });
+    }
+};
+
+/**
+ * Add a rate to a shipping zone (Admin only)
+ */
+const createShippingRate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, deliveryMethod, type, amount, tiers, freeAbove, isActive } = req.body;
+
+        const zone = await prisma.shippingZone.findUnique({ where: { id } });
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping zone not found',
+            });
+        }
+
+        const configError = getRateConfigError({ type, amount, tiers });
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
+
+        const rate = await prisma.shippingRate.create({
+            data: {
+                zoneId: id,
+                name,
+                deliveryMethod,
+                type,
+                amount: type === 'FLAT' ? amount : null,
+                tiers: type === 'FLAT' ? undefined : tiers,
+                freeAbove: freeAbove ?? null,
+                ...(isActive !== undefined && { isActive }),
+            },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Shipping rate created successfully',
+            data: { rate },
+        });
+    } catch (error) {
+        console.error('Create shipping rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create shipping rate',
+        });
+    }
+};
+
+/**
+ * Update a shipping rate (Admin only)
+ */
+const updateShippingRate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, deliveryMethod, type, amount, tiers, freeAbove, isActive } = req.body;
+
+        const existingRate = await prisma.shippingRate.findUnique({ where: { id } });
+
+        if (!existingRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping rate not found',
+            });
+        }
+
+        const merged = {
+            type: type || existingRate.type,
+            amount: amount !== undefined ? amount : existingRate.amount,
+            tiers: tiers !== undefined ? tiers : existingRate.tiers,
+        };
+
+        const configError = getRateConfigError(merged);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                message: configError,
+            });
+        }
+
+        const rate = await prisma.shippingRate.update({
+            where: { id },
+            data: {
+                ...(name && { name }),
+                ...(deliveryMethod && { deliveryMethod }),
+                ...(type && { type }),
+                ...(amount !== undefined && { amount }),
+                ...(tiers !== undefined && { tiers }),
+                ...(freeAbove !== undefined && { freeAbove }),
+                ...(isActive !== undefined && { isActive }),
+            },
+        });
+
+        res.json({
+            success: true,
+            message: 'Shipping rate updated successfully',
+            data: { rate },
+        });
+    } catch (error) {
+        console.error('Update shipping rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update shipping rate',
+        });
+    }
+};
+
+/**
+ * Delete a shipping rate (Admin only)
+ */
+const deleteShippingRate = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingRate = await prisma.shippingRate.findUnique({ where: { id } });
+
+        if (!existingRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipping rate not found',
+            });
+        }
+
+        await prisma.shippingRate.delete({ where: { id } });
+
+        res.json({
+            success: true,
+            message: 'Shipping rate deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete shipping rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete shipping rate',
+        });
+    }
+};
+
+module.exports = {
+    getShippingQuote,
+    getShippingZones,
+    createShippingZone,
+    updateShippingZone,
+    deleteShippingZone,
+    createShippingRate,
+    updateShippingRate,
+    deleteShippingRate,
+};
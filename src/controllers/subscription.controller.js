@@ -0,0 +1,200 @@
+const {
+    createSubscription: createUserSubscription,
+    getUserSubscriptions,
+    findOwnSubscription,
+    updateSubscription: updateUserSubscription,
+    pauseSubscription: pauseUserSubscription,
+    resumeSubscription: resumeUserSubscription,
+    skipSubscription: skipUserSubscription,
+    cancelSubscription: cancelUserSubscription
+} = require('../services/subscription.service');
+const { sendHttpError } = require('../utils/http-error');
+
+/**
+ * Subscribe to products delivered on a schedule
+ */
+const createSubscription = async (req, res) => {
+    try {
+        const {
+            items,
+            intervalDays,
+            startDate,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod
+        } = req.body;
+
+        const subscription = await createUserSubscription(req.user.id, {
+            items,
+            intervalDays,
+            startDate,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Subscription created successfully',
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Create subscription', 'Failed to create subscription');
+    }
+};
+
+/**
+ * Get the current user's subscriptions
+ */
+const getMySubscriptions = async (req, res) => {
+    try {
+        const subscriptions = await getUserSubscriptions(req.user.id);
+
+        res.json({
+            success: true,
+            data: { subscriptions }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get subscriptions', 'Failed to fetch subscriptions');
+    }
+};
+
+/**
+ * Get one of the current user's subscriptions
+ */
+const getSubscription = async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get subscription', 'Failed to fetch subscription');
+    }
+};
+
+/**
+ * Change a subscription's items, schedule, delivery or payment
+ */
+const updateSubscription = async (req, res) => {
+    try {
+        const {
+            items,
+            intervalDays,
+            nextRunAt,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod
+        } = req.body;
+
+        const subscription = await updateUserSubscription(req.params.id, req.user.id, {
+            items,
+            intervalDays,
+            nextRunAt,
+            contactInfo,
+            deliveryMethod,
+            shippingInfo,
+            paymentMethod
+        });
+
+        res.json({
+            success: true,
+            message: 'Subscription updated successfully',
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Update subscription', 'Failed to update subscription');
+    }
+};
+
+/**
+ * Pause a subscription until it is resumed
+ */
+const pauseSubscription = async (req, res) => {
+    try {
+        const subscription = await pauseUserSubscription(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Subscription paused',
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Pause subscription', 'Failed to pause subscription');
+    }
+};
+
+/**
+ * Resume a paused subscription
+ */
+const resumeSubscription = async (req, res) => {
+    try {
+        const subscription = await resumeUserSubscription(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Subscription resumed',
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Resume subscription', 'Failed to resume subscription');
+    }
+};
+
+/**
+ * Skip a subscription's next delivery
+ */
+const skipSubscription = async (req, res) => {
+    try {
+        const subscription = await skipUserSubscription(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Next delivery skipped',
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Skip subscription', 'Failed to skip subscription');
+    }
+};
+
+/**
+ * Cancel a subscription
+ */
+const cancelSubscription = async (req, res) => {
+    try {
+        const subscription = await cancelUserSubscription(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Subscription cancelled',
+            data: { subscription }
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Cancel subscription', 'Failed to cancel subscription');
+    }
+};
+
+module.exports = {
+    createSubscription,
+    getMySubscriptions,
+    getSubscription,
+    updateSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipSubscription,
+    cancelSubscription
+};
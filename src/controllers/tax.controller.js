@@ -0,0 +1,144 @@
+const prisma = require('../config/database');
+const { isTaxInclusive } = require('../services/tax.service');
+
+/**
+ * Get all tax rates (Admin only)
+ */
+const getTaxRates = async (req, res) => {
+    try {
+        const { region, taxClass } = req.query;
+
+        const taxRates = await prisma.taxRate.findMany({
+            where: {
+                ...(region && { region: { equals: region, mode: 'insensitive' } }),
+                ...(taxClass && { taxClass: { equals: taxClass, mode: 'insensitive' } }),
+            },
+            orderBy: [{ region: 'asc' }, { taxClass: 'asc' }],
+        });
+
+        res.json({
+            success: true,
+            data: {
+                taxRates,
+                mode: isTaxInclusive() ? 'inclusive' : 'exclusive',
+            },
+        });
+    } catch (error) {
+        console.error('Get tax rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch tax rates',
+        });
+    }
+};
+
+/**
+ * Create a tax rate (Admin only)
+ */
+const createTaxRate = async (req, res) => {
+    try {
+        const { name, region, taxClass, rate, isActive } = req.body;
+
+        const taxRate = await prisma.taxRate.create({
+            data: {
+                name,
+                region: region || null,
+                taxClass: taxClass || null,
+                rate,
+                ...(isActive !== undefined && { isActive }),
+            },
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rate created successfully',
+            data: { taxRate },
+        });
+    } catch (error) {
+        console.error('Create tax rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create tax rate',
+        });
+    }
+};
+
+/**
+ * Update a tax rate (Admin only). Orders already placed keep the tax they were charged.
+ */
+const updateTaxRate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, region, taxClass, rate, isActive } = req.body;
+
+        const existingRate = await prisma.taxRate.findUnique({ where: { id } });
+
+        if (!existingRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rate not found',
+            });
+        }
+
+        const taxRate = await prisma.taxRate.update({
+            where: { id },
+            data: {
+                ...(name && { name }),
+                ...(region !== undefined && { region: region || null }),
+                ...(taxClass !== undefined && { taxClass: taxClass || null }),
+                ...(rate !== undefined && { rate }),
+                ...(isActive !== undefined && { isActive }),
+            },
+        });
+
+        res.json({
+            success: true,
+            message: 'Tax rate updated successfully',
+            data: { taxRate },
+        });
+    } catch (error) {
+        console.error('Update tax rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update tax rate',
+        });
+    }
+};
+
+/**
+ * Delete a tax rate (Admin only)
+ */
+const deleteTaxRate = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingRate = await prisma.taxRate.findUnique({ where: { id } });
+
+        if (!existingRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tax rate not found',
+            });
+        }
+
+        await prisma.taxRate.delete({ where: { id } });
+
+        res.json({
+            success: true,
+            message: 'Tax rate deleted successfully',
+        });
+    } catch (error) {
+        console.error('Delete tax rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete tax rate',
+        });
+    }
+};
+
+module.exports = {
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+};
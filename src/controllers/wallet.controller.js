@@ -0,0 +1,88 @@
+const { adjustWallet, getWallet } = require('../services/wallet.service');
+const { sendHttpError } = require('../utils/http-error');
+
+const getPaging = (query) => ({
+    page: parseInt(query.page || '1', 10),
+    limit: parseInt(query.limit || '20', 10)
+});
+
+/**
+ * Get the current user's wallet balance and history
+ */
+const getMyWallet = async (req, res) => {
+    try {
+        const wallet = await getWallet(req.user.id, getPaging(req.query));
+
+        res.json({
+            success: true,
+            data: wallet
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get wallet', 'Failed to fetch wallet');
+    }
+};
+
+/**
+ * Get a customer's wallet balance and history (Admin only)
+ */
+const getUserWallet = async (req, res) => {
+    try {
+        const wallet = await getWallet(req.params.id, getPaging(req.query));
+
+        res.json({
+            success: true,
+            data: wallet
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Get user wallet', 'Failed to fetch wallet');
+    }
+};
+
+/**
+ * Credit a customer's wallet, e.g. as a goodwill gesture (Admin only)
+ */
+const creditUserWallet = async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+
+        const result = await adjustWallet(req.params.id, { amount, note }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Wallet credited successfully',
+            data: result
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Credit wallet', 'Failed to credit wallet');
+    }
+};
+
+/**
+ * Debit a customer's wallet (Admin only)
+ */
+const debitUserWallet = async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+
+        const result = await adjustWallet(req.params.id, { amount: -amount, note }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Wallet debited successfully',
+            data: result
+        });
+
+    } catch (error) {
+        sendHttpError(res, error, 'Debit wallet', 'Failed to debit wallet');
+    }
+};
+
+module.exports = {
+    getMyWallet,
+    getUserWallet,
+    creditUserWallet,
+    debitUserWallet
+};
@@ -1,4 +1,5 @@
 const prisma = require('../config/database');
+const { resolveUnitPrice } = require('../services/pricing.service');
 
 /**
  * Get user's wishlist
@@ -37,10 +38,19 @@ const getWishlist = async (req, res) => {
             prisma.wishlist.count({ where: { userId } }),
         ]);
 
+        // Show the price the customer would pay today
+        const wishlist = wishlistItems.map((item) => ({
+            ...item,
+            product: {
+                ...item.product,
+                pricing: resolveUnitPrice(item.product),
+            },
+        }));
+
         res.json({
             success: true,
             data: {
-                wishlist: wishlistItems,
+                wishlist,
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
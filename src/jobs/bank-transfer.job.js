@@ -0,0 +1,17 @@
+const { cancelUnpaidTransferOrders } = require('../services/bank-transfer.service');
+
+/**
+ * Cancel bank transfer orders that were not paid in time.
+ * The customer is emailed by the order transition listeners.
+ */
+const runBankTransferExpiry = async () => {
+    const cancelledOrders = await cancelUnpaidTransferOrders();
+
+    for (const order of cancelledOrders) {
+        console.log(`🏦 Cancelled unpaid bank transfer order #${order.orderNumber}`);
+    }
+};
+
+module.exports = {
+    runBankTransferExpiry,
+};
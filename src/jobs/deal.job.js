@@ -0,0 +1,19 @@
+const { syncDeals } = require('../services/deal.service');
+
+/**
+ * Start deals whose start time has come and end expired ones
+ */
+const runDealScheduler = async () => {
+    const { activated, ended } = await syncDeals();
+
+    for (const deal of activated) {
+        console.log(`🏷️  Deal ${deal.id} started for product ${deal.productId}`);
+    }
+    for (const deal of ended) {
+        console.log(`🏁 Deal ${deal.id} ended for product ${deal.productId}`);
+    }
+};
+
+module.exports = {
+    runDealScheduler,
+};
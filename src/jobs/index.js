@@ -0,0 +1,102 @@
+const { runReservationSweep } = require('./reservation.job');
+const { runDealScheduler } = require('./deal.job');
+const { runBankTransferExpiry } = require('./bank-transfer.job');
+const { runOrderConfirmationExpiry } = require('./order-confirmation.job');
+const { runLoyaltyPointsExpiry } = require('./loyalty.job');
+const { runSubscriptionOrders } = require('./subscription.job');
+const { runPendingRefundRetry } = require('./refund.job');
+const { purgeExpiredIdempotencyKeys } = require('../middleware/idempotency.middleware');
+
+/**
+ * Background jobs run on a fixed interval inside the API process
+ */
+const jobs = [
+    {
+        name: 'stock-reservation-sweep',
+        run: runReservationSweep,
+        intervalMs: 60 * 1000, // 1 minute
+    },
+    {
+        name: 'deal-scheduler',
+        run: runDealScheduler,
+        intervalMs: 60 * 1000, // 1 minute
+    },
+    {
+        name: 'bank-transfer-expiry',
+        run: runBankTransferExpiry,
+        intervalMs: 60 * 60 * 1000, // 1 hour
+    },
+    {
+        name: 'order-confirmation-expiry',
+        run: runOrderConfirmationExpiry,
+        intervalMs: 15 * 60 * 1000, // 15 minutes
+    },
+    {
+        name: 'loyalty-points-expiry',
+        run: runLoyaltyPointsExpiry,
+        intervalMs: 60 * 60 * 1000, // 1 hour
+    },
+    {
+        name: 'subscription-orders',
+        run: runSubscriptionOrders,
+        intervalMs: 15 * 60 * 1000, // 15 minutes
+    },
+    {
+        name: 'pending-refund-retry',
+        run: runPendingRefundRetry,
+        intervalMs: 15 * 60 * 1000, // 15 minutes
+    },
+    {
+        name: 'idempotency-key-purge',
+        run: purgeExpiredIdempotencyKeys,
+        intervalMs: 60 * 60 * 1000, // 1 hour
+    },
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping overlapping runs and never letting a failure crash the process
+ */
+const runSafely = async (job) => {
+    if (job.running) {
+        return;
+    }
+
+    job.running = true;
+    try {
+        await job.run();
+    } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start all background jobs
+ */
+const startJobs = () => {
+    if (process.env.DISABLE_JOBS === 'true') {
+        console.log('⏸️  Background jobs disabled');
+        return;
+    }
+
+    for (const job of jobs) {
+        timers.push(setInterval(() => runSafely(job), job.intervalMs));
+    }
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+    while (timers.length > 0) {
+        clearInterval(timers.pop());
+    }
+};
+
+module.exports = {
+    startJobs,
+    stopJobs,
+};
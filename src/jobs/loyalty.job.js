@@ -0,0 +1,16 @@
+const { expireLoyaltyPoints } = require('../services/loyalty.service');
+
+/**
+ * Expire unspent loyalty points past their expiry date
+ */
+const runLoyaltyPointsExpiry = async () => {
+    const expired = await expireLoyaltyPoints();
+
+    for (const { userId, points } of expired) {
+        console.log(`⌛ Expired ${points} loyalty points of user ${userId}`);
+    }
+};
+
+module.exports = {
+    runLoyaltyPointsExpiry,
+};
@@ -0,0 +1,17 @@
+const { cancelUnconfirmedOrders } = require('../services/order-confirmation.service');
+
+/**
+ * Cancel cash on delivery orders that were not confirmed in time.
+ * The customer is emailed by the order transition listeners.
+ */
+const runOrderConfirmationExpiry = async () => {
+    const cancelledOrders = await cancelUnconfirmedOrders();
+
+    for (const order of cancelledOrders) {
+        console.log(`📵 Cancelled unconfirmed order #${order.orderNumber}`);
+    }
+};
+
+module.exports = {
+    runOrderConfirmationExpiry,
+};
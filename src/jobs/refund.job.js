@@ -0,0 +1,17 @@
+const { retryPendingRefunds } = require('../services/refund.service');
+
+/**
+ * Send card refunds the payment gateway has not paid yet to it again.
+ * The customer is emailed a receipt by the refund service.
+ */
+const runPendingRefundRetry = async () => {
+    const refunds = await retryPendingRefunds();
+
+    for (const refund of refunds) {
+        console.log(`💸 Settled pending refund ${refund.id}`);
+    }
+};
+
+module.exports = {
+    runPendingRefundRetry,
+};
@@ -0,0 +1,17 @@
+const { releaseExpiredReservations } = require('../services/order-state.service');
+
+/**
+ * Cancel card orders whose stock reservation expired before payment.
+ * The customer is emailed by the order transition listeners.
+ */
+const runReservationSweep = async () => {
+    const cancelledOrders = await releaseExpiredReservations();
+
+    for (const order of cancelledOrders) {
+        console.log(`⏱️  Released stock for unpaid order #${order.orderNumber}`);
+    }
+};
+
+module.exports = {
+    runReservationSweep,
+};
@@ -0,0 +1,25 @@
+const { sendSubscriptionReminders, runDueSubscriptions } = require('../services/subscription.service');
+
+/**
+ * Remind customers of upcoming subscription orders and place the ones that are due
+ */
+const runSubscriptionOrders = async () => {
+    const reminded = await sendSubscriptionReminders();
+
+    for (const subscription of reminded) {
+        console.log(`📧 Reminded user ${subscription.userId} of subscription ${subscription.id}`);
+    }
+
+    const { placed, failed } = await runDueSubscriptions();
+
+    for (const order of placed) {
+        console.log(`🔁 Placed order #${order.orderNumber} for subscription ${order.subscriptionId}`);
+    }
+    for (const { subscription, reason } of failed) {
+        console.log(`⚠️  Skipped subscription ${subscription.id}: ${reason}`);
+    }
+};
+
+module.exports = {
+    runSubscriptionOrders,
+};
@@ -63,6 +63,43 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to attach the user when a valid JWT is present,
+ * but let anonymous (guest) requests through
+ */
+const optionalAuth = async (req, res, next) => {
+    try {
+        const token = req.headers.authorization?.split(' ')[1] || req.cookies?.token;
+
+        if (!token) {
+            return next();
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        const user = await prisma.user.findUnique({
+            where: { id: decoded.userId },
+            select: {
+                id: true,
+                email: true,
+                username: true,
+                firstName: true,
+                lastName: true,
+                role: true,
+                isActive: true,
+            },
+        });
+
+        if (user && user.isActive) {
+            req.user = user;
+        }
+        next();
+    } catch (error) {
+        // Treat invalid or expired tokens as a guest request
+        next();
+    }
+};
+
 /**
  * Middleware to check if user has specific role
  */
@@ -89,5 +126,6 @@ const hasRole = (...roles) => {
 module.exports = {
     isAuthenticated,
     verifyToken,
+    optionalAuth,
     hasRole,
 };
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// How long a stored response can be replayed
+const getTtlMs = () => parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+
+/**
+ * JSON.stringify with sorted object keys, so equivalent bodies hash the same
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(
+            (key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`
+        ).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Fingerprint of the request the key was first used with
+ */
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl.split('?')[0]} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Claim a key for this request. Returns the existing record if the key was
+ * already claimed (and has not expired), otherwise null.
+ */
+const claimKey = async ({ scope, key, method, path, requestHash }) => {
+    try {
+        await prisma.idempotencyKey.create({
+            data: {
+                scope,
+                key,
+                method,
+                path,
+                requestHash,
+                expiresAt: new Date(Date.now() + getTtlMs()),
+            },
+        });
+        return null;
+    } catch (error) {
+        if (error.code !== 'P2002') {
+            throw error;
+        }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({
+        where: { scope_key: { scope, key } },
+    });
+
+    // Expired (or deleted meanwhile) - free the key and claim it again
+    if (!existing || existing.expiresAt <= new Date()) {
+        await prisma.idempotencyKey.deleteMany({
+            where: { scope, key, expiresAt: { lte: new Date() } },
+        });
+        return claimKey({ scope, key, method, path, requestHash });
+    }
+
+    return existing;
+};
+
+/**
+ * Middleware making a mutating endpoint safe to retry.
+ *
+ * When the client sends an `Idempotency-Key` header, the first response for
+ * that key is stored and replayed for retries (with `Idempotent-Replayed: true`).
+ * Reusing a key with a different request is rejected with 422, and a retry
+ * that arrives while the original is still running gets 409.
+ * Server errors (5xx) are not stored, so the client can retry them.
+ *
+ * Must run after authentication so keys are scoped per user.
+ */
+const idempotent = (options = {}) => async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (!key) {
+        if (options.required) {
+            return res.status(400).json({
+                success: false,
+                message: `${IDEMPOTENCY_HEADER} header is required`,
+            });
+        }
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `${IDEMPOTENCY_HEADER} must not exceed ${MAX_KEY_LENGTH} characters`,
+        });
+    }
+
+    try {
+        const scope = req.user?.id || 'anonymous';
+        const requestHash = hashRequest(req);
+
+        const existing = await claimKey({
+            scope,
+            key,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            requestHash,
+        });
+
+        if (existing) {
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    message: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+                });
+            }
+
+            if (existing.responseStatus === null) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A request with this Idempotency-Key is still being processed',
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        const where = { scope_key: { scope, key } };
+
+        // Store the handler's response as soon as it is produced - even if the
+        // client has disconnected meanwhile, the key stays claimed until then so
+        // a retry gets 409 and then the replay, never a second run.
+        // Server errors (and errors thrown to the error handler) free the key.
+        let stored = false;
+        const storeResponse = (status, body) => {
+            if (stored) {
+                return;
+            }
+            stored = true;
+
+            const store = status >= 500
+                ? prisma.idempotencyKey.delete({ where })
+                : prisma.idempotencyKey.update({
+                    where,
+                    data: {
+                        responseStatus: status,
+                        responseBody: body,
+                    },
+                });
+
+            store.catch((error) => console.error('Idempotency key store error:', error));
+        };
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            // Store the serialized form (Decimal and Date values become plain JSON)
+            storeResponse(res.statusCode, JSON.parse(JSON.stringify(body ?? {})));
+            return originalJson(body);
+        };
+
+        // Responses sent without res.json
+        res.on('finish', () => storeResponse(res.statusCode, {}));
+
+        next();
+    } catch (error) {
+        console.error('Idempotency error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process request',
+        });
+    }
+};
+
+/**
+ * Delete expired idempotency keys
+ */
+const purgeExpiredIdempotencyKeys = () => prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lte: new Date() } },
+});
+
+module.exports = {
+    idempotent,
+    purgeExpiredIdempotencyKeys,
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+// Receipts customers can upload for bank transfers
+const TRANSFER_PROOF_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+};
+
+const getMaxUploadBytes = () => parseInt(process.env.MAX_UPLOAD_MB || '5', 10) * 1024 * 1024;
+
+/**
+ * Directory uploads of a kind are stored in (created on first use).
+ * Uploads are private: they are only served through authorised endpoints.
+ */
+const getUploadDir = (kind) => {
+    const dir = path.resolve(process.env.UPLOAD_DIR || 'uploads', kind);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+};
+
+const transferProofUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, getUploadDir('transfer-proofs')),
+        // Random names, so uploads cannot be guessed or overwrite each other
+        filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${TRANSFER_PROOF_TYPES[file.mimetype]}`),
+    }),
+    limits: {
+        fileSize: getMaxUploadBytes(),
+        files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+        if (!TRANSFER_PROOF_TYPES[file.mimetype]) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    },
+});
+
+/**
+ * Delete an uploaded file that will not be kept
+ */
+const discardUpload = (file) => {
+    if (file) {
+        fs.unlink(file.path, (err) => {
+            if (err && err.code !== 'ENOENT') {
+                console.error('Failed to delete upload:', err);
+            }
+        });
+    }
+};
+
+/**
+ * Accept a single bank transfer receipt (JPEG, PNG, WebP or PDF) in the
+ * `receipt` multipart field, answering 400 for anything else. The file is
+ * deleted again if the request ends in an error response.
+ */
+const uploadTransferProof = (req, res, next) => {
+    transferProofUpload.single('receipt')(req, res, (err) => {
+        if (!err) {
+            res.on('finish', () => {
+                if (res.statusCode >= 400) {
+                    discardUpload(req.file);
+                }
+            });
+            return next();
+        }
+
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === 'LIMIT_FILE_SIZE'
+                    ? `Receipt must be at most ${process.env.MAX_UPLOAD_MB || 5} MB`
+                    : 'Upload a single JPEG, PNG, WebP or PDF receipt in the "receipt" field',
+            });
+        }
+
+        next(err);
+    });
+};
+
+module.exports = {
+    getUploadDir,
+    uploadTransferProof,
+};
@@ -114,6 +114,15 @@ const productValidation = [
     body('quantity')
         .isInt({ min: 0 })
         .withMessage('Quantity must be a non-negative integer'),
+    body('weight')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Weight must be a non-negative number (kg)'),
+    body('taxClass')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Tax class must be between 1 and 50 characters'),
     body('sku')
         .trim()
         .notEmpty()
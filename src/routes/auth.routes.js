@@ -23,7 +23,10 @@ const router = express.Router();
  * /api/auth/signup:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account with email and password
+ *     description: |
+ *       Create a new user account with email and password. A guest cart (cookie) becomes the user's cart;
+ *       items that did not fit the stock are listed in `data.cartAdjustments`
+ *       (productId, productName, requested, quantity).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -54,7 +57,10 @@ router.post('/signup', signupValidation, validate, signup);
  * /api/auth/login:
  *   post:
  *     summary: Login with email and password
- *     description: Authenticate user and receive JWT token
+ *     description: |
+ *       Authenticate user and receive JWT token. A guest cart (cookie) is merged into the user's cart;
+ *       items that did not fit the stock are listed in `data.cartAdjustments`
+ *       (productId, productName, requested, quantity).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -180,11 +186,14 @@ router.get(
  * /api/auth/google/callback:
  *   get:
  *     summary: Google OAuth callback
- *     description: Callback endpoint for Google OAuth authentication
+ *     description: |
+ *       Callback endpoint for Google OAuth authentication. A guest cart (cookie) is merged into the user's
+ *       cart; items that did not fit the stock are passed to the client in the `cartAdjustments` query
+ *       parameter as a JSON array (productId, productName, requested, quantity).
  *     tags: [Authentication]
  *     responses:
  *       302:
- *         description: Redirect to client with token
+ *         description: Redirect to client with token (and `cartAdjustments` when the cart changed)
  */
 router.get(
     '/google/callback',
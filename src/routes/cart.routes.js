@@ -0,0 +1,181 @@
+const express = require('express');
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+} = require('../controllers/cart.controller');
+const { optionalAuth } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart endpoints (logged-in users and guests)
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get current cart
+ *     description: |
+ *       Returns the logged-in user's cart, or the guest cart identified by the
+ *       `guestCartToken` cookie. Prices and stock are re-validated against
+ *       current product data on every read; each line lists any `issues`
+ *       (UNAVAILABLE, OUT_OF_STOCK, INSUFFICIENT_STOCK, PRICE_CHANGED).
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ */
+router.get('/', optionalAuth, getCart);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add product to cart
+ *     description: Adds to the existing quantity if the product is already in the cart. Guests receive a `guestCartToken` cookie.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 format: uuid
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: Product added to cart
+ *       400:
+ *         description: Validation error or insufficient stock
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+    '/items',
+    optionalAuth,
+    [
+        body('productId')
+            .isUUID()
+            .withMessage('Product ID must be a valid UUID'),
+        body('quantity')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        validate
+    ],
+    addCartItem
+);
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   put:
+ *     summary: Update product quantity in cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *       400:
+ *         description: Validation error or insufficient stock
+ *       404:
+ *         description: Product not in cart
+ */
+router.put(
+    '/items/:productId',
+    optionalAuth,
+    [
+        body('quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        validate
+    ],
+    updateCartItem
+);
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   delete:
+ *     summary: Remove product from cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Product removed from cart
+ *       404:
+ *         description: Product not in cart
+ */
+router.delete('/items/:productId', optionalAuth, removeCartItem);
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Clear cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.delete('/', optionalAuth, clearCart);
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+} = require('../controllers/coupon.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * Validation for coupon fields (all optional when updating)
+ */
+const couponValidation = (optional) => [
+    body('description')
+        .optional({ values: 'null' })
+        .trim(),
+    (optional ? body('type').optional() : body('type'))
+        .isIn(['PERCENTAGE', 'FIXED', 'FREE_SHIPPING'])
+        .withMessage('Coupon type must be PERCENTAGE, FIXED or FREE_SHIPPING'),
+    body('value')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Value must be a non-negative number'),
+    body('maxDiscount')
+        .optional({ values: 'null' })
+        .isFloat({ gt: 0 })
+        .withMessage('Maximum discount must be a positive number'),
+    body('minOrderValue')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Minimum order value must be a non-negative number'),
+    body('usageLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Usage limit must be at least 1')
+        .toInt(),
+    body('usageLimitPerUser')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Per-customer usage limit must be at least 1')
+        .toInt(),
+    body('startsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Start must be a valid date'),
+    body('endsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('End must be a valid date'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+    body('eligibleCollectionIds')
+        .optional()
+        .isArray()
+        .withMessage('Eligible collections must be an array'),
+    body('eligibleCollectionIds.*')
+        .isUUID()
+        .withMessage('Collection ID must be a valid UUID'),
+    body('eligibleCategoryIds')
+        .optional()
+        .isArray()
+        .withMessage('Eligible categories must be an array'),
+    body('eligibleCategoryIds.*')
+        .isUUID()
+        .withMessage('Category ID must be a valid UUID'),
+    body('eligibleBrands')
+        .optional()
+        .isArray()
+        .withMessage('Eligible brands must be an array'),
+];
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: Get coupons (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the coupon code
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/', verifyToken, hasRole('ADMIN'), getCoupons);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get coupon with its latest redemptions (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       404:
+ *         description: Coupon not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/:id', verifyToken, hasRole('ADMIN'), getCouponById);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required:
+ *                   - code
+ *                   - type
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                     description: Stored upper-case, matched case-insensitively
+ *                     example: WELCOME10
+ *               - $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Validation error or code already exists
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('code')
+            .trim()
+            .matches(/^[A-Za-z0-9_-]{3,32}$/)
+            .withMessage('Code must be 3-32 letters, digits, dashes or underscores'),
+        ...couponValidation(false),
+        validate,
+    ],
+    createCoupon
+);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     summary: Update coupon (Admin only)
+ *     description: The code cannot be changed. Orders already placed keep their discount.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Coupon not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.put(
+    '/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...couponValidation(true), validate],
+    updateCoupon
+);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     summary: Delete coupon (Admin only)
+ *     description: Coupons that were already redeemed are deactivated instead of deleted.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Coupon deleted (or deactivated) successfully
+ *       404:
+ *         description: Coupon not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.delete('/:id', verifyToken, hasRole('ADMIN'), deleteCoupon);
+
+module.exports = router;
@@ -2,7 +2,17 @@ const express = require('express');
 const {
     setProductDeal,
     removeProductDeal,
-    getActiveDeals
+    getActiveDeals,
+    streamActiveDeals,
+    getDeals,
+    getProductDealHistory,
+    updateProductDeal,
+    cancelProductDeal,
+    previewBulkDeal,
+    createBulkDeal,
+    getBulkDeals,
+    getBulkDeal,
+    rollbackBulkDeal
 } = require('../controllers/deal.controller');
 const { verifyToken, hasRole } = require('../middleware/auth.middleware');
 const { body } = require('express-validator');
@@ -10,6 +20,96 @@ const { validate } = require('../middleware/validation.middleware');
 
 const router = express.Router();
 
+/**
+ * Validation for deal fields (all optional when updating)
+ */
+const dealValidation = (optional) => [
+    body('name')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Deal name must be at most 100 characters'),
+    (optional ? body('dealStartDate').optional() : body('dealStartDate').notEmpty().withMessage('Deal start date is required'))
+        .isISO8601()
+        .withMessage('Invalid date format'),
+    (optional ? body('dealEndDate').optional() : body('dealEndDate').notEmpty().withMessage('Deal end date is required'))
+        .isISO8601()
+        .withMessage('Invalid date format'),
+    body('dealPrice')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Deal price must be a non-negative number'),
+    body('discountPercent')
+        .optional({ values: 'null' })
+        .isFloat({ gt: 0, lt: 100 })
+        .withMessage('Discount percent must be between 0 and 100'),
+    body('quantityLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Quantity limit must be at least 1')
+        .toInt(),
+    body('perCustomerLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Per-customer limit must be at least 1')
+        .toInt()
+];
+
+/**
+ * Validation for a bulk deal: a product selection and a percentage deal
+ */
+const bulkDealValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Deal name must be between 2 and 100 characters'),
+    body('collectionId')
+        .optional()
+        .isUUID()
+        .withMessage('Collection ID must be a valid UUID'),
+    body('categoryId')
+        .optional()
+        .isUUID()
+        .withMessage('Category ID must be a valid UUID'),
+    body('brand')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Brand cannot be empty'),
+    body('tags')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Tags must be a non-empty array'),
+    body('tags.*')
+        .trim()
+        .notEmpty()
+        .withMessage('Tags cannot be empty'),
+    body('discountPercent')
+        .isFloat({ gt: 0, lt: 100 })
+        .withMessage('Discount percent must be between 0 and 100')
+        .toFloat(),
+    body('dealStartDate')
+        .notEmpty()
+        .withMessage('Deal start date is required')
+        .isISO8601()
+        .withMessage('Invalid date format'),
+    body('dealEndDate')
+        .notEmpty()
+        .withMessage('Deal end date is required')
+        .isISO8601()
+        .withMessage('Invalid date format'),
+    body('quantityLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Quantity limit must be at least 1')
+        .toInt(),
+    body('perCustomerLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Per-customer limit must be at least 1')
+        .toInt()
+];
+
 /**
  * @swagger
  * tags:
@@ -44,17 +144,245 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         description: Comma-separated; products with any of the tags
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Active deals retrieved successfully
  */
 router.get('/active', getActiveDeals);
 
+/**
+ * @swagger
+ * /api/deals/active/stream:
+ *   get:
+ *     summary: Live flash sale feed (server-sent events)
+ *     description: |
+ *       Keeps the connection open and streams deal changes for countdowns and "only N left" badges.
+ *       Each event's `data` is JSON.
+ *
+ *       - `snapshot` on connect: `{ serverTime, deals }` with the running and scheduled deals
+ *       - `deal.scheduled`, `deal.started`, `deal.updated`, `deal.ended`: the deal
+ *         (`id`, `productId`, `productName`, `name`, `status`, `endReason`, `startsAt`, `endsAt`, `price`, `dealPrice`, `remaining`)
+ *       - `deal.stock`: `{ id, productId, remaining }` after an order is placed, cancelled or edited
+ *
+ *       `remaining` is what is left of the deal's quantity limit, capped by the product's stock.
+ *     tags: [Deals]
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/active/stream', streamActiveDeals);
+
+/**
+ * @swagger
+ * /api/deals:
+ *   get:
+ *     summary: Get deals (Admin only)
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [SCHEDULED, ACTIVE, ENDED, CANCELLED]
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deals retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/', verifyToken, hasRole('ADMIN'), getDeals);
+
+/**
+ * @swagger
+ * /api/deals/bulk/preview:
+ *   post:
+ *     summary: Preview a bulk deal (Admin only)
+ *     description: |
+ *       Lists the active products the selection matches with their deal price, and the ones that would
+ *       be skipped because they already have a deal in the period. Nothing is changed.
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkDealInput'
+ *     responses:
+ *       200:
+ *         description: Preview generated successfully
+ *       400:
+ *         description: Validation error, or no selection given
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/bulk/preview',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...bulkDealValidation, validate],
+    previewBulkDeal
+);
+
+/**
+ * @swagger
+ * /api/deals/bulk:
+ *   post:
+ *     summary: Put a collection, category, brand or tag set on deal (Admin only)
+ *     description: |
+ *       Schedules the same percentage deal for every active product the selection matches, as one
+ *       bulk deal that can be rolled back. Products that already have a deal in the period are skipped.
+ *       Combined filters must all match.
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkDealInput'
+ *     responses:
+ *       201:
+ *         description: Bulk deal created successfully
+ *       400:
+ *         description: Validation error, or no product could be put on deal
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/bulk',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...bulkDealValidation, validate],
+    createBulkDeal
+);
+
+/**
+ * @swagger
+ * /api/deals/bulk:
+ *   get:
+ *     summary: Get bulk deals (Admin only)
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [APPLIED, ROLLED_BACK]
+ *     responses:
+ *       200:
+ *         description: Bulk deals retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/bulk', verifyToken, hasRole('ADMIN'), getBulkDeals);
+
+/**
+ * @swagger
+ * /api/deals/bulk/{id}:
+ *   get:
+ *     summary: Get a bulk deal with its product deals (Admin only)
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bulk deal retrieved successfully
+ *       404:
+ *         description: Bulk deal not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/bulk/:id', verifyToken, hasRole('ADMIN'), getBulkDeal);
+
+/**
+ * @swagger
+ * /api/deals/bulk/{id}/rollback:
+ *   post:
+ *     summary: Roll back a bulk deal (Admin only)
+ *     description: Cancels the bulk deal's scheduled and running deals. Deals that already ended stay in the product history.
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bulk deal rolled back
+ *       400:
+ *         description: The bulk deal was already rolled back
+ *       404:
+ *         description: Bulk deal not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post('/bulk/:id/rollback', verifyToken, hasRole('ADMIN'), rollbackBulkDeal);
+
 /**
  * @swagger
  * /api/deals/products/{id}:
  *   post:
- *     summary: Set product on deal (Admin only)
+ *     summary: Schedule a deal for a product (Admin only)
+ *     description: |
+ *       The deal is activated at its start date and ended at its end date by the deal scheduler
+ *       (or as soon as `quantityLimit` units have been sold). A deal whose start has passed starts at once.
+ *       Give either a fixed `dealPrice` or a `discountPercent` off the list price.
  *     tags: [Deals]
  *     security:
  *       - bearerAuth: []
@@ -70,26 +398,21 @@ router.get('/active', getActiveDeals);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - dealStartDate
- *               - dealEndDate
- *             properties:
- *               dealStartDate:
- *                 type: string
- *                 format: date-time
- *                 description: When the deal starts
- *               dealEndDate:
- *                 type: string
- *                 format: date-time
- *                 description: When the deal ends
+ *             allOf:
+ *               - type: object
+ *                 required:
+ *                   - dealStartDate
+ *                   - dealEndDate
+ *               - $ref: '#/components/schemas/DealInput'
  *     responses:
- *       200:
- *         description: Deal set successfully
+ *       201:
+ *         description: Deal scheduled (or started) successfully
  *       400:
  *         description: Validation error
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: The product already has a deal in this period
  *       403:
  *         description: Forbidden - Admin only
  */
@@ -97,27 +420,42 @@ router.post(
     '/products/:id',
     verifyToken,
     hasRole('ADMIN'),
-    [
-        body('dealStartDate')
-            .notEmpty()
-            .withMessage('Deal start date is required')
-            .isISO8601()
-            .withMessage('Invalid date format'),
-        body('dealEndDate')
-            .notEmpty()
-            .withMessage('Deal end date is required')
-            .isISO8601()
-            .withMessage('Invalid date format'),
-        validate
-    ],
+    [...dealValidation(false), validate],
     setProductDeal
 );
 
+/**
+ * @swagger
+ * /api/deals/products/{id}/history:
+ *   get:
+ *     summary: Get a product's deal history (Admin only)
+ *     description: Every deal of the product, newest first, with units sold and how it ended.
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deal history retrieved successfully
+ *       404:
+ *         description: Product not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/products/:id/history', verifyToken, hasRole('ADMIN'), getProductDealHistory);
+
 /**
  * @swagger
  * /api/deals/products/{id}:
  *   delete:
  *     summary: Remove product from deal (Admin only)
+ *     description: Cancels the product's running and scheduled deals.
  *     tags: [Deals]
  *     security:
  *       - bearerAuth: []
@@ -143,4 +481,71 @@ router.delete(
     removeProductDeal
 );
 
+/**
+ * @swagger
+ * /api/deals/{id}:
+ *   put:
+ *     summary: Update a scheduled or running deal (Admin only)
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DealInput'
+ *     responses:
+ *       200:
+ *         description: Deal updated successfully
+ *       400:
+ *         description: Validation error, or the deal has ended
+ *       404:
+ *         description: Deal not found
+ *       409:
+ *         description: The product already has a deal in this period
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.put(
+    '/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...dealValidation(true), validate],
+    updateProductDeal
+);
+
+/**
+ * @swagger
+ * /api/deals/{id}:
+ *   delete:
+ *     summary: Cancel a scheduled or running deal (Admin only)
+ *     tags: [Deals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Deal cancelled
+ *       400:
+ *         description: The deal has already ended
+ *       404:
+ *         description: Deal not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.delete('/:id', verifyToken, hasRole('ADMIN'), cancelProductDeal);
+
 module.exports = router;
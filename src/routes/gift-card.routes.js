@@ -0,0 +1,181 @@
+const express = require('express');
+const {
+    checkGiftCardBalance,
+    createBatch,
+    getBatches,
+    getBatch
+} = require('../controllers/gift-card.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/gift-cards/balance:
+ *   post:
+ *     summary: Check a gift card's balance
+ *     description: |
+ *       Returns what is left on a gift card and when it expires. Gift cards are spent at checkout
+ *       with `giftCardCodes`, across as many orders as their balance covers.
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: GC-7KQ2-M9XD-4TPW
+ *     responses:
+ *       200:
+ *         description: Gift card balance retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Gift card not found
+ */
+router.post(
+    '/balance',
+    verifyToken,
+    [
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Gift card code is required'),
+        validate
+    ],
+    checkGiftCardBalance
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/batches:
+ *   post:
+ *     summary: Generate a batch of gift cards (Admin only)
+ *     description: Creates `quantity` gift cards with random codes, each worth `value`.
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - quantity
+ *               - value
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Eid 2026
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 example: 50
+ *               value:
+ *                 type: number
+ *                 example: 2500
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for cards that never expire
+ *     responses:
+ *       201:
+ *         description: Gift cards created, with their codes
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/batches',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('name')
+            .trim()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Batch name must be between 2 and 100 characters'),
+        body('quantity')
+            .isInt({ min: 1, max: 1000 })
+            .withMessage('Quantity must be between 1 and 1000')
+            .toInt(),
+        body('value')
+            .isFloat({ gt: 0 })
+            .withMessage('Value must be greater than 0')
+            .toFloat(),
+        body('expiresAt')
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('Invalid date format')
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Expiry date must be in the future'),
+        validate
+    ],
+    createBatch
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/batches:
+ *   get:
+ *     summary: Get gift card batches (Admin only)
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Gift card batches retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/batches', verifyToken, hasRole('ADMIN'), getBatches);
+
+/**
+ * @swagger
+ * /api/gift-cards/batches/{id}:
+ *   get:
+ *     summary: Get a gift card batch with its cards and balances (Admin only)
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Gift card batch retrieved successfully
+ *       404:
+ *         description: Gift card batch not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/batches/:id', verifyToken, hasRole('ADMIN'), getBatch);
+
+module.exports = router;
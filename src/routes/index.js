@@ -8,6 +8,15 @@ const reviewRoutes = require('./review.routes');
 const wishlistRoutes = require('./wishlist.routes');
 const orderRoutes = require('./order.routes');
 const dealRoutes = require('./deal.routes');
+const cartRoutes = require('./cart.routes');
+const returnRoutes = require('./return.routes');
+const shippingRoutes = require('./shipping.routes');
+const taxRoutes = require('./tax.routes');
+const couponRoutes = require('./coupon.routes');
+const promotionRoutes = require('./promotion.routes');
+const paymentRoutes = require('./payment.routes');
+const giftCardRoutes = require('./gift-card.routes');
+const subscriptionRoutes = require('./subscription.routes');
 
 const router = express.Router();
 
@@ -56,6 +65,15 @@ router.use('/reviews', reviewRoutes);
 router.use('/wishlist', wishlistRoutes);
 router.use('/orders', orderRoutes);
 router.use('/deals', dealRoutes);
+router.use('/cart', cartRoutes);
+router.use('/returns', returnRoutes);
+router.use('/shipping', shippingRoutes);
+router.use('/taxes', taxRoutes);
+router.use('/coupons', couponRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/gift-cards', giftCardRoutes);
+router.use('/subscriptions', subscriptionRoutes);
 
 /**
  * 404 handler for API routes
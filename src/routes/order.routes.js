@@ -1,13 +1,26 @@
 const express = require('express');
 const {
     createOrder,
+    checkout,
+    validateCoupon,
     getUserOrders,
     getOrderById,
     cancelOrder,
+    sendOrderConfirmationCode,
+    confirmOrder,
     updateOrderStatus,
+    getOrderStatusTimeline,
+    cancelOrderItem,
+    updateOrder,
+    getOrderEditHistory,
+    refundOrder,
+    getOrderRefundHistory,
     getAllOrders
 } = require('../controllers/order.controller');
 const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
 
 const router = express.Router();
 
@@ -26,6 +39,13 @@ const router = express.Router();
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
  *     requestBody:
  *       required: true
  *       content:
@@ -71,6 +91,110 @@ const router = express.Router();
  *                     type: string
  *                   region:
  *                     type: string
+ *                   city:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   address2:
+ *                     type: string
+ *                   deliveryDate:
+ *                     type: string
+ *                     format: date
+ *                   convenientTime:
+ *                     type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [CARD, CASH_ON_DELIVERY, BANK_TRANSFER, WALLET, GIFT_CARD]
+ *                 description: WALLET pays whatever points and gift cards do not from the wallet; GIFT_CARD requires them to cover the whole order
+ *               walletAmount:
+ *                 type: number
+ *                 description: Part of the total to pay from the wallet; the rest is paid with `paymentMethod`
+ *               giftCardCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Gift cards to pay with, spent in turn before the wallet and `paymentMethod`
+ *               pointsToRedeem:
+ *                 type: integer
+ *                 description: Loyalty points to spend, before gift cards; they can pay up to a configured share of the order
+ *               deliveryNote:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount code, checked and redeemed with the order
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *       400:
+ *         description: Validation error, insufficient stock or wallet balance, or coupon not applicable
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Stock ran out or the coupon's usage limit was reached while placing the order, or a request with the same Idempotency-Key is in progress
+ *       422:
+ *         description: Idempotency-Key was already used for a different request
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', verifyToken, idempotent(), createOrder);
+
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Checkout from the stored cart
+ *     description: |
+ *       Builds the order from the authenticated user's cart instead of a client-supplied item list.
+ *       If any product's price or availability changed since it was added to the cart, no order is
+ *       created and a 409 is returned with the list of changes and a `changesToken`. Repeat the
+ *       request with `confirmChanges` set to that token to accept them and order at the current
+ *       prices and stock. If the cart changed again meanwhile, a new 409 lists the current changes.
+ *       The cart is emptied in the same transaction that creates the order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contactInfo
+ *               - deliveryMethod
+ *               - paymentMethod
+ *             properties:
+ *               contactInfo:
+ *                 type: object
+ *                 properties:
+ *                   firstName:
+ *                     type: string
+ *                   lastName:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *               deliveryMethod:
+ *                 type: string
+ *                 enum: [STORE_PICKUP, DELIVERY]
+ *               shippingInfo:
+ *                 type: object
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                   region:
+ *                     type: string
+ *                   city:
+ *                     type: string
  *                   address:
  *                     type: string
  *                   address2:
@@ -82,18 +206,110 @@ const router = express.Router();
  *                     type: string
  *               paymentMethod:
  *                 type: string
- *                 enum: [CARD, CASH_ON_DELIVERY, BANK_TRANSFER]
+ *                 enum: [CARD, CASH_ON_DELIVERY, BANK_TRANSFER, WALLET, GIFT_CARD]
+ *                 description: WALLET pays whatever points and gift cards do not from the wallet; GIFT_CARD requires them to cover the whole order
+ *               walletAmount:
+ *                 type: number
+ *                 description: Part of the total to pay from the wallet; the rest is paid with `paymentMethod`
+ *               giftCardCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Gift cards to pay with, spent in turn before the wallet and `paymentMethod`
+ *               pointsToRedeem:
+ *                 type: integer
+ *                 description: Loyalty points to spend, before gift cards; they can pay up to a configured share of the order
  *               deliveryNote:
  *                 type: string
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount code, checked and redeemed with the order
+ *               confirmChanges:
+ *                 type: string
+ *                 description: The `changesToken` of a previous 409 response, accepting the changes it listed
  *     responses:
  *       201:
  *         description: Order created successfully
  *       400:
- *         description: Validation error or insufficient stock
+ *         description: Empty cart, validation error, or insufficient stock or wallet balance
+ *       409:
+ *         description: |
+ *           Cart changed since items were added and the changes were not confirmed (or changed again
+ *           since `confirmChanges` was issued). `data.changes` lists each change: PRICE_CHANGED
+ *           (oldPrice, newPrice), QUANTITY_REDUCED (requested, available) or UNAVAILABLE.
+ *           `data.changesToken` confirms them.
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/checkout', verifyToken, idempotent(), checkout);
+
+/**
+ * @swagger
+ * /api/orders/validate-coupon:
+ *   post:
+ *     summary: Preview a coupon
+ *     description: |
+ *       Checks a coupon against the given items (or the user's cart when `items` is omitted)
+ *       and returns the discount it would give. The coupon is not redeemed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: WELCOME10
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       200:
+ *         description: Coupon applies - returns the discount and whether shipping is free
+ *       400:
+ *         description: Validation error, or the coupon is expired, used up or not applicable to these items
+ *       404:
+ *         description: Coupon not found
  *       401:
  *         description: Unauthorized
  */
-router.post('/', verifyToken, createOrder);
+router.post(
+    '/validate-coupon',
+    verifyToken,
+    [
+        body('code')
+            .trim()
+            .notEmpty()
+            .withMessage('Coupon code is required'),
+        body('items')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Items must be a non-empty array'),
+        body('items.*.productId')
+            .isUUID()
+            .withMessage('Product ID must be a valid UUID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        validate
+    ],
+    validateCoupon
+);
 
 /**
  * @swagger
@@ -152,11 +368,46 @@ router.get('/', verifyToken, getUserOrders);
  */
 router.get('/:id', verifyToken, getOrderById);
 
+/**
+ * @swagger
+ * /api/orders/{id}/timeline:
+ *   get:
+ *     summary: Get order status timeline
+ *     description: |
+ *       Every status change of the order, oldest first, with the actor role (CUSTOMER, ADMIN or SYSTEM)
+ *       and any note (e.g. the cancellation reason). Admins also see which user made each change.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Timeline retrieved successfully
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Not authorized to view this order
+ */
+router.get('/:id/timeline', verifyToken, getOrderStatusTimeline);
+
 /**
  * @swagger
  * /api/orders/{id}/cancel:
  *   put:
  *     summary: Cancel order
+ *     description: |
+ *       Cancelling a paid order refunds it: card payments go back through the payment gateway and
+ *       wallet credit, gift cards and points are given back. A card payment stays PAID until the
+ *       gateway refunds it; a declined refund is noted on the order's timeline for an admin to
+ *       refund another way. Customers cannot cancel bank transfer
+ *       orders once they are paid. Cash on delivery is only paid on delivery, so confirmed orders
+ *       can be cancelled until they ship and have nothing to refund.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -167,6 +418,12 @@ router.get('/:id', verifyToken, getOrderById);
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
  *     requestBody:
  *       content:
  *         application/json:
@@ -179,19 +436,499 @@ router.get('/:id', verifyToken, getOrderById);
  *       200:
  *         description: Order cancelled successfully
  *       400:
- *         description: Cannot cancel order with current status
+ *         description: Cannot cancel order with current status, or a customer cancelling an order paid by hand
  *       404:
  *         description: Order not found
  *       403:
  *         description: Not authorized to cancel this order
  */
-router.put('/:id/cancel', verifyToken, cancelOrder);
+router.put('/:id/cancel', verifyToken, idempotent(), cancelOrder);
+
+/**
+ * @swagger
+ * /api/orders/{id}/confirmation-code:
+ *   post:
+ *     summary: Send a one-time code to confirm a cash on delivery order
+ *     description: |
+ *       A code is sent by SMS when the order is placed (by email while no SMS provider is set up);
+ *       this sends a new one (by SMS or email) and invalidates the previous code. Codes expire after ORDER_CONFIRMATION_CODE_MINUTES and a new
+ *       one can be requested once a minute.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [SMS, EMAIL]
+ *                 description: Defaults to SMS, or EMAIL while no SMS provider is set up
+ *     responses:
+ *       200:
+ *         description: Code sent (the destination is masked)
+ *       400:
+ *         description: The order does not need to be confirmed, is already confirmed, or SMS is not available
+ *       403:
+ *         description: Not authorized to confirm this order
+ *       404:
+ *         description: Order not found
+ *       429:
+ *         description: A code was sent less than a minute ago
+ *       502:
+ *         description: The code could not be delivered
+ */
+router.post(
+    '/:id/confirmation-code',
+    verifyToken,
+    [
+        body('channel')
+            .optional()
+            .isIn(['SMS', 'EMAIL'])
+            .withMessage('Channel must be SMS or EMAIL'),
+        validate
+    ],
+    sendOrderConfirmationCode
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/confirm:
+ *   post:
+ *     summary: Confirm a cash on delivery order with its one-time code
+ *     description: |
+ *       Cash on delivery orders are not prepared until confirmed. Unconfirmed orders are cancelled
+ *       after COD_CONFIRMATION_HOURS. Each code allows 5 attempts.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '482913'
+ *     responses:
+ *       200:
+ *         description: Order confirmed successfully
+ *       400:
+ *         description: Incorrect or expired code, or the order does not need to be confirmed
+ *       403:
+ *         description: Not authorized to confirm this order
+ *       404:
+ *         description: Order not found
+ *       429:
+ *         description: Too many incorrect attempts - request a new code
+ */
+router.post(
+    '/:id/confirm',
+    verifyToken,
+    [
+        body('code')
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits'),
+        validate
+    ],
+    confirmOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/items/{itemId}/cancel:
+ *   put:
+ *     summary: Cancel an order line
+ *     description: |
+ *       Cancels a line (or part of its quantity), returns the stock and recomputes the order totals.
+ *       Customers can do this while the order is PENDING, admins while it is PENDING or PROCESSING.
+ *       Points, gift cards and wallet credit beyond the new total are given back.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Quantity to cancel (defaults to the whole line)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order item cancelled successfully
+ *       400:
+ *         description: Order can no longer be changed, or this is its last item
+ *       403:
+ *         description: Not authorized to change this order
+ *       404:
+ *         description: Order or item not found
+ */
+router.put(
+    '/:id/items/:itemId/cancel',
+    verifyToken,
+    idempotent(),
+    [
+        body('quantity')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        validate
+    ],
+    cancelOrderItem
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   patch:
+ *     summary: Edit an order (Admin only)
+ *     description: |
+ *       Change items, delivery method or shipping address while the order is PENDING or PROCESSING.
+ *       Totals are recomputed, inventory is adjusted by the difference and the edit is recorded in the audit trail.
+ *       On orders paid with points, gift cards or wallet credit a lower total gives the difference back to them,
+ *       and on WALLET and GIFT_CARD orders a higher one is charged to the same wallet or gift cards. The total of
+ *       an order paid by card or bank transfer (or with a card payment in progress) cannot change.
+ *       Existing lines are referenced by `orderItemId` (quantity 0 removes the line), new products by `productId`.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     productId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *               deliveryMethod:
+ *                 type: string
+ *                 enum: [STORE_PICKUP, DELIVERY]
+ *               shippingInfo:
+ *                 type: object
+ *                 description: Fields to change; the rest of the address is kept
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                   region:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   address2:
+ *                     type: string
+ *                   deliveryDate:
+ *                     type: string
+ *                     format: date
+ *                   convenientTime:
+ *                     type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order updated successfully
+ *       400:
+ *         description: Order can no longer be changed, the changes are invalid, or the new total cannot be paid
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order was changed meanwhile, insufficient stock for added quantities, or a card payment is in progress
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.patch(
+    '/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    idempotent(),
+    [
+        body('items')
+            .optional()
+            .isArray()
+            .withMessage('Items must be an array'),
+        body('items.*.orderItemId')
+            .optional()
+            .isUUID()
+            .withMessage('Order item ID must be a valid UUID'),
+        body('items.*.productId')
+            .optional()
+            .isUUID()
+            .withMessage('Product ID must be a valid UUID'),
+        body('items.*.quantity')
+            .isInt({ min: 0 })
+            .withMessage('Quantity must be a non-negative integer')
+            .toInt(),
+        body('deliveryMethod')
+            .optional()
+            .isIn(['STORE_PICKUP', 'DELIVERY'])
+            .withMessage('Delivery method must be STORE_PICKUP or DELIVERY'),
+        body('shippingInfo')
+            .optional()
+            .isObject()
+            .withMessage('Shipping info must be an object'),
+        validate
+    ],
+    updateOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/edits:
+ *   get:
+ *     summary: Get order edit history (Admin only)
+ *     description: Every change made to the order after it was placed, with before/after values
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Edit history retrieved successfully
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/:id/edits', verifyToken, hasRole('ADMIN'), getOrderEditHistory);
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   post:
+ *     summary: Refund an order, fully or partially (Admin only)
+ *     description: |
+ *       Refunds the given items (at the price paid) and/or an amount. Without items or an amount,
+ *       everything left to refund is refunded. Refunds and refunded returns together can never
+ *       exceed what was paid. CARD refunds are paid back through the payment gateway and WALLET
+ *       refunds as store credit; the other methods record money paid out by hand. Once nothing is
+ *       left to refund, the payment (and a PAID or DELIVERED order) moves to REFUNDED. The customer
+ *       is emailed a receipt.
+ *
+ *       A CARD refund is stored as PENDING before the gateway is asked to pay it. If the gateway
+ *       cannot be reached it stays PENDING (502) and is sent again in the background.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the value of `items`, or everything left to refund
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *                 example: Item arrived damaged
+ *               method:
+ *                 type: string
+ *                 enum: [CARD, BANK_TRANSFER, CASH, WALLET]
+ *                 description: Defaults to how the order was paid (cash on delivery is refunded in CASH). WALLET pays the refund as store credit.
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Return the refunded items to stock
+ *     responses:
+ *       201:
+ *         description: Refund issued successfully
+ *       400:
+ *         description: The order is not paid, the items cannot be refunded, the amount is too high or the gateway declined the refund
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order was changed by another request meanwhile
+ *       403:
+ *         description: Forbidden - Admin only
+ *       502:
+ *         description: The payment gateway could not be reached - the refund is pending and will be retried
+ */
+router.post(
+    '/:id/refunds',
+    verifyToken,
+    hasRole('ADMIN'),
+    idempotent(),
+    [
+        body('amount')
+            .optional()
+            .isFloat({ gt: 0 })
+            .withMessage('Amount must be greater than 0')
+            .toFloat(),
+        body('items')
+            .optional()
+            .isArray()
+            .withMessage('Items must be an array'),
+        body('items.*.orderItemId')
+            .isUUID()
+            .withMessage('Order item ID must be a valid UUID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        body('reason')
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('Reason must be between 3 and 500 characters'),
+        body('method')
+            .optional()
+            .isIn(['CARD', 'BANK_TRANSFER', 'CASH', 'WALLET'])
+            .withMessage('Method must be CARD, BANK_TRANSFER, CASH or WALLET'),
+        body('restock')
+            .optional()
+            .isBoolean()
+            .withMessage('Restock must be true or false')
+            .toBoolean(),
+        validate
+    ],
+    refundOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/refunds:
+ *   get:
+ *     summary: Get order refunds (Admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully (oldest first)
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/:id/refunds', verifyToken, hasRole('ADMIN'), getOrderRefundHistory);
 
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status (Admin only)
+ *     description: |
+ *       Moves the order and/or its payment through the order state machine.
+ *       Marking an order SHIPPED requires a tracking number. The payment of a cash on delivery
+ *       order is marked PAID when the order is DELIVERED, not when it is confirmed (PAID).
+ *       Orders cannot be set to REFUNDED here - refund them with `POST /api/orders/{id}/refunds`,
+ *       which moves them to REFUNDED once nothing is left to refund.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -202,6 +939,12 @@ router.put('/:id/cancel', verifyToken, cancelOrder);
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
  *     requestBody:
  *       required: true
  *       content:
@@ -211,18 +954,30 @@ router.put('/:id/cancel', verifyToken, cancelOrder);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [PENDING, PAID, PROCESSING, SHIPPED, DELIVERED, CANCELLED, REFUNDED]
+ *                 enum: [PENDING, PAID, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *               paymentStatus:
+ *                 type: string
+ *                 enum: [PENDING, PAID, FAILED]
+ *               trackingNumber:
+ *                 type: string
+ *               shippingCarrier:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 description: Reason or comment, stored in the order timeline and included in the status email
  *     responses:
  *       200:
  *         description: Order status updated successfully
  *       400:
- *         description: Invalid status transition
+ *         description: Invalid status transition, a transition guard failed, or REFUNDED was requested
+ *       409:
+ *         description: Order was changed by another request meanwhile
  *       404:
  *         description: Order not found
  *       403:
  *         description: Forbidden - Admin only
  */
-router.put('/:id/status', verifyToken, hasRole('ADMIN'), updateOrderStatus);
+router.put('/:id/status', verifyToken, hasRole('ADMIN'), idempotent(), updateOrderStatus);
 
 /**
  * @swagger
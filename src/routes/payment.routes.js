@@ -0,0 +1,342 @@
+const express = require('express');
+const {
+    startPayment,
+    getOrderPayments,
+    receivePaymentWebhook,
+    createTransferProof,
+    getOrderTransferProofs,
+    downloadTransferProof,
+    getTransferQueue,
+    approveTransfer,
+    rejectTransfer
+} = require('../controllers/payment.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+const { uploadTransferProof } = require('../middleware/upload.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   post:
+ *     summary: Start a card payment for an order
+ *     description: |
+ *       Creates a payment intent with the configured gateway and returns its `clientSecret` for the
+ *       storefront to confirm. The order moves to PAID when the gateway's webhook reports success.
+ *       An open payment is returned instead of creating another one.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scenario:
+ *                 type: string
+ *                 enum: [success, failure, delayed]
+ *                 description: Mock gateway only - the outcome its webhook reports
+ *     responses:
+ *       201:
+ *         description: Payment started
+ *       400:
+ *         description: The order is not paid by card or cannot take payment
+ *       403:
+ *         description: Not authorized to pay for this order
+ *       404:
+ *         description: Order not found
+ */
+router.post(
+    '/orders/:orderId',
+    verifyToken,
+    [
+        body('scenario')
+            .optional()
+            .isIn(['success', 'failure', 'delayed'])
+            .withMessage('Scenario must be success, failure or delayed'),
+        validate
+    ],
+    startPayment
+);
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}:
+ *   get:
+ *     summary: Get an order's payments
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully (oldest first)
+ *       403:
+ *         description: Not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:orderId', verifyToken, getOrderPayments);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: |
+ *       Called by the payment gateway; the body is verified with the gateway's signature header.
+ *       A successful payment moves its order from PENDING to PAID, a declined one marks the payment FAILED.
+ *       Redelivered events are acknowledged without being applied again.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     responses:
+ *       200:
+ *         description: Event processed (or already processed / ignored)
+ *       400:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Unknown payment provider
+ */
+router.post('/webhook/:provider', receivePaymentWebhook);
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/transfer-proofs:
+ *   post:
+ *     summary: Submit a bank transfer receipt
+ *     description: |
+ *       Uploads the receipt (JPEG, PNG, WebP or PDF, up to MAX_UPLOAD_MB) and transaction reference for a
+ *       bank transfer order. An admin verifies it; a rejected receipt can be followed by a new one.
+ *       Orders still unpaid after BANK_TRANSFER_PAYMENT_DAYS are cancelled.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - receipt
+ *               - transactionReference
+ *             properties:
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *               transactionReference:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Receipt submitted for review
+ *       400:
+ *         description: Validation error, or the order is not awaiting a bank transfer
+ *       403:
+ *         description: Not authorized to pay for this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: A receipt for this order is already waiting for review
+ */
+router.post(
+    '/orders/:orderId/transfer-proofs',
+    verifyToken,
+    uploadTransferProof,
+    [
+        body('transactionReference')
+            .trim()
+            .isLength({ min: 3, max: 100 })
+            .withMessage('Transaction reference must be between 3 and 100 characters'),
+        validate
+    ],
+    createTransferProof
+);
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/transfer-proofs:
+ *   get:
+ *     summary: Get an order's bank transfer receipts
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Receipts retrieved successfully, with the payment deadline
+ *       403:
+ *         description: Not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:orderId/transfer-proofs', verifyToken, getOrderTransferProofs);
+
+/**
+ * @swagger
+ * /api/payments/transfer-proofs/pending:
+ *   get:
+ *     summary: Get bank transfers awaiting verification (Admin only)
+ *     description: Receipts waiting for review with their order, oldest first.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transfers retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/transfer-proofs/pending', verifyToken, hasRole('ADMIN'), getTransferQueue);
+
+/**
+ * @swagger
+ * /api/payments/transfer-proofs/{id}/file:
+ *   get:
+ *     summary: Download a bank transfer receipt
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The receipt file
+ *       403:
+ *         description: Not authorized to view this receipt
+ *       404:
+ *         description: Receipt not found
+ */
+router.get('/transfer-proofs/:id/file', verifyToken, downloadTransferProof);
+
+/**
+ * @swagger
+ * /api/payments/transfer-proofs/{id}/approve:
+ *   post:
+ *     summary: Approve a bank transfer (Admin only)
+ *     description: Marks the payment PAID, which moves a pending order to PAID.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bank transfer approved
+ *       400:
+ *         description: The receipt was already reviewed, or the order can no longer be paid
+ *       404:
+ *         description: Transfer proof not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post('/transfer-proofs/:id/approve', verifyToken, hasRole('ADMIN'), approveTransfer);
+
+/**
+ * @swagger
+ * /api/payments/transfer-proofs/{id}/reject:
+ *   post:
+ *     summary: Reject a bank transfer receipt (Admin only)
+ *     description: Marks the payment FAILED. The customer can submit another receipt until the order is cancelled.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Amount does not match the order total
+ *     responses:
+ *       200:
+ *         description: Bank transfer rejected
+ *       400:
+ *         description: Validation error, or the receipt was already reviewed
+ *       404:
+ *         description: Transfer proof not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/transfer-proofs/:id/reject',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('reason')
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('Reason must be between 3 and 500 characters'),
+        validate
+    ],
+    rejectTransfer
+);
+
+module.exports = router;
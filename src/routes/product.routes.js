@@ -125,6 +125,14 @@ router.get('/:id', getProductById);
  *               quantity:
  *                 type: integer
  *                 example: 100
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in kg
+ *                 example: 0.25
+ *               taxClass:
+ *                 type: string
+ *                 description: Matched against tax rates (defaults to STANDARD)
+ *                 example: SUPPLEMENT
  *               sku:
  *                 type: string
  *                 example: "VIT-C-1000"
@@ -196,6 +204,11 @@ router.post(
  *                 type: number
  *               quantity:
  *                 type: integer
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight in kg
+ *               taxClass:
+ *                 type: string
  *               sku:
  *                 type: string
  *               tags:
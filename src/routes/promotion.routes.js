@@ -0,0 +1,239 @@
+const express = require('express');
+const {
+    getActivePromotions,
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+} = require('../controllers/promotion.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * Validation for promotion fields (all optional when updating)
+ */
+const promotionValidation = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Promotion name must be between 2 and 100 characters'),
+    body('description')
+        .optional({ values: 'null' })
+        .trim(),
+    (optional ? body('type').optional() : body('type'))
+        .isIn(['BUY_X_GET_Y', 'BUNDLE', 'SPEND_THRESHOLD'])
+        .withMessage('Promotion type must be BUY_X_GET_Y, BUNDLE or SPEND_THRESHOLD'),
+    body('priority')
+        .optional()
+        .isInt()
+        .withMessage('Priority must be an integer')
+        .toInt(),
+    body('exclusive')
+        .optional()
+        .isBoolean()
+        .withMessage('exclusive must be a boolean'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+    body('startsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Start must be a valid date'),
+    body('endsAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('End must be a valid date'),
+    body('buyQuantity')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Buy quantity must be at least 1')
+        .toInt(),
+    body('getQuantity')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Get quantity must be at least 1')
+        .toInt(),
+    body('discountPercent')
+        .optional({ values: 'null' })
+        .isFloat({ gt: 0, max: 100 })
+        .withMessage('Discount percent must be between 0 and 100'),
+    body('bundlePrice')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Bundle price must be a non-negative number'),
+    body('tiers')
+        .optional({ values: 'null' })
+        .isArray()
+        .withMessage('Tiers must be an array'),
+    body('tiers.*.minSubtotal')
+        .isFloat({ min: 0 })
+        .withMessage('Tier minSubtotal must be a non-negative number')
+        .toFloat(),
+    body('tiers.*.percentage')
+        .isFloat({ gt: 0, max: 100 })
+        .withMessage('Tier percentage must be between 0 and 100')
+        .toFloat(),
+    body('productIds')
+        .optional()
+        .isArray()
+        .withMessage('Products must be an array'),
+    body('productIds.*')
+        .isUUID()
+        .withMessage('Product ID must be a valid UUID'),
+    body('collectionIds')
+        .optional()
+        .isArray()
+        .withMessage('Collections must be an array'),
+    body('collectionIds.*')
+        .isUUID()
+        .withMessage('Collection ID must be a valid UUID'),
+    body('categoryIds')
+        .optional()
+        .isArray()
+        .withMessage('Categories must be an array'),
+    body('categoryIds.*')
+        .isUUID()
+        .withMessage('Category ID must be a valid UUID'),
+    body('brands')
+        .optional()
+        .isArray()
+        .withMessage('Brands must be an array'),
+];
+
+/**
+ * @swagger
+ * /api/promotions/active:
+ *   get:
+ *     summary: Get running promotions
+ *     description: Promotions are applied automatically at checkout; this lists the ones running now.
+ *     tags: [Promotions]
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ */
+router.get('/active', getActivePromotions);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get promotions (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [BUY_X_GET_Y, BUNDLE, SPEND_THRESHOLD]
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully (highest priority first)
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/', verifyToken, hasRole('ADMIN'), getPromotions);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...promotionValidation(false), validate],
+    createPromotion
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Promotion not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.put(
+    '/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...promotionValidation(true), validate],
+    updatePromotion
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   delete:
+ *     summary: Delete promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *       404:
+ *         description: Promotion not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.delete('/:id', verifyToken, hasRole('ADMIN'), deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,412 @@
+const express = require('express');
+const {
+    createReturn,
+    getUserReturns,
+    getReturnById,
+    getAllReturns,
+    approveReturn,
+    rejectReturn,
+    markReturnReceived,
+    issueReturnRefund
+} = require('../controllers/return.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Request a return
+ *     description: Request a return for some items (and quantities) of a delivered order, within RETURN_WINDOW_DAYS of delivery
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 format: uuid
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *     responses:
+ *       201:
+ *         description: Return requested successfully
+ *       400:
+ *         description: Order not delivered, return window passed or items not returnable
+ *       403:
+ *         description: Not authorized to return items from this order
+ *       404:
+ *         description: Order not found
+ */
+router.post(
+    '/',
+    verifyToken,
+    idempotent(),
+    [
+        body('orderId')
+            .isUUID()
+            .withMessage('Order ID must be a valid UUID'),
+        body('items')
+            .isArray({ min: 1 })
+            .withMessage('At least one item is required'),
+        body('items.*.orderItemId')
+            .isUUID()
+            .withMessage('Order item ID must be a valid UUID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        body('reason')
+            .trim()
+            .isLength({ min: 3, max: 1000 })
+            .withMessage('Reason must be between 3 and 1000 characters'),
+        body('photos')
+            .optional()
+            .isArray({ max: 5 })
+            .withMessage('Up to 5 photos can be attached'),
+        body('photos.*')
+            .isURL()
+            .withMessage('Photos must be valid URLs'),
+        validate
+    ],
+    createReturn
+);
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: Get current user's returns
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ */
+router.get('/', verifyToken, getUserReturns);
+
+/**
+ * @swagger
+ * /api/returns/admin/all:
+ *   get:
+ *     summary: Get all returns (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, RECEIVED, REFUNDED]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/admin/all', verifyToken, hasRole('ADMIN'), getAllReturns);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get return by ID
+ *     description: Includes `returnValue`, the amount refunded by default
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Return retrieved successfully
+ *       404:
+ *         description: Return not found
+ *       403:
+ *         description: Not authorized to view this return
+ */
+router.get('/:id', verifyToken, getReturnById);
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   put:
+ *     summary: Approve a return request (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Instructions for the customer, included in the email
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       400:
+ *         description: Return is not awaiting review
+ *       404:
+ *         description: Return not found
+ */
+router.put('/:id/approve', verifyToken, hasRole('ADMIN'), approveReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   put:
+ *     summary: Reject a return request (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Why the return was rejected, included in the email
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: Return is not awaiting review
+ *       404:
+ *         description: Return not found
+ */
+router.put(
+    '/:id/reject',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('note')
+            .trim()
+            .notEmpty()
+            .withMessage('A reason for the rejection is required'),
+        validate
+    ],
+    rejectReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   put:
+ *     summary: Mark returned items as received (Admin only)
+ *     description: |
+ *       Each returned item is either put back in stock (RESTOCK) or written off (WRITE_OFF).
+ *       `disposition` applies to every item not listed in `items`.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               disposition:
+ *                 type: string
+ *                 enum: [RESTOCK, WRITE_OFF]
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     returnItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     disposition:
+ *                       type: string
+ *                       enum: [RESTOCK, WRITE_OFF]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return marked as received
+ *       400:
+ *         description: Return is not approved or an item has no disposition
+ *       404:
+ *         description: Return not found
+ */
+router.put(
+    '/:id/receive',
+    verifyToken,
+    hasRole('ADMIN'),
+    idempotent(),
+    [
+        body('disposition')
+            .optional()
+            .isIn(['RESTOCK', 'WRITE_OFF'])
+            .withMessage('Disposition must be RESTOCK or WRITE_OFF'),
+        body('items')
+            .optional()
+            .isArray()
+            .withMessage('Items must be an array'),
+        body('items.*.returnItemId')
+            .isUUID()
+            .withMessage('Return item ID must be a valid UUID'),
+        body('items.*.disposition')
+            .isIn(['RESTOCK', 'WRITE_OFF'])
+            .withMessage('Disposition must be RESTOCK or WRITE_OFF'),
+        validate
+    ],
+    markReturnReceived
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/refund:
+ *   post:
+ *     summary: Refund a received return (Admin only)
+ *     description: |
+ *       Refunds the full value of the returned items unless a smaller `amount` is given. The refund
+ *       is issued like `POST /api/orders/{id}/refunds` for the returned items: it is paid back the way
+ *       the order was paid and the customer is emailed a receipt. When every item of the order has
+ *       been refunded the order moves to REFUNDED.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Partial refund amount (defaults to the value of the returned items)
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return refunded
+ *       400:
+ *         description: Return not received, invalid amount, order not paid or the gateway declined the refund
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: A refund for this return is already pending
+ *       502:
+ *         description: The payment gateway could not be reached - the refund is pending and will be retried
+ */
+router.post(
+    '/:id/refund',
+    verifyToken,
+    hasRole('ADMIN'),
+    idempotent(),
+    [
+        body('amount')
+            .optional()
+            .isFloat({ gt: 0 })
+            .withMessage('Amount must be a positive number'),
+        validate
+    ],
+    issueReturnRefund
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
     deleteReview,
 } = require('../controllers/review.controller');
 const { verifyToken } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const {
     reviewValidation,
     validate,
@@ -57,6 +58,12 @@ router.get('/product/:productId', getProductReviews);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Unique key per logical request. Retries with the same key replay the original response.
  *     requestBody:
  *       required: true
  *       content:
@@ -81,6 +88,7 @@ router.get('/product/:productId', getProductReviews);
 router.post(
     '/product/:productId',
     verifyToken,
+    idempotent(),
     reviewValidation,
     validate,
     createReview
@@ -0,0 +1,420 @@
+const express = require('express');
+const {
+    getShippingQuote,
+    getShippingZones,
+    createShippingZone,
+    updateShippingZone,
+    deleteShippingZone,
+    createShippingRate,
+    updateShippingRate,
+    deleteShippingRate,
+} = require('../controllers/shipping.controller');
+const { verifyToken, hasRole, optionalAuth } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * Validation for zone fields (all optional when updating)
+ */
+const zoneValidation = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Zone name must be between 2 and 100 characters'),
+    (optional ? body('country').optional() : body('country'))
+        .trim()
+        .notEmpty()
+        .withMessage('Country is required (use * for any country)'),
+    body('regions')
+        .optional()
+        .isArray()
+        .withMessage('Regions must be an array'),
+    body('cities')
+        .optional()
+        .isArray()
+        .withMessage('Cities must be an array'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+];
+
+/**
+ * Validation for rate fields (all optional when updating)
+ */
+const rateValidation = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Rate name must be between 2 and 100 characters'),
+    (optional ? body('deliveryMethod').optional() : body('deliveryMethod'))
+        .isIn(['STORE_PICKUP', 'DELIVERY'])
+        .withMessage('Delivery method must be STORE_PICKUP or DELIVERY'),
+    (optional ? body('type').optional() : body('type'))
+        .isIn(['FLAT', 'WEIGHT', 'ORDER_VALUE'])
+        .withMessage('Rate type must be FLAT, WEIGHT or ORDER_VALUE'),
+    body('amount')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Amount must be a non-negative number'),
+    body('tiers')
+        .optional({ values: 'null' })
+        .isArray()
+        .withMessage('Tiers must be an array'),
+    body('tiers.*.upTo')
+        .optional({ values: 'null' })
+        .isFloat({ gt: 0 })
+        .withMessage('Tier upTo must be a positive number, or null for no limit')
+        .toFloat(),
+    body('tiers.*.amount')
+        .isFloat({ min: 0 })
+        .withMessage('Tier amount must be a non-negative number')
+        .toFloat(),
+    body('freeAbove')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Free shipping threshold must be a non-negative number'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+];
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   post:
+ *     summary: Quote shipping
+ *     description: |
+ *       Fee and availability of each delivery method for a basket and address, with the tax and total
+ *       checkout would charge. The basket is priced like checkout: promotions and the coupon are taken
+ *       off before free shipping thresholds are checked.
+ *       The address is matched against the most specific shipping zone (city, then region, then country).
+ *       Signed-in customers whose loyalty tier includes free shipping are quoted no fee.
+ *     tags: [Shipping]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *               shippingInfo:
+ *                 type: object
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                   region:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *               deliveryMethod:
+ *                 type: string
+ *                 enum: [STORE_PICKUP, DELIVERY]
+ *                 description: Only quote this method
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount code to quote with (signed-in customers only)
+ *     responses:
+ *       200:
+ *         description: Shipping quote
+ *       400:
+ *         description: Validation error, unknown products, not enough stock or a coupon that cannot be used
+ *       401:
+ *         description: A coupon code was given without signing in
+ *       404:
+ *         description: Coupon not found
+ */
+router.post(
+    '/quote',
+    optionalAuth,
+    [
+        body('items')
+            .isArray({ min: 1 })
+            .withMessage('At least one item is required'),
+        body('items.*.productId')
+            .isUUID()
+            .withMessage('Product ID must be a valid UUID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        body('shippingInfo')
+            .optional()
+            .isObject()
+            .withMessage('Shipping info must be an object'),
+        body('deliveryMethod')
+            .optional()
+            .isIn(['STORE_PICKUP', 'DELIVERY'])
+            .withMessage('Delivery method must be STORE_PICKUP or DELIVERY'),
+        body('couponCode')
+            .optional()
+            .isString()
+            .withMessage('Coupon code must be a string'),
+        validate,
+    ],
+    getShippingQuote
+);
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   get:
+ *     summary: Get shipping zones with their rates (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/zones', verifyToken, hasRole('ADMIN'), getShippingZones);
+
+/**
+ * @swagger
+ * /api/shipping/zones:
+ *   post:
+ *     summary: Create shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - country
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Karachi
+ *               country:
+ *                 type: string
+ *                 description: Country name, or * for any country
+ *                 example: Pakistan
+ *               regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Sindh]
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Karachi]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Shipping zone created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/zones',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...zoneValidation(false), validate],
+    createShippingZone
+);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   put:
+ *     summary: Update shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated successfully
+ *       404:
+ *         description: Shipping zone not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.put(
+    '/zones/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...zoneValidation(true), validate],
+    updateShippingZone
+);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}:
+ *   delete:
+ *     summary: Delete shipping zone and its rates (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted successfully
+ *       404:
+ *         description: Shipping zone not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.delete('/zones/:id', verifyToken, hasRole('ADMIN'), deleteShippingZone);
+
+/**
+ * @swagger
+ * /api/shipping/zones/{id}/rates:
+ *   post:
+ *     summary: Add rate to shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingRateInput'
+ *     responses:
+ *       201:
+ *         description: Shipping rate created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Shipping zone not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/zones/:id/rates',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...rateValidation(false), validate],
+    createShippingRate
+);
+
+/**
+ * @swagger
+ * /api/shipping/rates/{id}:
+ *   put:
+ *     summary: Update shipping rate (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingRateInput'
+ *     responses:
+ *       200:
+ *         description: Shipping rate updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Shipping rate not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.put(
+    '/rates/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...rateValidation(true), validate],
+    updateShippingRate
+);
+
+/**
+ * @swagger
+ * /api/shipping/rates/{id}:
+ *   delete:
+ *     summary: Delete shipping rate (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Shipping rate deleted successfully
+ *       404:
+ *         description: Shipping rate not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.delete('/rates/:id', verifyToken, hasRole('ADMIN'), deleteShippingRate);
+
+module.exports = router;
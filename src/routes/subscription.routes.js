@@ -0,0 +1,319 @@
+const express = require('express');
+const {
+    createSubscription,
+    getMySubscriptions,
+    getSubscription,
+    updateSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipSubscription,
+    cancelSubscription
+} = require('../controllers/subscription.controller');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * Validation for subscription fields (all optional when updating)
+ */
+const subscriptionValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('items')
+            .isArray({ min: 1 })
+            .withMessage('Items must be a non-empty array'),
+        body('items.*.productId')
+            .isUUID()
+            .withMessage('Product ID must be a valid UUID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 })
+            .withMessage('Quantity must be at least 1')
+            .toInt(),
+        field('intervalDays')
+            .isInt({ min: 7, max: 180 })
+            .withMessage('Interval must be between 7 and 180 days')
+            .toInt(),
+        field('contactInfo')
+            .isObject()
+            .withMessage('Contact info must be an object'),
+        body('contactInfo.firstName')
+            .if(body('contactInfo').exists())
+            .trim()
+            .notEmpty()
+            .withMessage('First name is required'),
+        body('contactInfo.lastName')
+            .if(body('contactInfo').exists())
+            .trim()
+            .notEmpty()
+            .withMessage('Last name is required'),
+        body('contactInfo.phone')
+            .if(body('contactInfo').exists())
+            .trim()
+            .notEmpty()
+            .withMessage('Phone is required'),
+        body('contactInfo.email')
+            .if(body('contactInfo').exists())
+            .isEmail()
+            .withMessage('Valid email is required'),
+        field('deliveryMethod')
+            .isIn(['STORE_PICKUP', 'DELIVERY'])
+            .withMessage('Delivery method must be STORE_PICKUP or DELIVERY'),
+        body('shippingInfo')
+            .optional({ values: 'null' })
+            .isObject()
+            .withMessage('Shipping info must be an object'),
+        field('paymentMethod')
+            .isIn(['CASH_ON_DELIVERY', 'WALLET'])
+            .withMessage('Payment method must be CASH_ON_DELIVERY or WALLET')
+    ];
+};
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   post:
+ *     summary: Subscribe to products delivered on a schedule
+ *     description: |
+ *       Every `intervalDays` an order for the items is placed through the usual checkout, with the
+ *       subscription discount on top of any promotions. The customer is emailed a few days before each
+ *       order, and when one cannot be placed (e.g. a product is out of stock). Orders are placed without
+ *       the customer present, so they are paid from the wallet or by cash on delivery. Cash on delivery
+ *       orders from a subscription do not need to be confirmed with a one-time code.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubscriptionInput'
+ *     responses:
+ *       201:
+ *         description: Subscription created successfully
+ *       400:
+ *         description: Validation error, or a product not found or inactive
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+    '/',
+    verifyToken,
+    [
+        ...subscriptionValidation(false),
+        body('startDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid date format')
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Start date must be in the future'),
+        validate
+    ],
+    createSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   get:
+ *     summary: Get current user's subscriptions
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', verifyToken, getMySubscriptions);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}:
+ *   get:
+ *     summary: Get a subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription retrieved successfully
+ *       403:
+ *         description: Not authorized to access this subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', verifyToken, getSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}:
+ *   put:
+ *     summary: Change a subscription
+ *     description: |
+ *       Changes the items (replacing the current ones), interval, next order date, contact, delivery or
+ *       payment details. Only the fields given are changed.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SubscriptionInput'
+ *               - type: object
+ *                 properties:
+ *                   nextRunAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the next order is placed
+ *     responses:
+ *       200:
+ *         description: Subscription updated successfully
+ *       400:
+ *         description: Validation error, or the subscription is cancelled
+ *       403:
+ *         description: Not authorized to access this subscription
+ *       404:
+ *         description: Subscription not found
+ */
+router.put(
+    '/:id',
+    verifyToken,
+    [
+        ...subscriptionValidation(true),
+        body('nextRunAt')
+            .optional()
+            .isISO8601()
+            .withMessage('Invalid date format')
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Next order date must be in the future'),
+        validate
+    ],
+    updateSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pause a subscription
+ *     description: No orders are placed until the subscription is resumed.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription paused
+ *       400:
+ *         description: Subscription is not active
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/pause', verifyToken, pauseSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/resume:
+ *   post:
+ *     summary: Resume a paused subscription
+ *     description: A next order date that passed while paused moves forward by whole intervals.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       400:
+ *         description: Subscription is not paused
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/resume', verifyToken, resumeSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/skip:
+ *   post:
+ *     summary: Skip the next delivery of a subscription
+ *     description: Moves the next order date one interval later.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Next delivery skipped
+ *       400:
+ *         description: Subscription is cancelled
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/skip', verifyToken, skipSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled
+ *       400:
+ *         description: Subscription is already cancelled
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/cancel', verifyToken, cancelSubscription);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const {
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+} = require('../controllers/tax.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+/**
+ * Validation for tax rate fields (all optional when updating)
+ */
+const taxRateValidation = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Tax name must be between 2 and 100 characters'),
+    body('region')
+        .optional({ values: 'null' })
+        .trim(),
+    body('taxClass')
+        .optional({ values: 'null' })
+        .trim(),
+    (optional ? body('rate').optional() : body('rate'))
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Rate must be a percentage between 0 and 100'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+];
+
+/**
+ * @swagger
+ * /api/taxes/rates:
+ *   get:
+ *     summary: Get tax rates (Admin only)
+ *     description: Also returns the configured pricing mode (TAX_MODE, inclusive or exclusive)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: taxClass
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rates retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/rates', verifyToken, hasRole('ADMIN'), getTaxRates);
+
+/**
+ * @swagger
+ * /api/taxes/rates:
+ *   post:
+ *     summary: Create tax rate (Admin only)
+ *     description: |
+ *       Each order line is taxed with the most specific active rate for the shipping region
+ *       (TAX_ORIGIN_REGION for store pickup) and the product's tax class. Leave region or
+ *       taxClass empty to match any.
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sindh GST
+ *               region:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Sindh
+ *               taxClass:
+ *                 type: string
+ *                 nullable: true
+ *                 example: SUPPLEMENT
+ *               rate:
+ *                 type: number
+ *                 description: Percentage
+ *                 example: 17
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Tax rate created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/rates',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...taxRateValidation(false), validate],
+    createTaxRate
+);
+
+/**
+ * @swagger
+ * /api/taxes/rates/{id}:
+ *   put:
+ *     summary: Update tax rate (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *                 nullable: true
+ *               taxClass:
+ *                 type: string
+ *                 nullable: true
+ *               rate:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tax rate updated successfully
+ *       404:
+ *         description: Tax rate not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.put(
+    '/rates/:id',
+    verifyToken,
+    hasRole('ADMIN'),
+    [...taxRateValidation(true), validate],
+    updateTaxRate
+);
+
+/**
+ * @swagger
+ * /api/taxes/rates/{id}:
+ *   delete:
+ *     summary: Delete tax rate (Admin only)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted successfully
+ *       404:
+ *         description: Tax rate not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.delete('/rates/:id', verifyToken, hasRole('ADMIN'), deleteTaxRate);
+
+module.exports = router;
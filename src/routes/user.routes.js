@@ -4,7 +4,19 @@ const {
     updateProfile,
     changePassword
 } = require('../controllers/user.controller');
-const { verifyToken } = require('../middleware/auth.middleware');
+const {
+    getMyWallet,
+    getUserWallet,
+    creditUserWallet,
+    debitUserWallet
+} = require('../controllers/wallet.controller');
+const {
+    getMyLoyalty,
+    getUserLoyalty,
+    creditUserPoints,
+    debitUserPoints
+} = require('../controllers/loyalty.controller');
+const { verifyToken, hasRole } = require('../middleware/auth.middleware');
 const { body } = require('express-validator');
 const { validate } = require('../middleware/validation.middleware');
 
@@ -165,4 +177,375 @@ router.put(
     changePassword
 );
 
+/**
+ * @swagger
+ * /api/users/me/wallet:
+ *   get:
+ *     summary: Get my wallet
+ *     description: |
+ *       Store credit balance and its history (newest first). The balance is the sum of the
+ *       history; credit can be spent on orders with `walletAmount` or the WALLET payment method.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/wallet', verifyToken, getMyWallet);
+
+/**
+ * @swagger
+ * /api/users/{id}/wallet:
+ *   get:
+ *     summary: Get a customer's wallet (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/:id/wallet', verifyToken, hasRole('ADMIN'), getUserWallet);
+
+/**
+ * @swagger
+ * /api/users/{id}/wallet/credit:
+ *   post:
+ *     summary: Credit a customer's wallet (Admin only)
+ *     description: Adds store credit, e.g. as a goodwill gesture.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - note
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 500
+ *               note:
+ *                 type: string
+ *                 description: Reason, shown in the customer's wallet history
+ *     responses:
+ *       201:
+ *         description: Wallet credited, with the new balance
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/:id/wallet/credit',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('amount')
+            .isFloat({ gt: 0 })
+            .withMessage('Amount must be greater than 0')
+            .toFloat(),
+        body('note')
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('Note must be between 3 and 500 characters'),
+        validate
+    ],
+    creditUserWallet
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/wallet/debit:
+ *   post:
+ *     summary: Debit a customer's wallet (Admin only)
+ *     description: Removes store credit. The balance cannot go below zero.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - note
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 500
+ *               note:
+ *                 type: string
+ *                 description: Reason, shown in the customer's wallet history
+ *     responses:
+ *       201:
+ *         description: Wallet debited, with the new balance
+ *       400:
+ *         description: Validation error, or the balance is too low
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/:id/wallet/debit',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('amount')
+            .isFloat({ gt: 0 })
+            .withMessage('Amount must be greater than 0')
+            .toFloat(),
+        body('note')
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('Note must be between 3 and 500 characters'),
+        validate
+    ],
+    debitUserWallet
+);
+
+/**
+ * @swagger
+ * /api/users/me/loyalty:
+ *   get:
+ *     summary: Get my loyalty points
+ *     description: |
+ *       Points balance, tier and points history (newest first). Delivered orders earn points, which
+ *       can be spent at checkout with `pointsToRedeem` and expire after a configured period.
+ *       Higher tiers earn faster and Gold members get free shipping.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Loyalty points retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/loyalty', verifyToken, getMyLoyalty);
+
+/**
+ * @swagger
+ * /api/users/{id}/loyalty:
+ *   get:
+ *     summary: Get a customer's loyalty points (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Loyalty points retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/:id/loyalty', verifyToken, hasRole('ADMIN'), getUserLoyalty);
+
+/**
+ * @swagger
+ * /api/users/{id}/loyalty/credit:
+ *   post:
+ *     summary: Credit a customer's loyalty points (Admin only)
+ *     description: Adds points, e.g. as a goodwill gesture. They expire like earned points.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *               - note
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 example: 200
+ *               note:
+ *                 type: string
+ *                 description: Reason, shown in the customer's points history
+ *     responses:
+ *       201:
+ *         description: Points credited, with the new balance
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/:id/loyalty/credit',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('points')
+            .isInt({ min: 1 })
+            .withMessage('Points must be a whole number greater than 0')
+            .toInt(),
+        body('note')
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('Note must be between 3 and 500 characters'),
+        validate
+    ],
+    creditUserPoints
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/loyalty/debit:
+ *   post:
+ *     summary: Debit a customer's loyalty points (Admin only)
+ *     description: Removes points. The balance cannot go below zero.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *               - note
+ *             properties:
+ *               points:
+ *                 type: integer
+ *                 example: 200
+ *               note:
+ *                 type: string
+ *                 description: Reason, shown in the customer's points history
+ *     responses:
+ *       201:
+ *         description: Points debited, with the new balance
+ *       400:
+ *         description: Validation error, or the balance is too low
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.post(
+    '/:id/loyalty/debit',
+    verifyToken,
+    hasRole('ADMIN'),
+    [
+        body('points')
+            .isInt({ min: 1 })
+            .withMessage('Points must be a whole number greater than 0')
+            .toInt(),
+        body('note')
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('Note must be between 3 and 500 characters'),
+        validate
+    ],
+    debitUserPoints
+);
+
 module.exports = router;
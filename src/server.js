@@ -1,5 +1,6 @@
 require('dotenv').config();
 const app = require('./app');
+const { startJobs, stopJobs } = require('./jobs');
 
 const PORT = process.env.PORT || 5000;
 
@@ -12,6 +13,8 @@ const server = app.listen(PORT, () => {
     console.log(`📡 Port: ${PORT}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log('🚀 ========================================\n');
+
+    startJobs();
 });
 
 /**
@@ -19,6 +22,7 @@ const server = app.listen(PORT, () => {
  */
 const gracefulShutdown = (signal) => {
     console.log(`\n${signal} received. Closing server gracefully...`);
+    stopJobs();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
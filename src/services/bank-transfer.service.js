@@ -0,0 +1,174 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { applyTransition } = require('./order-state.service');
+const { SYSTEM_ACTOR } = require('./order-history.service');
+
+// Days a bank transfer order waits for payment before it is cancelled (0 disables)
+const getTransferPaymentDays = () => parseInt(process.env.BANK_TRANSFER_PAYMENT_DAYS || '3', 10);
+
+/**
+ * When an unpaid bank transfer order is cancelled (null when disabled)
+ */
+const getTransferDeadline = (order) => {
+    const days = getTransferPaymentDays();
+    return days > 0 ? new Date(order.createdAt.getTime() + days * 24 * 60 * 60 * 1000) : null;
+};
+
+/**
+ * Attach a customer's transfer receipt to their order for an admin to verify
+ */
+const submitTransferProof = async (order, { transactionReference, file }) => {
+    if (order.paymentMethod !== 'BANK_TRANSFER') {
+        throw createHttpError(400, 'This order is not paid by bank transfer');
+    }
+    if (order.status !== 'PENDING' || !['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+        throw createHttpError(400, `Cannot submit payment for an order with status: ${order.status} (payment ${order.paymentStatus})`);
+    }
+
+    const pendingProof = await prisma.bankTransferProof.findFirst({
+        where: { orderId: order.id, status: 'PENDING_REVIEW' }
+    });
+
+    if (pendingProof) {
+        throw createHttpError(409, 'A transfer receipt for this order is already waiting for review');
+    }
+
+    return prisma.bankTransferProof.create({
+        data: {
+            orderId: order.id,
+            transactionReference,
+            fileName: file.originalname,
+            storedFileName: file.filename,
+            mimeType: file.mimetype,
+            fileSize: file.size
+        }
+    });
+};
+
+/**
+ * Mark a proof reviewed, failing if someone else reviewed it first
+ */
+const claimReview = async (tx, id, data) => {
+    const proof = await tx.bankTransferProof.findUnique({ where: { id } });
+
+    if (!proof) {
+        throw createHttpError(404, 'Transfer proof not found');
+    }
+
+    const { count } = await tx.bankTransferProof.updateMany({
+        where: { id, status: 'PENDING_REVIEW' },
+        data
+    });
+
+    if (count === 0) {
+        throw createHttpError(400, `Transfer proof was already ${proof.status.toLowerCase()}`);
+    }
+
+    return proof;
+};
+
+/**
+ * Accept a transfer: the payment is marked PAID, which moves a pending
+ * order to PAID
+ */
+const approveTransferProof = async (id, actor) => {
+    const { order, afterCommit } = await prisma.$transaction(async (tx) => {
+        const proof = await claimReview(tx, id, {
+            status: 'APPROVED',
+            reviewedById: actor.id,
+            reviewedAt: new Date()
+        });
+
+        return applyTransition(tx, proof.orderId, {
+            paymentStatus: 'PAID',
+            note: `Bank transfer ${proof.transactionReference} verified`
+        }, actor);
+    });
+
+    afterCommit();
+
+    return order;
+};
+
+/**
+ * Reject a transfer receipt. The payment is marked FAILED and the customer
+ * can upload another receipt until the order is cancelled.
+ */
+const rejectTransferProof = async (id, reason, actor) => {
+    const result = await prisma.$transaction(async (tx) => {
+        const proof = await claimReview(tx, id, {
+            status: 'REJECTED',
+            rejectionReason: reason,
+            reviewedById: actor.id,
+            reviewedAt: new Date()
+        });
+
+        const order = await tx.order.findUnique({ where: { id: proof.orderId } });
+
+        if (order.status !== 'PENDING' || order.paymentStatus !== 'PENDING') {
+            return { order, afterCommit: () => {} };
+        }
+
+        return applyTransition(tx, order.id, {
+            paymentStatus: 'FAILED',
+            note: `Bank transfer receipt rejected: ${reason}`
+        }, actor);
+    });
+
+    result.afterCommit();
+
+    return result.order;
+};
+
+/**
+ * Cancel bank transfer orders still unpaid after the payment window,
+ * restoring their stock through the state machine. Orders with a receipt
+ * waiting for review are left for the admin. Returns the cancelled orders.
+ */
+const cancelUnpaidTransferOrders = async (now = new Date()) => {
+    const days = getTransferPaymentDays();
+
+    if (days <= 0) {
+        return [];
+    }
+
+    const overdue = await prisma.order.findMany({
+        where: {
+            paymentMethod: 'BANK_TRANSFER',
+            status: 'PENDING',
+            paymentStatus: { in: ['PENDING', 'FAILED'] },
+            createdAt: { lte: new Date(now.getTime() - days * 24 * 60 * 60 * 1000) },
+            transferProofs: { none: { status: 'PENDING_REVIEW' } }
+        },
+        select: { id: true }
+    });
+
+    const cancelled = [];
+
+    for (const { id } of overdue) {
+        try {
+            const { order, afterCommit } = await prisma.$transaction(tx => applyTransition(tx, id, {
+                status: 'CANCELLED',
+                note: `Bank transfer was not received within ${days} days`
+            }, SYSTEM_ACTOR));
+
+            afterCommit();
+            cancelled.push(order);
+        } catch (error) {
+            // Paid, reviewed or cancelled meanwhile - picked up again next run if still unpaid
+            if (!error.status) {
+                throw error;
+            }
+        }
+    }
+
+    return cancelled;
+};
+
+module.exports = {
+    getTransferDeadline,
+    submitTransferProof,
+    approveTransferProof,
+    rejectTransferProof,
+    cancelUnpaidTransferOrders
+};
@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { resolveUnitPrice } = require('./pricing.service');
+
+// Cookie that identifies an anonymous (guest) cart
+const GUEST_CART_COOKIE = 'guestCartToken';
+const GUEST_CART_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const cartInclude = {
+    items: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+            product: {
+                include: {
+                    images: {
+                        where: { isPrimary: true },
+                        take: 1,
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Cookie options for the guest cart token
+ */
+const guestCartCookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: GUEST_CART_MAX_AGE,
+});
+
+/**
+ * Generate a new anonymous cart token
+ */
+const generateGuestToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Find the cart for a user or guest token (with products)
+ */
+const findCart = async ({ userId, guestToken }) => {
+    if (userId) {
+        return prisma.cart.findUnique({ where: { userId }, include: cartInclude });
+    }
+    if (guestToken) {
+        return prisma.cart.findUnique({ where: { guestToken }, include: cartInclude });
+    }
+    return null;
+};
+
+/**
+ * Find or create the cart for a user or guest token
+ */
+const getOrCreateCart = async ({ userId, guestToken }) => {
+    const where = userId ? { userId } : { guestToken };
+
+    return prisma.cart.upsert({
+        where,
+        create: where,
+        update: {},
+        include: cartInclude,
+    });
+};
+
+/**
+ * Current unit price of a product
+ */
+const getCurrentUnitPrice = (product) => resolveUnitPrice(product).unitPrice;
+
+/**
+ * Re-validate a cart against current product data and build the response shape.
+ * Stored quantities and prices are never trusted: each line reports what it
+ * would cost now and whether it can still be fulfilled.
+ */
+const buildCartView = (cart) => {
+    if (!cart) {
+        return {
+            id: null,
+            items: [],
+            summary: { itemCount: 0, subtotal: 0, hasIssues: false },
+        };
+    }
+
+    let subtotal = 0;
+    let itemCount = 0;
+    let hasIssues = false;
+
+    const items = cart.items.map((item) => {
+        const { product } = item;
+        const pricing = resolveUnitPrice(product);
+        const unitPrice = pricing.unitPrice;
+        const addedUnitPrice = parseFloat(item.unitPrice);
+        const issues = [];
+
+        if (!product.isActive) {
+            issues.push('UNAVAILABLE');
+        } else if (product.quantity <= 0) {
+            issues.push('OUT_OF_STOCK');
+        } else if (product.quantity < item.quantity) {
+            issues.push('INSUFFICIENT_STOCK');
+        }
+
+        if (unitPrice !== addedUnitPrice) {
+            issues.push('PRICE_CHANGED');
+        }
+
+        const purchasable = product.isActive && product.quantity > 0;
+        const lineTotal = purchasable ? unitPrice * item.quantity : 0;
+
+        if (purchasable) {
+            subtotal += lineTotal;
+            itemCount += item.quantity;
+        }
+        if (issues.length > 0) {
+            hasIssues = true;
+        }
+
+        return {
+            id: item.id,
+            productId: product.id,
+            quantity: item.quantity,
+            unitPrice,
+            addedUnitPrice,
+            priceSource: pricing.source,
+            lineTotal,
+            available: Math.max(product.quantity, 0),
+            issues,
+            product: {
+                id: product.id,
+                name: product.name,
+                brand: product.brand,
+                sku: product.sku,
+                price: product.price,
+                promoPrice: product.promoPrice,
+                isActive: product.isActive,
+                mainImage: product.images[0] || null,
+            },
+        };
+    });
+
+    return {
+        id: cart.id,
+        items,
+        summary: { itemCount, subtotal, hasIssues },
+    };
+};
+
+/**
+ * Compare a cart with current product data before checkout.
+ * Returns the changes since items were added (price, availability), the
+ * order lines that can be placed with the current values and a token
+ * identifying exactly those changes, which the customer echoes back to
+ * accept them.
+ */
+const reconcileCart = (cart) => {
+    const changes = [];
+    const items = [];
+
+    for (const item of cart.items) {
+        const { product } = item;
+        const oldPrice = parseFloat(item.unitPrice);
+        const newPrice = getCurrentUnitPrice(product);
+
+        if (!product.isActive || product.quantity <= 0) {
+            changes.push({
+                type: 'UNAVAILABLE',
+                productId: product.id,
+                productName: product.name,
+                requested: item.quantity,
+                available: 0,
+            });
+            continue;
+        }
+
+        if (newPrice !== oldPrice) {
+            changes.push({
+                type: 'PRICE_CHANGED',
+                productId: product.id,
+                productName: product.name,
+                oldPrice,
+                newPrice,
+            });
+        }
+
+        const quantity = Math.min(item.quantity, product.quantity);
+        if (quantity < item.quantity) {
+            changes.push({
+                type: 'QUANTITY_REDUCED',
+                productId: product.id,
+                productName: product.name,
+                requested: item.quantity,
+                available: product.quantity,
+            });
+        }
+
+        items.push({ productId: product.id, quantity });
+    }
+
+    const changesToken = crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ changes, items }))
+        .digest('hex');
+
+    return { changes, items, changesToken };
+};
+
+/**
+ * Quantity of a product a merged cart keeps: `requested`, capped by the
+ * stock (none for a product no longer sold), but never less than the
+ * `current` quantity already in the user's cart
+ */
+const capMergedQuantity = (product, requested, current = 0) => {
+    const available = product.isActive ? Math.max(product.quantity, 0) : 0;
+    return Math.max(Math.min(requested, available), current);
+};
+
+/**
+ * Merge a guest cart into a user's cart (called on login).
+ * Quantities for products present in both carts are added together, capped
+ * by the stock like adding to the cart is; a product no longer sold is not
+ * merged. A user without a cart takes over the guest cart, capped the same
+ * way. Returns `{ cart, adjustments }`, where each adjustment is an item
+ * that could not be merged in full: `{ productId, productName, requested, quantity }`.
+ */
+const mergeGuestCart = async (guestToken, userId) => {
+    if (!guestToken) {
+        return null;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const guestCart = await tx.cart.findUnique({
+            where: { guestToken },
+            include: { items: { include: { product: true } } },
+        });
+
+        if (!guestCart) {
+            return null;
+        }
+
+        const userCart = await tx.cart.findUnique({
+            where: { userId },
+            include: { items: true },
+        });
+
+        const adjustments = [];
+
+        // No existing user cart - take ownership of the guest cart
+        if (!userCart) {
+            for (const item of guestCart.items) {
+                const quantity = capMergedQuantity(item.product, item.quantity);
+
+                if (quantity === item.quantity) {
+                    continue;
+                }
+
+                adjustments.push({
+                    productId: item.product.id,
+                    productName: item.product.name,
+                    requested: item.quantity,
+                    quantity,
+                });
+
+                if (quantity === 0) {
+                    await tx.cartItem.delete({ where: { id: item.id } });
+                } else {
+                    await tx.cartItem.update({ where: { id: item.id }, data: { quantity } });
+                }
+            }
+
+            const cart = await tx.cart.update({
+                where: { id: guestCart.id },
+                data: { userId, guestToken: null },
+            });
+            return { cart, adjustments };
+        }
+
+        for (const item of guestCart.items) {
+            const { product } = item;
+            const existing = userCart.items.find((userItem) => userItem.productId === item.productId);
+            const current = existing ? existing.quantity : 0;
+            const requested = current + item.quantity;
+            const quantity = capMergedQuantity(product, requested, current);
+
+            if (quantity < requested) {
+                adjustments.push({
+                    productId: product.id,
+                    productName: product.name,
+                    requested,
+                    quantity,
+                });
+            }
+
+            if (quantity === current) {
+                continue;
+            }
+
+            await tx.cartItem.upsert({
+                where: {
+                    cartId_productId: {
+                        cartId: userCart.id,
+                        productId: item.productId,
+                    },
+                },
+                create: {
+                    cartId: userCart.id,
+                    productId: item.productId,
+                    quantity,
+                    unitPrice: item.unitPrice,
+                },
+                update: {
+                    quantity,
+                },
+            });
+        }
+
+        await tx.cart.delete({ where: { id: guestCart.id } });
+
+        return { cart: userCart, adjustments };
+    });
+};
+
+module.exports = {
+    GUEST_CART_COOKIE,
+    guestCartCookieOptions,
+    generateGuestToken,
+    findCart,
+    getOrCreateCart,
+    getCurrentUnitPrice,
+    buildCartView,
+    reconcileCart,
+    mergeGuestCart,
+};
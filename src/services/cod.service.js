@@ -0,0 +1,64 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+
+// Orders not yet delivered or closed
+const OPEN_ORDER_STATUSES = ['PENDING', 'PAID', 'PROCESSING', 'SHIPPED'];
+
+const parseList = (value) => String(value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Cash on delivery rules from the environment (unset = no limit)
+ */
+const getCodRules = () => ({
+    maxOrderValue: process.env.COD_MAX_ORDER_VALUE ? parseFloat(process.env.COD_MAX_ORDER_VALUE) : null,
+    blockedRegions: parseList(process.env.COD_BLOCKED_REGIONS),
+    maxOpenOrders: process.env.COD_MAX_OPEN_ORDERS ? parseInt(process.env.COD_MAX_OPEN_ORDERS, 10) : null
+});
+
+/**
+ * Whether new orders paid this way must be confirmed with a one-time code
+ * before they are prepared
+ */
+const isConfirmationRequired = (paymentMethod) =>
+    paymentMethod === 'CASH_ON_DELIVERY' && process.env.COD_REQUIRE_CONFIRMATION !== 'false';
+
+/**
+ * Check a customer may pay a new order in cash on delivery, failing with 400
+ * when the order is over the value limit, ships to a blocked region or the
+ * customer already has too many open cash on delivery orders
+ */
+const assertCodAllowed = async ({ userId, total, deliveryMethod, shippingInfo }) => {
+    const rules = getCodRules();
+
+    if (rules.maxOrderValue !== null && Number(total) > rules.maxOrderValue) {
+        throw createHttpError(400, `Cash on delivery is only available for orders up to Rs ${rules.maxOrderValue.toFixed(2)}`);
+    }
+
+    const region = deliveryMethod === 'DELIVERY' ? String(shippingInfo?.region || '').trim() : '';
+    if (region && rules.blockedRegions.includes(region.toLowerCase())) {
+        throw createHttpError(400, `Cash on delivery is not available in ${region}`);
+    }
+
+    if (rules.maxOpenOrders !== null) {
+        const openOrders = await prisma.order.count({
+            where: {
+                userId,
+                paymentMethod: 'CASH_ON_DELIVERY',
+                status: { in: OPEN_ORDER_STATUSES }
+            }
+        });
+
+        if (openOrders >= rules.maxOpenOrders) {
+            throw createHttpError(400, `You already have ${openOrders} open cash on delivery orders. Please pay another way or wait until they are delivered.`);
+        }
+    }
+};
+
+module.exports = {
+    getCodRules,
+    isConfirmationRequired,
+    assertCodAllowed
+};
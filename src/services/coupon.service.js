@@ -0,0 +1,234 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Coupon codes are matched case-insensitively and stored upper-case
+ */
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Whether a coupon limits which products it applies to
+ */
+const hasEligibilityRules = (coupon) =>
+    coupon.eligibleCollectionIds.length > 0 ||
+    coupon.eligibleCategoryIds.length > 0 ||
+    coupon.eligibleBrands.length > 0;
+
+/**
+ * Whether a product (with its collection's categoryId) qualifies for a coupon
+ */
+const isProductEligible = (coupon, product) => {
+    if (!hasEligibilityRules(coupon)) {
+        return true;
+    }
+
+    return (product.collectionId !== null && coupon.eligibleCollectionIds.includes(product.collectionId)) ||
+        (product.collection !== null && coupon.eligibleCategoryIds.includes(product.collection.categoryId)) ||
+        coupon.eligibleBrands.some(brand => normalize(brand) === normalize(product.brand));
+};
+
+/**
+ * Look up an active coupon by code, failing with 404 when there is none
+ */
+const findCoupon = async (code) => {
+    const coupon = await prisma.coupon.findUnique({
+        where: { code: normalizeCouponCode(code) }
+    });
+
+    if (!coupon || !coupon.isActive) {
+        throw createHttpError(404, 'Coupon not found');
+    }
+
+    return coupon;
+};
+
+/**
+ * Check a coupon's validity window and usage limits for a customer
+ */
+const assertCouponUsable = async (coupon, userId, now = new Date()) => {
+    if (coupon.startsAt && coupon.startsAt > now) {
+        throw createHttpError(400, 'This coupon is not active yet');
+    }
+    if (coupon.endsAt && coupon.endsAt < now) {
+        throw createHttpError(400, 'This coupon has expired');
+    }
+    if (coupon.usageLimit !== null && coupon.timesUsed >= coupon.usageLimit) {
+        throw createHttpError(400, 'This coupon has reached its usage limit');
+    }
+
+    if (coupon.usageLimitPerUser !== null) {
+        const used = await prisma.couponRedemption.count({
+            where: { couponId: coupon.id, userId }
+        });
+
+        if (used >= coupon.usageLimitPerUser) {
+            throw createHttpError(400, 'You have already used this coupon');
+        }
+    }
+};
+
+/**
+ * Discount a coupon gives on order lines (`lines` as { productId, quantity,
+ * price, promotionDiscount? }). It applies to what is left after promotions.
+ *
+ * Returns `{ discount, freeShipping, eligibleSubtotal, lineDiscounts, reason }`.
+ * The item discount is spread over the eligible lines in proportion to their
+ * value (`lineDiscounts`, in the order of `lines`) so tax is charged on what
+ * the customer actually pays. `reason` explains why nothing applies.
+ */
+const calculateCouponDiscount = async (coupon, lines) => {
+    const products = await prisma.product.findMany({
+        where: { id: { in: lines.map(line => line.productId) } },
+        select: {
+            id: true,
+            brand: true,
+            collectionId: true,
+            collection: { select: { categoryId: true } }
+        }
+    });
+
+    const lineValues = lines.map(line => Number(line.price) * line.quantity - Number(line.promotionDiscount || 0));
+    const subtotal = lineValues.reduce((sum, value) => sum + value, 0);
+    const eligible = lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return Boolean(product) && isProductEligible(coupon, product);
+    });
+    const eligibleSubtotal = lineValues.reduce((sum, value, index) => sum + (eligible[index] ? value : 0), 0);
+
+    const none = (reason) => ({
+        discount: 0,
+        freeShipping: false,
+        eligibleSubtotal,
+        lineDiscounts: lines.map(() => 0),
+        reason
+    });
+
+    if (eligibleSubtotal === 0) {
+        return none('None of the items in this order qualify for this coupon');
+    }
+    if (coupon.minOrderValue !== null && subtotal < Number(coupon.minOrderValue)) {
+        return none(`This coupon needs a minimum order of ${Number(coupon.minOrderValue).toFixed(2)}`);
+    }
+
+    let discount = 0;
+    if (coupon.type === 'PERCENTAGE') {
+        discount = eligibleSubtotal * Number(coupon.value) / 100;
+        if (coupon.maxDiscount !== null) {
+            discount = Math.min(discount, Number(coupon.maxDiscount));
+        }
+    } else if (coupon.type === 'FIXED') {
+        discount = Math.min(Number(coupon.value), eligibleSubtotal);
+    }
+    discount = roundMoney(discount);
+
+    // The last eligible line takes the rounding remainder
+    const lastEligible = eligible.lastIndexOf(true);
+    let allocated = 0;
+    const lineDiscounts = lineValues.map((value, index) => {
+        if (!eligible[index]) {
+            return 0;
+        }
+        if (index === lastEligible) {
+            return roundMoney(discount - allocated);
+        }
+        const share = roundMoney(discount * value / eligibleSubtotal);
+        allocated += share;
+        return share;
+    });
+
+    return {
+        discount,
+        freeShipping: coupon.type === 'FREE_SHIPPING',
+        eligibleSubtotal,
+        lineDiscounts,
+        reason: null
+    };
+};
+
+/**
+ * Validate a code for a customer's order lines and work out its discount.
+ * Fails with 400/404 when the coupon cannot be used.
+ */
+const applyCoupon = async ({ code, userId, lines }) => {
+    const coupon = await findCoupon(code);
+    await assertCouponUsable(coupon, userId);
+
+    const result = await calculateCouponDiscount(coupon, lines);
+    if (result.reason) {
+        throw createHttpError(400, result.reason);
+    }
+
+    return { coupon, ...result };
+};
+
+/**
+ * Count a redemption inside the order's transaction.
+ *
+ * The global limit is claimed with a conditional increment, so concurrent
+ * orders cannot overshoot it. The increment also locks the coupon row until
+ * the transaction ends, which serialises the per-customer check.
+ */
+const redeemCoupon = async (tx, { coupon, userId, orderId, discount }) => {
+    const { count } = await tx.coupon.updateMany({
+        where: {
+            id: coupon.id,
+            isActive: true,
+            OR: [
+                { usageLimit: null },
+                { timesUsed: { lt: prisma.coupon.fields.usageLimit } }
+            ]
+        },
+        data: { timesUsed: { increment: 1 } }
+    });
+
+    if (count === 0) {
+        throw createHttpError(409, 'This coupon has reached its usage limit');
+    }
+
+    if (coupon.usageLimitPerUser !== null) {
+        const used = await tx.couponRedemption.count({
+            where: { couponId: coupon.id, userId }
+        });
+
+        if (used >= coupon.usageLimitPerUser) {
+            throw createHttpError(409, 'You have already used this coupon');
+        }
+    }
+
+    await tx.couponRedemption.create({
+        data: {
+            couponId: coupon.id,
+            userId,
+            orderId,
+            discount
+        }
+    });
+};
+
+/**
+ * Give a cancelled order's redemption back to the coupon
+ */
+const releaseCoupon = async (tx, orderId) => {
+    const redemption = await tx.couponRedemption.findUnique({ where: { orderId } });
+
+    if (!redemption) {
+        return;
+    }
+
+    await tx.couponRedemption.delete({ where: { id: redemption.id } });
+    await tx.coupon.update({
+        where: { id: redemption.couponId },
+        data: { timesUsed: { decrement: 1 } }
+    });
+};
+
+module.exports = {
+    normalizeCouponCode,
+    calculateCouponDiscount,
+    applyCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
@@ -0,0 +1,169 @@
+const prisma = require('../config/database');
+const { subscribe } = require('./event-bus');
+const { resolveDealPrice } = require('./deal.service');
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const FEED_DEAL_INCLUDE = {
+    product: {
+        select: { id: true, name: true, price: true, quantity: true }
+    }
+};
+
+// Open server-sent event responses
+const clients = new Set();
+let heartbeat = null;
+
+/**
+ * Write one server-sent event
+ */
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (event, data) => {
+    for (const res of clients) {
+        sendEvent(res, event, data);
+    }
+};
+
+/**
+ * Units a customer can still buy at the deal price: what is left of the
+ * deal's cap, limited by the product's stock
+ */
+const getRemaining = (deal) => {
+    const stock = Math.max(deal.product.quantity, 0);
+
+    return deal.quantityLimit !== null
+        ? Math.min(Math.max(deal.quantityLimit - deal.quantitySold, 0), stock)
+        : stock;
+};
+
+/**
+ * What the feed sends about a deal: enough for a countdown and "only N left"
+ */
+const toFeedDeal = (deal) => ({
+    id: deal.id,
+    productId: deal.productId,
+    productName: deal.product.name,
+    name: deal.name,
+    status: deal.status,
+    endReason: deal.endReason,
+    startsAt: deal.startsAt,
+    endsAt: deal.endsAt,
+    price: Number(deal.product.price),
+    dealPrice: resolveDealPrice(deal, deal.product.price),
+    remaining: getRemaining(deal)
+});
+
+/**
+ * Running and scheduled deals, ending soonest first
+ */
+const getFeedSnapshot = async () => {
+    const deals = await prisma.deal.findMany({
+        where: { status: { in: ['SCHEDULED', 'ACTIVE'] } },
+        include: FEED_DEAL_INCLUDE,
+        orderBy: { endsAt: 'asc' }
+    });
+
+    return deals.map(toFeedDeal);
+};
+
+/**
+ * Start streaming feed events to a response whose event-stream headers are
+ * sent. Returns a function that stops it (call it when the client leaves).
+ */
+const addFeedClient = (res) => {
+    clients.add(res);
+
+    if (!heartbeat) {
+        heartbeat = setInterval(() => {
+            for (const client of clients) {
+                client.write(': heartbeat\n\n');
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+        heartbeat.unref();
+    }
+
+    return () => {
+        clients.delete(res);
+
+        if (clients.size === 0 && heartbeat) {
+            clearInterval(heartbeat);
+            heartbeat = null;
+        }
+    };
+};
+
+/**
+ * Push a deal's current state as `event`
+ */
+const pushDeal = async (event, { dealId }) => {
+    if (clients.size === 0) {
+        return;
+    }
+
+    const deal = await prisma.deal.findUnique({
+        where: { id: dealId },
+        include: FEED_DEAL_INCLUDE
+    });
+
+    if (deal) {
+        broadcast(event, toFeedDeal(deal));
+    }
+};
+
+/**
+ * Push the units left on the running deals of an order's products after
+ * its stock changed. A placed order may also have sold a deal out.
+ */
+const pushOrderStock = async ({ orderId }, { announceSoldOut = false } = {}) => {
+    if (clients.size === 0) {
+        return;
+    }
+
+    const items = await prisma.orderItem.findMany({
+        where: { orderId },
+        select: { productId: true, dealId: true }
+    });
+
+    const deals = await prisma.deal.findMany({
+        where: {
+            OR: [
+                { productId: { in: items.map(item => item.productId) }, status: 'ACTIVE' },
+                ...(announceSoldOut
+                    ? [{ id: { in: items.map(item => item.dealId).filter(Boolean) }, endReason: 'SOLD_OUT' }]
+                    : [])
+            ]
+        },
+        include: FEED_DEAL_INCLUDE
+    });
+
+    for (const deal of deals) {
+        if (deal.status === 'ACTIVE') {
+            broadcast('deal.stock', {
+                id: deal.id,
+                productId: deal.productId,
+                remaining: getRemaining(deal)
+            });
+        } else {
+            broadcast('deal.ended', toFeedDeal(deal));
+        }
+    }
+};
+
+subscribe('deal.scheduled', payload => pushDeal('deal.scheduled', payload));
+subscribe('deal.started', payload => pushDeal('deal.started', payload));
+subscribe('deal.updated', payload => pushDeal('deal.updated', payload));
+subscribe('deal.ended', payload => pushDeal('deal.ended', payload));
+subscribe('order.placed', payload => pushOrderStock(payload, { announceSoldOut: true }));
+subscribe('order.cancelled', payload => pushOrderStock(payload));
+subscribe('order.edited', payload => pushOrderStock(payload));
+subscribe('order.refunded', payload => pushOrderStock(payload));
+
+module.exports = {
+    sendEvent,
+    getFeedSnapshot,
+    addFeedClient
+};
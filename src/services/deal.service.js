@@ -0,0 +1,592 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { publish } = require('./event-bus');
+
+// Deals that still hold (or will hold) their product's deal window
+const OPEN_STATUSES = ['SCHEDULED', 'ACTIVE'];
+
+// Product fields that mirror the running deal
+const CLEARED_PRODUCT_DEAL = {
+    isOnDeal: false,
+    dealStartDate: null,
+    dealEndDate: null,
+    dealPrice: null,
+    activeDealId: null
+};
+
+/**
+ * Price a deal charges for a product: its fixed price, or its percentage off
+ * the list price
+ */
+const resolveDealPrice = (deal, listPrice) => (deal.dealPrice !== null && deal.dealPrice !== undefined
+    ? Number(deal.dealPrice)
+    : roundMoney(Number(listPrice) * (1 - Number(deal.discountPercent) / 100)));
+
+/**
+ * Check a deal's price and window (`deal` as the merged create/update fields,
+ * `product` only needed for fixed deal prices)
+ */
+const assertValidDeal = (deal, product) => {
+    const hasPrice = deal.dealPrice !== null && deal.dealPrice !== undefined;
+    const hasPercent = deal.discountPercent !== null && deal.discountPercent !== undefined;
+
+    if (hasPrice === hasPercent) {
+        throw createHttpError(400, 'Give either a deal price or a discount percentage');
+    }
+    if (hasPrice && Number(deal.dealPrice) >= Number(product.price)) {
+        throw createHttpError(400, 'Deal price must be below the list price');
+    }
+    if (deal.startsAt >= deal.endsAt) {
+        throw createHttpError(400, 'Deal end date must be after start date');
+    }
+    if (deal.endsAt <= new Date()) {
+        throw createHttpError(400, 'Deal end date must be in the future');
+    }
+};
+
+/**
+ * Fail with 409 when another open deal of the product overlaps the window
+ */
+const assertNoOverlap = async (productId, { startsAt, endsAt }, excludeId) => {
+    const overlapping = await prisma.deal.findFirst({
+        where: {
+            productId,
+            status: { in: OPEN_STATUSES },
+            startsAt: { lt: endsAt },
+            endsAt: { gt: startsAt },
+            ...(excludeId && { id: { not: excludeId } })
+        }
+    });
+
+    if (overlapping) {
+        throw createHttpError(409, 'The product already has a deal in this period', [{
+            dealId: overlapping.id,
+            startsAt: overlapping.startsAt,
+            endsAt: overlapping.endsAt
+        }]);
+    }
+};
+
+/**
+ * Copy a running deal onto its product so every price lookup sees it
+ */
+const applyDealToProduct = (tx, deal, product) => tx.product.update({
+    where: { id: product.id },
+    data: {
+        isOnDeal: true,
+        dealStartDate: deal.startsAt,
+        dealEndDate: deal.endsAt,
+        dealPrice: resolveDealPrice(deal, product.price),
+        activeDealId: deal.id
+    }
+});
+
+/**
+ * Start a scheduled deal. Returns false if it was no longer scheduled.
+ */
+const activateDeal = async (tx, deal, now = new Date()) => {
+    const { count } = await tx.deal.updateMany({
+        where: { id: deal.id, status: 'SCHEDULED' },
+        data: { status: 'ACTIVE', activatedAt: now }
+    });
+
+    if (count === 0) {
+        return false;
+    }
+
+    const product = await tx.product.findUnique({ where: { id: deal.productId } });
+    await applyDealToProduct(tx, deal, product);
+    return true;
+};
+
+/**
+ * End an open deal (EXPIRED, SOLD_OUT or CANCELLED) and take it off its
+ * product. Returns false if it had already ended.
+ */
+const endDeal = async (tx, deal, reason, now = new Date()) => {
+    const { count } = await tx.deal.updateMany({
+        where: { id: deal.id, status: { in: OPEN_STATUSES } },
+        data: {
+            status: reason === 'CANCELLED' ? 'CANCELLED' : 'ENDED',
+            endReason: reason,
+            endedAt: now
+        }
+    });
+
+    if (count === 0) {
+        return false;
+    }
+
+    await tx.product.updateMany({
+        where: { id: deal.productId, activeDealId: deal.id },
+        data: CLEARED_PRODUCT_DEAL
+    });
+    return true;
+};
+
+/**
+ * Activate deals whose start has come and end those whose time is up.
+ * Run by the deal scheduler job; safe to run concurrently.
+ */
+const syncDeals = async (now = new Date()) => {
+    const ended = [];
+    const activated = [];
+
+    const expired = await prisma.deal.findMany({
+        where: { status: { in: OPEN_STATUSES }, endsAt: { lte: now } }
+    });
+
+    for (const deal of expired) {
+        if (await prisma.$transaction(tx => endDeal(tx, deal, 'EXPIRED', now))) {
+            ended.push(deal);
+            publish('deal.ended', { dealId: deal.id });
+        }
+    }
+
+    const due = await prisma.deal.findMany({
+        where: { status: 'SCHEDULED', startsAt: { lte: now }, endsAt: { gt: now } },
+        orderBy: { startsAt: 'asc' }
+    });
+
+    for (const deal of due) {
+        if (await prisma.$transaction(tx => activateDeal(tx, deal, now))) {
+            activated.push(deal);
+            publish('deal.started', { dealId: deal.id });
+        }
+    }
+
+    return { activated, ended };
+};
+
+/**
+ * Schedule a deal for a product. A deal whose start has passed is
+ * activated straight away.
+ */
+const createDeal = async (productId, data) => {
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+
+    if (!product) {
+        throw createHttpError(404, 'Product not found');
+    }
+
+    assertValidDeal(data, product);
+    await assertNoOverlap(productId, data);
+
+    const deal = await prisma.deal.create({
+        data: {
+            ...data,
+            productId
+        }
+    });
+
+    publish('deal.scheduled', { dealId: deal.id });
+    await syncDeals();
+
+    return prisma.deal.findUnique({ where: { id: deal.id } });
+};
+
+/**
+ * Change an open deal. Changes to a running deal reach the product at once.
+ */
+const updateDeal = async (id, data) => {
+    const existingDeal = await prisma.deal.findUnique({
+        where: { id },
+        include: { product: true }
+    });
+
+    if (!existingDeal) {
+        throw createHttpError(404, 'Deal not found');
+    }
+    if (!OPEN_STATUSES.includes(existingDeal.status)) {
+        throw createHttpError(400, `Cannot change a deal with status: ${existingDeal.status}`);
+    }
+    if (existingDeal.status === 'ACTIVE' && data.startsAt && data.startsAt > new Date()) {
+        throw createHttpError(400, 'A running deal cannot be moved to start later. Cancel it and schedule a new one.');
+    }
+
+    // Switching between a fixed price and a percentage clears the other
+    const merged = {
+        ...existingDeal,
+        ...data,
+        ...(data.dealPrice !== undefined && data.discountPercent === undefined && { discountPercent: null }),
+        ...(data.discountPercent !== undefined && data.dealPrice === undefined && { dealPrice: null })
+    };
+
+    assertValidDeal(merged, existingDeal.product);
+    await assertNoOverlap(existingDeal.productId, merged, id);
+
+    if (merged.quantityLimit !== null && merged.quantityLimit < existingDeal.quantitySold) {
+        throw createHttpError(400, `${existingDeal.quantitySold} units were already sold at this deal`);
+    }
+
+    await prisma.$transaction(async (tx) => {
+        const deal = await tx.deal.update({
+            where: { id },
+            data: {
+                name: merged.name,
+                dealPrice: merged.dealPrice,
+                discountPercent: merged.discountPercent,
+                startsAt: merged.startsAt,
+                endsAt: merged.endsAt,
+                quantityLimit: merged.quantityLimit,
+                perCustomerLimit: merged.perCustomerLimit
+            }
+        });
+
+        if (deal.status === 'ACTIVE') {
+            await applyDealToProduct(tx, deal, existingDeal.product);
+        }
+    });
+
+    publish('deal.updated', { dealId: id });
+
+    // Moving the window may start or end the deal
+    await syncDeals();
+
+    return prisma.deal.findUnique({ where: { id } });
+};
+
+/**
+ * Re-price a product's running deal, e.g. after its list price changed
+ * (percentage deals follow the list price)
+ */
+const refreshProductDeal = async (productId) => {
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+
+    if (!product?.activeDealId) {
+        return;
+    }
+
+    const deal = await prisma.deal.findUnique({ where: { id: product.activeDealId } });
+    if (deal?.status === 'ACTIVE') {
+        await applyDealToProduct(prisma, deal, product);
+    }
+};
+
+/**
+ * Cancel an open deal
+ */
+const cancelDeal = async (id) => {
+    const deal = await prisma.deal.findUnique({ where: { id } });
+
+    if (!deal) {
+        throw createHttpError(404, 'Deal not found');
+    }
+
+    const cancelled = await prisma.$transaction(tx => endDeal(tx, deal, 'CANCELLED'));
+    if (!cancelled) {
+        throw createHttpError(400, `Cannot cancel a deal with status: ${deal.status}`);
+    }
+
+    publish('deal.ended', { dealId: id });
+
+    return prisma.deal.findUnique({ where: { id } });
+};
+
+/**
+ * Cancel every open deal of a product
+ */
+const cancelProductDeals = async (productId) => {
+    const deals = await prisma.deal.findMany({
+        where: { productId, status: { in: OPEN_STATUSES } }
+    });
+
+    await prisma.$transaction(async (tx) => {
+        for (const deal of deals) {
+            await endDeal(tx, deal, 'CANCELLED');
+        }
+        // Also clears deal flags set before deals were tracked
+        await tx.product.update({
+            where: { id: productId },
+            data: CLEARED_PRODUCT_DEAL
+        });
+    });
+
+    for (const deal of deals) {
+        publish('deal.ended', { dealId: deal.id });
+    }
+
+    return deals.length;
+};
+
+/**
+ * Units of a deal a customer has bought (cancelled orders excluded)
+ */
+const getCustomerDealUnits = async (db, dealId, userId) => {
+    const { _sum } = await db.orderItem.aggregate({
+        where: {
+            dealId,
+            order: { userId, status: { not: 'CANCELLED' } }
+        },
+        _sum: { quantity: true }
+    });
+
+    return _sum.quantity || 0;
+};
+
+/**
+ * Total quantity per deal of order lines (`lines` as { dealId, quantity })
+ */
+const quantitiesByDeal = (lines) => lines.reduce((totals, line) => {
+    if (line.dealId) {
+        totals[line.dealId] = (totals[line.dealId] || 0) + line.quantity;
+    }
+    return totals;
+}, {});
+
+/**
+ * Count units sold at deal prices inside the order's transaction, after the
+ * order's lines are written.
+ *
+ * The quantity cap is claimed with a conditional increment, so concurrent
+ * orders cannot oversell it; the increment also locks the deal row, which
+ * serialises the per-customer check. A deal that reaches its cap ends.
+ */
+const claimDealUnits = async (tx, { userId, lines }) => {
+    for (const [dealId, quantity] of Object.entries(quantitiesByDeal(lines))) {
+        const claimed = await tx.$executeRaw`
+            UPDATE "deals"
+            SET "quantitySold" = "quantitySold" + ${quantity}, "updatedAt" = NOW()
+            WHERE "id" = ${dealId}
+              AND "status" = 'ACTIVE'
+              AND ("quantityLimit" IS NULL OR "quantitySold" + ${quantity} <= "quantityLimit")
+        `;
+
+        const deal = await tx.deal.findUnique({ where: { id: dealId } });
+
+        if (claimed === 0) {
+            const remaining = deal.status === 'ACTIVE' && deal.quantityLimit !== null
+                ? Math.max(deal.quantityLimit - deal.quantitySold, 0)
+                : 0;
+            throw createHttpError(409, remaining > 0
+                ? `Only ${remaining} units are left at the deal price`
+                : 'This deal has ended', [{ dealId, productId: deal.productId, remaining }]);
+        }
+
+        if (deal.perCustomerLimit !== null) {
+            const bought = await getCustomerDealUnits(tx, dealId, userId);
+
+            if (bought > deal.perCustomerLimit) {
+                throw createHttpError(409, `This deal is limited to ${deal.perCustomerLimit} units per customer`, [{
+                    dealId,
+                    productId: deal.productId,
+                    limit: deal.perCustomerLimit
+                }]);
+            }
+        }
+
+        if (deal.quantityLimit !== null && deal.quantitySold >= deal.quantityLimit) {
+            await endDeal(tx, deal, 'SOLD_OUT');
+        }
+    }
+};
+
+/**
+ * Give units back to their deals (`lines` as { dealId, quantity }), e.g.
+ * when an order is cancelled. A deal that already ended stays ended.
+ */
+const releaseDealUnits = async (tx, lines) => {
+    for (const [dealId, quantity] of Object.entries(quantitiesByDeal(lines))) {
+        await tx.deal.updateMany({
+            where: { id: dealId, quantitySold: { gte: quantity } },
+            data: { quantitySold: { decrement: quantity } }
+        });
+    }
+};
+
+/**
+ * Product filter for a selection by collection, category, brand and/or tags
+ * (used by the active deals listing and bulk deals)
+ */
+const buildProductSelection = ({ collectionId, categoryId, brand, tags } = {}) => ({
+    ...(collectionId && { collectionId }),
+    ...(categoryId && { collection: { categoryId } }),
+    ...(brand && { brand: { equals: brand, mode: 'insensitive' } }),
+    ...(tags && tags.length > 0 && { tags: { hasSome: tags } })
+});
+
+/**
+ * Work out a bulk deal without creating it: the active products in the
+ * selection with their deal price, and the products skipped because they
+ * already have a deal in the period.
+ */
+const planDealBatch = async ({ selection, discountPercent, startsAt, endsAt }) => {
+    const where = buildProductSelection(selection);
+
+    if (Object.keys(where).length === 0) {
+        throw createHttpError(400, 'Select products by collection, category, brand or tags');
+    }
+
+    assertValidDeal({ discountPercent, startsAt, endsAt });
+
+    const products = await prisma.product.findMany({
+        where: { isActive: true, ...where },
+        select: { id: true, name: true, sku: true, brand: true, price: true },
+        orderBy: { name: 'asc' }
+    });
+
+    const conflicts = await prisma.deal.findMany({
+        where: {
+            productId: { in: products.map(product => product.id) },
+            status: { in: OPEN_STATUSES },
+            startsAt: { lt: endsAt },
+            endsAt: { gt: startsAt }
+        }
+    });
+
+    const included = [];
+    const skipped = [];
+
+    for (const product of products) {
+        const conflict = conflicts.find(deal => deal.productId === product.id);
+
+        if (conflict) {
+            skipped.push({
+                productId: product.id,
+                name: product.name,
+                reason: 'Already has a deal in this period',
+                dealId: conflict.id
+            });
+            continue;
+        }
+
+        included.push({
+            productId: product.id,
+            name: product.name,
+            sku: product.sku,
+            brand: product.brand,
+            price: Number(product.price),
+            dealPrice: resolveDealPrice({ discountPercent }, product.price)
+        });
+    }
+
+    return { products: included, skipped };
+};
+
+/**
+ * Put every product of a selection on the same percentage deal, recorded as
+ * one batch that can be rolled back
+ */
+const createDealBatch = async ({ name, selection, discountPercent, startsAt, endsAt, quantityLimit, perCustomerLimit }, actor) => {
+    const { products, skipped } = await planDealBatch({ selection, discountPercent, startsAt, endsAt });
+
+    if (products.length === 0) {
+        throw createHttpError(400, skipped.length > 0
+            ? 'Every product in this selection already has a deal in this period'
+            : 'No active products match this selection', skipped.length > 0 ? skipped : undefined);
+    }
+
+    const batch = await prisma.$transaction(async (tx) => {
+        const created = await tx.dealBatch.create({
+            data: {
+                name,
+                selection,
+                discountPercent,
+                startsAt,
+                endsAt,
+                quantityLimit: quantityLimit ?? null,
+                perCustomerLimit: perCustomerLimit ?? null,
+                createdById: actor.id
+            }
+        });
+
+        await tx.deal.createMany({
+            data: products.map(product => ({
+                productId: product.productId,
+                batchId: created.id,
+                name,
+                discountPercent,
+                startsAt,
+                endsAt,
+                quantityLimit: quantityLimit ?? null,
+                perCustomerLimit: perCustomerLimit ?? null
+            }))
+        });
+
+        return created;
+    });
+
+    const deals = await prisma.deal.findMany({
+        where: { batchId: batch.id },
+        select: { id: true }
+    });
+    for (const deal of deals) {
+        publish('deal.scheduled', { dealId: deal.id });
+    }
+
+    // Start the deals at once if the sale has already begun
+    await syncDeals();
+
+    return { batch, products, skipped };
+};
+
+/**
+ * Cancel the open deals of a bulk deal. Deals that already ended stay in
+ * their products' history.
+ */
+const rollbackDealBatch = async (id) => {
+    const batch = await prisma.dealBatch.findUnique({ where: { id } });
+
+    if (!batch) {
+        throw createHttpError(404, 'Bulk deal not found');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.dealBatch.updateMany({
+            where: { id, status: 'APPLIED' },
+            data: { status: 'ROLLED_BACK', rolledBackAt: new Date() }
+        });
+
+        if (count === 0) {
+            throw createHttpError(400, 'Bulk deal was already rolled back');
+        }
+
+        const deals = await tx.deal.findMany({
+            where: { batchId: id, status: { in: OPEN_STATUSES } }
+        });
+
+        const cancelled = [];
+        for (const deal of deals) {
+            if (await endDeal(tx, deal, 'CANCELLED')) {
+                cancelled.push(deal.id);
+            }
+        }
+
+        return {
+            batch: await tx.dealBatch.findUnique({ where: { id } }),
+            cancelled
+        };
+    });
+
+    for (const dealId of result.cancelled) {
+        publish('deal.ended', { dealId });
+    }
+
+    return { batch: result.batch, cancelledDeals: result.cancelled.length };
+};
+
+/**
+ * Deal history of a product, newest first, with the units sold
+ */
+const getProductDeals = (productId) => prisma.deal.findMany({
+    where: { productId },
+    orderBy: { startsAt: 'desc' }
+});
+
+module.exports = {
+    resolveDealPrice,
+    syncDeals,
+    createDeal,
+    updateDeal,
+    refreshProductDeal,
+    cancelDeal,
+    cancelProductDeals,
+    claimDealUnits,
+    releaseDealUnits,
+    getProductDeals,
+    buildProductSelection,
+    planDealBatch,
+    createDealBatch,
+    rollbackDealBatch
+};
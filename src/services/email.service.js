@@ -170,6 +170,23 @@ const sendPasswordResetEmail = async (email, resetToken, userName) => {
  * Order confirmation email
  */
 const sendOrderConfirmationEmail = async (email, order, userName) => {
+    // One tax line per rate applied to the order's items
+    const taxLines = Object.values(order.items.reduce((groups, item) => {
+        if (item.taxName && parseFloat(item.taxAmount) > 0) {
+            const key = `${item.taxName}:${parseFloat(item.taxRate)}`;
+            groups[key] = groups[key] || { name: item.taxName, rate: parseFloat(item.taxRate), amount: 0 };
+            groups[key].amount += parseFloat(item.taxAmount);
+        }
+        return groups;
+    }, {}));
+
+    const taxRows = taxLines.map(line => `
+                <tr>
+                    <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">${line.name} (${line.rate}%${order.taxInclusive ? ', included' : ''}):</td>
+                    <td style="padding: 15px; text-align: right;">Rs ${line.amount.toFixed(2)}</td>
+                </tr>
+    `).join('');
+
     const itemsList = order.items.map(item => `
         <tr>
             <td style="padding: 15px; border-bottom: 1px solid #e0e0e0;">
@@ -207,14 +224,45 @@ const sendOrderConfirmationEmail = async (email, order, userName) => {
                     <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Subtotal:</td>
                     <td style="padding: 15px; text-align: right;">Rs ${parseFloat(order.subtotal).toFixed(2)}</td>
                 </tr>
+                ${parseFloat(order.promotionDiscount || 0) > 0 ? `
+                <tr>
+                    <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Promotions:</td>
+                    <td style="padding: 15px; text-align: right; color: #3D9B7B;">- Rs ${parseFloat(order.promotionDiscount).toFixed(2)}</td>
+                </tr>
+                ` : ''}
+                ${parseFloat(order.discount || 0) > 0 ? `
+                <tr>
+                    <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Discount${order.couponCode ? ` (${order.couponCode})` : ''}:</td>
+                    <td style="padding: 15px; text-align: right; color: #3D9B7B;">- Rs ${parseFloat(order.discount).toFixed(2)}</td>
+                </tr>
+                ` : ''}
                 <tr>
                     <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Shipping:</td>
                     <td style="padding: 15px; text-align: right;">${parseFloat(order.shippingFee) === 0 ? 'Free' : 'Rs ' + parseFloat(order.shippingFee).toFixed(2)}</td>
                 </tr>
+                ${taxRows}
                 <tr style="background-color: #f8f8f8;">
                     <td colspan="2" style="padding: 15px; text-align: right; font-size: 18px; font-weight: bold;">Total:</td>
                     <td style="padding: 15px; text-align: right; font-size: 18px; font-weight: bold; color: #3D9B7B;">Rs ${parseFloat(order.total).toFixed(2)}</td>
                 </tr>
+                ${parseFloat(order.pointsAmount || 0) > 0 ? `
+                <tr>
+                    <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Paid with ${order.pointsRedeemed} points:</td>
+                    <td style="padding: 15px; text-align: right;">Rs ${parseFloat(order.pointsAmount).toFixed(2)}</td>
+                </tr>
+                ` : ''}
+                ${parseFloat(order.walletAmount || 0) > 0 ? `
+                <tr>
+                    <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Paid from wallet:</td>
+                    <td style="padding: 15px; text-align: right;">Rs ${parseFloat(order.walletAmount).toFixed(2)}</td>
+                </tr>
+                ` : ''}
+                ${parseFloat(order.giftCardAmount || 0) > 0 ? `
+                <tr>
+                    <td colspan="2" style="padding: 15px; text-align: right; font-weight: bold;">Paid with gift cards:</td>
+                    <td style="padding: 15px; text-align: right;">Rs ${parseFloat(order.giftCardAmount).toFixed(2)}</td>
+                </tr>
+                ` : ''}
             </table>
         </div>
 
@@ -244,9 +292,9 @@ const sendOrderConfirmationEmail = async (email, order, userName) => {
 };
 
 /**
- * Order status update email
+ * Order status update email (with an optional note, e.g. a cancellation reason)
  */
-const sendOrderStatusEmail = async (email, order, userName) => {
+const sendOrderStatusEmail = async (email, order, userName, note) => {
     const statusMessages = {
         PAID: {
             title: '💳 Payment Confirmed',
@@ -267,6 +315,10 @@ const sendOrderStatusEmail = async (email, order, userName) => {
         CANCELLED: {
             title: '❌ Order Cancelled',
             message: 'Your order has been cancelled. If you didn\'t request this, please contact support.'
+        },
+        REFUNDED: {
+            title: '💸 Order Refunded',
+            message: 'Your order has been refunded. The amount will be returned using your original payment method.'
         }
     };
 
@@ -289,6 +341,13 @@ const sendOrderStatusEmail = async (email, order, userName) => {
             </div>
         </div>
 
+        ${note ? `
+        <div style="margin: 20px 0;">
+            <div style="font-size: 16px; font-weight: bold; margin-bottom: 10px;">Note</div>
+            <p class="text" style="margin: 0;">${note}</p>
+        </div>
+        ` : ''}
+
         <div class="divider"></div>
         <p class="text">If you have any questions about your order, please don't hesitate to contact our support team.</p>
     `;
@@ -300,9 +359,282 @@ const sendOrderStatusEmail = async (email, order, userName) => {
     });
 };
 
+/**
+ * One-time code confirming a (cash on delivery) order
+ */
+const sendOrderConfirmationCodeEmail = async (email, order, code, expiresInMinutes) => {
+    const content = `
+        <div class="title">Confirm Your Order</div>
+        <p class="text">Hi ${order.contactFirstName || 'there'},</p>
+        <p class="text">Please confirm order #${order.orderNumber} with this code:</p>
+        <div style="text-align: center; margin: 30px 0;">
+            <span style="display: inline-block; background-color: #f8f8f8; padding: 15px 30px; border-radius: 8px; font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #333;">${code}</span>
+        </div>
+        <p class="text">The code expires in ${expiresInMinutes} minutes. We will start preparing your order once it is confirmed.</p>
+        <div class="divider"></div>
+        <p class="text" style="font-size: 14px; color: #999;">
+            If you didn't place this order, you can ignore this email and it will be cancelled.
+        </p>
+    `;
+
+    return await sendEmail({
+        to: email,
+        subject: `Confirm Order #${order.orderNumber} - NutriWell`,
+        html: getBaseTemplate(content)
+    });
+};
+
+/**
+ * Return (RMA) update email - sent for every step of a return
+ */
+const sendReturnStatusEmail = async (email, returnRequest, userName) => {
+    const statusMessages = {
+        REQUESTED: {
+            title: '📝 Return Requested',
+            message: 'We\'ve received your return request and will review it shortly.'
+        },
+        APPROVED: {
+            title: '✅ Return Approved',
+            message: 'Your return has been approved. Please send the items back, quoting your return number.'
+        },
+        REJECTED: {
+            title: '❌ Return Rejected',
+            message: 'Unfortunately we could not accept your return request.'
+        },
+        RECEIVED: {
+            title: '📦 Return Received',
+            message: 'We\'ve received your returned items and are processing your refund.'
+        },
+        REFUNDED: {
+            title: '💸 Return Refunded',
+            message: 'Your refund has been issued. The amount will be returned using your original payment method.'
+        }
+    };
+
+    const statusInfo = statusMessages[returnRequest.status] || {
+        title: 'Return Update',
+        message: `Your return status has been updated to ${returnRequest.status}.`
+    };
+
+    const itemsList = returnRequest.items.map(item => `
+        <tr>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0;">
+                <strong>${item.orderItem.productName}</strong>
+                ${item.orderItem.productBrand ? `<br><span style="color: #999; font-size: 14px;">${item.orderItem.productBrand}</span>` : ''}
+            </td>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0; text-align: center;">x${item.quantity}</td>
+        </tr>
+    `).join('');
+
+    const content = `
+        <div class="title">${statusInfo.title}</div>
+        <p class="text">Hi ${userName || returnRequest.order.contactFirstName},</p>
+        <p class="text">${statusInfo.message}</p>
+
+        <div style="background-color: #f8f8f8; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <div style="font-size: 18px; font-weight: bold; color: #333; margin-bottom: 10px;">
+                Return #${returnRequest.rmaNumber}
+            </div>
+            <div style="font-size: 14px; color: #666;">
+                Order #${returnRequest.order.orderNumber} &middot;
+                Status: <span style="color: #3D9B7B; font-weight: bold;">${returnRequest.status}</span>
+            </div>
+            ${returnRequest.status === 'REFUNDED' ? `
+            <div style="font-size: 14px; color: #666; margin-top: 10px;">
+                Refund: <strong>Rs ${parseFloat(returnRequest.refundAmount).toFixed(2)}</strong>
+            </div>
+            ` : ''}
+        </div>
+
+        <div style="margin: 30px 0;">
+            <div style="font-size: 18px; font-weight: bold; margin-bottom: 15px;">Returned Items</div>
+            <table style="width: 100%; border-collapse: collapse;">
+                ${itemsList}
+            </table>
+        </div>
+
+        ${returnRequest.adminNote ? `
+        <div style="margin: 20px 0;">
+            <div style="font-size: 16px; font-weight: bold; margin-bottom: 10px;">Note</div>
+            <p class="text" style="margin: 0;">${returnRequest.adminNote}</p>
+        </div>
+        ` : ''}
+
+        <div class="divider"></div>
+        <p class="text">If you have any questions about your return, please don't hesitate to contact our support team.</p>
+    `;
+
+    return await sendEmail({
+        to: email,
+        subject: `Return #${returnRequest.rmaNumber} - ${statusInfo.title} - NutriWell`,
+        html: getBaseTemplate(content)
+    });
+};
+
+/**
+ * Refund receipt - sent for every refund of an order
+ */
+const sendRefundReceiptEmail = async (email, order, refund) => {
+    const methodLabels = {
+        CARD: 'to the card used for the order',
+        BANK_TRANSFER: 'by bank transfer',
+        CASH: 'in cash',
+        WALLET: 'as store credit to your wallet'
+    };
+
+    const itemsList = refund.items.map(item => `
+        <tr>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0;">
+                <strong>${item.orderItem.productName}</strong>
+                ${item.orderItem.productBrand ? `<br><span style="color: #999; font-size: 14px;">${item.orderItem.productBrand}</span>` : ''}
+            </td>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0; text-align: center;">x${item.quantity}</td>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0; text-align: right;">Rs ${parseFloat(item.amount).toFixed(2)}</td>
+        </tr>
+    `).join('');
+
+    const content = `
+        <div class="title">💸 Refund Issued</div>
+        <p class="text">Hi ${order.contactFirstName},</p>
+        <p class="text">We've issued a refund for your order. It will be paid back ${methodLabels[refund.method] || 'to you'}.</p>
+
+        <div style="background-color: #f8f8f8; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <div style="font-size: 18px; font-weight: bold; color: #333; margin-bottom: 10px;">
+                Refund: Rs ${parseFloat(refund.amount).toFixed(2)}
+            </div>
+            <div style="font-size: 14px; color: #666;">
+                Order #${order.orderNumber} &middot;
+                ${new Date(refund.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
+            </div>
+            ${refund.providerReference ? `
+            <div style="font-size: 14px; color: #666; margin-top: 10px;">
+                Reference: <strong>${refund.providerReference}</strong>
+            </div>
+            ` : ''}
+        </div>
+
+        ${refund.items.length > 0 ? `
+        <div style="margin: 30px 0;">
+            <div style="font-size: 18px; font-weight: bold; margin-bottom: 15px;">Refunded Items</div>
+            <table style="width: 100%; border-collapse: collapse;">
+                ${itemsList}
+            </table>
+        </div>
+        ` : ''}
+
+        <div style="margin: 20px 0;">
+            <div style="font-size: 16px; font-weight: bold; margin-bottom: 10px;">Reason</div>
+            <p class="text" style="margin: 0;">${refund.reason}</p>
+        </div>
+
+        <div class="divider"></div>
+        <p class="text">If you have any questions about your refund, please don't hesitate to contact our support team.</p>
+    `;
+
+    return await sendEmail({
+        to: email,
+        subject: `Refund for Order #${order.orderNumber} - NutriWell`,
+        html: getBaseTemplate(content)
+    });
+};
+
+/**
+ * Items of a subscription as email table rows
+ */
+const getSubscriptionItemRows = (subscription) => subscription.items.map(item => `
+        <tr>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0;">
+                <strong>${item.product.name}</strong>
+                ${item.product.brand ? `<br><span style="color: #999; font-size: 14px;">${item.product.brand}</span>` : ''}
+            </td>
+            <td style="padding: 15px; border-bottom: 1px solid #e0e0e0; text-align: center;">x${item.quantity}</td>
+        </tr>
+    `).join('');
+
+/**
+ * Reminder sent a few days before a subscription places its next order
+ */
+const sendSubscriptionReminderEmail = async (email, subscription, discountPercent) => {
+    const content = `
+        <div class="title">🔁 Your Next Delivery Is Coming Up</div>
+        <p class="text">Hi ${subscription.contactFirstName},</p>
+        <p class="text">
+            We'll place your subscription order on
+            <strong>${new Date(subscription.nextRunAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</strong>,
+            with ${discountPercent}% off as a subscriber.
+        </p>
+
+        <div style="margin: 30px 0;">
+            <div style="font-size: 18px; font-weight: bold; margin-bottom: 15px;">Your Subscription</div>
+            <table style="width: 100%; border-collapse: collapse;">
+                ${getSubscriptionItemRows(subscription)}
+            </table>
+        </div>
+
+        <div class="divider"></div>
+        <p class="text">Need something different? You can change, skip or pause this delivery from your account before then.</p>
+    `;
+
+    return await sendEmail({
+        to: email,
+        subject: 'Your Subscription Order Is Coming Up - NutriWell',
+        html: getBaseTemplate(content)
+    });
+};
+
+/**
+ * Sent when a subscription's order could not be placed (e.g. out of stock)
+ */
+const sendSubscriptionFailedEmail = async (email, subscription, reason, errors) => {
+    const outOfStock = (errors || []).filter(error => error.productName);
+
+    const content = `
+        <div class="title">⚠️ We Couldn't Place Your Subscription Order</div>
+        <p class="text">Hi ${subscription.contactFirstName},</p>
+        <p class="text">We tried to place your subscription order today but couldn't.</p>
+
+        <div style="margin: 20px 0;">
+            <div style="font-size: 16px; font-weight: bold; margin-bottom: 10px;">Reason</div>
+            <p class="text" style="margin: 0;">${reason}</p>
+        </div>
+
+        ${outOfStock.length > 0 ? `
+        <div style="margin: 30px 0;">
+            <div style="font-size: 18px; font-weight: bold; margin-bottom: 15px;">Out of Stock</div>
+            <table style="width: 100%; border-collapse: collapse;">
+                ${outOfStock.map(error => `
+                <tr>
+                    <td style="padding: 15px; border-bottom: 1px solid #e0e0e0;"><strong>${error.productName}</strong></td>
+                    <td style="padding: 15px; border-bottom: 1px solid #e0e0e0; text-align: right;">${error.available} of ${error.requested} available</td>
+                </tr>
+                `).join('')}
+            </table>
+        </div>
+        ` : ''}
+
+        <p class="text">
+            This delivery has been skipped. Your next one is due on
+            <strong>${new Date(subscription.nextRunAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</strong>.
+        </p>
+        <div class="divider"></div>
+        <p class="text">You can change your subscription from your account, or place an order for what is available now.</p>
+    `;
+
+    return await sendEmail({
+        to: email,
+        subject: 'Your Subscription Order Could Not Be Placed - NutriWell',
+        html: getBaseTemplate(content)
+    });
+};
+
 module.exports = {
     sendEmail,
     sendPasswordResetEmail,
     sendOrderConfirmationEmail,
-    sendOrderStatusEmail
+    sendOrderStatusEmail,
+    sendOrderConfirmationCodeEmail,
+    sendReturnStatusEmail,
+    sendRefundReceiptEmail,
+    sendSubscriptionReminderEmail,
+    sendSubscriptionFailedEmail
 };
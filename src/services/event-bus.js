@@ -0,0 +1,41 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus for live updates (e.g. the flash sale feed).
+ *
+ * Events only reach subscribers in this process, so a deployment running
+ * several API instances needs a shared broker instead.
+ *
+ * Events:
+ * - `order.placed`, `order.cancelled`, `order.edited`, `order.refunded` `{ orderId }` - stock may have changed
+ * - `deal.scheduled`, `deal.started`, `deal.ended`, `deal.updated` `{ dealId }`
+ */
+const emitter = new EventEmitter();
+
+/**
+ * Publish an event to the subscribers. Never throws: a failing subscriber
+ * must not affect the request that published the event.
+ */
+const publish = (event, payload) => {
+    emitter.emit(event, payload);
+};
+
+/**
+ * Subscribe to an event. Returns a function that removes the subscription.
+ * Errors (and rejected promises) from the listener are logged.
+ */
+const subscribe = (event, listener) => {
+    const safeListener = (payload) => {
+        Promise.resolve()
+            .then(() => listener(payload))
+            .catch(err => console.error(`Event ${event} listener failed:`, err));
+    };
+
+    emitter.on(event, safeListener);
+    return () => emitter.off(event, safeListener);
+};
+
+module.exports = {
+    publish,
+    subscribe,
+};
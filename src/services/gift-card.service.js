@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+
+// No 0/O or 1/I, so codes can be read out and typed without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gift card codes are matched case-insensitively and stored upper-case
+ */
+const normalizeGiftCardCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Random code such as GC-7KQ2-M9XD-4TPW
+ */
+const generateGiftCardCode = () => {
+    const characters = Array.from(crypto.randomBytes(12), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    return `GC-${characters.slice(0, 4).join('')}-${characters.slice(4, 8).join('')}-${characters.slice(8).join('')}`;
+};
+
+const isExpired = (giftCard, now = new Date()) => giftCard.expiresAt !== null && giftCard.expiresAt <= now;
+
+/**
+ * Issue `quantity` gift cards worth `value` each (Admin). Returns the batch
+ * with its cards.
+ */
+const createGiftCardBatch = ({ name, quantity, value, expiresAt }, actor) => prisma.$transaction(async (tx) => {
+    const batch = await tx.giftCardBatch.create({
+        data: {
+            name,
+            value,
+            quantity,
+            expiresAt: expiresAt ? new Date(expiresAt) : null,
+            createdById: actor.id
+        }
+    });
+
+    await tx.giftCard.createMany({
+        data: Array.from({ length: quantity }, () => ({
+            code: generateGiftCardCode(),
+            batchId: batch.id,
+            initialValue: value,
+            balance: value,
+            expiresAt: batch.expiresAt
+        }))
+    });
+
+    return tx.giftCardBatch.findUnique({
+        where: { id: batch.id },
+        include: {
+            giftCards: { orderBy: { code: 'asc' } }
+        }
+    });
+});
+
+/**
+ * Look up a gift card by code, failing with 404 when there is none
+ */
+const findGiftCard = async (code) => {
+    const giftCard = await prisma.giftCard.findUnique({
+        where: { code: normalizeGiftCardCode(code) }
+    });
+
+    if (!giftCard) {
+        throw createHttpError(404, 'Gift card not found');
+    }
+
+    return giftCard;
+};
+
+/**
+ * A gift card's remaining balance (shown to customers)
+ */
+const getGiftCardBalance = async (code) => {
+    const giftCard = await findGiftCard(code);
+
+    return {
+        code: giftCard.code,
+        initialValue: giftCard.initialValue,
+        balance: giftCard.balance,
+        expiresAt: giftCard.expiresAt,
+        expired: isExpired(giftCard)
+    };
+};
+
+/**
+ * Work out how much of `amount` the given gift cards pay, spending each
+ * card in turn until the amount is covered. Nothing is redeemed.
+ *
+ * Returns `{ amount, redemptions: [{ giftCard, amount }] }`.
+ */
+const applyGiftCards = async (codes, amount) => {
+    const uniqueCodes = [...new Set(codes.map(normalizeGiftCardCode))];
+    const redemptions = [];
+    let remaining = amount;
+
+    for (const code of uniqueCodes) {
+        const giftCard = await findGiftCard(code);
+
+        if (isExpired(giftCard)) {
+            throw createHttpError(400, `Gift card ${giftCard.code} has expired`);
+        }
+        if (Number(giftCard.balance) <= 0) {
+            throw createHttpError(400, `Gift card ${giftCard.code} has no balance left`);
+        }
+
+        const spent = roundMoney(Math.min(Number(giftCard.balance), remaining));
+
+        if (spent > 0) {
+            redemptions.push({ giftCard, amount: spent });
+            remaining = roundMoney(remaining - spent);
+        }
+    }
+
+    return {
+        amount: roundMoney(amount - remaining),
+        redemptions
+    };
+};
+
+/**
+ * Spend gift card balances on an order inside its transaction. The balance
+ * is taken with a conditional decrement, so concurrent orders cannot spend
+ * the same credit twice.
+ */
+const redeemGiftCards = async (tx, orderId, redemptions) => {
+    for (const { giftCard, amount } of redemptions) {
+        const { count } = await tx.giftCard.updateMany({
+            where: {
+                id: giftCard.id,
+                balance: { gte: amount },
+                OR: [
+                    { expiresAt: null },
+                    { expiresAt: { gt: new Date() } }
+                ]
+            },
+            data: { balance: { decrement: amount } }
+        });
+
+        if (count === 0) {
+            throw createHttpError(409, `The balance of gift card ${giftCard.code} changed while placing the order. Please try again.`);
+        }
+
+        await tx.giftCardRedemption.create({
+            data: {
+                giftCardId: giftCard.id,
+                orderId,
+                amount
+            }
+        });
+    }
+};
+
+/**
+ * Give the gift card balance spent on a cancelled order back to its cards
+ */
+const reverseGiftCardRedemptions = async (tx, orderId) => {
+    const redemptions = await tx.giftCardRedemption.findMany({
+        where: { orderId, reversedAt: null }
+    });
+
+    for (const redemption of redemptions) {
+        await tx.giftCardRedemption.update({
+            where: { id: redemption.id },
+            data: { reversedAt: new Date() }
+        });
+        await tx.giftCard.update({
+            where: { id: redemption.giftCardId },
+            data: { balance: { increment: redemption.amount } }
+        });
+    }
+};
+
+/**
+ * Charge (positive amount) or give back (negative amount) the difference
+ * when an order paid with gift cards is edited. Charges spend what is left
+ * on the order's own cards, failing with 400 when they cannot cover it;
+ * give-backs come off its latest redemptions first.
+ */
+const adjustGiftCardRedemptions = async (tx, order, amount) => {
+    const redemptions = await tx.giftCardRedemption.findMany({
+        where: { orderId: order.id, reversedAt: null },
+        include: { giftCard: true },
+        orderBy: { createdAt: 'desc' }
+    });
+
+    if (amount < 0) {
+        let remaining = -amount;
+
+        for (const redemption of redemptions) {
+            const returned = roundMoney(Math.min(Number(redemption.amount), remaining));
+
+            if (returned <= 0) {
+                continue;
+            }
+
+            await tx.giftCardRedemption.update({
+                where: { id: redemption.id },
+                data: { amount: { decrement: returned } }
+            });
+            await tx.giftCard.update({
+                where: { id: redemption.giftCardId },
+                data: { balance: { increment: returned } }
+            });
+            remaining = roundMoney(remaining - returned);
+        }
+        return;
+    }
+
+    const giftCards = [...new Map(redemptions.map(redemption => [redemption.giftCardId, redemption.giftCard])).values()]
+        .filter(giftCard => !isExpired(giftCard));
+    const charges = [];
+    let remaining = amount;
+
+    for (const giftCard of giftCards) {
+        const spent = roundMoney(Math.min(Number(giftCard.balance), remaining));
+
+        if (spent > 0) {
+            charges.push({ giftCard, amount: spent });
+            remaining = roundMoney(remaining - spent);
+        }
+    }
+
+    if (remaining > 0) {
+        throw createHttpError(400, `The gift cards on this order are Rs ${remaining.toFixed(2)} short of its new total`);
+    }
+
+    await redeemGiftCards(tx, order.id, charges);
+};
+
+module.exports = {
+    normalizeGiftCardCode,
+    createGiftCardBatch,
+    getGiftCardBalance,
+    applyGiftCards,
+    redeemGiftCards,
+    reverseGiftCardRedemptions,
+    adjustGiftCardRedemptions
+};
@@ -0,0 +1,158 @@
+const { createHttpError } = require('../utils/http-error');
+
+// How long stock stays held for an order awaiting card payment (0 disables)
+const getReservationMinutes = () => parseInt(process.env.STOCK_RESERVATION_MINUTES || '30', 10);
+
+// Payment methods whose orders hold stock until paid
+const RESERVED_PAYMENT_METHODS = ['CARD'];
+
+/**
+ * Atomically deduct stock for order lines.
+ *
+ * Each decrement only matches while enough stock is left, so two concurrent
+ * orders can never oversell: the loser gets a 409 and, since this runs inside
+ * the caller's transaction, everything it already did is rolled back.
+ */
+const deductStock = async (tx, items) => {
+    const shortages = [];
+
+    for (const item of items) {
+        const { count } = await tx.product.updateMany({
+            where: {
+                id: item.productId,
+                quantity: { gte: item.quantity }
+            },
+            data: {
+                quantity: { decrement: item.quantity }
+            }
+        });
+
+        if (count === 0) {
+            const product = await tx.product.findUnique({
+                where: { id: item.productId },
+                select: { id: true, name: true, quantity: true }
+            });
+            shortages.push({
+                productId: item.productId,
+                productName: product?.name,
+                requested: item.quantity,
+                available: product?.quantity ?? 0
+            });
+        }
+    }
+
+    if (shortages.length > 0) {
+        throw createHttpError(409, 'Some products have insufficient stock', shortages);
+    }
+};
+
+/**
+ * Return stock for order lines (cancellations, releases)
+ */
+const restoreStock = async (tx, items) => {
+    for (const item of items) {
+        await tx.product.update({
+            where: { id: item.productId },
+            data: {
+                quantity: { increment: item.quantity }
+            }
+        });
+    }
+};
+
+/**
+ * Hold the order's stock while its payment is pending, if the payment
+ * method requires it. Returns the reservation expiry (or null).
+ */
+const createReservations = async (tx, order, items) => {
+    const minutes = getReservationMinutes();
+
+    if (!RESERVED_PAYMENT_METHODS.includes(order.paymentMethod) || minutes <= 0) {
+        return null;
+    }
+
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    await tx.stockReservation.createMany({
+        data: items.map(item => ({
+            orderId: order.id,
+            productId: item.productId,
+            quantity: item.quantity,
+            expiresAt
+        }))
+    });
+
+    return expiresAt;
+};
+
+/**
+ * Mark an order's reservations as consumed (payment succeeded)
+ */
+const consumeReservations = (tx, orderId) => tx.stockReservation.updateMany({
+    where: { orderId, status: 'ACTIVE' },
+    data: { status: 'CONSUMED' }
+});
+
+/**
+ * Mark an order's reservations as released. The caller is responsible for
+ * restoring the order's stock (cancellation already does this for all lines).
+ */
+const releaseReservations = (tx, orderId) => tx.stockReservation.updateMany({
+    where: { orderId, status: 'ACTIVE' },
+    data: { status: 'RELEASED' }
+});
+
+/**
+ * Make an order's active reservations match its lines after an edit:
+ * removed lines are released, changed ones resized and new ones held until
+ * the same expiry. Orders without active reservations are left alone.
+ */
+const resizeReservations = async (tx, orderId, items) => {
+    const active = await tx.stockReservation.findMany({
+        where: { orderId, status: 'ACTIVE' }
+    });
+
+    if (active.length === 0) {
+        return;
+    }
+
+    const { expiresAt } = active[0];
+
+    for (const reservation of active) {
+        const item = items.find(line => line.productId === reservation.productId);
+
+        if (!item) {
+            await tx.stockReservation.update({
+                where: { id: reservation.id },
+                data: { status: 'RELEASED' }
+            });
+        } else if (item.quantity !== reservation.quantity) {
+            await tx.stockReservation.update({
+                where: { id: reservation.id },
+                data: { quantity: item.quantity }
+            });
+        }
+    }
+
+    const added = items.filter(item => !active.some(reservation => reservation.productId === item.productId));
+
+    if (added.length > 0) {
+        await tx.stockReservation.createMany({
+            data: added.map(item => ({
+                orderId,
+                productId: item.productId,
+                quantity: item.quantity,
+                expiresAt
+            }))
+        });
+    }
+};
+
+module.exports = {
+    deductStock,
+    restoreStock,
+    createReservations,
+    consumeReservations,
+    releaseReservations,
+    resizeReservations
+};
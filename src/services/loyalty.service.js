@@ -0,0 +1,428 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { assertUserExists } = require('../utils/user');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries that count towards a customer's tier: points earned on orders,
+// less points forfeited when those orders were refunded
+const QUALIFYING_TYPES = ['EARN', 'REFUND'];
+
+/**
+ * Bonus categories as `slug:multiplier` pairs, e.g. "supplements:2,vitamins:1.5"
+ */
+const parseBonusCategories = (value) => Object.fromEntries(String(value || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([slug, multiplier]) => slug && parseFloat(multiplier) > 0)
+    .map(([slug, multiplier]) => [slug.toLowerCase(), parseFloat(multiplier)]));
+
+/**
+ * Loyalty program settings from the environment
+ */
+const getLoyaltyConfig = () => ({
+    pointsPerRupee: parseFloat(process.env.LOYALTY_POINTS_PER_RUPEE || '0.01'),
+    pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE || '1'),
+    maxRedeemPercent: parseFloat(process.env.LOYALTY_MAX_REDEEM_PERCENT || '50'),
+    expiryDays: parseInt(process.env.LOYALTY_POINTS_EXPIRY_DAYS || '365', 10),
+    bonusCategories: parseBonusCategories(process.env.LOYALTY_BONUS_CATEGORIES)
+});
+
+/**
+ * Tiers from highest to lowest, with the qualifying points they need and
+ * their perks
+ */
+const getLoyaltyTiers = () => [
+    {
+        name: 'GOLD',
+        minPoints: parseInt(process.env.LOYALTY_GOLD_POINTS || '5000', 10),
+        earnMultiplier: 1.5,
+        freeShipping: true
+    },
+    {
+        name: 'SILVER',
+        minPoints: parseInt(process.env.LOYALTY_SILVER_POINTS || '1000', 10),
+        earnMultiplier: 1.25,
+        freeShipping: false
+    },
+    {
+        name: 'MEMBER',
+        minPoints: 0,
+        earnMultiplier: 1,
+        freeShipping: false
+    }
+];
+
+const sumPoints = async (client, where) => {
+    const { _sum } = await client.loyaltyTransaction.aggregate({
+        where,
+        _sum: { points: true }
+    });
+
+    return _sum.points || 0;
+};
+
+/**
+ * A customer's points balance - the sum of their ledger
+ */
+const getPointsBalance = (client, userId) => sumPoints(client, { userId });
+
+/**
+ * A customer's tier, with the points they need for the next one
+ */
+const getLoyaltyTier = async (client, userId) => {
+    const qualifyingPoints = userId
+        ? await sumPoints(client, { userId, type: { in: QUALIFYING_TYPES } })
+        : 0;
+    const tiers = getLoyaltyTiers();
+    const index = tiers.findIndex(tier => qualifyingPoints >= tier.minPoints);
+    const next = index > 0 ? tiers[index - 1] : null;
+
+    return {
+        ...tiers[index],
+        qualifyingPoints,
+        nextTier: next
+            ? { name: next.name, pointsNeeded: next.minPoints - qualifyingPoints }
+            : null
+    };
+};
+
+const lockCustomer = (tx, userId) =>
+    tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+/**
+ * Add a ledger entry inside a transaction. Credited points get the
+ * configured expiry. Debits (negative points) lock the customer's row first
+ * and fail with 400 when the balance is too low.
+ */
+const recordLoyaltyTransaction = async (tx, { userId, points, type, note, orderId, actor }) => {
+    if (points < 0) {
+        await lockCustomer(tx, userId);
+
+        const balance = await getPointsBalance(tx, userId);
+
+        if (balance + points < 0) {
+            throw createHttpError(400, `Insufficient points balance (${balance} available)`);
+        }
+    }
+
+    const { expiryDays } = getLoyaltyConfig();
+
+    return tx.loyaltyTransaction.create({
+        data: {
+            userId,
+            points,
+            type,
+            note: note || null,
+            orderId: orderId || null,
+            expiresAt: points > 0 && expiryDays > 0 ? new Date(Date.now() + expiryDays * DAY_MS) : null,
+            createdById: actor ? actor.id : null
+        }
+    });
+};
+
+/**
+ * Check a customer can spend `points` on an order of `total`. Points can
+ * pay up to the configured share of the order. Nothing is redeemed.
+ *
+ * Returns `{ points, amount }`.
+ */
+const applyLoyaltyPoints = async (userId, points, total) => {
+    if (!Number.isInteger(points) || points <= 0) {
+        throw createHttpError(400, 'Points to redeem must be a whole number greater than 0');
+    }
+
+    const { pointValue, maxRedeemPercent } = getLoyaltyConfig();
+    const balance = await getPointsBalance(prisma, userId);
+
+    if (points > balance) {
+        throw createHttpError(400, `Insufficient points balance (${balance} available)`);
+    }
+
+    const amount = roundMoney(points * pointValue);
+    const maxAmount = roundMoney(total * maxRedeemPercent / 100);
+
+    if (amount > maxAmount) {
+        throw createHttpError(400, `Points can pay at most Rs ${maxAmount.toFixed(2)} of this order (${Math.floor(maxAmount / pointValue)} points)`);
+    }
+
+    return { points, amount };
+};
+
+/**
+ * Spend points on a new order
+ */
+const redeemLoyaltyPoints = (tx, { userId, orderId, points }) => recordLoyaltyTransaction(tx, {
+    userId,
+    points: -points,
+    type: 'REDEEM',
+    orderId
+});
+
+/**
+ * Give back the points spent on an order that was cancelled or refunded in
+ * full (once per order)
+ */
+const returnRedeemedPoints = async (tx, order) => {
+    if (order.pointsRedeemed <= 0) {
+        return null;
+    }
+
+    const returned = await tx.loyaltyTransaction.count({
+        where: { orderId: order.id, type: 'REDEMPTION_RETURNED' }
+    });
+
+    if (returned > 0) {
+        return null;
+    }
+
+    return recordLoyaltyTransaction(tx, {
+        userId: order.userId,
+        points: order.pointsRedeemed,
+        type: 'REDEMPTION_RETURNED',
+        orderId: order.id,
+        note: `Points spent on order #${order.orderNumber} returned`
+    });
+};
+
+/**
+ * Give back part of the points spent on an order whose total dropped when
+ * it was edited
+ */
+const returnEditedPoints = (tx, order, points) => recordLoyaltyTransaction(tx, {
+    userId: order.userId,
+    points,
+    type: 'ORDER_EDITED',
+    orderId: order.id,
+    note: `Order #${order.orderNumber} was changed`
+});
+
+/**
+ * Credit the points earned on a delivered order: the value of its lines
+ * (after discounts) at the configured rate, multiplied for bonus categories
+ * and by the customer's tier
+ */
+const awardOrderPoints = async (tx, order) => {
+    const earned = await tx.loyaltyTransaction.count({
+        where: { orderId: order.id, type: 'EARN' }
+    });
+
+    if (earned > 0) {
+        return null;
+    }
+
+    const { pointsPerRupee, bonusCategories } = getLoyaltyConfig();
+    const [items, tier] = await Promise.all([
+        tx.orderItem.findMany({
+            where: { orderId: order.id },
+            include: {
+                product: {
+                    select: {
+                        collection: {
+                            select: { category: { select: { slug: true } } }
+                        }
+                    }
+                }
+            }
+        }),
+        getLoyaltyTier(tx, order.userId)
+    ]);
+
+    const value = items.reduce((sum, item) => {
+        const lineValue = Number(item.price) * item.quantity - Number(item.promotionDiscount) - Number(item.discount);
+        const slug = item.product.collection?.category.slug;
+        return sum + lineValue * (bonusCategories[slug] || 1);
+    }, 0);
+    const points = Math.floor(value * pointsPerRupee * tier.earnMultiplier);
+
+    if (points <= 0) {
+        return null;
+    }
+
+    return recordLoyaltyTransaction(tx, {
+        userId: order.userId,
+        points,
+        type: 'EARN',
+        orderId: order.id,
+        note: `Order #${order.orderNumber} delivered`
+    });
+};
+
+/**
+ * Take back the points earned on an order in proportion to what has been
+ * refunded on it so far (returns are refunded the same way). Never takes
+ * the balance below zero.
+ */
+const forfeitRefundedPoints = async (tx, order) => {
+    const earned = await sumPoints(tx, { orderId: order.id, type: 'EARN' });
+
+    if (earned <= 0) {
+        return null;
+    }
+
+    const [forfeited, refunds] = await Promise.all([
+        sumPoints(tx, { orderId: order.id, type: 'REFUND' }),
+        tx.refund.aggregate({
+            where: { orderId: order.id, status: 'COMPLETED', duplicate: false },
+            _sum: { amount: true }
+        })
+    ]);
+
+    const paid = Number(order.total) - Number(order.pointsAmount);
+    const refunded = Number(refunds._sum.amount || 0);
+    const target = paid > 0 ? Math.min(earned, Math.round(earned * refunded / paid)) : earned;
+
+    await lockCustomer(tx, order.userId);
+
+    const points = Math.min(target + forfeited, await getPointsBalance(tx, order.userId));
+
+    if (points <= 0) {
+        return null;
+    }
+
+    return recordLoyaltyTransaction(tx, {
+        userId: order.userId,
+        points: -points,
+        type: 'REFUND',
+        orderId: order.id,
+        note: `Order #${order.orderNumber} was refunded`
+    });
+};
+
+/**
+ * Expire the unspent points of every customer with credits past their
+ * expiry. Points are spent oldest first, so what expires is what those
+ * credits add up to less everything spent, forfeited or expired before.
+ * Returns `[{ userId, points }]` for the customers whose points expired.
+ */
+const expireLoyaltyPoints = async (now = new Date()) => {
+    const due = await prisma.loyaltyTransaction.findMany({
+        where: { expired: false, expiresAt: { lte: now } },
+        distinct: ['userId'],
+        select: { userId: true }
+    });
+
+    const expired = [];
+
+    for (const { userId } of due) {
+        const points = await prisma.$transaction(async (tx) => {
+            await lockCustomer(tx, userId);
+
+            const [credited, spent, expiredBefore, balance] = await Promise.all([
+                sumPoints(tx, { userId, points: { gt: 0 }, expiresAt: { lte: now } }),
+                sumPoints(tx, { userId, points: { lt: 0 }, type: { not: 'EXPIRE' } }),
+                sumPoints(tx, { userId, type: 'EXPIRE' }),
+                getPointsBalance(tx, userId)
+            ]);
+
+            const toExpire = Math.min(Math.max(0, credited + spent) + expiredBefore, balance);
+
+            if (toExpire > 0) {
+                await tx.loyaltyTransaction.create({
+                    data: {
+                        userId,
+                        points: -toExpire,
+                        type: 'EXPIRE',
+                        note: 'Points expired'
+                    }
+                });
+            }
+
+            await tx.loyaltyTransaction.updateMany({
+                where: { userId, expired: false, expiresAt: { lte: now } },
+                data: { expired: true }
+            });
+
+            return toExpire;
+        });
+
+        if (points > 0) {
+            expired.push({ userId, points });
+        }
+    }
+
+    return expired;
+};
+
+/**
+ * Credit (positive) or debit (negative) a customer's points by hand
+ * (Admin). Returns the transaction and the new balance.
+ */
+const adjustLoyaltyPoints = async (userId, { points, note }, actor) => {
+    await assertUserExists(userId);
+
+    return prisma.$transaction(async (tx) => {
+        const transaction = await recordLoyaltyTransaction(tx, {
+            userId,
+            points,
+            type: 'ADJUSTMENT',
+            note,
+            actor
+        });
+
+        return {
+            transaction,
+            balance: await getPointsBalance(tx, userId)
+        };
+    });
+};
+
+/**
+ * A customer's points balance, tier and ledger (newest first)
+ */
+const getLoyaltyAccount = async (userId, { page = 1, limit = 20 } = {}) => {
+    await assertUserExists(userId);
+
+    const where = { userId };
+
+    const [balance, tier, transactions, total] = await Promise.all([
+        getPointsBalance(prisma, userId),
+        getLoyaltyTier(prisma, userId),
+        prisma.loyaltyTransaction.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+            select: {
+                id: true,
+                points: true,
+                type: true,
+                note: true,
+                orderId: true,
+                expiresAt: true,
+                createdAt: true,
+                order: { select: { id: true, orderNumber: true } }
+            }
+        }),
+        prisma.loyaltyTransaction.count({ where })
+    ]);
+
+    return {
+        balance,
+        pointValue: getLoyaltyConfig().pointValue,
+        tier,
+        transactions,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = {
+    getLoyaltyConfig,
+    getPointsBalance,
+    getLoyaltyTier,
+    applyLoyaltyPoints,
+    redeemLoyaltyPoints,
+    returnRedeemedPoints,
+    returnEditedPoints,
+    awardOrderPoints,
+    forfeitRefundedPoints,
+    expireLoyaltyPoints,
+    adjustLoyaltyPoints,
+    getLoyaltyAccount
+};
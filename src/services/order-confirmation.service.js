@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { getSmsSender, isSmsAvailable } = require('./sms-senders');
+const { sendOrderConfirmationCodeEmail } = require('./email.service');
+const { applyTransition } = require('./order-state.service');
+const { SYSTEM_ACTOR, recordStatusEvent } = require('./order-history.service');
+
+// Wrong codes accepted per code before a new one must be requested
+const MAX_CODE_ATTEMPTS = 5;
+
+// Seconds between two codes for the same order
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const getCodeMinutes = () => parseInt(process.env.ORDER_CONFIRMATION_CODE_MINUTES || '10', 10);
+
+// Hours an order can stay unconfirmed before it is cancelled (0 disables)
+const getConfirmationHours = () => parseInt(process.env.COD_CONFIRMATION_HOURS || '24', 10);
+
+const hashCode = (orderId, code) => crypto
+    .createHash('sha256')
+    .update(`${orderId}:${code}`)
+    .digest('hex');
+
+/**
+ * Hide most of a phone number or email address
+ */
+const maskDestination = (destination) => {
+    const [name, domain] = String(destination).split('@');
+
+    if (domain) {
+        return `${name.slice(0, 1)}***@${domain}`;
+    }
+    return `***${name.slice(-4)}`;
+};
+
+const assertAwaitingConfirmation = (order) => {
+    if (!order.confirmationRequired) {
+        throw createHttpError(400, 'This order does not need to be confirmed');
+    }
+    if (order.confirmedAt) {
+        throw createHttpError(400, 'This order is already confirmed');
+    }
+    if (order.status !== 'PENDING') {
+        throw createHttpError(400, `Cannot confirm an order with status: ${order.status}`);
+    }
+};
+
+/**
+ * Send a new one-time code to the order's phone (SMS) or email (EMAIL).
+ * Codes go by SMS by default, or by email while no SMS provider is set up.
+ * Earlier codes stop working.
+ */
+const sendConfirmationCode = async (order, channel = isSmsAvailable() ? 'SMS' : 'EMAIL') => {
+    assertAwaitingConfirmation(order);
+
+    if (channel === 'SMS' && !isSmsAvailable()) {
+        throw createHttpError(400, 'Codes cannot be sent by SMS at the moment. Please choose EMAIL.');
+    }
+
+    const lastCode = await prisma.orderConfirmationCode.findFirst({
+        where: { orderId: order.id },
+        orderBy: { createdAt: 'desc' }
+    });
+
+    if (lastCode && lastCode.createdAt > new Date(Date.now() - RESEND_COOLDOWN_SECONDS * 1000)) {
+        throw createHttpError(429, `Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`);
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const minutes = getCodeMinutes();
+    const destination = channel === 'EMAIL' ? order.contactEmail : order.contactPhone;
+
+    const confirmationCode = await prisma.orderConfirmationCode.create({
+        data: {
+            orderId: order.id,
+            channel,
+            destination,
+            codeHash: hashCode(order.id, code),
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+        }
+    });
+
+    try {
+        if (channel === 'EMAIL') {
+            const result = await sendOrderConfirmationCodeEmail(destination, order, code, minutes);
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } else {
+            await getSmsSender().send({
+                to: destination,
+                message: `Your NutriWell code for order #${order.orderNumber} is ${code}. It expires in ${minutes} minutes.`
+            });
+        }
+    } catch (error) {
+        // Let the customer ask again straight away
+        await prisma.orderConfirmationCode.delete({ where: { id: confirmationCode.id } });
+        console.error('Failed to send order confirmation code:', error);
+        throw createHttpError(502, 'Could not send the confirmation code. Please try again.');
+    }
+
+    return {
+        channel,
+        destination: maskDestination(destination),
+        expiresAt: confirmationCode.expiresAt
+    };
+};
+
+/**
+ * Confirm an order with the latest code sent for it
+ */
+const confirmOrder = async (order, code, actor) => {
+    assertAwaitingConfirmation(order);
+
+    const confirmationCode = await prisma.orderConfirmationCode.findFirst({
+        where: { orderId: order.id, usedAt: null },
+        orderBy: { createdAt: 'desc' }
+    });
+
+    if (!confirmationCode || confirmationCode.expiresAt <= new Date()) {
+        throw createHttpError(400, 'The code has expired. Please request a new one.');
+    }
+    if (confirmationCode.attempts >= MAX_CODE_ATTEMPTS) {
+        throw createHttpError(429, 'Too many incorrect attempts. Please request a new code.');
+    }
+
+    const expected = Buffer.from(confirmationCode.codeHash);
+    const given = Buffer.from(hashCode(order.id, String(code).trim()));
+
+    if (!crypto.timingSafeEqual(expected, given)) {
+        await prisma.orderConfirmationCode.update({
+            where: { id: confirmationCode.id },
+            data: { attempts: { increment: 1 } }
+        });
+        throw createHttpError(400, 'Incorrect code');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const now = new Date();
+
+        const { count } = await tx.order.updateMany({
+            where: { id: order.id, status: 'PENDING', confirmedAt: null },
+            data: { confirmedAt: now }
+        });
+
+        if (count === 0) {
+            throw createHttpError(409, 'Order was updated by another request. Please try again.');
+        }
+
+        await tx.orderConfirmationCode.update({
+            where: { id: confirmationCode.id },
+            data: { usedAt: now }
+        });
+
+        await recordStatusEvent(tx, {
+            orderId: order.id,
+            fromStatus: order.status,
+            toStatus: order.status,
+            fromPaymentStatus: order.paymentStatus,
+            toPaymentStatus: order.paymentStatus,
+            actor,
+            note: `Order confirmed with a one-time code (${confirmationCode.channel})`
+        });
+
+        return tx.order.findUnique({ where: { id: order.id } });
+    });
+};
+
+/**
+ * Cancel orders that were not confirmed in time, restoring their stock
+ * through the state machine. Returns the cancelled orders.
+ */
+const cancelUnconfirmedOrders = async (now = new Date()) => {
+    const hours = getConfirmationHours();
+
+    if (hours <= 0) {
+        return [];
+    }
+
+    const overdue = await prisma.order.findMany({
+        where: {
+            confirmationRequired: true,
+            confirmedAt: null,
+            status: 'PENDING',
+            createdAt: { lte: new Date(now.getTime() - hours * 60 * 60 * 1000) }
+        },
+        select: { id: true }
+    });
+
+    const cancelled = [];
+
+    for (const { id } of overdue) {
+        try {
+            const { order, afterCommit } = await prisma.$transaction(tx => applyTransition(tx, id, {
+                status: 'CANCELLED',
+                note: `Order was not confirmed within ${hours} hours`
+            }, SYSTEM_ACTOR));
+
+            afterCommit();
+            cancelled.push(order);
+        } catch (error) {
+            // Changed meanwhile - picked up again next run if still unconfirmed
+            if (!error.status) {
+                throw error;
+            }
+        }
+    }
+
+    return cancelled;
+};
+
+module.exports = {
+    sendConfirmationCode,
+    confirmOrder,
+    cancelUnconfirmedOrders
+};
@@ -0,0 +1,461 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const {
+    calculateOrderTotals,
+    orderDetailsInclude,
+    prepareOrderLines
+} = require('./order.service');
+const { deductStock, restoreStock, resizeReservations } = require('./inventory.service');
+const { calculateCouponDiscount } = require('./coupon.service');
+const { applyPromotions } = require('./promotion.service');
+const { claimDealUnits, releaseDealUnits } = require('./deal.service');
+const { getLoyaltyTier, returnEditedPoints } = require('./loyalty.service');
+const { adjustOrderWalletPayment } = require('./wallet.service');
+const { adjustGiftCardRedemptions } = require('./gift-card.service');
+const { OPEN_PAYMENT_STATUSES } = require('./payment.service');
+const { PREPAID_PAYMENT_METHODS, planTenderChanges } = require('./order-tenders');
+const { publish } = require('./event-bus');
+
+// Admins can change an order until it ships
+const EDITABLE_STATUSES = ['PENDING', 'PROCESSING'];
+
+// Customers only until someone has started working on it
+const CUSTOMER_EDITABLE_STATUSES = ['PENDING'];
+
+const SHIPPING_FIELDS = {
+    country: 'shippingCountry',
+    region: 'shippingRegion',
+    city: 'shippingCity',
+    address: 'shippingAddress',
+    address2: 'shippingAddress2',
+    deliveryDate: 'deliveryDate',
+    convenientTime: 'convenientTime'
+};
+
+const getShippingInfo = (order) => Object.fromEntries(
+    Object.entries(SHIPPING_FIELDS).map(([key, field]) => [key, order[field] ?? null])
+);
+
+const getTotals = (order) => ({
+    subtotal: Number(order.subtotal),
+    promotionDiscount: Number(order.promotionDiscount),
+    discount: Number(order.discount),
+    shippingFee: Number(order.shippingFee),
+    tax: Number(order.tax),
+    total: Number(order.total)
+});
+
+const getPaidWith = (order) => ({
+    walletAmount: Number(order.walletAmount),
+    giftCardAmount: Number(order.giftCardAmount),
+    pointsRedeemed: order.pointsRedeemed,
+    pointsAmount: Number(order.pointsAmount)
+});
+
+/**
+ * How the points, gift cards and wallet credit on an order change with its
+ * new total. A payment already received, or in progress at the gateway,
+ * was for the old total, so the total of those orders cannot change.
+ */
+const planPaymentChanges = async (tx, order, total) => {
+    if (total !== Number(order.total)) {
+        if (!PREPAID_PAYMENT_METHODS.includes(order.paymentMethod) && order.paymentStatus === 'PAID') {
+            throw createHttpError(400, 'This order has been paid, so its total cannot change. Refund the items instead.');
+        }
+
+        const openPayments = await tx.payment.count({
+            where: { orderId: order.id, status: { in: OPEN_PAYMENT_STATUSES } }
+        });
+
+        if (openPayments > 0) {
+            throw createHttpError(409, 'A card payment for this order is in progress, so its total cannot change. Please try again once it completes.');
+        }
+    }
+
+    return planTenderChanges(order, total);
+};
+
+/**
+ * Sum line quantities per product (an order may list a product twice)
+ */
+const quantitiesByProduct = (lines) => Object.values(lines.reduce((totals, line) => {
+    totals[line.productId] = totals[line.productId] || { productId: line.productId, quantity: 0 };
+    totals[line.productId].quantity += line.quantity;
+    return totals;
+}, {}));
+
+/**
+ * Work out line updates, removals and additions for the requested item changes.
+ * Existing lines are referenced by `orderItemId` (quantity 0 removes them),
+ * new products by `productId`.
+ */
+const planItemChanges = async (order, itemChanges) => {
+    const updates = [];
+    const removals = [];
+    const diff = [];
+    const errors = [];
+    const additions = [];
+
+    for (const change of itemChanges) {
+        if (change.orderItemId) {
+            const line = order.items.find(item => item.id === change.orderItemId);
+
+            if (!line) {
+                errors.push({ orderItemId: change.orderItemId, error: 'Item is not part of this order' });
+                continue;
+            }
+            if (change.quantity === line.quantity) {
+                continue;
+            }
+
+            diff.push({
+                orderItemId: line.id,
+                productId: line.productId,
+                productName: line.productName,
+                from: line.quantity,
+                to: change.quantity
+            });
+
+            if (change.quantity === 0) {
+                removals.push(line);
+            } else {
+                updates.push({ line, quantity: change.quantity });
+            }
+        } else if (!change.productId) {
+            errors.push({ error: 'Each item needs an orderItemId or a productId' });
+        } else if (order.items.some(item => item.productId === change.productId)) {
+            errors.push({ productId: change.productId, error: 'Product is already in the order, change its line instead' });
+        } else if (change.quantity > 0) {
+            additions.push({ productId: change.productId, quantity: change.quantity });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw createHttpError(400, 'Some item changes are invalid', errors);
+    }
+
+    // Price new lines like a new order (validates the products and stock too)
+    const newLines = additions.length > 0 ? (await prepareOrderLines(additions)).orderItems : [];
+
+    for (const line of newLines) {
+        diff.push({
+            productId: line.productId,
+            productName: line.productName,
+            from: 0,
+            to: line.quantity
+        });
+    }
+
+    return { updates, removals, newLines, diff };
+};
+
+/**
+ * Apply an edit to an order in one transaction: adjust lines, inventory
+ * (by the difference only) and reservations, recompute the totals, settle
+ * the difference against the points, gift cards and wallet credit spent on
+ * it and record the change in the order's audit trail. The live deal feed
+ * is told once it commits.
+ *
+ * `build(order)` returns the requested changes:
+ * `{ items?, deliveryMethod?, shippingInfo? }`.
+ */
+const applyOrderEdit = async (orderId, actor, { action, note, build }) => {
+    const updated = await prisma.$transaction(async (tx) => {
+        const order = await tx.order.findUnique({
+            where: { id: orderId },
+            include: {
+                items: { include: { promotions: true } },
+                coupon: true
+            }
+        });
+
+        if (!order) {
+            throw createHttpError(404, 'Order not found');
+        }
+
+        if (actor.role !== 'ADMIN' && order.userId !== actor.id) {
+            throw createHttpError(403, 'Not authorized to change this order');
+        }
+
+        const editable = actor.role === 'ADMIN' ? EDITABLE_STATUSES : CUSTOMER_EDITABLE_STATUSES;
+        if (!editable.includes(order.status)) {
+            throw createHttpError(400, `Cannot change order with status: ${order.status}`);
+        }
+
+        const request = build(order);
+        const { updates, removals, newLines, diff } = await planItemChanges(order, request.items || []);
+
+        // Final state of the order's lines
+        const lines = [
+            ...order.items
+                .filter(item => !removals.includes(item))
+                .map(item => {
+                    const update = updates.find(entry => entry.line === item);
+                    return { ...item, quantity: update ? update.quantity : item.quantity };
+                }),
+            ...newLines
+        ];
+
+        if (lines.length === 0) {
+            throw createHttpError(400, 'An order must keep at least one item. Cancel the order instead.');
+        }
+
+        // Delivery method and address
+        const deliveryMethod = request.deliveryMethod || order.deliveryMethod;
+        const previousShipping = getShippingInfo(order);
+        let shippingInfo = request.shippingInfo
+            ? { ...previousShipping, ...request.shippingInfo }
+            : previousShipping;
+
+        if (deliveryMethod === 'STORE_PICKUP') {
+            shippingInfo = Object.fromEntries(Object.keys(SHIPPING_FIELDS).map(key => [key, null]));
+        } else if (!shippingInfo.address || !shippingInfo.region) {
+            throw createHttpError(400, 'Shipping address is required for delivery orders');
+        }
+        if (shippingInfo.deliveryDate) {
+            shippingInfo.deliveryDate = new Date(shippingInfo.deliveryDate);
+        }
+
+        const shippingChanged = Object.keys(SHIPPING_FIELDS).some(
+            key => String(shippingInfo[key] ?? '') !== String(previousShipping[key] ?? '')
+        );
+
+        if (diff.length === 0 && deliveryMethod === order.deliveryMethod && !shippingChanged) {
+            throw createHttpError(400, 'No changes requested');
+        }
+
+        // The promotions the order was placed with are re-applied to the new
+        // lines (even if they have ended since), then its coupon. The coupon was
+        // already redeemed, so only its product and minimum order rules are
+        // checked again.
+        const promotionIds = [...new Set(order.items.flatMap(
+            item => item.promotions.map(promotion => promotion.promotionId).filter(Boolean)
+        ))];
+        const promotions = await applyPromotions(lines, { promotionIds });
+        for (const [index, line] of lines.entries()) {
+            line.promotionDiscount = promotions.lines[index].discount;
+        }
+
+        const coupon = order.coupon ? await calculateCouponDiscount(order.coupon, lines) : null;
+        for (const [index, line] of lines.entries()) {
+            line.discount = coupon ? coupon.lineDiscounts[index] : 0;
+        }
+
+        // The customer's loyalty tier may waive shipping, as at checkout
+        const tier = await getLoyaltyTier(tx, order.userId);
+
+        const subtotal = lines.reduce((sum, line) => sum + Number(line.price) * line.quantity, 0);
+        const { lineTaxes, ...calculated } = await calculateOrderTotals({
+            subtotal,
+            deliveryMethod,
+            shippingInfo,
+            items: lines,
+            taxInclusive: order.taxInclusive,
+            promotionDiscount: promotions.discount,
+            discount: coupon ? coupon.discount : 0,
+            freeShipping: (coupon && coupon.freeShipping) || tier.freeShipping
+        });
+        const totals = {
+            subtotal: calculated.subtotal,
+            promotionDiscount: calculated.promotionDiscount,
+            discount: calculated.discount,
+            shippingFee: calculated.shippingFee,
+            tax: calculated.tax,
+            total: calculated.total
+        };
+
+        const tenders = await planPaymentChanges(tx, order, totals.total);
+        const paidWith = {
+            walletAmount: roundMoney(Number(order.walletAmount) + tenders.wallet),
+            giftCardAmount: roundMoney(Number(order.giftCardAmount) + tenders.giftCard),
+            pointsRedeemed: order.pointsRedeemed + tenders.points,
+            pointsAmount: roundMoney(Number(order.pointsAmount) + tenders.pointsAmount)
+        };
+        const paymentChanged = Object.values(tenders).some(change => change !== 0);
+
+        // Only update if nobody changed the order since it was read
+        const { count } = await tx.order.updateMany({
+            where: { id: orderId, status: order.status, updatedAt: order.updatedAt },
+            data: {
+                ...totals,
+                ...paidWith,
+                deliveryMethod,
+                ...Object.fromEntries(Object.entries(SHIPPING_FIELDS).map(([key, field]) => [field, shippingInfo[key]]))
+            }
+        });
+
+        if (count === 0) {
+            throw createHttpError(409, 'Order was updated by another request. Please try again.');
+        }
+
+        if (tenders.wallet !== 0) {
+            await adjustOrderWalletPayment(tx, order, tenders.wallet);
+        }
+        if (tenders.giftCard !== 0) {
+            await adjustGiftCardRedemptions(tx, order, tenders.giftCard);
+        }
+        if (tenders.points < 0) {
+            await returnEditedPoints(tx, order, -tenders.points);
+        }
+
+        // Inventory moves by the difference between old and new quantities
+        const stockDeltas = diff.map(change => ({ productId: change.productId, quantity: change.to - change.from }));
+        await deductStock(tx, stockDeltas.filter(delta => delta.quantity > 0));
+        await restoreStock(tx, stockDeltas
+            .filter(delta => delta.quantity < 0)
+            .map(delta => ({ productId: delta.productId, quantity: -delta.quantity })));
+
+        if (removals.length > 0) {
+            await tx.orderItem.deleteMany({
+                where: { id: { in: removals.map(line => line.id) } }
+            });
+        }
+
+        // Kept lines get their new quantity, discounts and tax (the region may
+        // have changed too); new lines are created with theirs
+        for (const [index, line] of lines.entries()) {
+            const linePromotions = promotions.lines[index].promotions;
+
+            if (!line.id) {
+                await tx.orderItem.create({
+                    data: {
+                        ...line,
+                        ...lineTaxes[index],
+                        orderId,
+                        promotions: { create: linePromotions }
+                    }
+                });
+                continue;
+            }
+
+            await tx.orderItem.update({
+                where: { id: line.id },
+                data: {
+                    quantity: line.quantity,
+                    subtotal: Number(line.price) * line.quantity,
+                    promotionDiscount: line.promotionDiscount,
+                    discount: line.discount,
+                    ...lineTaxes[index],
+                    promotions: {
+                        deleteMany: {},
+                        create: linePromotions
+                    }
+                }
+            });
+        }
+
+        await resizeReservations(tx, orderId, quantitiesByProduct(lines));
+
+        // Deal lines claim or give back units like the stock above
+        const dealDeltas = [
+            ...removals.map(line => ({ dealId: line.dealId, quantity: -line.quantity })),
+            ...updates.map(({ line, quantity }) => ({ dealId: line.dealId, quantity: quantity - line.quantity })),
+            ...newLines.map(line => ({ dealId: line.dealId, quantity: line.quantity }))
+        ].filter(delta => delta.dealId);
+        await claimDealUnits(tx, {
+            userId: order.userId,
+            lines: dealDeltas.filter(delta => delta.quantity > 0)
+        });
+        await releaseDealUnits(tx, dealDeltas
+            .filter(delta => delta.quantity < 0)
+            .map(delta => ({ dealId: delta.dealId, quantity: -delta.quantity })));
+
+        if (order.coupon) {
+            await tx.couponRedemption.updateMany({
+                where: { orderId },
+                data: { discount: totals.discount }
+            });
+        }
+
+        await tx.orderEdit.create({
+            data: {
+                orderId,
+                action,
+                // Round-trip through JSON so dates are stored as strings
+                changes: JSON.parse(JSON.stringify({
+                    ...(diff.length > 0 && { items: diff }),
+                    ...(deliveryMethod !== order.deliveryMethod && {
+                        deliveryMethod: { from: order.deliveryMethod, to: deliveryMethod }
+                    }),
+                    ...(shippingChanged && {
+                        shipping: { from: previousShipping, to: shippingInfo }
+                    }),
+                    totals: { from: getTotals(order), to: totals },
+                    ...(paymentChanged && {
+                        payment: { from: getPaidWith(order), to: paidWith }
+                    })
+                })),
+                actorId: actor.id || null,
+                actorRole: actor.role,
+                note: note || null
+            }
+        });
+
+        return tx.order.findUnique({
+            where: { id: orderId },
+            include: orderDetailsInclude
+        });
+    });
+
+    publish('order.edited', { orderId });
+
+    return updated;
+};
+
+/**
+ * Cancel a single line (or part of its quantity) of an order.
+ * Cancels the whole line when no quantity is given.
+ */
+const cancelOrderLine = (orderId, orderItemId, { quantity, reason }, actor) => applyOrderEdit(orderId, actor, {
+    action: 'LINE_CANCELLED',
+    note: reason,
+    build: (order) => {
+        const line = order.items.find(item => item.id === orderItemId);
+
+        if (!line) {
+            throw createHttpError(404, 'Order item not found');
+        }
+
+        const cancelled = quantity || line.quantity;
+        if (cancelled > line.quantity) {
+            throw createHttpError(400, `Cannot cancel more than the ${line.quantity} ordered`);
+        }
+
+        return { items: [{ orderItemId, quantity: line.quantity - cancelled }] };
+    }
+});
+
+/**
+ * Edit an order's items, delivery method and/or shipping address (Admin)
+ */
+const editOrder = (orderId, { items, deliveryMethod, shippingInfo, note }, actor) => applyOrderEdit(orderId, actor, {
+    action: 'ORDER_EDITED',
+    note,
+    build: () => ({ items, deliveryMethod, shippingInfo })
+});
+
+/**
+ * Get the edit history of an order (oldest first)
+ */
+const getOrderEdits = (orderId) => prisma.orderEdit.findMany({
+    where: { orderId },
+    orderBy: { createdAt: 'asc' },
+    include: {
+        actor: {
+            select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true
+            }
+        }
+    }
+});
+
+module.exports = {
+    EDITABLE_STATUSES,
+    cancelOrderLine,
+    editOrder,
+    getOrderEdits
+};
@@ -0,0 +1,67 @@
+const prisma = require('../config/database');
+
+// Actor for changes made by scheduled jobs rather than a person
+const SYSTEM_ACTOR = { id: null, role: 'SYSTEM' };
+
+/**
+ * Record an order status transition (order and/or payment status).
+ * `client` is the transaction the status change runs in, so the event is
+ * only stored if the change commits.
+ */
+const recordStatusEvent = (client, {
+    orderId,
+    fromStatus = null,
+    toStatus,
+    fromPaymentStatus = null,
+    toPaymentStatus = null,
+    actor = SYSTEM_ACTOR,
+    note
+}) =>
+    client.orderStatusEvent.create({
+        data: {
+            orderId,
+            fromStatus,
+            toStatus,
+            fromPaymentStatus,
+            toPaymentStatus,
+            actorId: actor.id || null,
+            actorRole: actor.role,
+            note: note || null
+        }
+    });
+
+/**
+ * Get the status timeline of an order (oldest first).
+ * Staff identities are only included for admins.
+ */
+const getOrderTimeline = (orderId, { includeActors = false } = {}) =>
+    prisma.orderStatusEvent.findMany({
+        where: { orderId },
+        orderBy: { createdAt: 'asc' },
+        select: {
+            id: true,
+            fromStatus: true,
+            toStatus: true,
+            fromPaymentStatus: true,
+            toPaymentStatus: true,
+            actorRole: true,
+            note: true,
+            createdAt: true,
+            ...(includeActors && {
+                actor: {
+                    select: {
+                        id: true,
+                        email: true,
+                        firstName: true,
+                        lastName: true
+                    }
+                }
+            })
+        }
+    });
+
+module.exports = {
+    SYSTEM_ACTOR,
+    recordStatusEvent,
+    getOrderTimeline
+};
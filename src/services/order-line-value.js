@@ -0,0 +1,24 @@
+/**
+ * What the customer paid for the units of an order line, used to price
+ * refunds and returns.
+ *
+ * Pure functions only (no database access) so the rules can be checked in
+ * isolation.
+ */
+
+/**
+ * Price paid per unit of an order line: its price less its share of any
+ * promotion and coupon discount, plus its share of the line's tax when the
+ * tax was added on top (`taxInclusive` false) rather than included in the
+ * price
+ */
+const getPaidUnitPrice = (orderItem, taxInclusive) => {
+    const discounts = Number(orderItem.promotionDiscount || 0) + Number(orderItem.discount || 0);
+    const tax = taxInclusive ? 0 : Number(orderItem.taxAmount || 0);
+
+    return Number(orderItem.price) + (tax - discounts) / orderItem.quantity;
+};
+
+module.exports = {
+    getPaidUnitPrice
+};
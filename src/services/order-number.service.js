@@ -0,0 +1,72 @@
+const prisma = require('../config/database');
+
+// Default format renders numbers like NW-2026-000123
+const DEFAULT_FORMAT = 'NW-{YYYY}-{SEQ:6}';
+
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+/**
+ * Replace date tokens ({YYYY}, {YY}, {MM}, {DD}) in a format string
+ */
+const renderDateTokens = (format, date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return format
+        .replace(/\{YYYY\}/g, String(date.getFullYear()))
+        .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+        .replace(/\{MM\}/g, pad(date.getMonth() + 1))
+        .replace(/\{DD\}/g, pad(date.getDate()));
+};
+
+/**
+ * Get the configured order number format (must contain a {SEQ} token)
+ */
+const getOrderNumberFormat = () => {
+    const format = process.env.ORDER_NUMBER_FORMAT || DEFAULT_FORMAT;
+
+    if (!SEQ_TOKEN.test(format)) {
+        console.warn(`ORDER_NUMBER_FORMAT "${format}" has no {SEQ} token, using ${DEFAULT_FORMAT}`);
+        return DEFAULT_FORMAT;
+    }
+    return format;
+};
+
+/**
+ * Atomically increment and return the counter for a scope.
+ * INSERT ... ON CONFLICT is a single statement, so concurrent callers
+ * always receive distinct values.
+ */
+const nextSequenceValue = async (scope) => {
+    const [row] = await prisma.$queryRaw`
+        INSERT INTO "order_sequences" ("scope", "lastValue", "updatedAt")
+        VALUES (${scope}, 1, NOW())
+        ON CONFLICT ("scope")
+        DO UPDATE SET "lastValue" = "order_sequences"."lastValue" + 1, "updatedAt" = NOW()
+        RETURNING "lastValue"
+    `;
+    return row.lastValue;
+};
+
+/**
+ * Generate the next human-readable order number
+ */
+const generateOrderNumber = async (date = new Date()) => {
+    const rendered = renderDateTokens(getOrderNumberFormat(), date);
+    const [, padding] = rendered.match(SEQ_TOKEN);
+    const scope = rendered.replace(SEQ_TOKEN, '');
+
+    const value = await nextSequenceValue(scope);
+
+    return rendered.replace(SEQ_TOKEN, String(value).padStart(parseInt(padding || '1', 10), '0'));
+};
+
+/**
+ * Whether a Prisma error is a unique-constraint clash on the order number
+ */
+const isOrderNumberConflict = (error) => error?.code === 'P2002'
+    && [].concat(error.meta?.target || []).some(field => String(field).includes('orderNumber'));
+
+module.exports = {
+    generateOrderNumber,
+    isOrderNumberConflict,
+};
@@ -0,0 +1,252 @@
+/**
+ * Order and payment state machine definition.
+ *
+ * Pure data and functions only (no database access) so the rules can be
+ * checked in isolation. `order-state.service.js` applies planned transitions.
+ */
+
+// Allowed order status transitions
+const ORDER_TRANSITIONS = {
+    PENDING: ['PAID', 'CANCELLED'],
+    PAID: ['PROCESSING', 'CANCELLED', 'REFUNDED'],
+    PROCESSING: ['SHIPPED', 'CANCELLED'],
+    SHIPPED: ['DELIVERED'],
+    DELIVERED: ['REFUNDED'], // Every item returned and refunded
+    CANCELLED: [],
+    REFUNDED: []
+};
+
+// Allowed payment status transitions
+const PAYMENT_TRANSITIONS = {
+    PENDING: ['PAID', 'FAILED'],
+    FAILED: ['PENDING', 'PAID'], // Customer may retry a failed payment
+    PAID: ['REFUNDED'],
+    REFUNDED: []
+};
+
+// Order statuses each actor role may cancel from
+const CANCELLABLE_BY = {
+    CUSTOMER: ['PENDING', 'PAID'],
+    ADMIN: ['PENDING', 'PAID', 'PROCESSING'],
+    SYSTEM: ['PENDING']
+};
+
+// Payment methods paid back by hand, so only an admin may cancel once paid
+const HAND_REFUNDED_PAYMENT_METHODS = ['BANK_TRANSFER'];
+
+// Payment methods refunded through the payment gateway after a cancellation
+// commits - the payment stays PAID until the refund goes through
+const GATEWAY_REFUNDED_PAYMENT_METHODS = ['CARD'];
+
+// Payment methods collected when the order is delivered - a confirmed (PAID)
+// order has not been paid for yet
+const PAID_ON_DELIVERY_PAYMENT_METHODS = ['CASH_ON_DELIVERY'];
+
+/**
+ * Guards run against the state the order would end up in.
+ * Each returns an error message, or null when the transition may proceed.
+ */
+const ORDER_GUARDS = {
+    PAID: [
+        // Cash on delivery orders are confirmed with a one-time code first
+        ({ order }) => (order.confirmationRequired && !order.confirmedAt
+            ? 'The order must be confirmed with its one-time code first'
+            : null)
+    ],
+    SHIPPED: [
+        ({ order, data }) => (data.trackingNumber || order.trackingNumber
+            ? null
+            : 'A tracking number is required to mark an order as shipped')
+    ],
+    REFUNDED: [
+        ({ next }) => (next.paymentStatus === 'REFUNDED'
+            ? null
+            : 'An order can only be marked as refunded once its payment is refunded')
+    ],
+    CANCELLED: [
+        ({ order, actor }) => ((CANCELLABLE_BY[actor.role] || []).includes(order.status)
+            ? null
+            : `Cannot cancel order with status: ${order.status}`),
+        ({ order, actor }) => (actor.role === 'CUSTOMER' && order.paymentStatus === 'PAID' &&
+            HAND_REFUNDED_PAYMENT_METHODS.includes(order.paymentMethod)
+            ? 'This order has been paid. Please contact us to cancel it and arrange your refund.'
+            : null)
+    ]
+};
+
+const PAYMENT_GUARDS = {
+    PAID: [
+        ({ order }) => (order.status === 'CANCELLED'
+            ? 'Cannot take payment for a cancelled order'
+            : null),
+        ({ order, next }) => (PAID_ON_DELIVERY_PAYMENT_METHODS.includes(order.paymentMethod) && next.status !== 'DELIVERED'
+            ? 'Cash on delivery is only paid once the order is delivered'
+            : null)
+    ]
+};
+
+/**
+ * Status changes implied by another change, applied when the request does
+ * not set that status itself:
+ * - an order marked PAID has a paid payment (cash on delivery is paid on delivery instead)
+ * - a paid order that is cancelled has its payment refunded (card payments
+ *   only once the gateway refunds them)
+ * - a successful payment moves a pending order to PAID
+ */
+const impliedPaymentStatus = (order, nextStatus) => {
+    const paidOnDelivery = PAID_ON_DELIVERY_PAYMENT_METHODS.includes(order.paymentMethod);
+
+    if (nextStatus === (paidOnDelivery ? 'DELIVERED' : 'PAID') && ['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+        return 'PAID';
+    }
+    if (nextStatus === 'CANCELLED' && order.paymentStatus === 'PAID' &&
+        !GATEWAY_REFUNDED_PAYMENT_METHODS.includes(order.paymentMethod)) {
+        return 'REFUNDED';
+    }
+    return null;
+};
+
+const impliedOrderStatus = (order, nextPaymentStatus) =>
+    (nextPaymentStatus === 'PAID' && order.status === 'PENDING' ? 'PAID' : null);
+
+/**
+ * Side effects that run inside the transaction, selected by the planned change
+ */
+const EFFECTS = [
+    {
+        name: 'restock',
+        when: ({ from, to }) => to.status !== from.status && (
+            to.status === 'CANCELLED' ||
+            (to.status === 'REFUNDED' && from.status === 'PAID') // Refunded before fulfilment
+        )
+    },
+    {
+        name: 'releaseCoupon',
+        when: ({ from, to }) => to.status === 'CANCELLED' && from.status !== 'CANCELLED'
+    },
+    {
+        name: 'releaseDealUnits',
+        when: ({ from, to }) => to.status === 'CANCELLED' && from.status !== 'CANCELLED'
+    },
+    {
+        name: 'returnWalletPayment',
+        when: ({ from, to }) => to.status === 'CANCELLED' && from.status !== 'CANCELLED'
+    },
+    {
+        name: 'reverseGiftCardRedemptions',
+        when: ({ from, to }) => to.status === 'CANCELLED' && from.status !== 'CANCELLED'
+    },
+    {
+        // ...and the rest of what was paid goes back the way it came
+        name: 'refundPayments',
+        when: ({ from, to }) =>
+            to.status === 'CANCELLED' && from.status !== 'CANCELLED' && from.paymentStatus === 'PAID'
+    },
+    {
+        name: 'returnRedeemedPoints',
+        when: ({ from, to }) =>
+            (to.status === 'CANCELLED' && from.status !== 'CANCELLED') ||
+            (to.paymentStatus === 'REFUNDED' && from.paymentStatus !== 'REFUNDED')
+    },
+    {
+        name: 'awardLoyaltyPoints',
+        when: ({ from, to }) => to.status === 'DELIVERED' && from.status !== 'DELIVERED'
+    },
+    {
+        name: 'consumeReservations',
+        when: ({ from, to }) => to.paymentStatus === 'PAID' && from.paymentStatus !== 'PAID'
+    }
+];
+
+/**
+ * Plan a transition without applying it.
+ *
+ * @param {object} order   Current order ({ status, paymentStatus, paymentMethod, trackingNumber, confirmationRequired, confirmedAt, ... })
+ * @param {object} request { status?, paymentStatus?, trackingNumber?, ... }
+ * @param {object} actor   { id, role } - role is CUSTOMER, ADMIN or SYSTEM
+ * @returns {{ ok: boolean, errors: string[], from: object, to: object, effects: string[] }}
+ */
+const planTransition = (order, request, actor) => {
+    const errors = [];
+    const from = { status: order.status, paymentStatus: order.paymentStatus };
+    const data = request || {};
+
+    let status = data.status || null;
+    let paymentStatus = data.paymentStatus || null;
+
+    if (!status && !paymentStatus) {
+        errors.push('No status change requested');
+    }
+
+    // Customers can only cancel their own orders
+    if (actor.role === 'CUSTOMER' && (paymentStatus || (status && status !== 'CANCELLED'))) {
+        errors.push('Not authorized to change this order status');
+    }
+
+    if (status && !paymentStatus) {
+        paymentStatus = impliedPaymentStatus(order, status);
+    }
+    if (paymentStatus && !status) {
+        status = impliedOrderStatus(order, paymentStatus);
+    }
+
+    const to = {
+        status: status || from.status,
+        paymentStatus: paymentStatus || from.paymentStatus
+    };
+
+    if (status && status !== from.status) {
+        const allowed = ORDER_TRANSITIONS[from.status] || [];
+        if (!allowed.includes(status)) {
+            errors.push(`Invalid status transition from ${from.status} to ${status}`);
+        }
+    } else if (status && status === from.status && data.status) {
+        errors.push(`Order is already ${status}`);
+    }
+
+    if (paymentStatus && paymentStatus !== from.paymentStatus) {
+        const allowed = PAYMENT_TRANSITIONS[from.paymentStatus] || [];
+        if (!allowed.includes(paymentStatus)) {
+            errors.push(`Invalid payment status transition from ${from.paymentStatus} to ${paymentStatus}`);
+        }
+    } else if (paymentStatus && paymentStatus === from.paymentStatus && data.paymentStatus) {
+        errors.push(`Payment is already ${paymentStatus}`);
+    }
+
+    // Only run guards for legal transitions, so error messages stay focused
+    if (errors.length === 0) {
+        const context = { order, data, actor, from, next: to };
+
+        if (to.status !== from.status) {
+            for (const guard of ORDER_GUARDS[to.status] || []) {
+                const error = guard(context);
+                if (error) errors.push(error);
+            }
+        }
+        if (to.paymentStatus !== from.paymentStatus) {
+            for (const guard of PAYMENT_GUARDS[to.paymentStatus] || []) {
+                const error = guard(context);
+                if (error) errors.push(error);
+            }
+        }
+    }
+
+    const effects = errors.length === 0
+        ? EFFECTS.filter(effect => effect.when({ from, to })).map(effect => effect.name)
+        : [];
+
+    return {
+        ok: errors.length === 0,
+        errors,
+        from,
+        to,
+        effects
+    };
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    PAYMENT_TRANSITIONS,
+    CANCELLABLE_BY,
+    planTransition
+};
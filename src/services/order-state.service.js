@@ -0,0 +1,310 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { planTransition } = require('./order-state-machine');
+const { restoreStock, consumeReservations, releaseReservations } = require('./inventory.service');
+const { releaseCoupon } = require('./coupon.service');
+const { releaseDealUnits } = require('./deal.service');
+const { returnWalletPayment } = require('./wallet.service');
+const { reverseGiftCardRedemptions } = require('./gift-card.service');
+const { returnRedeemedPoints, awardOrderPoints } = require('./loyalty.service');
+const { SYSTEM_ACTOR, recordStatusEvent } = require('./order-history.service');
+const { sendOrderStatusEmail } = require('./email.service');
+const { dispatchWebhook } = require('./webhook.service');
+const { publish } = require('./event-bus');
+
+// Listeners notified after a transition commits
+const transitionListeners = [];
+
+// How money received by hand is paid back when a paid order is cancelled.
+// Cash on delivery is not here: orders can only be cancelled before they are
+// delivered, so their cash was never collected.
+const HAND_REFUND_METHODS = {
+    BANK_TRANSFER: 'BANK_TRANSFER'
+};
+
+/**
+ * Refund what was paid for a cancelled order beyond its wallet credit, gift
+ * cards and points (given back by their own effects). Each captured card
+ * payment gets a PENDING refund, sent to the gateway by the refund service
+ * once the cancellation commits; money paid by hand is recorded as paid back.
+ */
+const recordCancellationRefunds = async (tx, order) => {
+    const reason = `Order #${order.orderNumber} was cancelled`;
+
+    const [payments, refunds] = await Promise.all([
+        tx.payment.findMany({
+            where: { orderId: order.id, status: 'SUCCEEDED' },
+            include: {
+                refunds: {
+                    where: { status: 'PENDING' },
+                    select: { amount: true }
+                }
+            }
+        }),
+        tx.refund.aggregate({
+            where: { orderId: order.id, status: { in: ['PENDING', 'COMPLETED'] }, duplicate: false },
+            _sum: { amount: true }
+        })
+    ]);
+
+    for (const payment of payments) {
+        const amount = roundMoney(Number(payment.amount) - Number(payment.amountRefunded) -
+            payment.refunds.reduce((sum, refund) => sum + Number(refund.amount), 0));
+
+        if (amount > 0) {
+            await tx.refund.create({
+                data: { orderId: order.id, amount, method: 'CARD', reason, paymentId: payment.id }
+            });
+        }
+    }
+
+    const method = HAND_REFUND_METHODS[order.paymentMethod];
+    const paidByHand = roundMoney(
+        Number(order.total) -
+        Number(order.pointsAmount) -
+        Number(order.walletAmount) -
+        Number(order.giftCardAmount) -
+        Number(refunds._sum.amount || 0)
+    );
+
+    if (method && paidByHand > 0) {
+        await tx.refund.create({
+            data: { orderId: order.id, amount: paidByHand, method, status: 'COMPLETED', reason }
+        });
+    }
+};
+
+/**
+ * In-transaction side effects named by the state machine
+ */
+const EFFECT_HANDLERS = {
+    // Return every line to stock (less units a refund already restocked)
+    // and drop any pending-payment hold
+    restock: async (tx, order) => {
+        const [items, restocked] = await Promise.all([
+            tx.orderItem.findMany({ where: { orderId: order.id } }),
+            tx.refundItem.findMany({
+                where: { refund: { orderId: order.id, restocked: true } },
+                select: { orderItemId: true, quantity: true }
+            })
+        ]);
+
+        await restoreStock(tx, items.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity - restocked
+                .filter(refundItem => refundItem.orderItemId === item.id)
+                .reduce((sum, refundItem) => sum + refundItem.quantity, 0)
+        })).filter(item => item.quantity > 0));
+        await releaseReservations(tx, order.id);
+    },
+    // A cancelled order no longer counts towards the coupon's usage limits
+    releaseCoupon: (tx, order) => releaseCoupon(tx, order.id),
+    // ...nor towards deal quantity caps
+    releaseDealUnits: async (tx, order) => {
+        const items = await tx.orderItem.findMany({ where: { orderId: order.id } });
+        await releaseDealUnits(tx, items);
+    },
+    // Store credit spent on a cancelled order goes back to the wallet
+    returnWalletPayment: (tx, order) => returnWalletPayment(tx, order),
+    // ...and gift card balance to its cards
+    reverseGiftCardRedemptions: (tx, order) => reverseGiftCardRedemptions(tx, order.id),
+    // ...and card payments or money paid by hand back to the customer
+    refundPayments: (tx, order) => recordCancellationRefunds(tx, order),
+    // Points spent on an order come back when it is cancelled or refunded in full
+    returnRedeemedPoints: (tx, order) => returnRedeemedPoints(tx, order),
+    // Delivered orders earn loyalty points
+    awardLoyaltyPoints: (tx, order) => awardOrderPoints(tx, order),
+    // Payment arrived - the held stock now belongs to the order for good
+    consumeReservations: (tx, order) => consumeReservations(tx, order.id)
+};
+
+/**
+ * Register a listener called after every committed transition with
+ * `{ order, previous, from, to, actor, note }`. Listener failures are logged
+ * and never affect the transition.
+ */
+const onOrderTransition = (listener) => {
+    transitionListeners.push(listener);
+};
+
+const notifyTransition = (transition) => {
+    for (const listener of transitionListeners) {
+        Promise.resolve()
+            .then(() => listener(transition))
+            .catch(err => console.error('Order transition listener failed:', err));
+    }
+};
+
+/**
+ * Apply a status transition inside an existing transaction.
+ *
+ * Returns the updated order and an `afterCommit` callback that the caller
+ * must invoke once its transaction has committed (emails, webhooks, ...).
+ */
+const applyTransition = async (tx, orderId, request, actor) => {
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+
+    if (!order) {
+        throw createHttpError(404, 'Order not found');
+    }
+
+    const plan = planTransition(order, request, actor);
+
+    if (!plan.ok) {
+        throw createHttpError(
+            400,
+            plan.errors[0],
+            plan.errors.length > 1 ? plan.errors.map(message => ({ message })) : undefined
+        );
+    }
+
+    // Only update if nobody changed the order since it was read
+    const { count } = await tx.order.updateMany({
+        where: {
+            id: orderId,
+            status: order.status,
+            paymentStatus: order.paymentStatus
+        },
+        data: {
+            status: plan.to.status,
+            paymentStatus: plan.to.paymentStatus,
+            ...(request.trackingNumber && { trackingNumber: request.trackingNumber }),
+            ...(request.shippingCarrier && { shippingCarrier: request.shippingCarrier })
+        }
+    });
+
+    if (count === 0) {
+        throw createHttpError(409, 'Order was updated by another request. Please try again.');
+    }
+
+    for (const effect of plan.effects) {
+        await EFFECT_HANDLERS[effect](tx, order);
+    }
+
+    await recordStatusEvent(tx, {
+        orderId,
+        fromStatus: plan.from.status,
+        toStatus: plan.to.status,
+        fromPaymentStatus: plan.from.paymentStatus,
+        toPaymentStatus: plan.to.paymentStatus,
+        actor,
+        note: request.note
+    });
+
+    const updatedOrder = await tx.order.findUnique({ where: { id: orderId } });
+
+    const transition = {
+        order: updatedOrder,
+        previous: order,
+        from: plan.from,
+        to: plan.to,
+        actor,
+        note: request.note
+    };
+
+    return {
+        order: updatedOrder,
+        afterCommit: () => notifyTransition(transition)
+    };
+};
+
+/**
+ * Transition an order (and/or its payment) in its own transaction.
+ *
+ * @param {string} orderId
+ * @param {object} request { status?, paymentStatus?, trackingNumber?, shippingCarrier?, note? }
+ * @param {object} actor   { id, role } - role is CUSTOMER, ADMIN or SYSTEM
+ */
+const transitionOrder = async (orderId, request, actor) => {
+    const { order, afterCommit } = await prisma.$transaction(
+        (tx) => applyTransition(tx, orderId, request, actor)
+    );
+
+    afterCommit();
+
+    return order;
+};
+
+/**
+ * Cancel orders whose stock reservation expired before payment (restoring
+ * their stock through the state machine). Returns the cancelled orders.
+ */
+const releaseExpiredReservations = async (now = new Date()) => {
+    const expired = await prisma.stockReservation.findMany({
+        where: {
+            status: 'ACTIVE',
+            expiresAt: { lte: now }
+        },
+        distinct: ['orderId'],
+        select: { orderId: true }
+    });
+
+    const released = [];
+
+    for (const { orderId } of expired) {
+        const result = await prisma.$transaction(async (tx) => {
+            const order = await tx.order.findUnique({ where: { id: orderId } });
+
+            // A payment may have landed meanwhile - paid orders keep their stock,
+            // cancelled ones already returned it. Declined payments count as unpaid.
+            if (order.status !== 'PENDING' || !['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+                if (order.status === 'CANCELLED') {
+                    await releaseReservations(tx, orderId);
+                } else {
+                    await consumeReservations(tx, orderId);
+                }
+                return null;
+            }
+
+            return applyTransition(tx, orderId, {
+                status: 'CANCELLED',
+                note: 'Payment was not received before the stock reservation expired'
+            }, SYSTEM_ACTOR);
+        });
+
+        if (result) {
+            result.afterCommit();
+            released.push(result.order);
+        }
+    }
+
+    return released;
+};
+
+// Email the customer whenever the order status changes
+onOrderTransition(({ order, from, to, note }) => {
+    if (to.status === from.status) {
+        return null;
+    }
+    return sendOrderStatusEmail(order.contactEmail, order, order.contactFirstName, note);
+});
+
+// Notify external systems (fulfilment, ERP) of every change
+onOrderTransition(({ order, from, to, actor, note }) => dispatchWebhook('order.status_changed', {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    from,
+    to,
+    actorRole: actor.role,
+    note: note || null
+}));
+
+// Cancelled and refunded orders give their stock back - tell the live deal feed
+onOrderTransition(({ order, from, to }) => {
+    if (to.status === from.status) {
+        return;
+    }
+    if (to.status === 'CANCELLED') {
+        publish('order.cancelled', { orderId: order.id });
+    } else if (to.status === 'REFUNDED') {
+        publish('order.refunded', { orderId: order.id });
+    }
+});
+
+module.exports = {
+    onOrderTransition,
+    applyTransition,
+    transitionOrder,
+    releaseExpiredReservations
+};
@@ -0,0 +1,73 @@
+/**
+ * How an order's new total is settled against the points, gift cards and
+ * wallet credit already spent on it.
+ *
+ * Pure functions only (no database access) so the rules can be checked in
+ * isolation. `order-edit.service.js` writes the ledger entries.
+ */
+
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+
+// Payment methods that settle the whole order when it is placed
+const PREPAID_PAYMENT_METHODS = ['WALLET', 'GIFT_CARD'];
+
+/**
+ * Work out how the tenders of `order` change when its total becomes `total`.
+ *
+ * Orders paid up front (WALLET, GIFT_CARD) stay fully paid: a lower total
+ * gives the difference back - wallet first, then gift cards, then points,
+ * the reverse of the order they were spent in - and a higher one takes the
+ * rest from the order's own payment method. Points come back whole, at the
+ * value they were spent at, so less than a point's value may stay on the order.
+ *
+ * Other orders collect whatever is left to pay later, so only credit beyond
+ * the new total is given back, and it must leave something to collect.
+ *
+ * Returns the changes (positive = more spent on the order):
+ * `{ wallet, giftCard, points, pointsAmount }`.
+ */
+const planTenderChanges = (order, total) => {
+    const changes = { wallet: 0, giftCard: 0, points: 0, pointsAmount: 0 };
+    const spent = {
+        wallet: Number(order.walletAmount),
+        giftCard: Number(order.giftCardAmount),
+        points: Number(order.pointsAmount)
+    };
+    const prepaid = roundMoney(spent.wallet + spent.giftCard + spent.points);
+    let difference = roundMoney(total - prepaid);
+
+    if (PREPAID_PAYMENT_METHODS.includes(order.paymentMethod)) {
+        if (difference > 0) {
+            changes[order.paymentMethod === 'WALLET' ? 'wallet' : 'giftCard'] = difference;
+            return changes;
+        }
+    } else if (difference > 0 || prepaid === 0) {
+        return changes;
+    } else {
+        throw createHttpError(400, 'The points, gift cards and wallet credit on this order would cover its new total. Cancel the order and place it again instead.');
+    }
+
+    for (const tender of ['wallet', 'giftCard']) {
+        const returned = roundMoney(Math.min(spent[tender], -difference));
+        changes[tender] -= returned;
+        difference = roundMoney(difference + returned);
+    }
+
+    const pointValue = order.pointsRedeemed > 0 ? spent.points / order.pointsRedeemed : 0;
+    const points = pointValue > 0
+        ? Math.min(order.pointsRedeemed, Math.floor(roundMoney(-difference / pointValue)))
+        : 0;
+
+    if (points > 0) {
+        changes.points = -points;
+        changes.pointsAmount = roundMoney((order.pointsRedeemed - points) * pointValue - spent.points);
+    }
+
+    return changes;
+};
+
+module.exports = {
+    PREPAID_PAYMENT_METHODS,
+    planTenderChanges
+};
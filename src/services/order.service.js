@@ -0,0 +1,496 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { PRICE_SOURCE, resolveUnitPrice } = require('./pricing.service');
+const { deductStock, createReservations } = require('./inventory.service');
+const { generateOrderNumber, isOrderNumberConflict } = require('./order-number.service');
+const { recordStatusEvent } = require('./order-history.service');
+const { calculateShippingFee, quoteShipping } = require('./shipping.service');
+const { calculateTax } = require('./tax.service');
+const { applyCoupon, redeemCoupon } = require('./coupon.service');
+const { applyPromotions } = require('./promotion.service');
+const { claimDealUnits } = require('./deal.service');
+const { assertCodAllowed, isConfirmationRequired } = require('./cod.service');
+const { payFromWallet } = require('./wallet.service');
+const { applyGiftCards, redeemGiftCards } = require('./gift-card.service');
+const { getLoyaltyTier, applyLoyaltyPoints, redeemLoyaltyPoints } = require('./loyalty.service');
+const { sendConfirmationCode } = require('./order-confirmation.service');
+const { sendOrderConfirmationEmail } = require('./email.service');
+const { publish } = require('./event-bus');
+const { PREPAID_PAYMENT_METHODS } = require('./order-tenders');
+
+// Attempts to create an order before giving up on order number clashes
+const MAX_ORDER_NUMBER_ATTEMPTS = 3;
+
+// Shown on the lines of subscription orders, like a promotion
+const SUBSCRIPTION_DISCOUNT_NAME = 'Subscribe & save';
+
+/**
+ * Shipping, tax and total for an order's lines (`items` as { productId, quantity, price, promotionDiscount?, discount? }).
+ * `lineTaxes` holds the tax breakdown of each line, in the order of `items`.
+ * `taxInclusive` defaults to the configured tax mode. `promotionDiscount`
+ * and `discount` (coupon) are the item discounts already spread over the
+ * lines' fields of the same name; `freeShipping` waives the shipping fee.
+ */
+const calculateOrderTotals = async ({
+    subtotal,
+    deliveryMethod,
+    shippingInfo,
+    items,
+    taxInclusive,
+    promotionDiscount = 0,
+    discount = 0,
+    freeShipping = false
+}) => {
+    const discountedSubtotal = subtotal - promotionDiscount - discount;
+
+    // Still checks the method is available even when shipping is free
+    const fee = await calculateShippingFee({ deliveryMethod, shippingInfo, subtotal: discountedSubtotal, items });
+    const shippingFee = freeShipping ? 0 : fee;
+    const { tax, inclusive, lines: lineTaxes } = await calculateTax({
+        lines: items,
+        deliveryMethod,
+        shippingInfo,
+        inclusive: taxInclusive
+    });
+
+    // Inclusive prices already contain the tax
+    const total = discountedSubtotal + shippingFee + (inclusive ? 0 : tax);
+
+    return { subtotal, promotionDiscount, discount, shippingFee, tax, total, taxInclusive: inclusive, lineTaxes };
+};
+
+const orderDetailsInclude = {
+    items: {
+        include: {
+            promotions: {
+                select: {
+                    promotionId: true,
+                    promotionName: true,
+                    discount: true
+                }
+            },
+            product: {
+                select: {
+                    id: true,
+                    name: true,
+                    brand: true,
+                    images: {
+                        where: { isPrimary: true },
+                        take: 1
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate requested items against products and stock, and price each line
+ */
+const prepareOrderLines = async (items) => {
+    if (!items || items.length === 0) {
+        throw createHttpError(400, 'Order must contain at least one item');
+    }
+
+    // Fetch all products and validate
+    const productIds = items.map(item => item.productId);
+    const products = await prisma.product.findMany({
+        where: {
+            id: { in: productIds },
+            isActive: true
+        }
+    });
+
+    if (products.length !== productIds.length) {
+        const foundIds = products.map(p => p.id);
+        const missingIds = productIds.filter(id => !foundIds.includes(id));
+        throw createHttpError(400, 'Some products not found or inactive', missingIds.map(id => ({
+            productId: id,
+            error: 'Product not found or inactive'
+        })));
+    }
+
+    // Check stock availability and calculate totals
+    const stockErrors = [];
+    let subtotal = 0;
+
+    const orderItems = items.map(item => {
+        const product = products.find(p => p.id === item.productId);
+
+        // Check stock
+        if (product.quantity < item.quantity) {
+            stockErrors.push({
+                productId: product.id,
+                productName: product.name,
+                requested: item.quantity,
+                available: product.quantity
+            });
+        }
+
+        // Charge the effective price (list, promo or active deal)
+        const pricing = resolveUnitPrice(product);
+        const itemSubtotal = pricing.unitPrice * item.quantity;
+        subtotal += itemSubtotal;
+
+        return {
+            productId: product.id,
+            productName: product.name,
+            productBrand: product.brand,
+            quantity: item.quantity,
+            price: pricing.unitPrice,
+            listPrice: pricing.listPrice,
+            priceSource: pricing.source,
+            dealId: pricing.source === PRICE_SOURCE.DEAL ? product.activeDealId : null,
+            subtotal: itemSubtotal
+        };
+    });
+
+    if (stockErrors.length > 0) {
+        throw createHttpError(400, 'Some products have insufficient stock', stockErrors);
+    }
+
+    return { orderItems, subtotal };
+};
+
+/**
+ * Add the subscribe-and-save discount (`percent` of what is left after
+ * promotions) to the evaluated promotions of each line
+ */
+const addSubscriptionDiscount = (promotions, lines, percent) => {
+    for (const [index, line] of lines.entries()) {
+        const lineState = promotions.lines[index];
+        const discount = roundMoney((line.price * line.quantity - lineState.discount) * percent / 100);
+
+        if (discount > 0) {
+            lineState.discount = roundMoney(lineState.discount + discount);
+            lineState.promotions.push({ promotionId: null, promotionName: SUBSCRIPTION_DISCOUNT_NAME, discount });
+            promotions.discount = roundMoney(promotions.discount + discount);
+        }
+    }
+};
+
+/**
+ * Price order lines the way they are charged: running promotions (and the
+ * subscription discount) first, then a `couponCode` on what is left.
+ * Returns the lines with both discounts spread over them, the subtotal
+ * before discounts, the promotions applied and the coupon (or null).
+ */
+const priceOrderLines = async ({ userId, items, couponCode, subscription }) => {
+    const { orderItems: pricedItems, subtotal } = await prepareOrderLines(items);
+
+    const promotions = await applyPromotions(pricedItems);
+    if (subscription) {
+        addSubscriptionDiscount(promotions, pricedItems, subscription.discountPercent);
+    }
+    const promotedItems = pricedItems.map((item, index) => ({
+        ...item,
+        promotionDiscount: promotions.lines[index].discount
+    }));
+
+    const coupon = couponCode
+        ? await applyCoupon({ code: couponCode, userId, lines: promotedItems })
+        : null;
+    const orderItems = promotedItems.map((item, index) => ({
+        ...item,
+        discount: coupon ? coupon.lineDiscounts[index] : 0
+    }));
+
+    return { orderItems, subtotal, promotions, coupon };
+};
+
+/**
+ * Quote every delivery method for items before checkout. Each available
+ * method gets the shipping fee, tax and total checkout would charge: the
+ * lines are priced and totalled exactly as `placeOrder` does, so free
+ * shipping thresholds see the same discounted subtotal and the coupon and
+ * loyalty tier waive the fee the same way.
+ */
+const quoteOrder = async ({ userId, items, shippingInfo, deliveryMethod, couponCode }) => {
+    if (couponCode && !userId) {
+        throw createHttpError(401, 'Sign in to use a coupon code');
+    }
+
+    const { orderItems, subtotal, promotions, coupon } = await priceOrderLines({ userId, items, couponCode });
+    const tier = await getLoyaltyTier(prisma, userId);
+    const discount = coupon ? coupon.discount : 0;
+
+    const quote = await quoteShipping({
+        shippingInfo,
+        subtotal: subtotal - promotions.discount - discount,
+        items: orderItems
+    });
+
+    const methods = await Promise.all(quote.methods
+        .filter(method => !deliveryMethod || method.deliveryMethod === deliveryMethod)
+        .map(async (method) => {
+            if (!method.available) {
+                return method;
+            }
+
+            const totals = await calculateOrderTotals({
+                subtotal,
+                deliveryMethod: method.deliveryMethod,
+                shippingInfo,
+                items: orderItems,
+                promotionDiscount: promotions.discount,
+                discount,
+                freeShipping: (coupon && coupon.freeShipping) || tier.freeShipping
+            });
+
+            return { ...method, fee: totals.shippingFee, tax: totals.tax, total: totals.total };
+        }));
+
+    return {
+        ...quote,
+        subtotal,
+        promotionDiscount: promotions.discount,
+        discount,
+        methods
+    };
+};
+
+/**
+ * Place an order: validate and price the items, create the order and deduct
+ * inventory in one transaction. Card orders also get a time-limited stock
+ * reservation that is released if payment does not arrive. Running
+ * promotions are applied to the lines first; a `couponCode` then applies to
+ * what is left, and its redemption is counted in the same transaction.
+ * Cash on delivery orders must pass the COD risk rules and are flagged to
+ * be confirmed with a one-time code. Shipping is free for customers whose
+ * loyalty tier has that perk.
+ *
+ * `pointsToRedeem` loyalty points pay first, then `giftCardCodes`, then
+ * `walletAmount` from the customer's wallet; `paymentMethod` pays the rest.
+ * The GIFT_CARD method requires the points and gift cards to cover
+ * everything and WALLET pays whatever they do not, so those orders are
+ * placed PAID. Points, gift card and wallet balances are spent in the
+ * order's transaction.
+ *
+ * `options.subscription` ({ id, discountPercent }) marks an order generated
+ * from a subscription and gives its lines the subscription discount. Those
+ * orders are never held for a one-time code.
+ */
+const placeOrder = async ({
+    userId,
+    items,
+    contactInfo,
+    deliveryMethod,
+    shippingInfo,
+    paymentMethod,
+    deliveryNote,
+    couponCode,
+    walletAmount,
+    giftCardCodes,
+    pointsToRedeem
+}, options = {}) => {
+    if (deliveryMethod === 'DELIVERY' && !shippingInfo) {
+        throw createHttpError(400, 'Shipping address is required for delivery orders');
+    }
+
+    const { orderItems, subtotal, promotions, coupon } = await priceOrderLines({
+        userId,
+        items,
+        couponCode,
+        subscription: options.subscription
+    });
+
+    const tier = await getLoyaltyTier(prisma, userId);
+
+    // Calculate shipping and total
+    const {
+        promotionDiscount,
+        discount,
+        shippingFee,
+        tax,
+        total,
+        taxInclusive,
+        lineTaxes
+    } = await calculateOrderTotals({
+        subtotal,
+        deliveryMethod,
+        shippingInfo,
+        items: orderItems,
+        promotionDiscount: promotions.discount,
+        discount: coupon ? coupon.discount : 0,
+        freeShipping: (coupon && coupon.freeShipping) || tier.freeShipping
+    });
+
+    const points = pointsToRedeem
+        ? await applyLoyaltyPoints(userId, Number(pointsToRedeem), total)
+        : null;
+    const paidWithPoints = points ? points.amount : 0;
+    const due = roundMoney(total - paidWithPoints);
+
+    if (giftCardCodes && !Array.isArray(giftCardCodes)) {
+        throw createHttpError(400, 'Gift card codes must be a list');
+    }
+
+    const giftCards = giftCardCodes && giftCardCodes.length > 0
+        ? await applyGiftCards(giftCardCodes, due)
+        : null;
+    const paidWithGiftCards = giftCards ? giftCards.amount : 0;
+    const remaining = roundMoney(due - paidWithGiftCards);
+
+    if (paymentMethod === 'GIFT_CARD' && remaining > 0) {
+        throw createHttpError(400, `Your gift cards cover Rs ${paidWithGiftCards.toFixed(2)} of the Rs ${due.toFixed(2)} to pay. Choose another payment method for the rest.`);
+    }
+
+    let paidFromWallet = roundMoney(Number(walletAmount || 0));
+    if (paymentMethod === 'WALLET') {
+        paidFromWallet = remaining;
+    } else if (paymentMethod === 'GIFT_CARD') {
+        paidFromWallet = 0;
+    }
+
+    if (paidFromWallet < 0) {
+        throw createHttpError(400, 'Wallet amount cannot be negative');
+    }
+    if (!PREPAID_PAYMENT_METHODS.includes(paymentMethod) && paidFromWallet >= remaining) {
+        throw createHttpError(400, remaining > 0
+            ? 'Your wallet amount covers the rest of the order. Choose WALLET as the payment method.'
+            : 'Your gift cards and points cover the whole order. Choose GIFT_CARD as the payment method.');
+    }
+
+    if (paymentMethod === 'CASH_ON_DELIVERY') {
+        await assertCodAllowed({ userId, total: roundMoney(remaining - paidFromWallet), deliveryMethod, shippingInfo });
+    }
+
+    // Create order in transaction
+    const createInTransaction = (orderNumber) => prisma.$transaction(async (tx) => {
+        // Create order
+        const newOrder = await tx.order.create({
+            data: {
+                orderNumber,
+                userId,
+                status: PREPAID_PAYMENT_METHODS.includes(paymentMethod) ? 'PAID' : 'PENDING',
+                paymentStatus: PREPAID_PAYMENT_METHODS.includes(paymentMethod) ? 'PAID' : 'PENDING',
+                subtotal,
+                promotionDiscount,
+                discount,
+                shippingFee,
+                tax,
+                taxInclusive,
+                total,
+                contactFirstName: contactInfo.firstName,
+                contactLastName: contactInfo.lastName,
+                contactPhone: contactInfo.phone,
+                contactEmail: contactInfo.email,
+                deliveryMethod,
+                shippingCountry: shippingInfo?.country,
+                shippingRegion: shippingInfo?.region,
+                shippingCity: shippingInfo?.city,
+                shippingAddress: shippingInfo?.address,
+                shippingAddress2: shippingInfo?.address2,
+                deliveryDate: shippingInfo?.deliveryDate ? new Date(shippingInfo.deliveryDate) : null,
+                convenientTime: shippingInfo?.convenientTime,
+                couponId: coupon ? coupon.coupon.id : null,
+                couponCode: coupon ? coupon.coupon.code : null,
+                paymentMethod,
+                walletAmount: paidFromWallet,
+                giftCardAmount: paidWithGiftCards,
+                pointsRedeemed: points ? points.points : 0,
+                pointsAmount: paidWithPoints,
+                // The customer confirmed subscription orders when subscribing
+                confirmationRequired: !options.subscription && isConfirmationRequired(paymentMethod),
+                deliveryNote,
+                subscriptionId: options.subscription ? options.subscription.id : null,
+                items: {
+                    create: orderItems.map((item, index) => ({
+                        ...item,
+                        ...lineTaxes[index],
+                        promotions: { create: promotions.lines[index].promotions }
+                    }))
+                }
+            },
+            include: orderDetailsInclude
+        });
+
+        await recordStatusEvent(tx, {
+            orderId: newOrder.id,
+            toStatus: newOrder.status,
+            toPaymentStatus: newOrder.paymentStatus,
+            actor: options.actor || { id: userId, role: 'CUSTOMER' },
+            note: 'Order placed'
+        });
+
+        // These fail the whole transaction if a balance is too low
+        if (points) {
+            await redeemLoyaltyPoints(tx, { userId, orderId: newOrder.id, points: points.points });
+        }
+        if (giftCards) {
+            await redeemGiftCards(tx, newOrder.id, giftCards.redemptions);
+        }
+        if (paidFromWallet > 0) {
+            await payFromWallet(tx, { userId, orderId: newOrder.id, amount: paidFromWallet });
+        }
+
+        if (coupon) {
+            await redeemCoupon(tx, {
+                coupon: coupon.coupon,
+                userId,
+                orderId: newOrder.id,
+                discount
+            });
+        }
+
+        // Count deal units against their caps and per-customer limits
+        await claimDealUnits(tx, { userId, lines: orderItems });
+
+        // Deduct inventory - fails the whole transaction if stock ran out meanwhile
+        await deductStock(tx, orderItems);
+
+        // Hold the stock while a card payment is pending
+        const reservationExpiresAt = await createReservations(tx, newOrder, orderItems);
+
+        if (options.onCreate) {
+            await options.onCreate(tx, newOrder);
+        }
+
+        return { ...newOrder, reservationExpiresAt };
+    });
+
+    // Retry with a fresh number if it clashes with an existing order
+    for (let attempt = 1; ; attempt++) {
+        const orderNumber = await generateOrderNumber();
+
+        try {
+            return await createInTransaction(orderNumber);
+        } catch (error) {
+            if (isOrderNumberConflict(error) && attempt < MAX_ORDER_NUMBER_ATTEMPTS) {
+                console.warn(`Order number ${orderNumber} already taken, retrying`);
+                continue;
+            }
+            throw error;
+        }
+    }
+};
+
+/**
+ * Send the confirmation email (and one-time code, when the order must be
+ * confirmed) for a newly placed order and announce it on the event bus
+ * (live deal stock)
+ */
+const notifyOrderPlaced = (order) => {
+    sendOrderConfirmationEmail(
+        order.contactEmail,
+        order,
+        order.contactFirstName
+    ).catch(err => console.error('Failed to send order confirmation email:', err));
+
+    if (order.confirmationRequired) {
+        sendConfirmationCode(order)
+            .catch(err => console.error('Failed to send order confirmation code:', err));
+    }
+
+    publish('order.placed', { orderId: order.id });
+};
+
+module.exports = {
+    calculateOrderTotals,
+    orderDetailsInclude,
+    prepareOrderLines,
+    quoteOrder,
+    placeOrder,
+    notifyOrderPlaced
+};
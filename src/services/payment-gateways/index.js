@@ -0,0 +1,33 @@
+const mockGateway = require('./mock.gateway');
+
+/**
+ * Payment gateways by name. A gateway is an object with a `name` and:
+ *
+ * - `createIntent({ paymentId, orderId, amount, currency, options })`
+ *   → `{ reference, clientSecret, status }` (status PENDING until the webhook arrives)
+ * - `capture({ reference, amount })` → `{ status }` (SUCCEEDED or FAILED)
+ * - `refund({ reference, amount, idempotencyKey })` → `{ reference, status }` (SUCCEEDED
+ *   or FAILED). A retry with the same `idempotencyKey` returns the original refund
+ *   instead of paying out again.
+ * - `verifyWebhook({ rawBody, headers })` → `{ id, type, reference, failureReason }`,
+ *   throwing a 400 error when the signature does not match. `type` is
+ *   normalised to payment.authorized, payment.succeeded or payment.failed
+ *   (other types are recorded and ignored).
+ */
+const gateways = {};
+
+const registerGateway = (gateway) => {
+    gateways[gateway.name] = gateway;
+};
+
+const getGateway = (name) => gateways[name] || null;
+
+// The mock gateway marks orders paid without charging anyone
+if (process.env.NODE_ENV !== 'production') {
+    registerGateway(mockGateway);
+}
+
+module.exports = {
+    registerGateway,
+    getGateway
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { createHttpError } = require('../../utils/http-error');
+
+// Scenarios a payment intent can simulate (MOCK_PAYMENT_SCENARIO sets the default)
+const MOCK_SCENARIOS = ['success', 'failure', 'delayed'];
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Refunds already made, by idempotency key
+const refundsByKey = new Map();
+
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock-payment-secret';
+
+const sign = (body) => crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(body)
+    .digest('hex');
+
+/**
+ * POST a signed event to this API's own webhook endpoint, as a real gateway would
+ */
+const deliverWebhook = async (event) => {
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const body = JSON.stringify(event);
+
+    const response = await fetch(`${baseUrl}/api/payments/webhook/mock`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Mock-Signature': sign(body)
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Mock payment webhook rejected with status ${response.status}`);
+    }
+};
+
+const scheduleWebhook = (event, delayMs) => {
+    const timer = setTimeout(() => {
+        deliverWebhook(event).catch(err => console.error('Mock payment webhook failed:', err));
+    }, delayMs);
+    timer.unref();
+};
+
+/**
+ * Local gateway for development and tests: nothing is charged. Each intent
+ * sends its own webhook - `payment.authorized` (success), `payment.failed`
+ * (failure) or `payment.authorized` after MOCK_PAYMENT_DELAYED_WEBHOOK_MS
+ * (delayed, e.g. to let the stock reservation expire first).
+ */
+const mockGateway = {
+    name: 'mock',
+
+    createIntent: async ({ amount, currency, options = {} }) => {
+        const scenario = options.scenario || process.env.MOCK_PAYMENT_SCENARIO || 'success';
+
+        if (!MOCK_SCENARIOS.includes(scenario)) {
+            throw createHttpError(400, `Mock payment scenario must be one of: ${MOCK_SCENARIOS.join(', ')}`);
+        }
+
+        const reference = `mock_pi_${crypto.randomUUID()}`;
+        const delayMs = scenario === 'delayed'
+            ? parseInt(process.env.MOCK_PAYMENT_DELAYED_WEBHOOK_MS || '60000')
+            : parseInt(process.env.MOCK_PAYMENT_WEBHOOK_MS || '1000');
+
+        scheduleWebhook({
+            id: `mock_evt_${crypto.randomUUID()}`,
+            type: scenario === 'failure' ? 'payment.failed' : 'payment.authorized',
+            reference,
+            amount,
+            currency,
+            ...(scenario === 'failure' && { failureReason: 'Card declined (mock)' })
+        }, delayMs);
+
+        return {
+            reference,
+            clientSecret: `${reference}_secret_${crypto.randomBytes(12).toString('hex')}`,
+            status: 'PENDING'
+        };
+    },
+
+    capture: async () => ({ status: 'SUCCEEDED' }),
+
+    refund: async ({ idempotencyKey }) => {
+        if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+            return refundsByKey.get(idempotencyKey);
+        }
+
+        const refund = {
+            reference: `mock_re_${crypto.randomUUID()}`,
+            status: 'SUCCEEDED'
+        };
+
+        if (idempotencyKey) {
+            refundsByKey.set(idempotencyKey, refund);
+        }
+        return refund;
+    },
+
+    verifyWebhook: ({ rawBody, headers }) => {
+        const signature = String(headers['x-mock-signature'] || '');
+        const expected = sign(rawBody || '');
+
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw createHttpError(400, 'Invalid webhook signature');
+        }
+
+        const event = JSON.parse(rawBody);
+
+        return {
+            id: event.id,
+            type: event.type,
+            reference: event.reference,
+            failureReason: event.failureReason || null
+        };
+    }
+};
+
+module.exports = mockGateway;
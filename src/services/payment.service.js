@@ -0,0 +1,238 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { getGateway } = require('./payment-gateways');
+const { applyTransition } = require('./order-state.service');
+const { SYSTEM_ACTOR } = require('./order-history.service');
+const { settleCardRefund } = require('./refund.service');
+
+// Payments still waiting for the gateway's verdict
+const OPEN_PAYMENT_STATUSES = ['PENDING', 'AUTHORIZED'];
+
+const getPaymentProvider = () => process.env.PAYMENT_PROVIDER || 'mock';
+
+/**
+ * Look up a registered gateway, failing with 404 for unknown names
+ */
+const findGateway = (provider) => {
+    const gateway = getGateway(provider);
+
+    if (!gateway) {
+        throw createHttpError(404, `Unknown payment provider: ${provider}`);
+    }
+
+    return gateway;
+};
+
+/**
+ * Start a card payment for an order (`options` are passed to the gateway,
+ * e.g. the mock gateway's `scenario`). An open payment is returned as is,
+ * so retried requests do not charge twice.
+ */
+const createPaymentIntent = async (order, options = {}) => {
+    if (order.paymentMethod !== 'CARD') {
+        throw createHttpError(400, 'This order is not paid by card');
+    }
+    if (order.status !== 'PENDING' || !['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+        throw createHttpError(400, `Cannot take payment for an order with status: ${order.status} (payment ${order.paymentStatus})`);
+    }
+
+    const openPayment = await prisma.payment.findFirst({
+        where: { orderId: order.id, status: { in: OPEN_PAYMENT_STATUSES } },
+        orderBy: { createdAt: 'desc' }
+    });
+
+    if (openPayment) {
+        return openPayment;
+    }
+
+    const provider = getPaymentProvider();
+    const gateway = findGateway(provider);
+    const currency = process.env.PAYMENT_CURRENCY || 'PKR';
+
+    // Any points, wallet credit and gift cards on the order are already paid
+    const amount = roundMoney(
+        Number(order.total) - Number(order.pointsAmount) - Number(order.walletAmount) - Number(order.giftCardAmount)
+    );
+
+    const intent = await gateway.createIntent({
+        orderId: order.id,
+        amount,
+        currency,
+        options
+    });
+
+    return prisma.payment.create({
+        data: {
+            orderId: order.id,
+            provider,
+            providerReference: intent.reference,
+            clientSecret: intent.clientSecret || null,
+            amount,
+            currency
+        }
+    });
+};
+
+/**
+ * Record a captured payment and move its order to PAID. A payment for an
+ * order that was cancelled (or already paid) meanwhile is refunded: the
+ * refund is recorded PENDING along with the payment and sent to the gateway
+ * once both are stored, so a failed attempt is retried rather than lost.
+ */
+const completePayment = async (payment) => {
+    const result = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.payment.updateMany({
+            where: { id: payment.id, status: { in: OPEN_PAYMENT_STATUSES } },
+            data: { status: 'SUCCEEDED', failureReason: null }
+        });
+
+        if (count === 0) {
+            return null;
+        }
+
+        const order = await tx.order.findUnique({ where: { id: payment.orderId } });
+
+        if (order.status === 'CANCELLED' || order.paymentStatus === 'PAID') {
+            const refund = await tx.refund.create({
+                data: {
+                    orderId: order.id,
+                    amount: payment.amount,
+                    method: 'CARD',
+                    reason: order.status === 'CANCELLED'
+                        ? 'Order was cancelled before the payment completed'
+                        : 'Order was already paid',
+                    paymentId: payment.id,
+                    duplicate: true
+                }
+            });
+
+            return { refund };
+        }
+
+        return applyTransition(tx, order.id, {
+            paymentStatus: 'PAID',
+            note: `Card payment received (${payment.provider})`
+        }, SYSTEM_ACTOR);
+    });
+
+    if (result?.refund) {
+        try {
+            await settleCardRefund(result.refund, SYSTEM_ACTOR);
+        } catch (error) {
+            // Stays PENDING (or FAILED) on the order for the retry job or an admin
+            console.error(`Refund of payment ${payment.id} failed:`, error.message);
+        }
+    } else if (result) {
+        result.afterCommit();
+    }
+};
+
+/**
+ * Record a declined payment. The order stays open so the customer can try
+ * again until its stock reservation expires.
+ */
+const failPayment = async (payment, failureReason) => {
+    const result = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.payment.updateMany({
+            where: { id: payment.id, status: { in: OPEN_PAYMENT_STATUSES } },
+            data: { status: 'FAILED', failureReason: failureReason || 'Payment failed' }
+        });
+
+        if (count === 0) {
+            return null;
+        }
+
+        const order = await tx.order.findUnique({ where: { id: payment.orderId } });
+
+        if (order.status !== 'PENDING' || order.paymentStatus !== 'PENDING') {
+            return null;
+        }
+
+        return applyTransition(tx, order.id, {
+            paymentStatus: 'FAILED',
+            note: failureReason || 'Card payment failed'
+        }, SYSTEM_ACTOR);
+    });
+
+    if (result) {
+        result.afterCommit();
+    }
+};
+
+/**
+ * Verify and apply a gateway webhook. Events are recorded once processed;
+ * a redelivered event is ignored.
+ *
+ * Returns `{ duplicate, ignored }`.
+ */
+const handlePaymentWebhook = async (provider, { rawBody, headers, body }) => {
+    const gateway = findGateway(provider);
+    const event = gateway.verifyWebhook({ rawBody, headers });
+
+    const processed = await prisma.paymentEvent.findUnique({
+        where: { provider_eventId: { provider, eventId: event.id } }
+    });
+
+    if (processed) {
+        return { duplicate: true, ignored: false };
+    }
+
+    const payment = await prisma.payment.findUnique({
+        where: { provider_providerReference: { provider, providerReference: event.reference } }
+    });
+
+    // Unknown and already settled payments have nothing left to change
+    const isOpen = Boolean(payment) && OPEN_PAYMENT_STATUSES.includes(payment.status);
+    let ignored = false;
+
+    if (isOpen && event.type === 'payment.authorized') {
+        await prisma.payment.update({
+            where: { id: payment.id },
+            data: { status: 'AUTHORIZED' }
+        });
+
+        // Capture straight away: the order's stock is already held for it
+        const capture = await gateway.capture({
+            reference: payment.providerReference,
+            amount: Number(payment.amount)
+        });
+
+        if (capture.status === 'SUCCEEDED') {
+            await completePayment(payment);
+        } else {
+            await failPayment(payment, 'Payment could not be captured');
+        }
+    } else if (isOpen && event.type === 'payment.succeeded') {
+        await completePayment(payment);
+    } else if (isOpen && event.type === 'payment.failed') {
+        await failPayment(payment, event.failureReason);
+    } else {
+        ignored = true;
+    }
+
+    try {
+        await prisma.paymentEvent.create({
+            data: {
+                provider,
+                eventId: event.id,
+                type: event.type,
+                paymentId: payment?.id ?? null,
+                payload: body
+            }
+        });
+    } catch (error) {
+        // Processed concurrently by another delivery
+        if (error.code !== 'P2002') {
+            throw error;
+        }
+    }
+
+    return { duplicate: false, ignored };
+};
+
+module.exports = {
+    OPEN_PAYMENT_STATUSES,
+    createPaymentIntent,
+    handlePaymentWebhook
+};
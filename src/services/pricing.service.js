@@ -0,0 +1,84 @@
+/**
+ * Effective product pricing.
+ *
+ * Every place that shows or charges a price (products, deals, wishlist,
+ * cart, orders) resolves it here so customers are charged what they see.
+ */
+
+// Where the charged unit price came from (mirrors the PriceSource enum)
+const PRICE_SOURCE = {
+    LIST: 'LIST',
+    PROMO: 'PROMO',
+    DEAL: 'DEAL',
+};
+
+/**
+ * Whether the product's deal window includes the given time
+ */
+const isDealActive = (product, now = new Date()) => {
+    if (!product.isOnDeal || !product.dealStartDate || !product.dealEndDate) {
+        return false;
+    }
+    return new Date(product.dealStartDate) <= now && new Date(product.dealEndDate) >= now;
+};
+
+/**
+ * Resolve the unit price a customer pays for a product right now.
+ *
+ * - A product flagged `isOnDeal` uses its `dealPrice` (copied from the
+ *   running Deal) only inside the deal window, and only when it is below the
+ *   list price.
+ * - Otherwise a `promoPrice` below the list price is a standing promotion.
+ * - Otherwise the list price applies.
+ *
+ * Returns `{ unitPrice, listPrice, source, reason, discountPercentage }` where
+ * `reason` is one of LIST_PRICE, PROMO_PRICE, DEAL_PRICE, DEAL_NOT_STARTED,
+ * DEAL_ENDED (the last two when the list price applies because the product's
+ * deal is not running).
+ */
+const resolveUnitPrice = (product, now = new Date()) => {
+    const listPrice = parseFloat(product.price);
+    const promoPrice = product.promoPrice !== null && product.promoPrice !== undefined
+        ? parseFloat(product.promoPrice)
+        : null;
+    const hasDiscount = promoPrice !== null && promoPrice >= 0 && promoPrice < listPrice;
+    const dealPrice = product.dealPrice !== null && product.dealPrice !== undefined
+        ? parseFloat(product.dealPrice)
+        : null;
+    const hasDealDiscount = dealPrice !== null && dealPrice >= 0 && dealPrice < listPrice;
+
+    const result = (unitPrice, source, reason) => ({
+        unitPrice,
+        listPrice,
+        source,
+        reason,
+        discountPercentage: listPrice > 0
+            ? Math.round(((listPrice - unitPrice) / listPrice) * 100)
+            : 0,
+    });
+
+    if (product.isOnDeal && isDealActive(product, now) && hasDealDiscount) {
+        return result(dealPrice, PRICE_SOURCE.DEAL, 'DEAL_PRICE');
+    }
+
+    if (hasDiscount) {
+        return result(promoPrice, PRICE_SOURCE.PROMO, 'PROMO_PRICE');
+    }
+
+    if (product.isOnDeal) {
+        if (product.dealStartDate && new Date(product.dealStartDate) > now) {
+            return result(listPrice, PRICE_SOURCE.LIST, 'DEAL_NOT_STARTED');
+        }
+        if (product.dealEndDate && new Date(product.dealEndDate) < now) {
+            return result(listPrice, PRICE_SOURCE.LIST, 'DEAL_ENDED');
+        }
+    }
+
+    return result(listPrice, PRICE_SOURCE.LIST, 'LIST_PRICE');
+};
+
+module.exports = {
+    PRICE_SOURCE,
+    isDealActive,
+    resolveUnitPrice,
+};
@@ -0,0 +1,235 @@
+/**
+ * Promotion rules (buy X get Y, bundles, tiered spend discounts).
+ *
+ * Pure functions only (no database access) so the rules can be checked in
+ * isolation. `promotion.service.js` loads promotions and product details and
+ * applies the result to orders.
+ */
+
+const { roundMoney } = require('../utils/money');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Whether a promotion is switched on and inside its schedule
+ */
+const isPromotionRunning = (promotion, now = new Date()) =>
+    promotion.isActive &&
+    (!promotion.startsAt || new Date(promotion.startsAt) <= now) &&
+    (!promotion.endsAt || new Date(promotion.endsAt) >= now);
+
+/**
+ * Whether a promotion covers a line ({ productId, collectionId, categoryId, brand }).
+ * A promotion without product lists covers every line.
+ */
+const coversLine = (promotion, line) => {
+    const lists = [promotion.productIds, promotion.collectionIds, promotion.categoryIds, promotion.brands];
+
+    if (lists.every(list => list.length === 0)) {
+        return true;
+    }
+
+    return promotion.productIds.includes(line.productId) ||
+        (line.collectionId !== null && promotion.collectionIds.includes(line.collectionId)) ||
+        (line.categoryId !== null && promotion.categoryIds.includes(line.categoryId)) ||
+        promotion.brands.some(brand => normalize(brand) === normalize(line.brand));
+};
+
+const lineValue = (line) => Number(line.price) * line.quantity;
+
+/**
+ * Spread an amount over lines in proportion to their weight. The last line
+ * takes the rounding remainder.
+ */
+const allocate = (amount, shares) => {
+    const totalWeight = shares.reduce((sum, share) => sum + share.weight, 0);
+    let allocated = 0;
+
+    return shares.map((share, position) => {
+        const discount = position === shares.length - 1
+            ? roundMoney(amount - allocated)
+            : roundMoney(amount * share.weight / totalWeight);
+        allocated += discount;
+        return { index: share.index, discount, units: share.units || 0 };
+    });
+};
+
+/**
+ * Each rule returns the discount it gives per line and how many units of
+ * each line it uses up (`[{ index, discount, units }]`). Units used by one
+ * promotion are not available to the next.
+ */
+const RULES = {
+    // Every group of buy + get units: the cheapest `get` units are discounted
+    BUY_X_GET_Y: (promotion, lines, state) => {
+        const buy = promotion.buyQuantity;
+        const get = promotion.getQuantity;
+
+        if (!(buy > 0) || !(get > 0)) {
+            return [];
+        }
+
+        const percentage = promotion.discountPercent === null || promotion.discountPercent === undefined
+            ? 100
+            : Number(promotion.discountPercent);
+
+        // One entry per unit still available, dearest first
+        const units = [];
+        lines.forEach((line, index) => {
+            if (coversLine(promotion, line)) {
+                for (let unit = 0; unit < state[index].availableUnits; unit++) {
+                    units.push({ index, price: Number(line.price) });
+                }
+            }
+        });
+        units.sort((a, b) => b.price - a.price);
+
+        const groupSize = buy + get;
+        const used = units.slice(0, Math.floor(units.length / groupSize) * groupSize);
+
+        const results = {};
+        used.forEach((unit, position) => {
+            const result = results[unit.index] || { index: unit.index, discount: 0, units: 0 };
+            result.units += 1;
+            if (position % groupSize >= buy) {
+                result.discount += unit.price * percentage / 100;
+            }
+            results[unit.index] = result;
+        });
+
+        return Object.values(results);
+    },
+
+    // Each complete set of the bundle's products costs `bundlePrice`
+    BUNDLE: (promotion, lines, state) => {
+        const productIds = [...new Set(promotion.productIds)];
+
+        if (productIds.length < 2 || promotion.bundlePrice === null || promotion.bundlePrice === undefined) {
+            return [];
+        }
+
+        const availableOf = (productId) => lines.reduce(
+            (sum, line, index) => sum + (line.productId === productId ? state[index].availableUnits : 0),
+            0
+        );
+        const sets = Math.min(...productIds.map(availableOf));
+
+        if (sets === 0) {
+            return [];
+        }
+
+        const shares = [];
+        for (const productId of productIds) {
+            let needed = sets;
+            lines.forEach((line, index) => {
+                if (line.productId !== productId || needed === 0) {
+                    return;
+                }
+                const units = Math.min(needed, state[index].availableUnits);
+                if (units > 0) {
+                    shares.push({ index, units, weight: Number(line.price) * units });
+                    needed -= units;
+                }
+            });
+        }
+
+        const regularPrice = shares.reduce((sum, share) => sum + share.weight, 0);
+        const discount = regularPrice - Number(promotion.bundlePrice) * sets;
+
+        return discount > 0 ? allocate(discount, shares) : [];
+    },
+
+    // Percentage off the covered lines once their value reaches a tier
+    SPEND_THRESHOLD: (promotion, lines, state) => {
+        const shares = lines
+            .map((line, index) => ({ index, weight: lineValue(line) - state[index].discount }))
+            .filter(share => coversLine(promotion, lines[share.index]) && share.weight > 0);
+        const spend = shares.reduce((sum, share) => sum + share.weight, 0);
+
+        const tier = (Array.isArray(promotion.tiers) ? promotion.tiers : [])
+            .filter(entry => spend >= Number(entry.minSubtotal))
+            .sort((a, b) => Number(b.minSubtotal) - Number(a.minSubtotal))[0];
+
+        if (!tier) {
+            return [];
+        }
+
+        return allocate(spend * Number(tier.percentage) / 100, shares);
+    }
+};
+
+/**
+ * Evaluate promotions against order lines.
+ *
+ * `lines` as { productId, quantity, price, collectionId, categoryId, brand }.
+ * Promotions run from the highest `priority` down (ties keep the given
+ * order). An `exclusive` promotion is skipped once another one applied and,
+ * when it applies, stops the promotions after it. Lines are never discounted
+ * below zero.
+ *
+ * `options.ignoreSchedule` evaluates the promotions as given, e.g. to re-apply
+ * the promotions an existing order was placed with.
+ *
+ * @returns {{ discount: number, applied: object[], lines: { discount: number, promotions: object[] }[] }}
+ */
+const evaluatePromotions = (promotions, lines, { now = new Date(), ignoreSchedule = false } = {}) => {
+    const state = lines.map(line => ({ availableUnits: line.quantity, discount: 0, promotions: [] }));
+    const applied = [];
+
+    const running = promotions
+        .filter(promotion => ignoreSchedule || isPromotionRunning(promotion, now))
+        .sort((a, b) => b.priority - a.priority);
+
+    for (const promotion of running) {
+        if (promotion.exclusive && applied.length > 0) {
+            continue;
+        }
+
+        const rule = RULES[promotion.type];
+        const results = (rule ? rule(promotion, lines, state) : [])
+            .map(result => ({
+                ...result,
+                discount: roundMoney(Math.min(result.discount, lineValue(lines[result.index]) - state[result.index].discount))
+            }));
+        const total = roundMoney(results.reduce((sum, result) => sum + result.discount, 0));
+
+        if (total <= 0) {
+            continue;
+        }
+
+        for (const { index, discount, units } of results) {
+            const lineState = state[index];
+            lineState.availableUnits -= units;
+            if (discount > 0) {
+                lineState.discount = roundMoney(lineState.discount + discount);
+                lineState.promotions.push({
+                    promotionId: promotion.id,
+                    promotionName: promotion.name,
+                    discount
+                });
+            }
+        }
+
+        applied.push({
+            promotionId: promotion.id,
+            name: promotion.name,
+            type: promotion.type,
+            discount: total
+        });
+
+        if (promotion.exclusive) {
+            break;
+        }
+    }
+
+    return {
+        discount: roundMoney(applied.reduce((sum, promotion) => sum + promotion.discount, 0)),
+        applied,
+        lines: state.map(({ discount, promotions: linePromotions }) => ({ discount, promotions: linePromotions }))
+    };
+};
+
+module.exports = {
+    isPromotionRunning,
+    evaluatePromotions
+};
@@ -0,0 +1,71 @@
+const prisma = require('../config/database');
+const { evaluatePromotions, isPromotionRunning } = require('./promotion-engine');
+
+/**
+ * Add the product details promotions match on (collection, category, brand)
+ * to order lines
+ */
+const withProductDetails = async (lines) => {
+    const products = await prisma.product.findMany({
+        where: { id: { in: lines.map(line => line.productId) } },
+        select: {
+            id: true,
+            brand: true,
+            collectionId: true,
+            collection: { select: { categoryId: true } }
+        }
+    });
+
+    return lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        return {
+            productId: line.productId,
+            quantity: line.quantity,
+            price: Number(line.price),
+            brand: product?.brand ?? null,
+            collectionId: product?.collectionId ?? null,
+            categoryId: product?.collection?.categoryId ?? null
+        };
+    });
+};
+
+/**
+ * Promotions running right now, highest priority first
+ */
+const getRunningPromotions = async (now = new Date()) => {
+    const promotions = await prisma.promotion.findMany({
+        where: { isActive: true },
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    return promotions.filter(promotion => isPromotionRunning(promotion, now));
+};
+
+/**
+ * Evaluate promotions against order lines (`lines` as { productId, quantity, price }).
+ *
+ * Uses the running promotions, or exactly `options.promotionIds` regardless
+ * of their schedule (an order being edited keeps the promotions it was
+ * placed with). See `evaluatePromotions` for the result.
+ */
+const applyPromotions = async (lines, { promotionIds } = {}) => {
+    const promotions = promotionIds
+        ? await prisma.promotion.findMany({
+            where: { id: { in: promotionIds } },
+            orderBy: { createdAt: 'asc' }
+        })
+        : await getRunningPromotions();
+
+    if (promotions.length === 0) {
+        return evaluatePromotions([], lines);
+    }
+
+    return evaluatePromotions(promotions, await withProductDetails(lines), {
+        ignoreSchedule: Boolean(promotionIds)
+    });
+};
+
+module.exports = {
+    getRunningPromotions,
+    applyPromotions
+};
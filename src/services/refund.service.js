@@ -0,0 +1,564 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { restoreStock } = require('./inventory.service');
+const { applyTransition, onOrderTransition } = require('./order-state.service');
+const { SYSTEM_ACTOR, recordStatusEvent } = require('./order-history.service');
+const { getGateway } = require('./payment-gateways');
+const { getPaidUnitPrice } = require('./order-line-value');
+const { recordWalletTransaction } = require('./wallet.service');
+const { forfeitRefundedPoints } = require('./loyalty.service');
+const { sendRefundReceiptEmail } = require('./email.service');
+const { publish } = require('./event-bus');
+
+// Order statuses that move to REFUNDED along with a payment refunded in full
+const REFUNDABLE_ORDER_STATUSES = ['PAID', 'DELIVERED'];
+
+// Refunds that count against what is left to refund (pending ones may still be paid)
+const ACTIVE_REFUND_STATUSES = ['PENDING', 'COMPLETED'];
+
+// Card refunds left PENDING this long are sent to the gateway again
+const PENDING_REFUND_RETRY_MS = 5 * 60 * 1000;
+
+// How each payment method is paid back unless the admin chooses otherwise
+const DEFAULT_REFUND_METHODS = {
+    CARD: 'CARD',
+    BANK_TRANSFER: 'BANK_TRANSFER',
+    CASH_ON_DELIVERY: 'CASH',
+    WALLET: 'WALLET',
+    // Gift card balance is not reissued - it comes back as store credit
+    GIFT_CARD: 'WALLET'
+};
+
+const refundDetailsInclude = {
+    items: {
+        include: {
+            orderItem: {
+                select: {
+                    id: true,
+                    productId: true,
+                    productName: true,
+                    productBrand: true,
+                    quantity: true
+                }
+            }
+        }
+    }
+};
+
+/**
+ * What the customer paid for an order: its captured card payments (not
+ * counting duplicates, which are refunded on their own) plus any wallet credit and gift
+ * cards spent, otherwise the order total. Loyalty points are not paid back
+ * as money.
+ */
+const getPaidAmount = async (client, order) => {
+    const payments = await client.payment.findMany({
+        where: {
+            orderId: order.id,
+            OR: [
+                { status: 'SUCCEEDED' },
+                { status: 'REFUNDED', refunds: { some: {} } }
+            ],
+            refunds: { none: { duplicate: true } }
+        },
+        select: { amount: true }
+    });
+
+    return payments.length > 0
+        ? roundMoney(payments.reduce((sum, payment) => sum + Number(payment.amount), Number(order.walletAmount) + Number(order.giftCardAmount)))
+        : roundMoney(Number(order.total) - Number(order.pointsAmount));
+};
+
+/**
+ * What is left to refund on an order, after its refunds (pending ones
+ * included) and the wallet credit and gift card balance given back when it
+ * was cancelled
+ */
+const getRefundableAmount = async (client, order) => {
+    const [paid, refunds, walletReturned, giftCardsReturned] = await Promise.all([
+        getPaidAmount(client, order),
+        client.refund.aggregate({
+            where: { orderId: order.id, status: { in: ACTIVE_REFUND_STATUSES }, duplicate: false },
+            _sum: { amount: true }
+        }),
+        client.walletTransaction.aggregate({
+            where: { orderId: order.id, type: 'ORDER_CANCELLED' },
+            _sum: { amount: true }
+        }),
+        client.giftCardRedemption.aggregate({
+            where: { orderId: order.id, reversedAt: { not: null } },
+            _sum: { amount: true }
+        })
+    ]);
+
+    return roundMoney(
+        paid -
+        Number(refunds._sum.amount || 0) -
+        Number(walletReturned._sum.amount || 0) -
+        Number(giftCardsReturned._sum.amount || 0)
+    );
+};
+
+/**
+ * Quantity of each order item already refunded (pending refunds included)
+ */
+const getRefundedQuantities = async (client, orderId) => {
+    const refundItems = await client.refundItem.findMany({
+        where: { refund: { orderId, status: { in: ACTIVE_REFUND_STATUSES } } },
+        select: { orderItemId: true, quantity: true }
+    });
+
+    const quantities = {};
+    for (const item of refundItems) {
+        quantities[item.orderItemId] = (quantities[item.orderItemId] || 0) + item.quantity;
+    }
+    return quantities;
+};
+
+/**
+ * Check the requested lines against the order and price them
+ */
+const buildRefundLines = async (client, order, items) => {
+    const refunded = await getRefundedQuantities(client, order.id);
+    const errors = [];
+    const lines = [];
+
+    for (const entry of items) {
+        const orderItem = order.items.find(item => item.id === entry.orderItemId);
+        const remaining = orderItem ? orderItem.quantity - (refunded[orderItem.id] || 0) : 0;
+
+        if (!orderItem) {
+            errors.push({ orderItemId: entry.orderItemId, error: 'Item is not part of this order' });
+        } else if (lines.some(line => line.orderItemId === orderItem.id)) {
+            errors.push({ orderItemId: entry.orderItemId, error: 'Item is listed more than once' });
+        } else if (entry.quantity > remaining) {
+            errors.push({ orderItemId: entry.orderItemId, error: `Only ${remaining} left to refund` });
+        } else {
+            lines.push({
+                orderItemId: orderItem.id,
+                productId: orderItem.productId,
+                quantity: entry.quantity,
+                amount: roundMoney(getPaidUnitPrice(orderItem, order.taxInclusive) * entry.quantity)
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw createHttpError(400, 'Some items cannot be refunded', errors);
+    }
+
+    return lines;
+};
+
+/**
+ * Card payment a refund is paid back to (less what pending refunds will
+ * take from it)
+ */
+const findRefundablePayment = async (client, order, amount) => {
+    const payments = await client.payment.findMany({
+        where: { orderId: order.id, status: 'SUCCEEDED' },
+        orderBy: { createdAt: 'desc' },
+        include: {
+            refunds: {
+                where: { status: 'PENDING' },
+                select: { amount: true }
+            }
+        }
+    });
+
+    const payment = payments.find(candidate => Number(candidate.amount) - Number(candidate.amountRefunded) -
+        candidate.refunds.reduce((sum, refund) => sum + Number(refund.amount), 0) >= amount);
+
+    if (!payment) {
+        throw createHttpError(400, 'No card payment on this order can cover this refund. Choose another refund method.');
+    }
+
+    return payment;
+};
+
+/**
+ * Ask the gateway to refund `amount` of a captured payment. Retrying with
+ * the same `idempotencyKey` returns the original refund, so a request whose
+ * outcome is unknown can safely be sent again. Returns `{ reference, status }`
+ * (SUCCEEDED or FAILED); throws when the gateway cannot be reached.
+ */
+const requestGatewayRefund = (payment, amount, idempotencyKey) => {
+    const gateway = getGateway(payment.provider);
+
+    if (!gateway) {
+        throw new Error(`Unknown payment provider: ${payment.provider}`);
+    }
+
+    return gateway.refund({
+        reference: payment.providerReference,
+        amount,
+        idempotencyKey
+    });
+};
+
+/**
+ * Record `amount` of a payment as refunded. The payment is only marked
+ * REFUNDED once nothing is left to refund.
+ */
+const recordPaymentRefund = async (client, paymentId, amount, reason) => {
+    const payment = await client.payment.findUnique({ where: { id: paymentId } });
+    const amountRefunded = roundMoney(Number(payment.amountRefunded) + amount);
+
+    return client.payment.update({
+        where: { id: payment.id },
+        data: {
+            amountRefunded,
+            ...(amountRefunded >= Number(payment.amount) && {
+                status: 'REFUNDED',
+                failureReason: reason
+            })
+        }
+    });
+};
+
+/**
+ * Email the customer a receipt for a refund
+ */
+const notifyRefund = (order, refund) => {
+    sendRefundReceiptEmail(order.contactEmail, order, refund)
+        .catch(err => console.error('Failed to send refund receipt email:', err));
+};
+
+/**
+ * Settle a PENDING refund inside a transaction once its money is on its way:
+ * pay wallet refunds as store credit, mark the card payment refunded,
+ * restock, close the return it pays for, take back points earned on the
+ * order and, once nothing (or no item) is left to refund, move the payment
+ * (and a paid or delivered order) to REFUNDED - this is also when the card
+ * payment of a cancelled order is marked REFUNDED.
+ *
+ * Returns `{ refund, order, afterCommit }`, or null when the refund was
+ * already settled.
+ */
+const completeRefund = async (tx, refund, actor, { providerReference } = {}) => {
+    const { count } = await tx.refund.updateMany({
+        where: { id: refund.id, status: 'PENDING' },
+        data: { status: 'COMPLETED', providerReference: providerReference || null }
+    });
+
+    if (count === 0) {
+        return null;
+    }
+
+    const [order, completed] = await Promise.all([
+        tx.order.findUnique({ where: { id: refund.orderId } }),
+        tx.refund.findUnique({ where: { id: refund.id }, include: refundDetailsInclude })
+    ]);
+    const amount = Number(completed.amount);
+
+    if (completed.paymentId) {
+        await recordPaymentRefund(tx, completed.paymentId, amount, completed.reason);
+    }
+
+    if (completed.method === 'WALLET') {
+        await recordWalletTransaction(tx, {
+            userId: order.userId,
+            amount,
+            type: 'REFUND',
+            orderId: order.id,
+            refundId: completed.id,
+            note: completed.reason
+        });
+    }
+
+    if (completed.restocked) {
+        await restoreStock(tx, completed.items.map(item => ({
+            productId: item.orderItem.productId,
+            quantity: item.quantity
+        })));
+    }
+
+    if (completed.returnRequestId) {
+        await tx.returnRequest.updateMany({
+            where: { id: completed.returnRequestId, status: 'RECEIVED' },
+            data: { status: 'REFUNDED', refundAmount: amount, refundedAt: new Date() }
+        });
+    }
+
+    let updatedOrder = order;
+    let afterTransition = null;
+
+    // Paying back a duplicate payment leaves the order itself untouched
+    if (completed.duplicate) {
+        return {
+            refund: completed,
+            order,
+            afterCommit: () => notifyRefund(order, completed)
+        };
+    }
+
+    await forfeitRefundedPoints(tx, order);
+
+    const [refundable, refunded, orderItems, pending] = await Promise.all([
+        getRefundableAmount(tx, order),
+        getRefundedQuantities(tx, order.id),
+        tx.orderItem.findMany({ where: { orderId: order.id }, select: { id: true, quantity: true } }),
+        tx.refund.count({ where: { orderId: order.id, status: 'PENDING', duplicate: false } })
+    ]);
+    const everyItemRefunded = orderItems.every(item => (refunded[item.id] || 0) >= item.quantity);
+
+    // Refunded in full only once every refund is paid
+    if (order.paymentStatus === 'PAID' && (refundable <= 0 || everyItemRefunded) && pending === 0) {
+        const transition = await applyTransition(tx, order.id, {
+            paymentStatus: 'REFUNDED',
+            ...(REFUNDABLE_ORDER_STATUSES.includes(order.status) && { status: 'REFUNDED' }),
+            note: `Refunded in full: ${completed.reason}`
+        }, actor);
+
+        updatedOrder = transition.order;
+        afterTransition = transition.afterCommit;
+    }
+
+    return {
+        refund: completed,
+        order: updatedOrder,
+        afterCommit: () => {
+            if (afterTransition) {
+                afterTransition();
+            } else if (completed.restocked) {
+                publish('order.refunded', { orderId: order.id });
+            }
+            notifyRefund(updatedOrder, completed);
+        }
+    };
+};
+
+/**
+ * Send a PENDING card refund to the gateway and settle it. The refund's id
+ * is the gateway's idempotency key, so sending it again never pays out
+ * twice. A declined refund is marked FAILED and noted on the order's
+ * timeline (400); when the gateway cannot be reached it stays PENDING to be
+ * retried (502).
+ *
+ * Returns `{ refund, order }`.
+ */
+const settleCardRefund = async (refund, actor) => {
+    const payment = await prisma.payment.findUnique({ where: { id: refund.paymentId } });
+
+    let result;
+    try {
+        result = await requestGatewayRefund(payment, Number(refund.amount), refund.id);
+    } catch (error) {
+        console.error(`Refund ${refund.id} gateway error:`, error);
+        throw createHttpError(502, 'The payment gateway could not be reached. The refund is pending and will be retried.');
+    }
+
+    if (result.status !== 'SUCCEEDED') {
+        await prisma.$transaction(async (tx) => {
+            const { count } = await tx.refund.updateMany({
+                where: { id: refund.id, status: 'PENDING' },
+                data: { status: 'FAILED', failureReason: 'Declined by the payment gateway' }
+            });
+
+            if (count === 0) {
+                return;
+            }
+
+            // The payment stays PAID - flag the refund still owed on the order's timeline
+            const order = await tx.order.findUnique({ where: { id: refund.orderId } });
+            await recordStatusEvent(tx, {
+                orderId: order.id,
+                fromStatus: order.status,
+                toStatus: order.status,
+                fromPaymentStatus: order.paymentStatus,
+                toPaymentStatus: order.paymentStatus,
+                actor,
+                note: `Card refund of ${Number(refund.amount).toFixed(2)} was declined by the payment gateway and must be refunded another way`
+            });
+        });
+        throw createHttpError(400, 'The payment gateway declined the refund. Choose another refund method.');
+    }
+
+    const completed = await prisma.$transaction(
+        (tx) => completeRefund(tx, refund, actor, { providerReference: result.reference })
+    );
+
+    // Settled meanwhile by a retry
+    if (!completed) {
+        return {
+            refund: await prisma.refund.findUnique({ where: { id: refund.id }, include: refundDetailsInclude }),
+            order: await prisma.order.findUnique({ where: { id: refund.orderId } })
+        };
+    }
+
+    completed.afterCommit();
+
+    return { refund: completed.refund, order: completed.order };
+};
+
+/**
+ * Refund a paid order, fully or partially (Admin).
+ *
+ * `items` ([{ orderItemId, quantity }]) are the lines refunded; `amount`
+ * defaults to their value, or to everything left to refund when no items
+ * are given. Refunds never exceed what was paid. `restock` returns the
+ * refunded items to stock, and `returnRequestId` is the received return the
+ * refund pays for. Card refunds go back through the payment gateway and
+ * WALLET refunds are paid as store credit; other methods are recorded as
+ * paid out by hand. Points earned on the order are taken back in proportion
+ * to what was refunded. Once nothing (or no item) is left to refund the
+ * payment (and a paid or delivered order) moves to REFUNDED, and the
+ * customer is emailed a receipt.
+ *
+ * The refund is recorded PENDING first, so the gateway is only called once
+ * it is safely stored, outside the database transaction.
+ *
+ * Returns `{ refund, order }`.
+ */
+const createRefund = async (orderId, {
+    amount,
+    items = [],
+    reason = 'Order refunded',
+    method,
+    restock = false,
+    returnRequestId = null
+}, actor) => {
+    const created = await prisma.$transaction(async (tx) => {
+        const order = await tx.order.findUnique({
+            where: { id: orderId },
+            include: { items: true }
+        });
+
+        if (!order) {
+            throw createHttpError(404, 'Order not found');
+        }
+        if (order.paymentStatus === 'REFUNDED') {
+            throw createHttpError(400, 'This order has already been refunded in full');
+        }
+        if (order.paymentStatus !== 'PAID') {
+            throw createHttpError(400, 'Cannot refund an order whose payment was not received');
+        }
+        if (restock && items.length === 0) {
+            throw createHttpError(400, 'Choose the items to restock');
+        }
+
+        const lines = await buildRefundLines(tx, order, items);
+        const refundable = await getRefundableAmount(tx, order);
+        const linesValue = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+        let refundAmount = refundable;
+        if (amount !== undefined && amount !== null) {
+            refundAmount = roundMoney(Number(amount));
+        } else if (lines.length > 0) {
+            refundAmount = Math.min(linesValue, refundable);
+        }
+
+        if (refundAmount <= 0 || refundAmount > refundable) {
+            throw createHttpError(400, `Refund amount must be greater than 0 and at most ${refundable.toFixed(2)}`);
+        }
+
+        const refundMethod = method || DEFAULT_REFUND_METHODS[order.paymentMethod];
+        const payment = refundMethod === 'CARD'
+            ? await findRefundablePayment(tx, order, refundAmount)
+            : null;
+
+        // Only one refund per order at a time, so the amounts above stay true
+        const { count } = await tx.order.updateMany({
+            where: { id: order.id, updatedAt: order.updatedAt },
+            data: { updatedAt: new Date() }
+        });
+
+        if (count === 0) {
+            throw createHttpError(409, 'Order was updated by another request. Please try again.');
+        }
+
+        const refund = await tx.refund.create({
+            data: {
+                orderId: order.id,
+                amount: refundAmount,
+                method: refundMethod,
+                reason,
+                paymentId: payment ? payment.id : null,
+                restocked: restock,
+                returnRequestId,
+                createdById: actor.id || null,
+                items: {
+                    create: lines.map(line => ({
+                        orderItemId: line.orderItemId,
+                        quantity: line.quantity,
+                        amount: line.amount
+                    }))
+                }
+            }
+        });
+
+        // Nothing to wait for unless the money goes back through the gateway
+        return payment ? { refund } : completeRefund(tx, refund, actor);
+    });
+
+    if (created.refund.method === 'CARD') {
+        return settleCardRefund(created.refund, actor);
+    }
+
+    created.afterCommit();
+
+    return { refund: created.refund, order: created.order };
+};
+
+/**
+ * Send card refunds left PENDING (e.g. the gateway timed out, or the
+ * process stopped before settling them) to the gateway again. Returns the
+ * refunds settled.
+ */
+const retryPendingRefunds = async (now = new Date()) => {
+    const pending = await prisma.refund.findMany({
+        where: {
+            status: 'PENDING',
+            paymentId: { not: null },
+            createdAt: { lte: new Date(now.getTime() - PENDING_REFUND_RETRY_MS) }
+        },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const settled = [];
+
+    for (const refund of pending) {
+        try {
+            const result = await settleCardRefund(refund, SYSTEM_ACTOR);
+            settled.push(result.refund);
+        } catch (error) {
+            console.error(`Refund ${refund.id} retry failed:`, error.message);
+        }
+    }
+
+    return settled;
+};
+
+/**
+ * Get an order's refunds (oldest first)
+ */
+const getOrderRefunds = (orderId) => prisma.refund.findMany({
+    where: { orderId },
+    orderBy: { createdAt: 'asc' },
+    include: refundDetailsInclude
+});
+
+// Card refunds recorded when a paid order is cancelled go to the gateway
+// once the cancellation has committed
+onOrderTransition(async ({ order, from, to, actor }) => {
+    if (to.status !== 'CANCELLED' || from.status === 'CANCELLED' || from.paymentStatus !== 'PAID') {
+        return;
+    }
+
+    const pending = await prisma.refund.findMany({
+        where: { orderId: order.id, status: 'PENDING', paymentId: { not: null } }
+    });
+
+    for (const refund of pending) {
+        await settleCardRefund(refund, actor);
+    }
+});
+
+module.exports = {
+    getRefundableAmount,
+    createRefund,
+    settleCardRefund,
+    retryPendingRefunds,
+    getOrderRefunds
+};
@@ -0,0 +1,334 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { restoreStock } = require('./inventory.service');
+const { getRefundableAmount, createRefund } = require('./refund.service');
+const { getPaidUnitPrice } = require('./order-line-value');
+
+// Days after delivery a customer can request a return
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS || '30', 10);
+
+// Returns that still hold on to their items (rejected ones free them up again)
+const OPEN_RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'RECEIVED', 'REFUNDED'];
+
+const returnDetailsInclude = {
+    items: {
+        include: {
+            orderItem: {
+                select: {
+                    id: true,
+                    productId: true,
+                    productName: true,
+                    productBrand: true,
+                    quantity: true,
+                    price: true,
+                    promotionDiscount: true,
+                    discount: true,
+                    taxAmount: true
+                }
+            }
+        }
+    },
+    order: {
+        select: {
+            id: true,
+            userId: true,
+            orderNumber: true,
+            status: true,
+            paymentStatus: true,
+            taxInclusive: true,
+            total: true,
+            walletAmount: true,
+            giftCardAmount: true,
+            pointsAmount: true,
+            contactEmail: true,
+            contactFirstName: true
+        }
+    }
+};
+
+/**
+ * Value of the returned lines at the price the customer paid (less their
+ * share of any promotion and coupon discount, plus any tax added on top)
+ */
+const getReturnValue = (returnRequest) => roundMoney(returnRequest.items.reduce(
+    (sum, item) => sum + getPaidUnitPrice(item.orderItem, returnRequest.order.taxInclusive) * item.quantity,
+    0
+));
+
+/**
+ * Quantity of each order item already claimed by other returns
+ */
+const getReturnedQuantities = async (client, orderId) => {
+    const returned = await client.returnItem.findMany({
+        where: {
+            returnRequest: {
+                orderId,
+                status: { in: OPEN_RETURN_STATUSES }
+            }
+        },
+        select: { orderItemId: true, quantity: true }
+    });
+
+    return returned.reduce((totals, item) => {
+        totals[item.orderItemId] = (totals[item.orderItemId] || 0) + item.quantity;
+        return totals;
+    }, {});
+};
+
+/**
+ * When the order was delivered (from its status history)
+ */
+const getDeliveredAt = async (order) => {
+    const event = await prisma.orderStatusEvent.findFirst({
+        where: { orderId: order.id, toStatus: 'DELIVERED' },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true }
+    });
+    return event?.createdAt || order.updatedAt;
+};
+
+/**
+ * Move a return from one status to the next, failing if someone else
+ * changed it first
+ */
+const advanceReturn = async (tx, returnRequest, fromStatus, data, action) => {
+    if (returnRequest.status !== fromStatus) {
+        throw createHttpError(400, `Cannot ${action} a return with status: ${returnRequest.status}`);
+    }
+
+    const { count } = await tx.returnRequest.updateMany({
+        where: { id: returnRequest.id, status: fromStatus },
+        data
+    });
+
+    if (count === 0) {
+        throw createHttpError(409, 'Return was updated by another request. Please try again.');
+    }
+};
+
+const findReturnOrFail = async (client, id) => {
+    const returnRequest = await client.returnRequest.findUnique({
+        where: { id },
+        include: returnDetailsInclude
+    });
+
+    if (!returnRequest) {
+        throw createHttpError(404, 'Return not found');
+    }
+    return returnRequest;
+};
+
+/**
+ * Customer requests a return of some items (and quantities) of a delivered order
+ */
+const createReturnRequest = async ({ orderId, userId, items, reason, photos }) => {
+    const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { items: true }
+    });
+
+    if (!order) {
+        throw createHttpError(404, 'Order not found');
+    }
+
+    if (order.userId !== userId) {
+        throw createHttpError(403, 'Not authorized to return items from this order');
+    }
+
+    if (order.status !== 'DELIVERED') {
+        throw createHttpError(400, 'Only delivered orders can be returned');
+    }
+
+    const windowDays = getReturnWindowDays();
+    const deliveredAt = await getDeliveredAt(order);
+    if (Date.now() - deliveredAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+        throw createHttpError(400, `Returns must be requested within ${windowDays} days of delivery`);
+    }
+
+    const returned = await getReturnedQuantities(prisma, orderId);
+    const itemErrors = [];
+    const seen = new Set();
+
+    for (const item of items) {
+        const orderItem = order.items.find(line => line.id === item.orderItemId);
+
+        if (!orderItem) {
+            itemErrors.push({ orderItemId: item.orderItemId, error: 'Item is not part of this order' });
+            continue;
+        }
+        if (seen.has(item.orderItemId)) {
+            itemErrors.push({ orderItemId: item.orderItemId, error: 'Item is listed more than once' });
+            continue;
+        }
+        seen.add(item.orderItemId);
+
+        const returnable = orderItem.quantity - (returned[orderItem.id] || 0);
+        if (item.quantity > returnable) {
+            itemErrors.push({
+                orderItemId: item.orderItemId,
+                productName: orderItem.productName,
+                requested: item.quantity,
+                returnable
+            });
+        }
+    }
+
+    if (itemErrors.length > 0) {
+        throw createHttpError(400, 'Some items cannot be returned', itemErrors);
+    }
+
+    const returnCount = await prisma.returnRequest.count({ where: { orderId } });
+
+    try {
+        return await prisma.returnRequest.create({
+            data: {
+                rmaNumber: `${order.orderNumber}-R${returnCount + 1}`,
+                orderId,
+                userId,
+                reason,
+                photos: photos || [],
+                items: {
+                    create: items.map(item => ({
+                        orderItemId: item.orderItemId,
+                        quantity: item.quantity
+                    }))
+                }
+            },
+            include: returnDetailsInclude
+        });
+    } catch (error) {
+        // Two returns for the same order raced for the same RMA number
+        if (error.code === 'P2002') {
+            throw createHttpError(409, 'Another return for this order was just submitted. Please try again.');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Admin approves or rejects a requested return
+ */
+const reviewReturnRequest = (id, { approve, note }) => prisma.$transaction(async (tx) => {
+    const returnRequest = await findReturnOrFail(tx, id);
+
+    await advanceReturn(tx, returnRequest, 'REQUESTED', {
+        status: approve ? 'APPROVED' : 'REJECTED',
+        adminNote: note || null,
+        reviewedAt: new Date()
+    }, approve ? 'approve' : 'reject');
+
+    return findReturnOrFail(tx, id);
+});
+
+/**
+ * Admin marks the returned items as received and decides per item whether
+ * they go back to stock or are written off.
+ *
+ * @param {object} options { disposition?, items?: [{ returnItemId, disposition }], note? }
+ *   `disposition` applies to every item not listed in `items`.
+ */
+const receiveReturn = (id, { disposition, items = [], note }) => prisma.$transaction(async (tx) => {
+    const returnRequest = await findReturnOrFail(tx, id);
+
+    const dispositions = returnRequest.items.map(item => ({
+        item,
+        disposition: items.find(entry => entry.returnItemId === item.id)?.disposition || disposition
+    }));
+
+    const unknown = items.filter(entry => !returnRequest.items.some(item => item.id === entry.returnItemId));
+    const missing = dispositions.filter(entry => !entry.disposition);
+
+    if (unknown.length > 0 || missing.length > 0) {
+        throw createHttpError(400, 'Choose RESTOCK or WRITE_OFF for every returned item', [
+            ...unknown.map(entry => ({ returnItemId: entry.returnItemId, error: 'Item is not part of this return' })),
+            ...missing.map(entry => ({ returnItemId: entry.item.id, error: 'Disposition is required' }))
+        ]);
+    }
+
+    await advanceReturn(tx, returnRequest, 'APPROVED', {
+        status: 'RECEIVED',
+        receivedAt: new Date(),
+        ...(note && { adminNote: note })
+    }, 'receive');
+
+    for (const entry of dispositions) {
+        await tx.returnItem.update({
+            where: { id: entry.item.id },
+            data: { disposition: entry.disposition }
+        });
+    }
+
+    await restoreStock(tx, dispositions
+        .filter(entry => entry.disposition === 'RESTOCK')
+        .map(entry => ({ productId: entry.item.orderItem.productId, quantity: entry.item.quantity })));
+
+    return findReturnOrFail(tx, id);
+});
+
+/**
+ * Admin refunds a received return - the full value of the returned items by
+ * default (capped by what is left after earlier refunds), or a smaller
+ * amount (e.g. for damaged items).
+ *
+ * The money goes back through the refund flow, the same as any other refund
+ * of the returned items: it is paid back the way the order was paid, points
+ * earned on the order are taken back, the customer is emailed a receipt and
+ * the return moves to REFUNDED once the refund is paid. The stock was
+ * already settled when the items were received.
+ *
+ * Returns `{ returnRequest, refund }`.
+ */
+const refundReturn = async (id, { amount, note }, actor) => {
+    const current = await findReturnOrFail(prisma, id);
+
+    if (current.status !== 'RECEIVED') {
+        throw createHttpError(400, `Cannot refund a return with status: ${current.status}`);
+    }
+    if (current.order.paymentStatus !== 'PAID') {
+        throw createHttpError(400, 'Cannot refund an order whose payment was not received');
+    }
+
+    const pending = await prisma.refund.count({ where: { returnRequestId: id, status: 'PENDING' } });
+    if (pending > 0) {
+        throw createHttpError(409, 'A refund for this return is already pending');
+    }
+
+    // Order refunds may already have paid some of it back
+    const maxAmount = Math.min(getReturnValue(current), await getRefundableAmount(prisma, current.order));
+    const refundAmount = amount === undefined || amount === null
+        ? maxAmount
+        : roundMoney(Number(amount));
+
+    if (refundAmount <= 0 || refundAmount > maxAmount) {
+        throw createHttpError(400, `Refund amount must be greater than 0 and at most ${maxAmount.toFixed(2)}`);
+    }
+
+    if (note) {
+        await prisma.returnRequest.update({
+            where: { id },
+            data: { adminNote: note }
+        });
+    }
+
+    const { refund } = await createRefund(current.orderId, {
+        amount: refundAmount,
+        items: current.items.map(item => ({ orderItemId: item.orderItemId, quantity: item.quantity })),
+        reason: note || `Items returned (${current.rmaNumber})`,
+        returnRequestId: id
+    }, actor);
+
+    return {
+        returnRequest: await findReturnOrFail(prisma, id),
+        refund
+    };
+};
+
+module.exports = {
+    returnDetailsInclude,
+    getReturnValue,
+    createReturnRequest,
+    reviewReturnRequest,
+    receiveReturn,
+    refundReturn
+};
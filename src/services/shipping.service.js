@@ -0,0 +1,164 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+
+const DELIVERY_METHODS = ['DELIVERY', 'STORE_PICKUP'];
+
+// Zone country that matches any country
+const ANY_COUNTRY = '*';
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// An empty list matches everything
+const matchesList = (list, value) => list.length === 0 || list.some(entry => normalize(entry) === normalize(value));
+
+/**
+ * How specific a zone is - a city list beats a region list beats a country
+ */
+const zoneSpecificity = (zone) =>
+    (zone.cities.length > 0 ? 4 : 0) +
+    (zone.regions.length > 0 ? 2 : 0) +
+    (zone.country !== ANY_COUNTRY ? 1 : 0);
+
+/**
+ * Find the most specific active zone covering an address
+ */
+const findShippingZone = async ({ country, region, city } = {}) => {
+    const zones = await prisma.shippingZone.findMany({
+        where: { isActive: true },
+        include: { rates: { where: { isActive: true } } },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const matching = zones.filter(zone =>
+        (zone.country === ANY_COUNTRY || normalize(zone.country) === normalize(country)) &&
+        matchesList(zone.regions, region) &&
+        matchesList(zone.cities, city)
+    );
+
+    // Stable sort keeps the oldest zone first among equally specific ones
+    return matching.sort((a, b) => zoneSpecificity(b) - zoneSpecificity(a))[0] || null;
+};
+
+/**
+ * Amount of the first tier covering a value (tiers sorted by `upTo`, null = no limit)
+ */
+const tierAmount = (tiers, value) => {
+    const sorted = [...(tiers || [])].sort((a, b) => {
+        if (a.upTo === null || a.upTo === undefined) return 1;
+        if (b.upTo === null || b.upTo === undefined) return -1;
+        return a.upTo - b.upTo;
+    });
+
+    const tier = sorted.find(entry => entry.upTo === null || entry.upTo === undefined || value <= entry.upTo);
+    return tier ? Number(tier.amount) : null;
+};
+
+/**
+ * Fee charged by a rate, or null when the order falls outside its tiers
+ */
+const calculateRateFee = (rate, { subtotal, weight }) => {
+    if (rate.freeAbove !== null && subtotal >= Number(rate.freeAbove)) {
+        return 0;
+    }
+
+    switch (rate.type) {
+        case 'FLAT':
+            return Number(rate.amount || 0);
+        case 'WEIGHT':
+            return tierAmount(rate.tiers, weight);
+        case 'ORDER_VALUE':
+            return tierAmount(rate.tiers, subtotal);
+        default:
+            return null;
+    }
+};
+
+/**
+ * Total shipping weight (kg) of order lines. Products without a weight count as 0.
+ */
+const getItemsWeight = async (items) => {
+    const products = await prisma.product.findMany({
+        where: { id: { in: items.map(item => item.productId) } },
+        select: { id: true, weight: true }
+    });
+
+    return items.reduce((sum, item) => {
+        const product = products.find(p => p.id === item.productId);
+        return sum + Number(product?.weight || 0) * item.quantity;
+    }, 0);
+};
+
+/**
+ * Quote every delivery method for an address and a set of order lines.
+ *
+ * Store pickup without an address (or outside every zone) is free. Inside a
+ * zone a method is only available when the zone has a rate for it; the
+ * cheapest applicable rate is used.
+ */
+const quoteShipping = async ({ shippingInfo, subtotal, items }) => {
+    const weight = await getItemsWeight(items);
+    const zone = shippingInfo ? await findShippingZone(shippingInfo) : null;
+
+    const methods = DELIVERY_METHODS.map(deliveryMethod => {
+        if (!zone) {
+            return deliveryMethod === 'STORE_PICKUP'
+                ? { deliveryMethod, available: true, fee: 0, rate: null }
+                : { deliveryMethod, available: false, fee: null, rate: null, reason: 'We do not deliver to this address yet' };
+        }
+
+        const rates = zone.rates.filter(rate => rate.deliveryMethod === deliveryMethod);
+        const quotes = rates
+            .map(rate => ({ rate, fee: calculateRateFee(rate, { subtotal, weight }) }))
+            .filter(quote => quote.fee !== null)
+            .sort((a, b) => a.fee - b.fee);
+
+        if (quotes.length === 0) {
+            return {
+                deliveryMethod,
+                available: false,
+                fee: null,
+                rate: null,
+                reason: rates.length === 0
+                    ? `${deliveryMethod === 'DELIVERY' ? 'Delivery' : 'Store pickup'} is not available in this area`
+                    : 'This order exceeds the shipping limits for this area'
+            };
+        }
+
+        const [{ rate, fee }] = quotes;
+        return {
+            deliveryMethod,
+            available: true,
+            fee,
+            rate: { id: rate.id, name: rate.name },
+            ...(rate.freeAbove !== null && fee > 0 && { freeAbove: Number(rate.freeAbove) })
+        };
+    });
+
+    return {
+        zone: zone ? { id: zone.id, name: zone.name } : null,
+        subtotal,
+        weight,
+        methods
+    };
+};
+
+/**
+ * Shipping fee for an order, failing with 400 when the method is unavailable
+ */
+const calculateShippingFee = async ({ deliveryMethod, shippingInfo, subtotal, items }) => {
+    const quote = await quoteShipping({ shippingInfo, subtotal, items });
+    const method = quote.methods.find(entry => entry.deliveryMethod === deliveryMethod);
+
+    if (!method || !method.available) {
+        throw createHttpError(400, method?.reason || `Unknown delivery method: ${deliveryMethod}`);
+    }
+
+    return method.fee;
+};
+
+module.exports = {
+    findShippingZone,
+    calculateRateFee,
+    quoteShipping,
+    calculateShippingFee
+};
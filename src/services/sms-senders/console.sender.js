@@ -0,0 +1,12 @@
+/**
+ * Prints messages to the console instead of sending them (local development)
+ */
+const consoleSender = {
+    name: 'console',
+
+    send: async ({ to, message }) => {
+        console.log(`📱 SMS to ${to}: ${message}`);
+    }
+};
+
+module.exports = consoleSender;
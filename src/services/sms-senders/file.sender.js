@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Appends messages as JSON lines to SMS_LOG_FILE instead of sending them,
+ * e.g. for tests that read the code back
+ */
+const fileSender = {
+    name: 'file',
+
+    send: async ({ to, message }) => {
+        const file = path.resolve(process.env.SMS_LOG_FILE || 'logs/sms.log');
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`);
+    }
+};
+
+module.exports = fileSender;
@@ -0,0 +1,55 @@
+const consoleSender = require('./console.sender');
+const fileSender = require('./file.sender');
+
+/**
+ * SMS senders by name. A sender is an object with a `name` and
+ * `send({ to, message })`, which resolves once the message is accepted.
+ * SMS_TRANSPORT picks the one used (console by default).
+ */
+const senders = {};
+
+// Senders that only log messages, so customers never receive them
+const LOCAL_TRANSPORTS = [consoleSender.name, fileSender.name];
+
+const getTransportName = () => process.env.SMS_TRANSPORT || 'console';
+
+/**
+ * Whether SMS actually reach customers. In production the local senders
+ * only log, so codes must go another way (e.g. email) until a provider is
+ * registered and picked with SMS_TRANSPORT.
+ */
+const isSmsAvailable = () =>
+    process.env.NODE_ENV !== 'production' || !LOCAL_TRANSPORTS.includes(getTransportName());
+
+if (!isSmsAvailable()) {
+    console.warn(`⚠️  SMS_TRANSPORT is "${getTransportName()}", which does not send SMS in production - codes are emailed instead`);
+}
+
+const registerSmsSender = (sender) => {
+    senders[sender.name] = sender;
+};
+
+const getSmsSender = () => {
+    const name = getTransportName();
+
+    if (!isSmsAvailable()) {
+        throw new Error(`SMS_TRANSPORT "${name}" does not send SMS in production`);
+    }
+
+    const sender = senders[name];
+
+    if (!sender) {
+        throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    return sender;
+};
+
+registerSmsSender(consoleSender);
+registerSmsSender(fileSender);
+
+module.exports = {
+    registerSmsSender,
+    isSmsAvailable,
+    getSmsSender
+};
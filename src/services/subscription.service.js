@@ -0,0 +1,388 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { placeOrder, notifyOrderPlaced } = require('./order.service');
+const { SYSTEM_ACTOR } = require('./order-history.service');
+const { sendSubscriptionReminderEmail, sendSubscriptionFailedEmail } = require('./email.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment methods that need nobody at checkout, so orders can be placed on schedule
+const SUBSCRIPTION_PAYMENT_METHODS = ['CASH_ON_DELIVERY', 'WALLET'];
+
+// Discount on every subscription order (percent of the items after promotions)
+const getSubscriptionDiscountPercent = () => parseFloat(process.env.SUBSCRIPTION_DISCOUNT_PERCENT || '10');
+
+// Days before a run that the customer is reminded of it
+const getReminderDays = () => parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS || '3', 10);
+
+const subscriptionDetailsInclude = {
+    items: {
+        include: {
+            product: {
+                select: {
+                    id: true,
+                    name: true,
+                    brand: true,
+                    price: true,
+                    isActive: true
+                }
+            }
+        }
+    }
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Order fields copied from a subscription's contact and delivery details
+ */
+const getOrderDetails = (subscription) => ({
+    contactInfo: {
+        firstName: subscription.contactFirstName,
+        lastName: subscription.contactLastName,
+        phone: subscription.contactPhone,
+        email: subscription.contactEmail
+    },
+    deliveryMethod: subscription.deliveryMethod,
+    shippingInfo: subscription.deliveryMethod === 'DELIVERY'
+        ? {
+            country: subscription.shippingCountry,
+            region: subscription.shippingRegion,
+            city: subscription.shippingCity,
+            address: subscription.shippingAddress,
+            address2: subscription.shippingAddress2
+        }
+        : null
+});
+
+/**
+ * Subscription columns for the requested contact, delivery and payment
+ * details (only the ones given)
+ */
+const toSubscriptionData = ({ contactInfo, deliveryMethod, shippingInfo, paymentMethod }) => ({
+    ...(contactInfo && {
+        contactFirstName: contactInfo.firstName,
+        contactLastName: contactInfo.lastName,
+        contactPhone: contactInfo.phone,
+        contactEmail: contactInfo.email
+    }),
+    ...(deliveryMethod && { deliveryMethod }),
+    ...((shippingInfo || deliveryMethod === 'STORE_PICKUP') && {
+        shippingCountry: shippingInfo?.country || null,
+        shippingRegion: shippingInfo?.region || null,
+        shippingCity: shippingInfo?.city || null,
+        shippingAddress: shippingInfo?.address || null,
+        shippingAddress2: shippingInfo?.address2 || null
+    }),
+    ...(paymentMethod && { paymentMethod })
+});
+
+/**
+ * Check the products of a subscription exist and are sold, failing with 400
+ */
+const assertProductsAvailable = async (items) => {
+    const productIds = items.map(item => item.productId);
+
+    if (new Set(productIds).size !== productIds.length) {
+        throw createHttpError(400, 'Each product can only be listed once');
+    }
+
+    const products = await prisma.product.findMany({
+        where: { id: { in: productIds }, isActive: true },
+        select: { id: true }
+    });
+
+    const missingIds = productIds.filter(id => !products.some(product => product.id === id));
+    if (missingIds.length > 0) {
+        throw createHttpError(400, 'Some products not found or inactive', missingIds.map(id => ({
+            productId: id,
+            error: 'Product not found or inactive'
+        })));
+    }
+};
+
+/**
+ * Find a customer's subscription, failing with 404 (or 403 when it belongs
+ * to someone else)
+ */
+const findOwnSubscription = async (id, userId) => {
+    const subscription = await prisma.subscription.findUnique({
+        where: { id },
+        include: subscriptionDetailsInclude
+    });
+
+    if (!subscription) {
+        throw createHttpError(404, 'Subscription not found');
+    }
+    if (subscription.userId !== userId) {
+        throw createHttpError(403, 'Not authorized to access this subscription');
+    }
+
+    return subscription;
+};
+
+/**
+ * Subscribe to a set of products, ordered every `intervalDays` from
+ * `startDate` (one interval from now by default)
+ */
+const createSubscription = async (userId, { items, intervalDays, startDate, contactInfo, deliveryMethod, shippingInfo, paymentMethod }) => {
+    if (deliveryMethod === 'DELIVERY' && !shippingInfo) {
+        throw createHttpError(400, 'Shipping address is required for delivery subscriptions');
+    }
+
+    await assertProductsAvailable(items);
+
+    return prisma.subscription.create({
+        data: {
+            userId,
+            intervalDays,
+            nextRunAt: startDate ? new Date(startDate) : addDays(new Date(), intervalDays),
+            ...toSubscriptionData({ contactInfo, deliveryMethod, shippingInfo, paymentMethod }),
+            items: {
+                create: items.map(item => ({
+                    productId: item.productId,
+                    quantity: item.quantity
+                }))
+            }
+        },
+        include: subscriptionDetailsInclude
+    });
+};
+
+/**
+ * A customer's subscriptions (newest first)
+ */
+const getUserSubscriptions = (userId) => prisma.subscription.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    include: subscriptionDetailsInclude
+});
+
+/**
+ * Change a subscription's items, interval, next run date, contact, delivery
+ * or payment details. New `items` replace the current ones.
+ */
+const updateSubscription = async (id, userId, changes) => {
+    const subscription = await findOwnSubscription(id, userId);
+
+    if (subscription.status === 'CANCELLED') {
+        throw createHttpError(400, 'Cannot change a cancelled subscription');
+    }
+
+    const deliveryMethod = changes.deliveryMethod || subscription.deliveryMethod;
+    if (deliveryMethod === 'DELIVERY' && !changes.shippingInfo && !subscription.shippingAddress) {
+        throw createHttpError(400, 'Shipping address is required for delivery subscriptions');
+    }
+
+    if (changes.items) {
+        await assertProductsAvailable(changes.items);
+    }
+
+    const nextRunAt = changes.nextRunAt ? new Date(changes.nextRunAt) : null;
+
+    return prisma.$transaction(async (tx) => {
+        if (changes.items) {
+            await tx.subscriptionItem.deleteMany({ where: { subscriptionId: id } });
+            await tx.subscriptionItem.createMany({
+                data: changes.items.map(item => ({
+                    subscriptionId: id,
+                    productId: item.productId,
+                    quantity: item.quantity
+                }))
+            });
+        }
+
+        return tx.subscription.update({
+            where: { id },
+            data: {
+                ...toSubscriptionData(changes),
+                ...(changes.intervalDays && { intervalDays: changes.intervalDays }),
+                ...(nextRunAt && { nextRunAt, reminderSentAt: null })
+            },
+            include: subscriptionDetailsInclude
+        });
+    });
+};
+
+/**
+ * Update a customer's subscription with `data` (or `data(subscription)`),
+ * failing with 400 unless it is in one of the `from` statuses
+ */
+const changeSubscription = async (id, userId, { from, data, message }) => {
+    const subscription = await findOwnSubscription(id, userId);
+
+    if (!from.includes(subscription.status)) {
+        throw createHttpError(400, `${message} (subscription is ${subscription.status})`);
+    }
+
+    return prisma.subscription.update({
+        where: { id },
+        data: typeof data === 'function' ? data(subscription) : data,
+        include: subscriptionDetailsInclude
+    });
+};
+
+/**
+ * Stop generating orders until the subscription is resumed
+ */
+const pauseSubscription = (id, userId) => changeSubscription(id, userId, {
+    from: ['ACTIVE'],
+    data: { status: 'PAUSED' },
+    message: 'Only active subscriptions can be paused'
+});
+
+/**
+ * Start generating orders again. A run date that passed while paused moves
+ * forward by whole intervals.
+ */
+const resumeSubscription = (id, userId) => changeSubscription(id, userId, {
+    from: ['PAUSED'],
+    data: (subscription) => {
+        const now = new Date();
+        let nextRunAt = subscription.nextRunAt;
+        while (nextRunAt <= now) {
+            nextRunAt = addDays(nextRunAt, subscription.intervalDays);
+        }
+        return { status: 'ACTIVE', nextRunAt, reminderSentAt: null };
+    },
+    message: 'Only paused subscriptions can be resumed'
+});
+
+/**
+ * Skip the next run - the one after it goes ahead as planned
+ */
+const skipSubscription = (id, userId) => changeSubscription(id, userId, {
+    from: ['ACTIVE', 'PAUSED'],
+    data: (subscription) => ({
+        nextRunAt: addDays(subscription.nextRunAt, subscription.intervalDays),
+        reminderSentAt: null
+    }),
+    message: 'Cannot skip a cancelled subscription'
+});
+
+/**
+ * Cancel a subscription for good
+ */
+const cancelSubscription = (id, userId) => changeSubscription(id, userId, {
+    from: ['ACTIVE', 'PAUSED'],
+    data: { status: 'CANCELLED', cancelledAt: new Date() },
+    message: 'Subscription is already cancelled'
+});
+
+/**
+ * Email customers whose subscription runs within the reminder period (once
+ * per run). Returns the reminded subscriptions.
+ */
+const sendSubscriptionReminders = async (now = new Date()) => {
+    const due = await prisma.subscription.findMany({
+        where: {
+            status: 'ACTIVE',
+            reminderSentAt: null,
+            nextRunAt: { gt: now, lte: addDays(now, getReminderDays()) }
+        },
+        include: subscriptionDetailsInclude
+    });
+
+    const reminded = [];
+
+    for (const subscription of due) {
+        const result = await sendSubscriptionReminderEmail(subscription.contactEmail, subscription, getSubscriptionDiscountPercent());
+
+        if (result.success) {
+            await prisma.subscription.update({
+                where: { id: subscription.id },
+                data: { reminderSentAt: now }
+            });
+            reminded.push(subscription);
+        }
+    }
+
+    return reminded;
+};
+
+/**
+ * Place the order of every active subscription that is due, through the
+ * same checkout as customer orders, and move it to its next run.
+ *
+ * A run the order cannot be placed for (e.g. out of stock) is skipped and
+ * the customer is emailed why. Unexpected errors are logged and leave the
+ * run due, so it is tried again. Returns `{ placed: [order], failed: [{ subscription, reason }] }`.
+ */
+const runDueSubscriptions = async (now = new Date()) => {
+    const due = await prisma.subscription.findMany({
+        where: { status: 'ACTIVE', nextRunAt: { lte: now } },
+        include: subscriptionDetailsInclude
+    });
+
+    const placed = [];
+    const failed = [];
+
+    for (const subscription of due) {
+        const nextRunAt = addDays(subscription.nextRunAt, subscription.intervalDays);
+
+        // Claim the run, so it is placed once even if another run overlaps
+        const { count } = await prisma.subscription.updateMany({
+            where: { id: subscription.id, status: 'ACTIVE', nextRunAt: subscription.nextRunAt },
+            data: { nextRunAt, reminderSentAt: null, lastRunAt: now }
+        });
+
+        if (count === 0) {
+            continue;
+        }
+
+        try {
+            // Subscriptions created before card and bank transfer payment were withdrawn
+            if (!SUBSCRIPTION_PAYMENT_METHODS.includes(subscription.paymentMethod)) {
+                throw createHttpError(400, 'Subscription orders can only be paid from your wallet or by cash on delivery. Please change the payment method.');
+            }
+
+            const order = await placeOrder({
+                userId: subscription.userId,
+                items: subscription.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+                ...getOrderDetails(subscription),
+                paymentMethod: subscription.paymentMethod,
+                deliveryNote: 'Subscription order'
+            }, {
+                actor: SYSTEM_ACTOR,
+                subscription: { id: subscription.id, discountPercent: getSubscriptionDiscountPercent() }
+            });
+
+            notifyOrderPlaced(order);
+            placed.push(order);
+        } catch (error) {
+            if (!error.status) {
+                await prisma.subscription.updateMany({
+                    where: { id: subscription.id, nextRunAt },
+                    data: { nextRunAt: subscription.nextRunAt, lastRunAt: subscription.lastRunAt }
+                });
+                console.error(`Subscription ${subscription.id} run error:`, error);
+                continue;
+            }
+
+            await prisma.subscription.update({
+                where: { id: subscription.id },
+                data: { lastFailureAt: now, lastFailureReason: error.message }
+            });
+
+            sendSubscriptionFailedEmail(subscription.contactEmail, { ...subscription, nextRunAt }, error.message, error.errors)
+                .catch(err => console.error('Failed to send subscription failure email:', err));
+
+            failed.push({ subscription, reason: error.message });
+        }
+    }
+
+    return { placed, failed };
+};
+
+module.exports = {
+    createSubscription,
+    getUserSubscriptions,
+    findOwnSubscription,
+    updateSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipSubscription,
+    cancelSubscription,
+    sendSubscriptionReminders,
+    runDueSubscriptions
+};
@@ -0,0 +1,91 @@
+const prisma = require('../config/database');
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Whether catalogue prices already include tax (TAX_MODE=inclusive) or tax is
+ * added on top at checkout (TAX_MODE=exclusive, the default)
+ */
+const isTaxInclusive = () => (process.env.TAX_MODE || 'exclusive').toLowerCase() === 'inclusive';
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Region used for tax: the shipping region, or the store's own region
+ * (TAX_ORIGIN_REGION) for store pickup
+ */
+const getTaxRegion = (deliveryMethod, shippingInfo) => (deliveryMethod === 'STORE_PICKUP'
+    ? process.env.TAX_ORIGIN_REGION || shippingInfo?.region
+    : shippingInfo?.region);
+
+/**
+ * Most specific active rate for a region and tax class - an exact region
+ * beats any region, an exact class beats any class
+ */
+const findTaxRate = (rates, region, taxClass) => {
+    const matching = rates.filter(rate =>
+        (rate.region === null || normalize(rate.region) === normalize(region)) &&
+        (rate.taxClass === null || normalize(rate.taxClass) === normalize(taxClass))
+    );
+
+    const specificity = (rate) => (rate.region !== null ? 2 : 0) + (rate.taxClass !== null ? 1 : 0);
+
+    return matching.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * Tax for each order line (`lines` as { productId, quantity, price, promotionDiscount?, discount? }).
+ *
+ * Returns the per-line breakdown (in the same order as `lines`) and the
+ * order's total tax. In inclusive mode the tax is the part of the line
+ * price that is tax; otherwise it is added on top. `inclusive` defaults to
+ * the configured mode (existing orders keep the mode they were placed with).
+ */
+const calculateTax = async ({ lines, deliveryMethod, shippingInfo, inclusive = isTaxInclusive() }) => {
+    const region = getTaxRegion(deliveryMethod, shippingInfo);
+
+    const [rates, products] = await Promise.all([
+        prisma.taxRate.findMany({
+            where: { isActive: true },
+            orderBy: { createdAt: 'asc' }
+        }),
+        prisma.product.findMany({
+            where: { id: { in: lines.map(line => line.productId) } },
+            select: { id: true, taxClass: true }
+        })
+    ]);
+
+    const lineTaxes = lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        const taxRate = findTaxRate(rates, region, product?.taxClass);
+
+        if (!taxRate) {
+            return { taxName: null, taxRate: 0, taxAmount: 0 };
+        }
+
+        const percentage = Number(taxRate.rate);
+        // Promotions and coupons lower the taxable amount
+        const lineSubtotal = Number(line.price) * line.quantity -
+            Number(line.promotionDiscount || 0) -
+            Number(line.discount || 0);
+        const taxAmount = inclusive
+            ? lineSubtotal - lineSubtotal / (1 + percentage / 100)
+            : lineSubtotal * percentage / 100;
+
+        return {
+            taxName: taxRate.name,
+            taxRate: percentage,
+            taxAmount: roundMoney(taxAmount)
+        };
+    });
+
+    return {
+        inclusive,
+        tax: roundMoney(lineTaxes.reduce((sum, line) => sum + line.taxAmount, 0)),
+        lines: lineTaxes
+    };
+};
+
+module.exports = {
+    isTaxInclusive,
+    calculateTax
+};
@@ -0,0 +1,158 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('../utils/http-error');
+const { roundMoney } = require('../utils/money');
+const { assertUserExists } = require('../utils/user');
+
+/**
+ * A customer's wallet balance - the sum of their ledger
+ */
+const getWalletBalance = async (client, userId) => {
+    const { _sum } = await client.walletTransaction.aggregate({
+        where: { userId },
+        _sum: { amount: true }
+    });
+
+    return roundMoney(Number(_sum.amount || 0));
+};
+
+/**
+ * Add a ledger entry inside a transaction. Debits (negative amounts) lock
+ * the customer's row first, so concurrent debits cannot overdraw the
+ * wallet, and fail with 400 when the balance is too low.
+ */
+const recordWalletTransaction = async (tx, { userId, amount, type, note, orderId, refundId, actor }) => {
+    if (amount < 0) {
+        await tx.$queryRaw`SELECT "id" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+
+        const balance = await getWalletBalance(tx, userId);
+
+        if (balance + amount < 0) {
+            throw createHttpError(400, `Insufficient wallet balance (Rs ${balance.toFixed(2)} available)`);
+        }
+    }
+
+    return tx.walletTransaction.create({
+        data: {
+            userId,
+            amount: roundMoney(amount),
+            type,
+            note: note || null,
+            orderId: orderId || null,
+            refundId: refundId || null,
+            createdById: actor ? actor.id : null
+        }
+    });
+};
+
+/**
+ * Spend store credit on a new order
+ */
+const payFromWallet = (tx, { userId, orderId, amount }) => recordWalletTransaction(tx, {
+    userId,
+    amount: -amount,
+    type: 'ORDER_PAYMENT',
+    orderId
+});
+
+/**
+ * Give back the credit spent on an order that was cancelled
+ */
+const returnWalletPayment = async (tx, order) => {
+    if (Number(order.walletAmount) <= 0) {
+        return null;
+    }
+
+    return recordWalletTransaction(tx, {
+        userId: order.userId,
+        amount: Number(order.walletAmount),
+        type: 'ORDER_CANCELLED',
+        orderId: order.id,
+        note: `Order #${order.orderNumber} was cancelled`
+    });
+};
+
+/**
+ * Charge (positive amount) or give back (negative amount) the difference
+ * when an order paid with credit is edited
+ */
+const adjustOrderWalletPayment = (tx, order, amount) => recordWalletTransaction(tx, {
+    userId: order.userId,
+    amount: -amount,
+    type: 'ORDER_EDITED',
+    orderId: order.id,
+    note: `Order #${order.orderNumber} was changed`
+});
+
+/**
+ * Credit (positive amount) or debit (negative amount) a customer's wallet by
+ * hand (Admin). Returns the transaction and the new balance.
+ */
+const adjustWallet = async (userId, { amount, note }, actor) => {
+    await assertUserExists(userId);
+
+    return prisma.$transaction(async (tx) => {
+        const transaction = await recordWalletTransaction(tx, {
+            userId,
+            amount,
+            type: amount > 0 ? 'CREDIT' : 'DEBIT',
+            note,
+            actor
+        });
+
+        return {
+            transaction,
+            balance: await getWalletBalance(tx, userId)
+        };
+    });
+};
+
+/**
+ * A customer's balance and transactions (newest first)
+ */
+const getWallet = async (userId, { page = 1, limit = 20 } = {}) => {
+    await assertUserExists(userId);
+
+    const where = { userId };
+
+    const [balance, transactions, total] = await Promise.all([
+        getWalletBalance(prisma, userId),
+        prisma.walletTransaction.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+            select: {
+                id: true,
+                amount: true,
+                type: true,
+                note: true,
+                orderId: true,
+                refundId: true,
+                createdAt: true,
+                order: { select: { id: true, orderNumber: true } }
+            }
+        }),
+        prisma.walletTransaction.count({ where })
+    ]);
+
+    return {
+        balance,
+        transactions,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = {
+    getWalletBalance,
+    recordWalletTransaction,
+    payFromWallet,
+    returnWalletPayment,
+    adjustOrderWalletPayment,
+    adjustWallet,
+    getWallet
+};
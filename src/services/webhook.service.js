@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// Give up on slow webhook receivers rather than piling up requests
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * POST an event to the configured webhook URL (no-op when unset).
+ * The body is signed with HMAC-SHA256 using WEBHOOK_SECRET and the
+ * signature sent in the X-NutriWell-Signature header.
+ */
+const dispatchWebhook = async (event, data) => {
+    const url = process.env.WEBHOOK_URL;
+    if (!url) {
+        return;
+    }
+
+    const body = JSON.stringify({
+        event,
+        data,
+        sentAt: new Date().toISOString(),
+    });
+
+    const signature = crypto
+        .createHmac('sha256', process.env.WEBHOOK_SECRET || '')
+        .update(body)
+        .digest('hex');
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-NutriWell-Event': event,
+            'X-NutriWell-Signature': signature,
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook ${event} rejected with status ${response.status}`);
+    }
+};
+
+module.exports = {
+    dispatchWebhook,
+};
@@ -0,0 +1,37 @@
+/**
+ * Create an error carrying an HTTP status (and optional per-item details)
+ * for services to throw and controllers to relay to the client.
+ */
+const createHttpError = (status, message, errors) => {
+    const error = new Error(message);
+    error.status = status;
+    if (errors) {
+        error.errors = errors;
+    }
+    return error;
+};
+
+/**
+ * Answer a controller's request with a service error (its status, message
+ * and details), or log any other error under `label` and answer 500 with
+ * `message`.
+ */
+const sendHttpError = (res, error, label, message) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            ...(error.errors && { errors: error.errors }),
+        });
+    }
+    console.error(`${label} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message,
+    });
+};
+
+module.exports = {
+    createHttpError,
+    sendHttpError,
+};
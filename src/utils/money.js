@@ -0,0 +1,8 @@
+/**
+ * Round an amount to whole paisa (two decimal places).
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+    roundMoney,
+};
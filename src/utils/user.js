@@ -0,0 +1,20 @@
+const prisma = require('../config/database');
+const { createHttpError } = require('./http-error');
+
+/**
+ * Fail with 404 unless the user exists
+ */
+const assertUserExists = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true }
+    });
+
+    if (!user) {
+        throw createHttpError(404, 'User not found');
+    }
+};
+
+module.exports = {
+    assertUserExists,
+};
@@ -0,0 +1,72 @@
+/**
+ * Fire parallel orders at the same product and check stock never goes negative.
+ *
+ * Usage (against a running API with a seeded product):
+ *   API_URL=http://localhost:5000 TOKEN=<jwt> PRODUCT_ID=<uuid> node test-concurrent-orders.js [parallel=20]
+ *
+ * Set the product's quantity lower than the number of parallel orders:
+ * exactly `quantity` orders should succeed and the rest get 409.
+ */
+const API_URL = process.env.API_URL || 'http://localhost:5000';
+const { TOKEN, PRODUCT_ID } = process.env;
+const PARALLEL = parseInt(process.argv[2] || '20', 10);
+
+const request = async (method, path, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${TOKEN}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const placeOrder = () => request('POST', '/api/orders', {
+    items: [{ productId: PRODUCT_ID, quantity: 1 }],
+    contactInfo: {
+        firstName: 'Load',
+        lastName: 'Test',
+        phone: '0000000000',
+        email: 'loadtest@nutriwell.com',
+    },
+    deliveryMethod: 'STORE_PICKUP',
+    paymentMethod: 'CASH_ON_DELIVERY',
+});
+
+const main = async () => {
+    if (!TOKEN || !PRODUCT_ID) {
+        console.error('TOKEN and PRODUCT_ID environment variables are required');
+        process.exit(1);
+    }
+
+    const before = await request('GET', `/api/products/${PRODUCT_ID}`);
+    const startingStock = before.body.data.product.quantity;
+    console.log(`Starting stock: ${startingStock}, firing ${PARALLEL} parallel orders...`);
+
+    const results = await Promise.all(Array.from({ length: PARALLEL }, placeOrder));
+    const created = results.filter(r => r.status === 201).length;
+    const rejected = results.filter(r => r.status === 409 || r.status === 400).length;
+    const failed = results.length - created - rejected;
+
+    const after = await request('GET', `/api/products/${PRODUCT_ID}`);
+    const endingStock = after.body.data.product.quantity;
+
+    console.log(`Created: ${created}, rejected for stock: ${rejected}, other failures: ${failed}`);
+    console.log(`Ending stock: ${endingStock}`);
+
+    const expectedCreated = Math.min(startingStock, PARALLEL);
+    const ok = endingStock >= 0
+        && created === expectedCreated
+        && endingStock === startingStock - created
+        && failed === 0;
+
+    console.log(ok ? '✅ No overselling detected' : '❌ Stock mismatch - overselling or unexpected errors');
+    process.exit(ok ? 0 : 1);
+};
+
+main().catch((error) => {
+    console.error('Error:', error);
+    process.exit(1);
+});
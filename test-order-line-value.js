@@ -0,0 +1,66 @@
+/**
+ * Check the price paid per unit of an order line, used to price refunds
+ * and returns.
+ *
+ * Usage (no database needed):
+ *   node test-order-line-value.js
+ */
+const assert = require('assert');
+const { getPaidUnitPrice } = require('./src/services/order-line-value');
+const { roundMoney } = require('./src/utils/money');
+
+let passed = 0;
+let failed = 0;
+
+const test = (name, fn) => {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failed++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+};
+
+const line = (extra = {}) => ({
+    price: 500,
+    quantity: 2,
+    promotionDiscount: 0,
+    discount: 0,
+    taxAmount: 0,
+    ...extra
+});
+
+test('a line without discounts or tax is worth its price', () => {
+    assert.strictEqual(getPaidUnitPrice(line(), false), 500);
+});
+
+test('promotion and coupon discounts are shared across the units', () => {
+    assert.strictEqual(getPaidUnitPrice(line({ promotionDiscount: 100, discount: 60 }), false), 420);
+});
+
+test('tax added on top is paid back with each unit', () => {
+    assert.strictEqual(getPaidUnitPrice(line({ taxAmount: 170 }), false), 585);
+});
+
+test('tax included in the price is not added again', () => {
+    assert.strictEqual(getPaidUnitPrice(line({ taxAmount: 145.45 }), true), 500);
+});
+
+test('tax is added after the discounts it was charged on', () => {
+    // 17% of (1000 - 100) = 153
+    assert.strictEqual(getPaidUnitPrice(line({ discount: 100, taxAmount: 153 }), false), 526.5);
+});
+
+test('refunding every unit gives back the line total with its tax', () => {
+    const item = line({ quantity: 3, price: 333.33, discount: 10, taxAmount: 168.3 });
+    assert.strictEqual(roundMoney(getPaidUnitPrice(item, false) * item.quantity), roundMoney(999.99 - 10 + 168.3));
+});
+
+test('Decimal values from the database are accepted', () => {
+    const item = line({ price: '500.00', discount: '60.00', taxAmount: '95.20' });
+    assert.strictEqual(getPaidUnitPrice(item, false), 517.6);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
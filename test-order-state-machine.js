@@ -0,0 +1,258 @@
+/**
+ * Check every order and payment status transition against the state machine.
+ *
+ * Usage (no database needed):
+ *   node test-order-state-machine.js
+ */
+const assert = require('assert');
+const {
+    ORDER_TRANSITIONS,
+    PAYMENT_TRANSITIONS,
+    CANCELLABLE_BY,
+    planTransition
+} = require('./src/services/order-state-machine');
+
+const ORDER_STATUSES = ['PENDING', 'PAID', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'];
+const PAYMENT_STATUSES = ['PENDING', 'PAID', 'FAILED', 'REFUNDED'];
+
+const ADMIN = { id: 'admin-1', role: 'ADMIN' };
+const CUSTOMER = { id: 'user-1', role: 'CUSTOMER' };
+const SYSTEM = { id: null, role: 'SYSTEM' };
+
+let passed = 0;
+let failed = 0;
+
+const test = (name, fn) => {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failed++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+};
+
+// Payment status that satisfies the guards for an order in a given status
+const paymentFor = (status) => ({
+    PENDING: 'PENDING',
+    CANCELLED: 'PENDING',
+    REFUNDED: 'REFUNDED'
+}[status] || 'PAID');
+
+const order = (status, extra = {}) => ({
+    id: 'order-1',
+    status,
+    paymentStatus: paymentFor(status),
+    paymentMethod: 'CARD',
+    trackingNumber: null,
+    ...extra
+});
+
+// Request with whatever the guards of the target status need
+const requestFor = (to) => ({
+    status: to,
+    ...(to === 'SHIPPED' && { trackingNumber: 'TRK-1' }),
+    ...(to === 'REFUNDED' && { paymentStatus: 'REFUNDED' })
+});
+
+// Every order status pair, as an admin
+for (const from of ORDER_STATUSES) {
+    for (const to of ORDER_STATUSES) {
+        if (from === to) continue;
+
+        const legal = ORDER_TRANSITIONS[from].includes(to);
+
+        test(`order ${from} -> ${to} is ${legal ? 'legal' : 'illegal'}`, () => {
+            const plan = planTransition(order(from), requestFor(to), ADMIN);
+            assert.strictEqual(plan.ok, legal, plan.errors.join('; '));
+            if (legal) {
+                assert.strictEqual(plan.to.status, to);
+            }
+        });
+    }
+}
+
+// Every payment status pair, on an order that can still take payment
+for (const from of PAYMENT_STATUSES) {
+    for (const to of PAYMENT_STATUSES) {
+        if (from === to) continue;
+
+        const legal = PAYMENT_TRANSITIONS[from].includes(to);
+
+        test(`payment ${from} -> ${to} is ${legal ? 'legal' : 'illegal'}`, () => {
+            const plan = planTransition(
+                order('PROCESSING', { paymentStatus: from }),
+                { paymentStatus: to },
+                ADMIN
+            );
+            assert.strictEqual(plan.ok, legal, plan.errors.join('; '));
+            if (legal) {
+                assert.strictEqual(plan.to.paymentStatus, to);
+            }
+        });
+    }
+}
+
+// Cancellation rights per actor role
+for (const actor of [ADMIN, CUSTOMER, SYSTEM]) {
+    for (const from of ORDER_STATUSES) {
+        if (!ORDER_TRANSITIONS[from].includes('CANCELLED')) continue;
+
+        const allowed = CANCELLABLE_BY[actor.role].includes(from);
+
+        test(`${actor.role} ${allowed ? 'can' : 'cannot'} cancel a ${from} order`, () => {
+            const plan = planTransition(order(from), { status: 'CANCELLED' }, actor);
+            assert.strictEqual(plan.ok, allowed, plan.errors.join('; '));
+        });
+    }
+}
+
+test('same status is rejected', () => {
+    const plan = planTransition(order('PAID'), { status: 'PAID' }, ADMIN);
+    assert.strictEqual(plan.ok, false);
+    assert.match(plan.errors[0], /already PAID/);
+});
+
+test('empty request is rejected', () => {
+    assert.strictEqual(planTransition(order('PAID'), {}, ADMIN).ok, false);
+});
+
+test('SHIPPED requires a tracking number', () => {
+    const plan = planTransition(order('PROCESSING'), { status: 'SHIPPED' }, ADMIN);
+    assert.strictEqual(plan.ok, false);
+    assert.match(plan.errors[0], /tracking number/);
+});
+
+test('SHIPPED accepts a tracking number already on the order', () => {
+    const plan = planTransition(order('PROCESSING', { trackingNumber: 'TRK-1' }), { status: 'SHIPPED' }, ADMIN);
+    assert.strictEqual(plan.ok, true, plan.errors.join('; '));
+});
+
+test('REFUNDED requires a refunded payment', () => {
+    const plan = planTransition(order('PAID'), { status: 'REFUNDED' }, ADMIN);
+    assert.strictEqual(plan.ok, false);
+    assert.match(plan.errors[0], /payment is refunded/);
+});
+
+test('customers can only cancel', () => {
+    const plan = planTransition(order('PENDING'), { status: 'PAID' }, CUSTOMER);
+    assert.strictEqual(plan.ok, false);
+    assert.strictEqual(planTransition(order('PENDING'), { paymentStatus: 'PAID' }, CUSTOMER).ok, false);
+});
+
+test('marking an order PAID also marks its payment PAID', () => {
+    const plan = planTransition(order('PENDING'), { status: 'PAID' }, ADMIN);
+    assert.deepStrictEqual(plan.to, { status: 'PAID', paymentStatus: 'PAID' });
+    assert.deepStrictEqual(plan.effects, ['consumeReservations']);
+});
+
+test('a successful payment moves a pending order to PAID', () => {
+    const plan = planTransition(order('PENDING'), { paymentStatus: 'PAID' }, SYSTEM);
+    assert.deepStrictEqual(plan.to, { status: 'PAID', paymentStatus: 'PAID' });
+});
+
+test('a failed payment leaves the order PENDING', () => {
+    const plan = planTransition(order('PENDING'), { paymentStatus: 'FAILED' }, SYSTEM);
+    assert.deepStrictEqual(plan.to, { status: 'PENDING', paymentStatus: 'FAILED' });
+    assert.deepStrictEqual(plan.effects, []);
+});
+
+test('payment cannot be taken for a cancelled order', () => {
+    const plan = planTransition(order('CANCELLED'), { paymentStatus: 'PAID' }, ADMIN);
+    assert.strictEqual(plan.ok, false);
+});
+
+test('cancelling restocks and releases the coupon, deal units, wallet credit, gift cards and points', () => {
+    const plan = planTransition(order('PENDING'), { status: 'CANCELLED' }, ADMIN);
+    assert.deepStrictEqual(plan.effects, ['restock', 'releaseCoupon', 'releaseDealUnits', 'returnWalletPayment', 'reverseGiftCardRedemptions', 'returnRedeemedPoints']);
+});
+
+test('cancelling a paid order also refunds its payment', () => {
+    for (const from of ['PAID', 'PROCESSING']) {
+        for (const paymentMethod of ['WALLET', 'GIFT_CARD', 'BANK_TRANSFER']) {
+            const plan = planTransition(order(from, { paymentMethod }), { status: 'CANCELLED' }, ADMIN);
+            assert.strictEqual(plan.to.paymentStatus, 'REFUNDED', `${from} ${paymentMethod}`);
+            assert.deepStrictEqual(plan.effects, ['restock', 'releaseCoupon', 'releaseDealUnits', 'returnWalletPayment', 'reverseGiftCardRedemptions', 'refundPayments', 'returnRedeemedPoints'], from);
+        }
+    }
+});
+
+test('a cancelled card payment stays PAID until the gateway refunds it', () => {
+    const plan = planTransition(order('PAID'), { status: 'CANCELLED' }, ADMIN);
+    assert.deepStrictEqual(plan.to, { status: 'CANCELLED', paymentStatus: 'PAID' });
+    assert.ok(plan.effects.includes('refundPayments'));
+
+    const refunded = planTransition(order('CANCELLED', { paymentStatus: 'PAID' }), { paymentStatus: 'REFUNDED' }, SYSTEM);
+    assert.strictEqual(refunded.ok, true, refunded.errors.join('; '));
+    assert.deepStrictEqual(refunded.to, { status: 'CANCELLED', paymentStatus: 'REFUNDED' });
+});
+
+test('a customer cannot cancel a bank transfer order once paid', () => {
+    const plan = planTransition(order('PAID', { paymentMethod: 'BANK_TRANSFER' }), { status: 'CANCELLED' }, CUSTOMER);
+    assert.strictEqual(plan.ok, false);
+    assert.match(plan.errors[0], /contact us/);
+
+    assert.strictEqual(planTransition(order('PAID', { paymentMethod: 'BANK_TRANSFER' }), { status: 'CANCELLED' }, ADMIN).ok, true);
+});
+
+test('confirming a cash on delivery order leaves its payment pending', () => {
+    const plan = planTransition(order('PENDING', { paymentMethod: 'CASH_ON_DELIVERY' }), { status: 'PAID' }, ADMIN);
+    assert.strictEqual(plan.ok, true, plan.errors.join('; '));
+    assert.deepStrictEqual(plan.to, { status: 'PAID', paymentStatus: 'PENDING' });
+});
+
+test('cash on delivery is paid on delivery', () => {
+    const shipped = order('SHIPPED', { paymentMethod: 'CASH_ON_DELIVERY', paymentStatus: 'PENDING' });
+    const plan = planTransition(shipped, requestFor('DELIVERED'), ADMIN);
+    assert.strictEqual(plan.ok, true, plan.errors.join('; '));
+    assert.deepStrictEqual(plan.to, { status: 'DELIVERED', paymentStatus: 'PAID' });
+
+    const confirmed = order('PAID', { paymentMethod: 'CASH_ON_DELIVERY', paymentStatus: 'PENDING' });
+    assert.strictEqual(planTransition(confirmed, { paymentStatus: 'PAID' }, ADMIN).ok, false);
+});
+
+test('a customer can cancel a confirmed cash on delivery order without a refund', () => {
+    const confirmed = order('PAID', { paymentMethod: 'CASH_ON_DELIVERY', paymentStatus: 'PENDING' });
+    const plan = planTransition(confirmed, { status: 'CANCELLED' }, CUSTOMER);
+    assert.strictEqual(plan.ok, true, plan.errors.join('; '));
+    assert.strictEqual(plan.to.paymentStatus, 'PENDING');
+    assert.ok(!plan.effects.includes('refundPayments'));
+});
+
+test('refunding before fulfilment restocks and returns redeemed points', () => {
+    const plan = planTransition(order('PAID'), { status: 'REFUNDED', paymentStatus: 'REFUNDED' }, ADMIN);
+    assert.deepStrictEqual(plan.effects, ['restock', 'returnRedeemedPoints']);
+});
+
+test('fulfilment steps have no stock effects', () => {
+    for (const [from, to] of [['PAID', 'PROCESSING'], ['PROCESSING', 'SHIPPED']]) {
+        const plan = planTransition(order(from), requestFor(to), ADMIN);
+        assert.deepStrictEqual(plan.effects, [], `${from} -> ${to}`);
+    }
+});
+
+test('delivery awards loyalty points', () => {
+    const plan = planTransition(order('SHIPPED'), requestFor('DELIVERED'), ADMIN);
+    assert.strictEqual(plan.ok, true);
+    assert.deepStrictEqual(plan.effects, ['awardLoyaltyPoints']);
+});
+
+test('an unconfirmed order cannot leave PENDING except by cancelling', () => {
+    const unconfirmed = order('PENDING', { paymentMethod: 'CASH_ON_DELIVERY', confirmationRequired: true, confirmedAt: null });
+
+    for (const request of [{ status: 'PAID' }, { paymentStatus: 'PAID' }]) {
+        const plan = planTransition(unconfirmed, request, ADMIN);
+        assert.strictEqual(plan.ok, false, JSON.stringify(request));
+        assert.match(plan.errors[0], /one-time code/);
+    }
+
+    assert.strictEqual(planTransition(unconfirmed, { status: 'CANCELLED' }, SYSTEM).ok, true);
+});
+
+test('a confirmed order can be marked PAID', () => {
+    const confirmed = order('PENDING', { paymentMethod: 'CASH_ON_DELIVERY', confirmationRequired: true, confirmedAt: new Date() });
+    assert.strictEqual(planTransition(confirmed, { status: 'PAID' }, ADMIN).ok, true);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,119 @@
+/**
+ * Check how an edited order's new total is settled against the points,
+ * gift cards and wallet credit spent on it.
+ *
+ * Usage (no database needed):
+ *   node test-order-tenders.js
+ */
+const assert = require('assert');
+const { planTenderChanges } = require('./src/services/order-tenders');
+
+let passed = 0;
+let failed = 0;
+
+const test = (name, fn) => {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failed++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+};
+
+const order = (extra = {}) => ({
+    paymentMethod: 'CARD',
+    total: 1000,
+    walletAmount: 0,
+    giftCardAmount: 0,
+    pointsRedeemed: 0,
+    pointsAmount: 0,
+    ...extra
+});
+
+const NO_CHANGES = { wallet: 0, giftCard: 0, points: 0, pointsAmount: 0 };
+
+// Total lowered
+
+test('a WALLET order gets the difference back as credit', () => {
+    const changes = planTenderChanges(order({ paymentMethod: 'WALLET', walletAmount: 1000 }), 800);
+    assert.deepStrictEqual(changes, { ...NO_CHANGES, wallet: -200 });
+});
+
+test('a GIFT_CARD order gets the difference back on its gift cards', () => {
+    const changes = planTenderChanges(order({ paymentMethod: 'GIFT_CARD', giftCardAmount: 1000 }), 750.5);
+    assert.deepStrictEqual(changes, { ...NO_CHANGES, giftCard: -249.5 });
+});
+
+test('credit comes back wallet first, then gift cards, then whole points', () => {
+    const changes = planTenderChanges(order({
+        paymentMethod: 'WALLET',
+        pointsRedeemed: 100,
+        pointsAmount: 100,
+        giftCardAmount: 300,
+        walletAmount: 600
+    }), 50.5);
+    assert.deepStrictEqual(changes, { wallet: -600, giftCard: -300, points: -49, pointsAmount: -49 });
+});
+
+test('points come back at the value they were spent at', () => {
+    const changes = planTenderChanges(order({
+        paymentMethod: 'GIFT_CARD',
+        pointsRedeemed: 200,
+        pointsAmount: 100,
+        giftCardAmount: 900
+    }), 950);
+    assert.deepStrictEqual(changes, { ...NO_CHANGES, giftCard: -50 });
+
+    const withPoints = planTenderChanges(order({
+        paymentMethod: 'GIFT_CARD',
+        pointsRedeemed: 200,
+        pointsAmount: 100,
+        giftCardAmount: 900
+    }), 40);
+    assert.deepStrictEqual(withPoints, { wallet: 0, giftCard: -900, points: -120, pointsAmount: -60 });
+});
+
+test('a card order with credit still left to pay keeps its credit', () => {
+    const changes = planTenderChanges(order({ walletAmount: 200, giftCardAmount: 100 }), 400);
+    assert.deepStrictEqual(changes, NO_CHANGES);
+});
+
+test('a card order whose credit would cover the new total is rejected', () => {
+    assert.throws(
+        () => planTenderChanges(order({ walletAmount: 200, giftCardAmount: 100 }), 300),
+        (error) => error.status === 400
+    );
+});
+
+// Total raised
+
+test('a WALLET order is charged the difference to the wallet', () => {
+    const changes = planTenderChanges(order({ paymentMethod: 'WALLET', walletAmount: 1000 }), 1250.75);
+    assert.deepStrictEqual(changes, { ...NO_CHANGES, wallet: 250.75 });
+});
+
+test('a GIFT_CARD order is charged the difference to its gift cards', () => {
+    const changes = planTenderChanges(order({
+        paymentMethod: 'GIFT_CARD',
+        pointsRedeemed: 100,
+        pointsAmount: 100,
+        giftCardAmount: 900
+    }), 1100);
+    assert.deepStrictEqual(changes, { ...NO_CHANGES, giftCard: 100 });
+});
+
+test('a card order collects the difference later', () => {
+    const changes = planTenderChanges(order({ walletAmount: 200 }), 1500);
+    assert.deepStrictEqual(changes, NO_CHANGES);
+});
+
+// Total unchanged
+
+test('an unchanged total changes nothing', () => {
+    assert.deepStrictEqual(planTenderChanges(order({ paymentMethod: 'WALLET', walletAmount: 1000 }), 1000), NO_CHANGES);
+    assert.deepStrictEqual(planTenderChanges(order({ walletAmount: 200 }), 1000), NO_CHANGES);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
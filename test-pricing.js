@@ -0,0 +1,95 @@
+/**
+ * Check which unit price a customer pays for a product: its deal price,
+ * standing promo price or list price.
+ *
+ * Usage (no database needed):
+ *   node test-pricing.js
+ */
+const assert = require('assert');
+const { resolveUnitPrice } = require('./src/services/pricing.service');
+
+let passed = 0;
+let failed = 0;
+
+const test = (name, fn) => {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failed++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+};
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const product = (extra = {}) => ({
+    price: '1000.00',
+    promoPrice: null,
+    isOnDeal: false,
+    dealPrice: null,
+    dealStartDate: null,
+    dealEndDate: null,
+    ...extra
+});
+
+// Deal window relative to NOW
+const deal = (startOffsetDays, endOffsetDays, dealPrice = '700.00') => ({
+    isOnDeal: true,
+    dealPrice,
+    dealStartDate: new Date(NOW.getTime() + startOffsetDays * DAY),
+    dealEndDate: new Date(NOW.getTime() + endOffsetDays * DAY)
+});
+
+const priceOf = (extra) => {
+    const { unitPrice, source, reason } = resolveUnitPrice(product(extra), NOW);
+    return { unitPrice, source, reason };
+};
+
+test('a product without discounts is charged its list price', () => {
+    assert.deepStrictEqual(priceOf({}), { unitPrice: 1000, source: 'LIST', reason: 'LIST_PRICE' });
+});
+
+test('a promo price below the list price is charged', () => {
+    assert.deepStrictEqual(priceOf({ promoPrice: '850.00' }), { unitPrice: 850, source: 'PROMO', reason: 'PROMO_PRICE' });
+});
+
+test('a promo price at or above the list price is ignored', () => {
+    assert.strictEqual(priceOf({ promoPrice: '1000.00' }).unitPrice, 1000);
+    assert.strictEqual(priceOf({ promoPrice: '1200.00' }).unitPrice, 1000);
+});
+
+test('a running deal beats the promo price', () => {
+    assert.deepStrictEqual(priceOf({ promoPrice: '850.00', ...deal(-1, 1) }), { unitPrice: 700, source: 'DEAL', reason: 'DEAL_PRICE' });
+});
+
+test('the promo price applies before a deal starts', () => {
+    assert.deepStrictEqual(priceOf({ promoPrice: '850.00', ...deal(1, 2) }), { unitPrice: 850, source: 'PROMO', reason: 'PROMO_PRICE' });
+});
+
+test('the promo price applies after a deal ends', () => {
+    assert.deepStrictEqual(priceOf({ promoPrice: '850.00', ...deal(-2, -1) }), { unitPrice: 850, source: 'PROMO', reason: 'PROMO_PRICE' });
+});
+
+test('the list price applies outside a deal without a promo price', () => {
+    assert.deepStrictEqual(priceOf(deal(1, 2)), { unitPrice: 1000, source: 'LIST', reason: 'DEAL_NOT_STARTED' });
+    assert.deepStrictEqual(priceOf(deal(-2, -1)), { unitPrice: 1000, source: 'LIST', reason: 'DEAL_ENDED' });
+});
+
+test('a deal price that is no discount falls back to the promo price', () => {
+    assert.deepStrictEqual(priceOf({ promoPrice: '850.00', ...deal(-1, 1, '1000.00') }), { unitPrice: 850, source: 'PROMO', reason: 'PROMO_PRICE' });
+    assert.deepStrictEqual(priceOf(deal(-1, 1, '1100.00')), { unitPrice: 1000, source: 'LIST', reason: 'LIST_PRICE' });
+});
+
+test('a deal without a window falls back to the promo price', () => {
+    assert.deepStrictEqual(priceOf({ isOnDeal: true, dealPrice: '700.00', promoPrice: '850.00' }), { unitPrice: 850, source: 'PROMO', reason: 'PROMO_PRICE' });
+});
+
+test('the discount percentage is against the list price', () => {
+    assert.strictEqual(resolveUnitPrice(product(deal(-1, 1, '667.00')), NOW).discountPercentage, 33);
+    assert.strictEqual(resolveUnitPrice(product({ promoPrice: '850.00' }), NOW).discountPercentage, 15);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,247 @@
+/**
+ * Check the promotion rules (buy X get Y, bundles, tiered spend discounts)
+ * and how promotions stack by priority and exclusivity.
+ *
+ * Usage (no database needed):
+ *   node test-promotion-engine.js
+ */
+const assert = require('assert');
+const { isPromotionRunning, evaluatePromotions } = require('./src/services/promotion-engine');
+
+let passed = 0;
+let failed = 0;
+
+const test = (name, fn) => {
+    try {
+        fn();
+        passed++;
+    } catch (error) {
+        failed++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+};
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+const promotion = (type, extra = {}) => ({
+    id: extra.name || type,
+    name: type,
+    type,
+    isActive: true,
+    startsAt: null,
+    endsAt: null,
+    priority: 0,
+    exclusive: false,
+    productIds: [],
+    collectionIds: [],
+    categoryIds: [],
+    brands: [],
+    buyQuantity: null,
+    getQuantity: null,
+    discountPercent: null,
+    bundlePrice: null,
+    tiers: [],
+    ...extra
+});
+
+const line = (productId, price, quantity, extra = {}) => ({
+    productId,
+    price,
+    quantity,
+    collectionId: null,
+    categoryId: null,
+    brand: null,
+    ...extra
+});
+
+const evaluate = (promotions, lines) => evaluatePromotions(promotions, lines, { now: NOW });
+const lineDiscounts = (result) => result.lines.map(entry => entry.discount);
+const appliedNames = (result) => result.applied.map(entry => entry.name);
+
+// Buy X get Y
+
+test('buy 2 get 1 gives every third unit free', () => {
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1 });
+
+    assert.strictEqual(evaluate([buy2get1], [line('a', 100, 2)]).discount, 0);
+    assert.strictEqual(evaluate([buy2get1], [line('a', 100, 3)]).discount, 100);
+    assert.strictEqual(evaluate([buy2get1], [line('a', 100, 5)]).discount, 100);
+    assert.strictEqual(evaluate([buy2get1], [line('a', 100, 6)]).discount, 200);
+});
+
+test('buy X get Y discounts the cheapest units', () => {
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1 });
+    const result = evaluate([buy2get1], [line('a', 300, 2), line('b', 100, 1)]);
+
+    assert.deepStrictEqual(lineDiscounts(result), [0, 100]);
+});
+
+test('buy X get Y can give a percentage off instead of free units', () => {
+    const halfPrice = promotion('BUY_X_GET_Y', { buyQuantity: 1, getQuantity: 1, discountPercent: 50 });
+    assert.strictEqual(evaluate([halfPrice], [line('a', 100, 2)]).discount, 50);
+});
+
+test('buy X get Y only counts the products it covers', () => {
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1, productIds: ['a'] });
+    const result = evaluate([buy2get1], [line('a', 100, 2), line('b', 100, 1)]);
+
+    assert.strictEqual(result.discount, 0);
+    assert.deepStrictEqual(result.applied, []);
+});
+
+// Bundles
+
+test('a bundle charges its price for a complete set', () => {
+    const bundle = promotion('BUNDLE', { productIds: ['a', 'b'], bundlePrice: 250 });
+    const result = evaluate([bundle], [line('a', 200, 1), line('b', 100, 1)]);
+
+    assert.strictEqual(result.discount, 50);
+    // Shared by value, the last line takes the rounding remainder
+    assert.deepStrictEqual(lineDiscounts(result), [33.33, 16.67]);
+});
+
+test('a bundle applies once per complete set', () => {
+    const bundle = promotion('BUNDLE', { productIds: ['a', 'b'], bundlePrice: 250 });
+    const result = evaluate([bundle], [line('a', 200, 2), line('b', 100, 3)]);
+
+    assert.strictEqual(result.discount, 100);
+    assert.deepStrictEqual(lineDiscounts(result), [66.67, 33.33]);
+});
+
+test('an incomplete or dearer bundle gives nothing', () => {
+    const bundle = promotion('BUNDLE', { productIds: ['a', 'b'], bundlePrice: 250 });
+    assert.strictEqual(evaluate([bundle], [line('a', 200, 2)]).discount, 0);
+
+    const dearer = promotion('BUNDLE', { productIds: ['a', 'b'], bundlePrice: 400 });
+    assert.strictEqual(evaluate([dearer], [line('a', 200, 1), line('b', 100, 1)]).discount, 0);
+});
+
+// Spend thresholds
+
+const tiered = (extra = {}) => promotion('SPEND_THRESHOLD', {
+    tiers: [{ minSubtotal: 500, percentage: 5 }, { minSubtotal: 1000, percentage: 10 }],
+    ...extra
+});
+
+test('a spend threshold uses the highest tier reached', () => {
+    const lower = evaluate([tiered()], [line('a', 600, 1), line('b', 300, 1)]);
+    assert.strictEqual(lower.discount, 45);
+    assert.deepStrictEqual(lineDiscounts(lower), [30, 15]);
+
+    const higher = evaluate([tiered()], [line('a', 800, 1), line('b', 300, 1)]);
+    assert.strictEqual(higher.discount, 110);
+    assert.deepStrictEqual(lineDiscounts(higher), [80, 30]);
+});
+
+test('a spend threshold below its lowest tier gives nothing', () => {
+    assert.strictEqual(evaluate([tiered()], [line('a', 499.99, 1)]).discount, 0);
+});
+
+test('a spend threshold only counts the lines it covers', () => {
+    const brandOnly = tiered({ brands: ['Acme'] });
+    const result = evaluate([brandOnly], [line('a', 600, 1, { brand: ' acme ' }), line('b', 900, 1, { brand: 'Other' })]);
+
+    assert.strictEqual(result.discount, 30);
+    assert.deepStrictEqual(lineDiscounts(result), [30, 0]);
+});
+
+// Stacking
+
+test('promotions stack from the highest priority down', () => {
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1, productIds: ['a'], priority: 2 });
+    const spend = promotion('SPEND_THRESHOLD', { tiers: [{ minSubtotal: 500, percentage: 10 }], priority: 1 });
+    const result = evaluate([spend, buy2get1], [line('a', 100, 3), line('b', 500, 1)]);
+
+    assert.deepStrictEqual(appliedNames(result), ['BUY_X_GET_Y', 'SPEND_THRESHOLD']);
+    // The spend is counted after the free unit
+    assert.deepStrictEqual(lineDiscounts(result), [120, 50]);
+    assert.strictEqual(result.discount, 170);
+    assert.deepStrictEqual(result.lines[0].promotions.map(entry => entry.discount), [100, 20]);
+});
+
+test('units used by one promotion are not available to the next', () => {
+    const high = promotion('BUY_X_GET_Y', { name: 'high', buyQuantity: 2, getQuantity: 1, priority: 5 });
+    const low = promotion('BUY_X_GET_Y', { name: 'low', buyQuantity: 2, getQuantity: 1, priority: 1 });
+    const result = evaluate([low, high], [line('a', 100, 3)]);
+
+    assert.deepStrictEqual(appliedNames(result), ['high']);
+    assert.strictEqual(result.discount, 100);
+});
+
+test('equal priorities keep the given order', () => {
+    const first = promotion('BUY_X_GET_Y', { name: 'first', buyQuantity: 2, getQuantity: 1 });
+    const second = promotion('BUY_X_GET_Y', { name: 'second', buyQuantity: 2, getQuantity: 1 });
+
+    assert.deepStrictEqual(appliedNames(evaluate([first, second], [line('a', 100, 3)])), ['first']);
+    assert.deepStrictEqual(appliedNames(evaluate([second, first], [line('a', 100, 3)])), ['second']);
+});
+
+// Exclusivity
+
+test('an exclusive promotion stops the promotions after it', () => {
+    const exclusive = tiered({ name: 'exclusive', exclusive: true, priority: 10 });
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1, priority: 1 });
+    const result = evaluate([buy2get1, exclusive], [line('a', 200, 3)]);
+
+    assert.deepStrictEqual(appliedNames(result), ['exclusive']);
+    assert.strictEqual(result.discount, 30);
+});
+
+test('an exclusive promotion is skipped once another applied', () => {
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1, priority: 10 });
+    const exclusive = tiered({ name: 'exclusive', exclusive: true, priority: 1 });
+    const result = evaluate([exclusive, buy2get1], [line('a', 200, 3)]);
+
+    assert.deepStrictEqual(appliedNames(result), ['BUY_X_GET_Y']);
+    assert.strictEqual(result.discount, 200);
+});
+
+test('an exclusive promotion that gives nothing does not stop the others', () => {
+    const exclusive = tiered({ name: 'exclusive', exclusive: true, priority: 10, productIds: ['b'] });
+    const buy2get1 = promotion('BUY_X_GET_Y', { buyQuantity: 2, getQuantity: 1, priority: 1 });
+    const result = evaluate([exclusive, buy2get1], [line('a', 200, 3)]);
+
+    assert.deepStrictEqual(appliedNames(result), ['BUY_X_GET_Y']);
+});
+
+// Discount cap
+
+test('stacked promotions never take a line below zero', () => {
+    const spend = promotion('SPEND_THRESHOLD', { tiers: [{ minSubtotal: 0, percentage: 90 }], priority: 2 });
+    const buy1get1 = promotion('BUY_X_GET_Y', { buyQuantity: 1, getQuantity: 1, priority: 1 });
+    const result = evaluate([spend, buy1get1], [line('a', 100, 2)]);
+
+    assert.deepStrictEqual(lineDiscounts(result), [200]);
+    assert.deepStrictEqual(result.applied.map(entry => entry.discount), [180, 20]);
+    assert.strictEqual(result.discount, 200);
+});
+
+// Schedule
+
+test('a promotion runs only when active and inside its schedule', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    assert.strictEqual(isPromotionRunning(promotion('BUNDLE'), NOW), true);
+    assert.strictEqual(isPromotionRunning(promotion('BUNDLE', { isActive: false }), NOW), false);
+    assert.strictEqual(isPromotionRunning(promotion('BUNDLE', { startsAt: new Date(NOW.getTime() + day) }), NOW), false);
+    assert.strictEqual(isPromotionRunning(promotion('BUNDLE', { endsAt: new Date(NOW.getTime() - day) }), NOW), false);
+    assert.strictEqual(isPromotionRunning(promotion('BUNDLE', {
+        startsAt: new Date(NOW.getTime() - day),
+        endsAt: new Date(NOW.getTime() + day)
+    }), NOW), true);
+});
+
+test('promotions outside their schedule apply only when the schedule is ignored', () => {
+    const ended = tiered({ endsAt: new Date(NOW.getTime() - 1000) });
+    const lines = [line('a', 600, 1)];
+
+    assert.strictEqual(evaluate([ended], lines).discount, 0);
+    assert.strictEqual(evaluatePromotions([ended], lines, { now: NOW, ignoreSchedule: true }).discount, 30);
+});
+
+test('unknown promotion types are ignored', () => {
+    assert.deepStrictEqual(evaluate([promotion('MYSTERY')], [line('a', 100, 1)]).applied, []);
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);